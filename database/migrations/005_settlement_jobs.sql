@@ -0,0 +1,34 @@
+-- Migration 005: SOL Settlement Jobs
+-- Durable payout jobs (set_winner -> finalize_game -> close_game) mirrored from the backend settlement queue
+
+CREATE TABLE IF NOT EXISTS games_to_finalize (
+  game_id TEXT PRIMARY KEY,
+  winner_wallet TEXT NOT NULL,
+  loser_wallet TEXT NOT NULL,
+  stake_amount DECIMAL(20, 9) NOT NULL, -- SOL, at lamport precision
+  status TEXT NOT NULL CHECK (status IN ('pending', 'processing', 'settled', 'dead_letter')) DEFAULT 'pending',
+  set_winner_status TEXT NOT NULL CHECK (set_winner_status IN ('pending', 'done', 'skipped')) DEFAULT 'pending',
+  set_winner_signature TEXT,
+  finalize_game_status TEXT NOT NULL CHECK (finalize_game_status IN ('pending', 'done', 'skipped')) DEFAULT 'pending',
+  finalize_game_signature TEXT,
+  close_game_status TEXT NOT NULL CHECK (close_game_status IN ('pending', 'done', 'skipped')) DEFAULT 'pending',
+  close_game_signature TEXT,
+  attempts INTEGER DEFAULT 0 NOT NULL,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  settled_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Dead-lettered and stuck jobs are looked up by status
+CREATE INDEX IF NOT EXISTS idx_games_to_finalize_status ON games_to_finalize(status);
+CREATE INDEX IF NOT EXISTS idx_games_to_finalize_winner ON games_to_finalize(winner_wallet);
+
+ALTER TABLE games_to_finalize ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own settlement jobs" ON games_to_finalize
+  FOR SELECT USING (winner_wallet = current_user OR loser_wallet = current_user);
+
+CREATE POLICY "Service can manage settlement jobs" ON games_to_finalize
+  FOR ALL USING (true);
@@ -0,0 +1,9 @@
+-- Migration 006: SOL Refund History
+-- Record refunds of SOL games cancelled before player2 joined in game_history
+
+-- Cancelled games never had a second player
+ALTER TABLE game_history ALTER COLUMN player2_wallet DROP NOT NULL;
+
+ALTER TABLE game_history DROP CONSTRAINT IF EXISTS game_history_game_status_check;
+ALTER TABLE game_history ADD CONSTRAINT game_history_game_status_check
+  CHECK (game_status IN ('completed', 'abandoned', 'error', 'refunded', 'refund_failed'));
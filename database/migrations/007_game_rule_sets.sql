@@ -0,0 +1,6 @@
+-- Migration 007: Game Rule Sets
+-- Record which variant (classic, rpsls, ...) each game was played with
+
+ALTER TABLE game_history ADD COLUMN IF NOT EXISTS rule_set TEXT NOT NULL DEFAULT 'classic';
+
+CREATE INDEX IF NOT EXISTS idx_game_history_rule_set ON game_history(rule_set);
@@ -0,0 +1,29 @@
+-- Migration 008: Player Ratings
+-- Elo skill rating per wallet, updated by the backend after every completed or abandoned game
+
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS rating INTEGER NOT NULL DEFAULT 1200;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS rated_games INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_user_profiles_rating ON user_profiles(rating DESC);
+
+-- New columns go at the end so CREATE OR REPLACE keeps the existing ones
+CREATE OR REPLACE VIEW leaderboard AS
+SELECT 
+  ROW_NUMBER() OVER (ORDER BY total_points_earned DESC, wins DESC, total_games ASC) as rank,
+  wallet_address,
+  total_points_earned,
+  wins,
+  losses,
+  total_games,
+  CASE 
+    WHEN total_games > 0 THEN ROUND((wins::DECIMAL / total_games::DECIMAL) * 100, 2)
+    ELSE 0
+  END as win_rate_percentage,
+  points_balance,
+  created_at,
+  rating,
+  rated_games,
+  ROW_NUMBER() OVER (ORDER BY rating DESC, rated_games DESC, wins DESC) as rating_rank
+FROM user_profiles
+WHERE total_games > 0  -- Only show players who have played games
+ORDER BY total_points_earned DESC, wins DESC, total_games ASC;
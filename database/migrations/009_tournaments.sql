@@ -0,0 +1,49 @@
+-- Migration 009: Tournaments
+-- Atomic points adjustments for entry fees and prizes, and a record of finished tournaments
+
+-- Add (or, with a negative delta, take) points without going below zero; returns NULL when the balance is short
+CREATE OR REPLACE FUNCTION adjust_points_balance(
+  user_wallet TEXT,
+  points_delta INTEGER
+) RETURNS user_profiles AS $$
+DECLARE
+  user_profile user_profiles;
+BEGIN
+  PERFORM get_or_create_user_profile(user_wallet);
+
+  UPDATE user_profiles
+  SET
+    points_balance = points_balance + points_delta,
+    updated_at = NOW()
+  WHERE wallet_address = user_wallet
+    AND points_balance + points_delta >= 0
+  RETURNING * INTO user_profile;
+
+  RETURN user_profile;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TABLE IF NOT EXISTS tournament_results (
+  tournament_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  format TEXT NOT NULL CHECK (format IN ('single_elimination', 'swiss')),
+  currency TEXT NOT NULL CHECK (currency IN ('points', 'sol')),
+  entry_fee DECIMAL(18, 9) NOT NULL,
+  prize_pool DECIMAL(18, 9) NOT NULL,
+  platform_fee DECIMAL(18, 9) NOT NULL DEFAULT 0,
+  player_count INTEGER NOT NULL,
+  standings JSONB NOT NULL, -- [{ place, wallet, score, ... }]
+  prizes JSONB NOT NULL, -- [{ place, wallet, amount, status, signature }]
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournament_results_finished_at ON tournament_results(finished_at DESC);
+
+ALTER TABLE tournament_results ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read tournament results" ON tournament_results
+  FOR SELECT USING (true);
+
+CREATE POLICY "Service can manage tournament results" ON tournament_results
+  FOR ALL USING (true);
@@ -0,0 +1,21 @@
+-- Migration 010: Chat moderation
+-- Mutes and reports of in-game chat, recorded against the sender's wallet
+
+CREATE TABLE IF NOT EXISTS chat_moderation (
+  id BIGSERIAL PRIMARY KEY,
+  action TEXT NOT NULL CHECK (action IN ('mute', 'report')),
+  wallet_address TEXT NOT NULL, -- Sender of the muted or reported chat
+  reported_by TEXT NOT NULL,
+  game_id TEXT NOT NULL,
+  message JSONB, -- Reported message { id, type, text | emote, sentAt }; NULL for mutes
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_moderation_wallet ON chat_moderation(wallet_address, created_at DESC);
+
+ALTER TABLE chat_moderation ENABLE ROW LEVEL SECURITY;
+
+-- Reports name who reported whom, so there is no read policy for players
+CREATE POLICY "Service can manage chat moderation" ON chat_moderation
+  FOR ALL TO service_role USING (true);
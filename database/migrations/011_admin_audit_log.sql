@@ -0,0 +1,38 @@
+-- Migration 011: Admin audit log
+-- Every admin API action (force-finish, cancel, settlement/refund retry, queue drain, bans, log levels).
+-- Append-only: rows can be inserted but never updated or deleted, not even by the service role.
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id UUID PRIMARY KEY,
+  admin_wallet TEXT NOT NULL,
+  action TEXT NOT NULL, -- e.g. 'game.force_finish', 'wallet.ban'
+  target TEXT, -- Game ID, wallet or log module the action was aimed at
+  details JSONB NOT NULL DEFAULT '{}'::jsonb, -- Request parameters and what the action changed
+  success BOOLEAN NOT NULL,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target, created_at DESC);
+
+CREATE OR REPLACE FUNCTION reject_admin_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS admin_audit_log_append_only ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_append_only
+  BEFORE UPDATE OR DELETE ON admin_audit_log
+  FOR EACH ROW EXECUTE FUNCTION reject_admin_audit_log_change();
+
+ALTER TABLE admin_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Admin wallets and what they did stay with the backend
+CREATE POLICY "Service can insert admin audit log" ON admin_audit_log
+  FOR INSERT TO service_role WITH CHECK (true);
+
+CREATE POLICY "Service can read admin audit log" ON admin_audit_log
+  FOR SELECT TO service_role USING (true);
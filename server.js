@@ -1,13 +1,4 @@
 const express = require('express');
-
-// Silence console in production
-if (process.env.NODE_ENV === 'production') {
-  ['log', 'warn', 'info', 'debug', 'error'].forEach((m) => {
-    // eslint-disable-next-line no-console
-    console[m] = () => {};
-  });
-}
-
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
@@ -15,8 +6,15 @@ require('dotenv').config();
 
 // Import modules
 const { router: gameRoutes, initializeSocketHandlers } = require('./src/routes/gameRoutes');
+const { router: authRoutes } = require('./src/routes/authRoutes');
+const { router: tournamentRoutes } = require('./src/routes/tournamentRoutes');
+const { router: adminRoutes, initializeSocketHandlers: initializeAdminSocketHandlers } = require('./src/routes/adminRoutes');
+const { router: metricsRoutes } = require('./src/routes/metricsRoutes');
 const socketHandlers = require('./src/socket/socketHandlers');
 const autoFinalizationService = require('./src/services/autoFinalizationService');
+const { logger } = require('./src/utils/logger');
+
+const log = logger.child({ module: 'server' });
 
 const app = express();
 const server = http.createServer(app);
@@ -35,7 +33,11 @@ app.use(cors());
 app.use(express.json());
 
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/games', gameRoutes);
+app.use('/api/tournaments', tournamentRoutes);
+app.use('/admin', adminRoutes);
+app.use('/metrics', metricsRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -58,51 +60,35 @@ app.get('/debug/onchain-status', (req, res) => {
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log(`✅ Player connected: ${socket.id}`);
-  console.log(`🔌 Socket transport: ${socket.conn.transport.name}`);
-  console.log(`🔌 Socket readyState: ${socket.conn.readyState}`);
+  const socketLog = log.child({ socketId: socket.id });
+  socketLog.info('Player connected', { transport: socket.conn.transport.name });
   
-  // Debug: log ALL incoming events to catch onchain events BEFORE they reach handlers
+  // Trace every incoming event (LOG_LEVELS=server=trace)
   socket.onAny((eventName, ...args) => {
-    // Log all events for debugging
-    if (eventName === 'onchain_game_created' || eventName === 'onchain_game_joined') {
-      console.log(`🔍 [DEBUG SERVER onAny] Received ${eventName} event on socket ${socket.id}:`, JSON.stringify(args));
-      console.log(`🔍 [DEBUG SERVER onAny] Event data:`, args[0]);
-      console.log(`🔍 [DEBUG SERVER onAny] Socket connected:`, socket.connected);
-      console.log(`🔍 [DEBUG SERVER onAny] Socket transport:`, socket.conn.transport.name);
-    }
+    socketLog.trace('Socket event received', { event: eventName, data: args[0] });
   });
   
-  // Also intercept at the engine level for onchain events
-  const originalEmit = socket.emit.bind(socket);
-  socket.emit = function(event, ...args) {
-    if (event === 'onchain_game_created' || event === 'onchain_game_joined') {
-      console.log(`🔍 [EMIT INTERCEPT] Socket ${socket.id} emitting ${event}:`, args[0]);
-    }
-    return originalEmit(event, ...args);
-  };
-  
   // Set up global handlers immediately for onchain events (as backup)
   socket.on('onchain_game_created', (data) => {
-    console.log(`🔍 [GLOBAL HANDLER] onchain_game_created received on socket ${socket.id}:`, data);
+    socketLog.debug('onchain_game_created received', { data });
     // Forward to socketHandlers - this ensures event is processed even if handlers aren't set up yet
     socketHandlers.handleOnchainGameCreated(socket, io, data);
   });
   
   socket.on('onchain_game_joined', (data) => {
-    console.log(`🔍 [GLOBAL HANDLER] onchain_game_joined received on socket ${socket.id}:`, data);
+    socketLog.debug('onchain_game_joined received', { data });
     // Forward to socketHandlers
     socketHandlers.handleOnchainGameJoined(socket, io, data);
   });
   
   // Log socket connection events
   socket.conn.on('upgrade', () => {
-    console.log(`🔄 Socket ${socket.id} upgraded to: ${socket.conn.transport.name}`);
+    socketLog.debug('Socket transport upgraded', { transport: socket.conn.transport.name });
   });
   
   // Also log when socket disconnects
   socket.on('disconnect', (reason) => {
-    console.log(`❌ Socket ${socket.id} disconnected: ${reason}`);
+    socketLog.info('Player disconnected', { reason });
   });
   
   socketHandlers.handleSocketConnection(socket, io);
@@ -111,17 +97,21 @@ io.on('connection', (socket) => {
 const PORT = process.env.PORT || 3001;
 
 server.listen(PORT, () => {
-  console.log(`RPS MagicBlock Backend Server running on port ${PORT}`);
-  console.log(`WebSocket server ready for real-time gameplay`);
+  log.info('RPS MagicBlock Backend Server running', { port: PORT });
   
-  // Initialize socket handlers reference in routes for HTTP fallback
+  // Initialize socket handlers reference in routes for HTTP fallback and admin overrides
   initializeSocketHandlers(socketHandlers, io);
+  initializeAdminSocketHandlers(socketHandlers, io);
+  
+  // Resume countdowns and unsettled payouts for games restored from the state store
+  socketHandlers.recoverState(io);
+  socketHandlers.startJobQueues(io);
+  socketHandlers.startMatchmaking(io);
+  socketHandlers.startTournaments(io);
+  socketHandlers.startInvites(io);
   
   // Initialize auto-finalization service
-  console.log(`🚀 Initializing auto-finalization service...`);
-  autoFinalizationService.initializeService().then(() => {
-    console.log(`✅ Modern blockchain game UX: Winners get SOL automatically!`);
-  }).catch(err => {
-    console.error(`❌ Failed to initialize auto-finalization service:`, err);
+  autoFinalizationService.initializeService().catch(err => {
+    log.error('Failed to initialize auto-finalization service', { err });
   });
 }); 
\ No newline at end of file
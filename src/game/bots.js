@@ -0,0 +1,124 @@
+/**
+ * Bot Strategies
+ * Move pickers for server-side bot players
+ *
+ * Bots only look at resolved rounds in moveHistory, never at the opponent's pending commitment.
+ * - random: uniform over the rule set's moves
+ * - frequency: counter the opponent's most played move
+ * - markov: counter the move the opponent most often played after their last one
+ */
+
+const { getRuleSet, getRandomMove } = require('./ruleSets');
+
+/**
+ * Get the opponent's moves from the resolved rounds
+ * @param {object} gameState - Current game state
+ * @param {string} position - Bot's seat ('player1' or 'player2')
+ * @returns {string[]} - Opponent moves, oldest first
+ */
+function getOpponentMoves(gameState, position) {
+  const field = position === 'player1' ? 'player2Move' : 'player1Move';
+  return gameState.moveHistory.map(round => round[field]).filter(Boolean);
+}
+
+/**
+ * Pick the most frequent entry, breaking ties at random
+ * @param {Map<string, number>} counts - move -> count
+ * @returns {string|null} - Move or null when there are no counts
+ */
+function pickMostFrequent(counts) {
+  let best = [];
+  let bestCount = 0;
+  for (const [move, count] of counts) {
+    if (count > bestCount) {
+      best = [move];
+      bestCount = count;
+    } else if (count === bestCount) {
+      best.push(move);
+    }
+  }
+  return best.length ? best[Math.floor(Math.random() * best.length)] : null;
+}
+
+/**
+ * Pick a move that beats the predicted one
+ * @param {string} ruleSet - Rule set name
+ * @param {string|null} predicted - Predicted opponent move
+ * @returns {string} - Counter move (random when there is no prediction)
+ */
+function counterMove(ruleSet, predicted) {
+  if (!predicted) {
+    return getRandomMove(ruleSet);
+  }
+  const { moves, beats } = getRuleSet(ruleSet);
+  const counters = moves.filter(move => beats[move].includes(predicted));
+  return counters[Math.floor(Math.random() * counters.length)];
+}
+
+/**
+ * Predict the opponent's most played move
+ * @param {string[]} history - Opponent moves
+ * @returns {string|null}
+ */
+function predictByFrequency(history) {
+  const counts = new Map();
+  history.forEach(move => counts.set(move, (counts.get(move) || 0) + 1));
+  return pickMostFrequent(counts);
+}
+
+/**
+ * Predict the opponent's next move from first-order transitions (last move -> next move)
+ * Falls back to plain frequency until the last move has been seen followed by something
+ * @param {string[]} history - Opponent moves
+ * @returns {string|null}
+ */
+function predictByMarkovChain(history) {
+  const last = history[history.length - 1];
+  const counts = new Map();
+  for (let i = 1; i < history.length; i++) {
+    if (history[i - 1] === last) {
+      counts.set(history[i], (counts.get(history[i]) || 0) + 1);
+    }
+  }
+  return pickMostFrequent(counts) || predictByFrequency(history);
+}
+
+const strategies = {
+  random: gameState => getRandomMove(gameState.ruleSet),
+  frequency: (gameState, position) => counterMove(gameState.ruleSet, predictByFrequency(getOpponentMoves(gameState, position))),
+  markov: (gameState, position) => counterMove(gameState.ruleSet, predictByMarkovChain(getOpponentMoves(gameState, position)))
+};
+
+const BOT_STRATEGIES = Object.keys(strategies);
+
+/**
+ * Check whether a bot strategy exists
+ * @param {string} strategy - Strategy name
+ * @returns {boolean}
+ */
+function isBotStrategy(strategy) {
+  return BOT_STRATEGIES.includes(strategy);
+}
+
+/**
+ * Choose a bot's move for the current round
+ * @param {string} strategy - Strategy name
+ * @param {object} gameState - Current game state
+ * @param {string} position - Bot's seat ('player1' or 'player2')
+ * @returns {string} - Move from the game's rule set
+ */
+function chooseBotMove(strategy, gameState, position) {
+  if (!isBotStrategy(strategy)) {
+    throw new Error(`Unknown bot strategy: ${strategy}`);
+  }
+  return strategies[strategy](gameState, position);
+}
+
+module.exports = {
+  BOT_STRATEGIES,
+  isBotStrategy,
+  chooseBotMove,
+  getOpponentMoves,
+  predictByFrequency,
+  predictByMarkovChain
+};
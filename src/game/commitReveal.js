@@ -0,0 +1,125 @@
+/**
+ * Commit-Reveal Move Protocol
+ * Shared commitment format for off-chain (socket) and on-chain (commit_move/reveal_move) play
+ *
+ * commitment = sha256([move_index: u8] ++ [nonce: u64 little-endian])
+ * move_index is the move's position in the game's rule set; for classic that is the IDL `Move` enum order:
+ * Rock = 0, Paper = 1, Scissors = 2
+ */
+
+const crypto = require('crypto');
+const { getRuleSet } = require('./ruleSets');
+
+const COMMITMENT_LENGTH = 32;
+const MAX_NONCE = (1n << 64n) - 1n;
+
+/**
+ * Get the commitment index for a move
+ * @param {string} move - Move name
+ * @param {string} ruleSet - Rule set name (defaults to classic)
+ * @returns {number} - Move index
+ */
+function getMoveIndex(move, ruleSet) {
+  const index = getRuleSet(ruleSet).moves.indexOf(move);
+  if (index === -1) {
+    throw new Error(`Invalid move: ${move}`);
+  }
+  return index;
+}
+
+/**
+ * Parse a u64 nonce from a number, decimal string or bigint
+ * @param {number|string|bigint} nonce - Nonce value
+ * @returns {bigint} - Parsed nonce
+ */
+function parseNonce(nonce) {
+  let value;
+  try {
+    value = BigInt(nonce);
+  } catch (error) {
+    throw new Error('Invalid nonce');
+  }
+
+  if (value < 0n || value > MAX_NONCE) {
+    throw new Error('Invalid nonce');
+  }
+  return value;
+}
+
+/**
+ * Normalize a commitment to a lowercase hex string
+ * Accepts a 64-char hex string or a 32-byte array (as sent to commit_move on-chain)
+ * @param {string|number[]|Uint8Array} commitment - Move commitment
+ * @returns {string} - Hex-encoded commitment
+ */
+function normalizeCommitment(commitment) {
+  let bytes;
+  if (typeof commitment === 'string' && /^(0x)?[0-9a-fA-F]{64}$/.test(commitment)) {
+    bytes = Buffer.from(commitment.replace(/^0x/, ''), 'hex');
+  } else if (Array.isArray(commitment) || commitment instanceof Uint8Array) {
+    if (!Array.from(commitment).every(b => Number.isInteger(b) && b >= 0 && b <= 255)) {
+      throw new Error('Invalid commitment');
+    }
+    bytes = Buffer.from(commitment);
+  } else {
+    throw new Error('Invalid commitment');
+  }
+
+  if (bytes.length !== COMMITMENT_LENGTH) {
+    throw new Error('Invalid commitment');
+  }
+  return bytes.toString('hex');
+}
+
+/**
+ * Compute the commitment for a move and nonce
+ * @param {string} move - Move name
+ * @param {number|string|bigint} nonce - u64 nonce chosen by the player
+ * @param {string} ruleSet - Rule set name (defaults to classic)
+ * @returns {string} - Hex-encoded sha256 commitment
+ */
+function computeCommitment(move, nonce, ruleSet) {
+  const data = Buffer.alloc(9);
+  data.writeUInt8(getMoveIndex(move, ruleSet), 0);
+  data.writeBigUInt64LE(parseNonce(nonce), 1);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Verify that a revealed move and nonce match a stored commitment
+ * @param {string} commitment - Hex-encoded commitment stored at commit time
+ * @param {string} move - Revealed move
+ * @param {number|string|bigint} nonce - Revealed nonce
+ * @param {string} ruleSet - Rule set name (defaults to classic)
+ * @returns {boolean} - True if the reveal matches
+ */
+function verifyCommitment(commitment, move, nonce, ruleSet) {
+  try {
+    const expected = Buffer.from(computeCommitment(move, nonce, ruleSet), 'hex');
+    const actual = Buffer.from(normalizeCommitment(commitment), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Generate a random nonce and its commitment (used by server-side clients)
+ * @param {string} move - Move name
+ * @param {string} ruleSet - Rule set name (defaults to classic)
+ * @returns {object} - { commitment, nonce } with nonce as a decimal string
+ */
+function createCommitment(move, ruleSet) {
+  const nonce = crypto.randomBytes(8).readBigUInt64LE(0).toString();
+  return { commitment: computeCommitment(move, nonce, ruleSet), nonce };
+}
+
+module.exports = {
+  COMMITMENT_LENGTH,
+  getMoveIndex,
+  parseNonce,
+  normalizeCommitment,
+  computeCommitment,
+  verifyCommitment,
+  createCommitment
+};
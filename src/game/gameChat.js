@@ -0,0 +1,226 @@
+/**
+ * Game Chat
+ * Per-game chat and emotes between the two players of a match
+ *
+ * Each game keeps its last CHAT_BUFFER_SIZE messages so a player who reconnects can catch up,
+ * plus who muted whom. Both are persisted with the game. Rate limits are per socket and live in memory only.
+ * Text is cleaned up and profanity is masked rather than rejected; emotes must be on the whitelist.
+ */
+
+const { MemoryStateStore, PersistentMap } = require('../services/stateStore');
+const {
+  CHAT_MAX_LENGTH,
+  CHAT_BUFFER_SIZE,
+  CHAT_RATE_LIMIT_MESSAGES,
+  CHAT_RATE_LIMIT_WINDOW_MS,
+  CHAT_EMOTES
+} = require('../utils/constants');
+
+// Word beginnings that get masked; matching only at the start of a word keeps words like "корабля" intact
+const BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'whore', 'slut', 'хуй', 'хуе', 'пизд', 'ебл', 'ебат', 'сука', 'бляд', 'блят', 'мудак'];
+
+/**
+ * Read the emote whitelist from the environment (CHAT_EMOTES=gg,laugh,...)
+ * @returns {string[]|null} - Emote names, or null when not configured
+ */
+function readEmoteWhitelist() {
+  const emotes = (process.env.CHAT_EMOTES || '').split(',').map(emote => emote.trim()).filter(Boolean);
+  return emotes.length > 0 ? emotes : null;
+}
+
+/**
+ * Build the pattern matching any word that starts with a blocked word
+ * @param {string[]} words - Blocked word beginnings
+ * @returns {RegExp|null}
+ */
+function createProfanityPattern(words) {
+  if (words.length === 0) {
+    return null;
+  }
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+class GameChat {
+  /**
+   * @param {object} stateStore - State store chat buffers and mutes are persisted in
+   * @param {object} options - { emotes, blockedWords, maxLength, bufferSize, rateLimit: { messages, windowMs } }
+   */
+  constructor(stateStore = new MemoryStateStore(), options = {}) {
+    this.games = new PersistentMap(stateStore, 'chat'); // gameId -> { nextId, messages, mutes: { playerId: [muted playerIds] } }
+    this.emotes = new Set(options.emotes ?? readEmoteWhitelist() ?? CHAT_EMOTES);
+    this.profanity = createProfanityPattern(options.blockedWords ?? BLOCKED_WORDS);
+    this.maxLength = options.maxLength ?? CHAT_MAX_LENGTH;
+    this.bufferSize = options.bufferSize ?? CHAT_BUFFER_SIZE;
+    this.rateLimit = {
+      messages: options.rateLimit?.messages ?? CHAT_RATE_LIMIT_MESSAGES,
+      windowMs: options.rateLimit?.windowMs ?? CHAT_RATE_LIMIT_WINDOW_MS
+    };
+    this.sent = new Map(); // socketId -> send times (ms) within the current window, oldest first
+  }
+
+  /**
+   * List the emotes players may send
+   * @returns {string[]}
+   */
+  listEmotes() {
+    return [...this.emotes];
+  }
+
+  /**
+   * Clean up a chat message: strip control characters, collapse whitespace and mask profanity
+   * @param {string} text - Raw message text
+   * @returns {object} - { success, text, error }
+   */
+  filterText(text) {
+    if (typeof text !== 'string') {
+      return { success: false, error: 'Message must be text' };
+    }
+
+    const cleaned = text.replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!cleaned) {
+      return { success: false, error: 'Message is empty' };
+    }
+    if ([...cleaned].length > this.maxLength) {
+      return { success: false, error: `Message is too long (max ${this.maxLength} characters)` };
+    }
+
+    const masked = this.profanity ? cleaned.replace(this.profanity, word => '*'.repeat(word.length)) : cleaned;
+    return { success: true, text: masked };
+  }
+
+  /**
+   * Count a send against a socket's rate limit
+   * @param {string} socketId - Sending socket
+   * @param {number} now - Current time in ms
+   * @returns {boolean} - Whether the send is allowed
+   */
+  takeRateLimit(socketId, now = Date.now()) {
+    const windowStart = now - this.rateLimit.windowMs;
+    const times = (this.sent.get(socketId) || []).filter(time => time > windowStart);
+    if (times.length >= this.rateLimit.messages) {
+      this.sent.set(socketId, times);
+      return false;
+    }
+    times.push(now);
+    this.sent.set(socketId, times);
+    return true;
+  }
+
+  /**
+   * Forget a socket's rate limit once it disconnects
+   * @param {string} socketId - Socket ID
+   */
+  forgetSocket(socketId) {
+    this.sent.delete(socketId);
+  }
+
+  /**
+   * Add a text message or an emote to a game's chat
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Sender
+   * @param {string} socketId - Sender's socket (for the rate limit)
+   * @param {object} content - { text } or { emote }
+   * @param {number} now - Current time in ms
+   * @returns {object} - { success, message, error }
+   */
+  post(gameId, playerId, socketId, { text, emote } = {}, now = Date.now()) {
+    let body;
+    if (emote !== undefined) {
+      if (!this.emotes.has(emote)) {
+        return { success: false, error: 'Unknown emote' };
+      }
+      body = { type: 'emote', emote };
+    } else {
+      const filtered = this.filterText(text);
+      if (!filtered.success) {
+        return filtered;
+      }
+      body = { type: 'text', text: filtered.text };
+    }
+
+    if (!this.takeRateLimit(socketId, now)) {
+      return { success: false, error: 'You are sending messages too fast' };
+    }
+
+    const chat = this.getChat(gameId);
+    const message = { id: chat.nextId, gameId, playerId, ...body, sentAt: now };
+    chat.nextId += 1;
+    chat.messages = [...chat.messages, message].slice(-this.bufferSize);
+    this.games.set(gameId, chat);
+    return { success: true, message };
+  }
+
+  /**
+   * Get a game's chat record, creating an empty one
+   * @param {string} gameId - Game ID
+   * @returns {object} - { nextId, messages, mutes }
+   */
+  getChat(gameId) {
+    return this.games.get(gameId) || { nextId: 1, messages: [], mutes: {} };
+  }
+
+  /**
+   * Find a buffered message
+   * @param {string} gameId - Game ID
+   * @param {number} messageId - Message ID
+   * @returns {object|null}
+   */
+  getMessage(gameId, messageId) {
+    return this.getChat(gameId).messages.find(message => message.id === Number(messageId)) || null;
+  }
+
+  /**
+   * Buffered messages a player should see, oldest first (messages from players they muted are left out)
+   * @param {string} gameId - Game ID
+   * @param {string} viewerId - Player reading the chat
+   * @returns {Array}
+   */
+  getHistory(gameId, viewerId) {
+    return this.getChat(gameId).messages.filter(message => !this.isMuted(gameId, viewerId, message.playerId));
+  }
+
+  /**
+   * Check whether a player muted another in a game
+   * @param {string} gameId - Game ID
+   * @param {string} viewerId - Player who may have muted
+   * @param {string} senderId - Player who may be muted
+   * @returns {boolean}
+   */
+  isMuted(gameId, viewerId, senderId) {
+    const muted = this.games.get(gameId)?.mutes[viewerId];
+    return Boolean(muted && muted.includes(senderId));
+  }
+
+  /**
+   * Mute or unmute a player for another player in a game
+   * @param {string} gameId - Game ID
+   * @param {string} viewerId - Player muting
+   * @param {string} senderId - Player being muted
+   * @param {boolean} muted - Mute (true) or unmute (false)
+   * @returns {boolean} - Whether anything changed
+   */
+  setMuted(gameId, viewerId, senderId, muted) {
+    if (this.isMuted(gameId, viewerId, senderId) === muted) {
+      return false;
+    }
+    const chat = this.getChat(gameId);
+    const current = chat.mutes[viewerId] || [];
+    chat.mutes = {
+      ...chat.mutes,
+      [viewerId]: muted ? [...current, senderId] : current.filter(id => id !== senderId)
+    };
+    this.games.set(gameId, chat);
+    return true;
+  }
+
+  /**
+   * Drop a game's chat when the game itself is removed
+   * @param {string} gameId - Game ID
+   */
+  clearGame(gameId) {
+    this.games.delete(gameId);
+  }
+}
+
+module.exports = GameChat;
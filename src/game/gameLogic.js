@@ -4,35 +4,57 @@
  */
 
 const { 
-  VALID_MOVES, 
-  WINNING_SCORE, 
-  PLATFORM_FEE_PERCENTAGE, 
-  WINNER_PAYOUT_PERCENTAGE 
+  WINNING_SCORE,
+  ROUNDS_TO_WIN_OPTIONS,
+  MAX_DRAW_LIMIT,
+  DEFAULT_RULE_SET
 } = require('../utils/constants');
+const { normalizeCommitment, verifyCommitment } = require('./commitReveal');
+const { getRuleSet, isValidMove, resolveRound } = require('./ruleSets');
+const { summarizePayout } = require('./payouts');
+const { createServerSeed, normalizeClientSeed, deriveAutoMove } = require('./provablyFair');
+const crypto = require('crypto');
 
 /**
  * Determine the winner of a single round
  * @param {string} move1 - Player 1's move
  * @param {string} move2 - Player 2's move
+ * @param {string} ruleSet - Variant the game is played with (defaults to classic)
  * @returns {string} - 'player1', 'player2', or 'draw'
  */
-function determineWinner(move1, move2) {
-  if (!VALID_MOVES.includes(move1) || !VALID_MOVES.includes(move2)) {
-    throw new Error('Invalid move provided');
+function determineWinner(move1, move2, ruleSet = DEFAULT_RULE_SET) {
+  return resolveRound(ruleSet, move1, move2);
+}
+
+/**
+ * Resolve the match format requested for a game
+ * @param {object} format - { roundsToWin, drawLimit, ruleSet }, missing fields take the defaults
+ * @returns {object} - { roundsToWin, drawLimit, ruleSet } (drawLimit null means draws are unlimited)
+ */
+function resolveMatchFormat({ roundsToWin, drawLimit, ruleSet } = {}) {
+  const resolvedRoundsToWin = roundsToWin == null ? WINNING_SCORE : Number(roundsToWin);
+  if (!ROUNDS_TO_WIN_OPTIONS.includes(resolvedRoundsToWin)) {
+    throw new Error(`Invalid rounds to win: must be one of ${ROUNDS_TO_WIN_OPTIONS.join(', ')}`);
   }
 
-  if (move1 === move2) {
-    return 'draw';
+  const resolvedDrawLimit = drawLimit == null ? null : Number(drawLimit);
+  if (resolvedDrawLimit !== null && (!Number.isInteger(resolvedDrawLimit) || resolvedDrawLimit < 1 || resolvedDrawLimit > MAX_DRAW_LIMIT)) {
+    throw new Error(`Invalid draw limit: must be between 1 and ${MAX_DRAW_LIMIT}`);
   }
 
-  // Rock beats Scissors, Scissors beats Paper, Paper beats Rock
-  const winConditions = {
-    'rock': 'scissors',
-    'scissors': 'paper', 
-    'paper': 'rock'
-  };
+  const resolvedRuleSet = getRuleSet(ruleSet == null ? DEFAULT_RULE_SET : ruleSet).name;
 
-  return winConditions[move1] === move2 ? 'player1' : 'player2';
+  return { roundsToWin: resolvedRoundsToWin, drawLimit: resolvedDrawLimit, ruleSet: resolvedRuleSet };
+}
+
+/**
+ * Check whether two match formats are the same (for matchmaking)
+ * @param {object} a - { roundsToWin, drawLimit, ruleSet }
+ * @param {object} b - { roundsToWin, drawLimit, ruleSet }
+ * @returns {boolean}
+ */
+function isSameMatchFormat(a, b) {
+  return a.roundsToWin === b.roundsToWin && a.drawLimit === b.drawLimit && a.ruleSet === b.ruleSet;
 }
 
 /**
@@ -41,47 +63,64 @@ function determineWinner(move1, move2) {
  * @param {string} gameType - 'private' or 'public'
  * @param {number} stakeAmount - Amount staked (points or SOL)
  * @param {string} currency - 'points' or 'sol'
+ * @param {object} format - { roundsToWin, drawLimit, ruleSet } (see resolveMatchFormat)
  * @returns {object} - Initial game state
  */
-function createGameState(gameId, gameType = 'private', stakeAmount = 0, currency = 'points') {
-  // Calculate platform fee and winner payout
-  let platformFee = 0;
-  let winnerPayout = stakeAmount * 2; // Default for points
-  
-  // For SOL games, apply dynamic platform fee based on stake amount
-  if (currency === 'sol') {
-    const feeRate = stakeAmount <= 0.01 ? 0.05 : stakeAmount <= 0.05 ? 0.03 : 0.02;
-    platformFee = stakeAmount * 2 * feeRate; // Remove Math.floor for SOL calculations
-    winnerPayout = (stakeAmount * 2) - platformFee;
-  }
+function createGameState(gameId, gameType = 'private', stakeAmount = 0, currency = 'points', format = {}) {
+  // Platform fee and winner payout (SOL games pay the tiered fee, points games none)
+  const { totalPot, platformFee, winnerPayout } = summarizePayout(stakeAmount, currency);
+  const { roundsToWin, drawLimit, ruleSet } = resolveMatchFormat(format);
+  // Committed now, revealed with game_finished - timeout moves are derived from it
+  const { serverSeed, serverSeedHash } = createServerSeed();
   
   return {
     gameId,
     gameType,
     currency,
+    ruleSet,
     stakeAmount,
-    totalPot: stakeAmount * 2, // Will be updated when player 2 joins
+    totalPot,
     platformFee,
     winnerPayout,
+    roundsToWin,
+    drawLimit,
+    consecutiveDraws: 0,
+    suddenDeath: false, // Set once drawLimit draws in a row happen: the next decisive round wins the game
+    practice: false, // Practice games (against bots) have no stake and are never recorded
+    tournament: null, // { tournamentId, matchId, players } for bracket games - only those two wallets can sit down
+    spectatorCount: 0, // Sockets watching the game (kept up to date by GameManager)
+    rematch: null, // { requestedBy, status, expiresAt, gameId } once a player asks to play again
+    serverSeed,
+    serverSeedHash,
+    autoMoves: [], // { round, position, move } assigned on timeout
     player1: {
       id: null,
       socketId: null,
       wallet: null,
       wins: 0,
+      clientSeed: null,
+      moveCommitment: null,
       currentMove: null,
       ready: false,
-      stakeDeposited: false
+      stakeDeposited: false,
+      resumeToken: null, // Secret the player can reconnect to this seat with (only sent to them)
+      reconnectDeadline: null // Set while the player is disconnected from a started game
     },
     player2: {
       id: null,
       socketId: null,
       wallet: null,
       wins: 0,
+      clientSeed: null,
+      moveCommitment: null,
       currentMove: null,
       ready: false,
-      stakeDeposited: false
+      stakeDeposited: false,
+      resumeToken: null, // Secret the player can reconnect to this seat with (only sent to them)
+      reconnectDeadline: null // Set while the player is disconnected from a started game
     },
     currentRound: 1,
+    roundPhase: 'commit',
     gameStatus: 'waiting_for_player',
     winner: null,
     moveHistory: [],
@@ -89,15 +128,92 @@ function createGameState(gameId, gameType = 'private', stakeAmount = 0, currency
   };
 }
 
+/**
+ * Record a player's move commitment for the current round
+ * Mirrors the on-chain commit_move instruction: the move itself stays hidden
+ * @param {object} gameState - Current game state
+ * @param {string} playerId - Player committing
+ * @param {string|number[]} commitment - sha256 commitment (hex string or 32-byte array)
+ * @returns {object} - Updated game state and whether both players have committed
+ */
+function processCommit(gameState, playerId, commitment) {
+  if (gameState.gameStatus !== 'playing') {
+    throw new Error('Game is not in playing state');
+  }
+
+  const player = getPlayerState(gameState, playerId);
+  if (!player) {
+    throw new Error('Player not in this game');
+  }
+
+  if (gameState.roundPhase !== 'commit') {
+    throw new Error('Round is not accepting commitments');
+  }
+
+  if (player.moveCommitment || player.currentMove) {
+    throw new Error('Move already committed');
+  }
+
+  player.moveCommitment = normalizeCommitment(commitment);
+
+  const bothCommitted = hasCommittedOrMoved(gameState.player1) && hasCommittedOrMoved(gameState.player2);
+  if (bothCommitted) {
+    gameState.roundPhase = 'reveal';
+  }
+
+  return {
+    gameState,
+    bothCommitted
+  };
+}
+
+/**
+ * Reveal a previously committed move
+ * Mirrors the on-chain reveal_move instruction: only verified moves reach processMove
+ * @param {object} gameState - Current game state
+ * @param {string} playerId - Player revealing
+ * @param {string} move - The revealed move (one of the game's rule set moves)
+ * @param {number|string} nonce - The u64 nonce used in the commitment
+ * @returns {object} - Updated game state and round result
+ */
+function processReveal(gameState, playerId, move, nonce) {
+  if (gameState.gameStatus !== 'playing') {
+    throw new Error('Game is not in playing state');
+  }
+
+  const player = getPlayerState(gameState, playerId);
+  if (!player) {
+    throw new Error('Player not in this game');
+  }
+
+  if (!player.moveCommitment) {
+    throw new Error('Move not committed');
+  }
+
+  if (gameState.roundPhase !== 'reveal') {
+    throw new Error('Both moves not committed');
+  }
+
+  if (player.currentMove) {
+    throw new Error('Move already revealed');
+  }
+
+  if (!verifyCommitment(player.moveCommitment, move, nonce, gameState.ruleSet)) {
+    throw new Error('Invalid commitment');
+  }
+
+  return processMove(gameState, playerId, move);
+}
+
 /**
  * Process a player's move and update game state
  * @param {object} gameState - Current game state
  * @param {string} playerId - Player making the move
- * @param {string} move - The move (rock/paper/scissors)
+ * @param {string} move - The move (one of the game's rule set moves)
  * @returns {object} - Updated game state and round result
  */
 function processMove(gameState, playerId, move) {
-  if (!VALID_MOVES.includes(move)) {
+  if (!isValidMove(gameState.ruleSet, move)) {
     throw new Error(`Invalid move: ${move}`);
   }
 
@@ -142,7 +258,7 @@ function processRound(gameState) {
   const move2 = gameState.player2.currentMove;
   
   // Determine round winner
-  const roundWinner = determineWinner(move1, move2);
+  const roundWinner = determineWinner(move1, move2, gameState.ruleSet);
   
   // Create round history entry with CURRENT round number (before incrementing)
   const roundHistory = {
@@ -161,19 +277,19 @@ function processRound(gameState) {
   } else if (roundWinner === 'player2') {
     gameState.player2.wins++;
   }
+  gameState.consecutiveDraws = roundWinner === 'draw' ? gameState.consecutiveDraws + 1 : 0;
   
-  // Check for game winner (first to 3 wins)
+  // Check for game winner (first to roundsToWin, or the first decisive round in sudden death)
+  const decided = roundWinner !== 'draw' && (gameState.suddenDeath || gameState[roundWinner].wins >= gameState.roundsToWin);
   let gameWinner = null;
-  if (gameState.player1.wins >= WINNING_SCORE) {
-    gameWinner = 'player1';
+  if (decided) {
+    gameWinner = roundWinner;
     gameState.gameStatus = 'finished';
-    gameState.winner = gameState.player1.id;
-    console.log(`🏆 Player 1 wins! ID: ${gameState.player1.id}, Wallet: ${gameState.player1.wallet}`);
-  } else if (gameState.player2.wins >= WINNING_SCORE) {
-    gameWinner = 'player2';
-    gameState.gameStatus = 'finished';
-    gameState.winner = gameState.player2.id;
-    console.log(`🏆 Player 2 wins! ID: ${gameState.player2.id}, Wallet: ${gameState.player2.wallet}`);
+    gameState.winner = gameState[roundWinner].id;
+    console.log(`🏆 ${roundWinner === 'player1' ? 'Player 1' : 'Player 2'} wins${gameState.suddenDeath ? ' in sudden death' : ''}! ID: ${gameState.winner}, Wallet: ${gameState[roundWinner].wallet}`);
+  } else if (gameState.drawLimit && gameState.consecutiveDraws >= gameState.drawLimit && !gameState.suddenDeath) {
+    gameState.suddenDeath = true;
+    console.log(`⚡ ${gameState.consecutiveDraws} draws in a row in game ${gameState.gameId} - sudden death`);
   }
   
   // DON'T increment round number here - it will be incremented when next round starts
@@ -194,11 +310,83 @@ function processRound(gameState) {
         player1: gameState.player1.wins,
         player2: gameState.player2.wins
       },
+      consecutiveDraws: gameState.consecutiveDraws,
+      suddenDeath: gameState.suddenDeath,
       gameFinished: gameState.gameStatus === 'finished'
     }
   };
 }
 
+/**
+ * Get the player slot for a player ID
+ * @param {object} gameState - Current game state
+ * @param {string} playerId - Player identifier
+ * @returns {object|null} - player1/player2 state or null
+ */
+function getPlayerState(gameState, playerId) {
+  if (gameState.player1.id === playerId) return gameState.player1;
+  if (gameState.player2.id === playerId) return gameState.player2;
+  return null;
+}
+
+/**
+ * Check whether a player has locked in a move for the round
+ * (either committed or had one auto-assigned on timeout)
+ * @param {object} player - player1/player2 state
+ * @returns {boolean}
+ */
+function hasCommittedOrMoved(player) {
+  return Boolean(player.moveCommitment || player.currentMove);
+}
+
+/**
+ * Assign a move to a player who ran out of time
+ * The move is derived from the game's server seed and both client seeds (see provablyFair.js), never rolled
+ * @param {object} gameState - Current game state
+ * @param {string} position - 'player1' or 'player2'
+ * @returns {string} - Assigned move
+ */
+function assignTimeoutMove(gameState, position) {
+  const move = deriveAutoMove({
+    serverSeed: gameState.serverSeed,
+    clientSeeds: {
+      player1: gameState.player1.clientSeed,
+      player2: gameState.player2.clientSeed
+    },
+    round: gameState.currentRound,
+    position,
+    ruleSet: gameState.ruleSet
+  });
+
+  gameState[position].currentMove = move;
+  gameState.autoMoves.push({ round: gameState.currentRound, position, move });
+  return move;
+}
+
+/**
+ * Set a player's client seed for timeout moves
+ * Seeds default to the player ID and lock once the first timeout move has been derived
+ * @param {object} gameState - Current game state
+ * @param {string} playerId - Player ID
+ * @param {string} clientSeed - New client seed
+ * @returns {object} - Updated game state
+ */
+function setClientSeed(gameState, playerId, clientSeed) {
+  const player = getPlayerState(gameState, playerId);
+  if (!player) {
+    throw new Error('Player not in game');
+  }
+  if (gameState.gameStatus === 'finished') {
+    throw new Error('Game already finished');
+  }
+  if (gameState.autoMoves.length > 0) {
+    throw new Error('Client seed is locked after the first timeout move');
+  }
+
+  player.clientSeed = normalizeClientSeed(clientSeed);
+  return gameState;
+}
+
 /**
  * Add a player to the game
  * @param {object} gameState - Current game state
@@ -216,8 +404,10 @@ function addPlayer(gameState, playerId, socketId, walletAddress = null) {
       gameState.player1.wallet = walletAddress;
     }
     // Clear previous game state when rejoining
+    gameState.player1.moveCommitment = null;
     gameState.player1.currentMove = null;
     gameState.player1.ready = false;
+    gameState.player1.reconnectDeadline = null;
     return { gameState, playerPosition: 'player1' };
   }
   
@@ -228,8 +418,10 @@ function addPlayer(gameState, playerId, socketId, walletAddress = null) {
       gameState.player2.wallet = walletAddress;
     }
     // Clear previous game state when rejoining
+    gameState.player2.moveCommitment = null;
     gameState.player2.currentMove = null;
     gameState.player2.ready = false;
+    gameState.player2.reconnectDeadline = null;
     // Check if both players are now present and start automatically if not playing yet
     if (gameState.player1.id && gameState.player2.id && gameState.gameStatus === 'waiting_for_player') {
       gameState.gameStatus = 'playing';
@@ -243,11 +435,15 @@ function addPlayer(gameState, playerId, socketId, walletAddress = null) {
     gameState.player1.id = playerId;
     gameState.player1.socketId = socketId;
     gameState.player1.wallet = walletAddress;
+    gameState.player1.clientSeed = playerId;
+    gameState.player1.resumeToken = createResumeToken();
     return { gameState, playerPosition: 'player1' };
   } else if (gameState.player2.id === null) {
     gameState.player2.id = playerId;
     gameState.player2.socketId = socketId;
     gameState.player2.wallet = walletAddress;
+    gameState.player2.clientSeed = playerId;
+    gameState.player2.resumeToken = createResumeToken();
     // Start game automatically when both players join
     gameState.gameStatus = 'playing';
     gameState.currentRound = 1;
@@ -257,6 +453,14 @@ function addPlayer(gameState, playerId, socketId, walletAddress = null) {
   }
 }
 
+/**
+ * Generate the secret a player resumes their seat with after a reconnect
+ * @returns {string}
+ */
+function createResumeToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
 /**
  * Validate if a game state is valid
  * @param {object} gameState - Game state to validate
@@ -270,17 +474,46 @@ function validateGameState(gameState) {
     gameState.player1 &&
     gameState.player2 &&
     typeof gameState.currentRound === 'number' &&
-    Array.isArray(gameState.moveHistory)
+    Array.isArray(gameState.moveHistory) &&
+    isRegisteredRuleSet(gameState.ruleSet) &&
+    ROUNDS_TO_WIN_OPTIONS.includes(gameState.roundsToWin) &&
+    (gameState.drawLimit === null || (Number.isInteger(gameState.drawLimit) && gameState.drawLimit >= 1 && gameState.drawLimit <= MAX_DRAW_LIMIT)) &&
+    Number.isInteger(gameState.consecutiveDraws) &&
+    gameState.consecutiveDraws >= 0 &&
+    typeof gameState.suddenDeath === 'boolean' &&
+    typeof gameState.serverSeedHash === 'string' &&
+    Array.isArray(gameState.autoMoves)
   );
 }
 
+/**
+ * Check whether a rule set name is registered
+ * @param {string} name - Rule set name
+ * @returns {boolean}
+ */
+function isRegisteredRuleSet(name) {
+  try {
+    return typeof name === 'string' && getRuleSet(name).name === name;
+  } catch (error) {
+    return false;
+  }
+}
+
 module.exports = {
-  VALID_MOVES,
   WINNING_SCORE,
   determineWinner,
+  resolveMatchFormat,
+  isSameMatchFormat,
   createGameState,
+  processCommit,
+  processReveal,
   processMove,
   processRound,
   addPlayer,
+  createResumeToken,
+  getPlayerState,
+  hasCommittedOrMoved,
+  assignTimeoutMove,
+  setClientSeed,
   validateGameState
 }; 
\ No newline at end of file
@@ -5,17 +5,161 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
-const { createGameState, addPlayer, processMove, validateGameState } = require('./gameLogic');
+const { createGameState, addPlayer, createResumeToken, getPlayerState, processCommit, processReveal, validateGameState, resolveMatchFormat, isSameMatchFormat, setClientSeed } = require('./gameLogic');
+const { createServerSeed } = require('./provablyFair');
 const databaseService = require('../services/databaseService');
 const ReferralService = require('../services/referralService');
-const autoFinalizationService = require('../services/autoFinalizationService');
+const SettlementQueue = require('../services/settlementQueue');
+const RefundQueue = require('../services/refundQueue');
+const { MemoryStateStore, PersistentMap } = require('../services/stateStore');
+const { normalizeGameId } = require('../services/programClient');
+const { summarizePayout } = require('./payouts');
+const { isBotStrategy } = require('./bots');
+const Matchmaker = require('./matchmaker');
+const GameChat = require('./gameChat');
+const { createInviteCode, normalizeInviteCode, resolveInviteOptions, isGameCreator } = require('./invites');
+const { logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+const crypto = require('crypto');
+const { DEFAULT_BOT_STRATEGY, LIVE_GAMES_LIMIT, REMATCH_TIMEOUT_SECONDS, RECONNECT_GRACE_SECONDS, CHAT_MAX_LENGTH } = require('../utils/constants');
+
+const log = logger.child({ module: 'gameManager' });
+
+/**
+ * Metric labels of a game; practice and tournament games are told apart from plain public/private ones
+ * @param {object} gameState - Game state
+ * @returns {object} - { currency, game_type }
+ */
+function getGameMetricLabels(gameState) {
+  let gameType = gameState.gameType;
+  if (gameState.practice) {
+    gameType = 'practice';
+  } else if (gameState.tournament) {
+    gameType = 'tournament';
+  }
+  return { currency: gameState.currency, game_type: gameType };
+}
 
 class GameManager {
-  constructor() {
-    this.games = new Map(); // gameId -> gameState
-    this.playerGames = new Map(); // playerId -> gameId
-    this.publicQueue = []; // Queue of players waiting for random match
+  /**
+   * @param {MemoryStateStore} stateStore - Where games, player mappings, the queue and settlement/refund jobs are persisted
+   * @param {SettlementQueue} settlementQueue - SOL payout queue (defaults to one on the same store)
+   * @param {RefundQueue} refundQueue - SOL refund queue for games cancelled before start (defaults to one on the same store)
+   * @param {Matchmaker} matchmaker - Public matchmaking queue (defaults to one on the same store)
+   * @param {GameChat} chat - Per-game chat (defaults to one on the same store)
+   */
+  constructor(stateStore = new MemoryStateStore(), settlementQueue = new SettlementQueue(stateStore), refundQueue = new RefundQueue(stateStore), matchmaker = new Matchmaker(stateStore), chat = new GameChat(stateStore)) {
+    this.stateStore = stateStore;
+    this.games = new PersistentMap(stateStore, 'games'); // gameId -> gameState
+    this.playerGames = new PersistentMap(stateStore, 'playerGames'); // playerId -> gameId
+    this.matchmaker = matchmaker; // Players waiting for a random match
+    this.searchesInFlight = new Set(); // Players with a findRandomMatch call still running
+    this.chat = chat; // Chat buffers and mutes per game
+    this.bannedWallets = new PersistentMap(stateStore, 'bannedWallets'); // wallet -> { wallet, reason, bannedBy, bannedAt }
     this.referralService = new ReferralService();
+    this.settlementQueue = settlementQueue;
+    this.refundQueue = refundQueue;
+    // Spectators aren't persisted: their sockets don't survive a restart
+    this.spectators = new Map(); // gameId -> Set of spectator socket IDs
+    // Last status counted in the game metrics; restored games count from where they are now
+    this.metricStatuses = new Map(Array.from(this.games.values(), gameState => [gameState.gameId, gameState.gameStatus])); // gameId -> gameStatus
+
+    this.settlementQueue.on('settled', job => this.setSettlementStatus(job.gameId, 'settled'));
+    this.settlementQueue.on('dead_letter', job => this.setSettlementStatus(job.gameId, 'failed'));
+
+    if (this.games.size > 0) {
+      this.restoreState();
+    }
+  }
+
+  /**
+   * Prepare games recovered from the state store after a restart
+   * Socket IDs from the previous process are meaningless, so players show as disconnected
+   * until they authenticate again or resume. A restart is not the players' fault, so running
+   * reconnection grace periods are dropped rather than carried over.
+   */
+  restoreState() {
+    for (const [gameId, gameState] of this.games.entries()) {
+      gameState.player1.socketId = null;
+      gameState.player2.socketId = null;
+      gameState.spectatorCount = 0;
+      for (const player of [gameState.player1, gameState.player2]) {
+        player.reconnectDeadline = null;
+        if (player.id && !player.resumeToken) {
+          player.resumeToken = createResumeToken();
+        }
+      }
+      // Games saved before match formats existed were all classic, first to 3 without a draw cap
+      const defaults = { ...resolveMatchFormat(), consecutiveDraws: 0, suddenDeath: false };
+      for (const [field, value] of Object.entries(defaults)) {
+        if (gameState[field] === undefined) {
+          gameState[field] = value;
+        }
+      }
+      // Games saved before provably fair timeouts get a fresh seed; their earlier random moves stay unverifiable
+      if (gameState.serverSeedHash === undefined) {
+        Object.assign(gameState, createServerSeed(), { autoMoves: [] });
+        gameState.player1.clientSeed = gameState.player1.id;
+        gameState.player2.clientSeed = gameState.player2.id;
+      }
+      this.saveGame(gameId);
+    }
+
+    // Queued sockets are gone too; players re-enter matchmaking on reconnect
+    for (const entry of this.matchmaker.clear()) {
+      this.discardPlaceholder(entry);
+    }
+
+    const stats = this.getStats();
+    log.info('Restored games from the state store', {
+      totalGames: stats.totalGames,
+      activeGames: stats.activeGames,
+      waitingGames: stats.waitingGames,
+      finishedGames: stats.finishedGames
+    });
+  }
+
+  /**
+   * Persist a game after in-place mutations
+   * @param {string} gameId - Game ID
+   */
+  saveGame(gameId) {
+    const gameState = this.games.get(gameId);
+    if (gameState) {
+      this.storeGame(gameId, gameState);
+    }
+  }
+
+  /**
+   * Persist a game and count its status change, if any, in the game metrics
+   * Every write of a game goes through here, so each game is counted once per status whichever path moved it
+   * @param {string} gameId - Game ID
+   * @param {object} gameState - Game state
+   */
+  storeGame(gameId, gameState) {
+    this.games.set(gameId, gameState);
+
+    const previous = this.metricStatuses.get(gameId);
+    if (previous === gameState.gameStatus) {
+      return;
+    }
+    this.metricStatuses.set(gameId, gameState.gameStatus);
+
+    const labels = getGameMetricLabels(gameState);
+    if (previous === undefined) {
+      metrics.gamesCreated.inc(labels);
+    }
+    if (gameState.gameStatus === 'playing') {
+      metrics.gamesStarted.inc(labels);
+    } else if (gameState.gameStatus === 'finished') {
+      let outcome = 'abandoned';
+      if (gameState.cancelReason) {
+        outcome = 'cancelled';
+      } else if (gameState.winner) {
+        outcome = 'decided';
+      }
+      metrics.gamesFinished.inc({ ...labels, outcome });
+    }
   }
 
   /**
@@ -27,9 +171,17 @@ class GameManager {
    * @param {string} socketId - Creator's socket ID
    * @param {string} walletAddress - Creator's wallet address
    * @param {string} providedGameId - Optional gameId to use (for on-chain consistency)
+   * @param {object} format - Match format { roundsToWin, drawLimit, ruleSet } (defaults to classic, first to 3, unlimited draws)
    * @returns {object} - Game creation result
    */
-  async createGame(gameType = 'public', stakeAmount = 0, currency = 'points', creatorId = null, socketId = null, walletAddress = null, providedGameId = null) {
+  async createGame(gameType = 'public', stakeAmount = 0, currency = 'points', creatorId = null, socketId = null, walletAddress = null, providedGameId = null, format = {}) {
+    let matchFormat;
+    try {
+      matchFormat = resolveMatchFormat(format);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
     // Validate currency and stake amount
     if (currency === 'points') {
       if (stakeAmount !== 100) {
@@ -50,26 +202,32 @@ class GameManager {
       
       // For SOL games, we don't need to check balance here
       // The on-chain transaction will fail if they don't have enough SOL
-      console.log(`Creating SOL game with stake ${stakeAmount} SOL`);
+      log.debug('Creating SOL game', { stakeAmount, playerId: creatorId });
     } else {
       return { success: false, error: 'Invalid currency. Must be "points" or "sol"' };
     }
 
     // Use provided gameId if available, otherwise generate UUID
-    // For SOL games, trim UUID to max 32 chars (Solana PDA seed limit)
+    // For SOL games, use the on-chain game_id form (dashes removed, max 32 chars - Solana PDA seed limit)
     let gameId = providedGameId || uuidv4();
-    if (currency === 'sol' && gameId.length > 32) {
-      gameId = gameId.replace(/-/g, '').slice(0, 32); // Remove dashes and trim to 32 chars
+    if (currency === 'sol') {
+      gameId = normalizeGameId(gameId);
     }
-    const gameState = createGameState(gameId, gameType, stakeAmount, currency);
+    const gameState = createGameState(gameId, gameType, stakeAmount, currency, matchFormat);
+    gameState.createdBy = creatorId;
 
     // Add creator as player1 if provided
     if (creatorId && socketId) {
+      const liveCheck = this.checkNotInLiveGame(creatorId);
+      if (!liveCheck.success) {
+        return liveCheck;
+      }
+
       // IMPORTANT: If player was in a previous game, remove old entry first
       // This ensures clean state when starting a new game after finishing a previous one
       if (this.playerGames.has(creatorId)) {
         const oldGameId = this.playerGames.get(creatorId);
-        console.log(`🔄 Player ${creatorId} was in old game ${oldGameId}, removing before creating new game ${gameId}`);
+        log.debug('Player left their previous game to create a new one', { playerId: creatorId, oldGameId, gameId });
         this.playerGames.delete(creatorId);
       }
       
@@ -80,13 +238,10 @@ class GameManager {
         updatedState.player1.stakeDeposited = true;
       }
       
-      this.games.set(gameId, updatedState);
+      this.storeGame(gameId, updatedState);
       this.playerGames.set(creatorId, gameId);
       
-      console.log(`✅ Created game ${gameId} for player ${creatorId}`);
-      console.log(`📝 Updated playerGames map:`, Array.from(this.playerGames.entries()));
-      console.log(`🔍 Verification: playerGames.get(${creatorId}) =`, this.playerGames.get(creatorId));
-      console.log(`🔍 Game state after creation: player1=${updatedState.player1?.id}, player2=${updatedState.player2?.id}`);
+      log.info('Game created', { gameId, playerId: creatorId, gameType, currency, stakeAmount });
       
       return {
         success: true,
@@ -97,7 +252,7 @@ class GameManager {
       };
     }       
                                                                                                                                          
-    this.games.set(gameId, gameState);
+    this.storeGame(gameId, gameState);
     
     return {
       success: true,
@@ -113,9 +268,10 @@ class GameManager {
    * @param {string} playerId - Player joining
    * @param {string} socketId - Player's socket ID
    * @param {string} walletAddress - Player's wallet address
+   * @param {string} inviteCode - Invite code, for private games that have an invite
    * @returns {object} - Join result
    */
-  async joinGame(gameId, playerId, socketId, walletAddress = null) {
+  async joinGame(gameId, playerId, socketId, walletAddress = null, inviteCode = null) {
     const gameState = this.games.get(gameId);
     
     if (!gameState) {
@@ -130,8 +286,22 @@ class GameManager {
       return { success: false, error: 'Game already in progress' };
     }
 
-    // Check currency requirements for joining player
-    if (gameState.currency === 'points' && walletAddress) {
+    if (gameState.tournament && !gameState.tournament.players.includes(playerId)) {
+      return { success: false, error: 'This game is reserved for its tournament players' };
+    }
+
+    const inviteCheck = this.checkInvite(gameState, playerId, walletAddress, inviteCode);
+    if (!inviteCheck.success) {
+      return inviteCheck;
+    }
+
+    const liveCheck = this.checkNotInLiveGame(playerId, gameId);
+    if (!liveCheck.success) {
+      return liveCheck;
+    }
+
+    // Check currency requirements for joining player (tournament entry fees are paid at registration)
+    if (gameState.currency === 'points' && walletAddress && !gameState.tournament) {
       const hasPoints = await databaseService.hasEnoughPoints(walletAddress, 100);
       if (!hasPoints) {
         return { success: false, error: 'Insufficient points. You need 100 points to join this game.' };
@@ -139,7 +309,7 @@ class GameManager {
     } else if (gameState.currency === 'sol') {
       // For SOL games, we don't need to check balance here
       // The on-chain transaction will fail if they don't have enough SOL
-      console.log(`Joining SOL game with stake ${gameState.stakeAmount} SOL`);
+      log.debug('Joining SOL game', { gameId, playerId, stakeAmount: gameState.stakeAmount });
     }
 
     try {
@@ -148,10 +318,8 @@ class GameManager {
       if (this.playerGames.has(playerId)) {
         const oldGameId = this.playerGames.get(playerId);
         if (oldGameId !== gameId) {
-          console.log(`🔄 Player ${playerId} was in old game ${oldGameId}, removing before joining new game ${gameId}`);
+          log.debug('Player left their previous game to join another', { playerId, oldGameId, gameId });
           this.playerGames.delete(playerId);
-        } else {
-          console.log(`✅ Player ${playerId} already in playerGames for game ${gameId}, keeping entry`);
         }
       }
       
@@ -161,8 +329,14 @@ class GameManager {
       if (gameState.currency === 'sol') {
         updatedState.player2.stakeDeposited = true;
       }
+
+      // Invites are single use
+      if (updatedState.invite && updatedState.invite.status === 'active' && updatedState.player2.id === playerId) {
+        updatedState.invite.status = 'used';
+        updatedState.invite.usedBy = playerId;
+      }
       
-      this.games.set(gameId, updatedState);
+      this.storeGame(gameId, updatedState);
       
       // CRITICAL: Always update playerGames for BOTH players when game is ready
       // This ensures playerGames is correct after reconnection or when restoring game state
@@ -173,11 +347,14 @@ class GameManager {
         this.playerGames.set(updatedState.player1.id, gameId);
       }
       
-      console.log(`✅ Player ${playerId} joined ${gameState.currency} game ${gameId}`);
-      console.log(`📝 Updated playerGames map:`, Array.from(this.playerGames.entries()));
-      console.log(`🔍 Verification: playerGames.get(${playerId}) =`, this.playerGames.get(playerId));
-      console.log(`🔍 Game state players: player1=${updatedState.player1?.id}, player2=${updatedState.player2?.id}`);
-      console.log(`🔍 Both players in playerGames: player1=${this.playerGames.get(updatedState.player1?.id)}, player2=${this.playerGames.get(updatedState.player2?.id)}`);
+      log.info('Player joined game', {
+        gameId,
+        playerId,
+        position: playerPosition,
+        currency: gameState.currency,
+        player1: updatedState.player1?.id,
+        player2: updatedState.player2?.id
+      });
 
       return {
         success: true,
@@ -198,18 +375,53 @@ class GameManager {
    * @param {number} stakeAmount - Desired stake amount
    * @param {string} currency - Preferred currency ('points' or 'sol')
    * @param {string} walletAddress - Player's wallet address
+   * @param {object} format - Match format { roundsToWin, drawLimit, ruleSet }; only players asking for the same format are paired
+   * @returns {object} - Matchmaking result
+   */
+  async findRandomMatch(playerId, socketId, stakeAmount = 0, currency = 'points', walletAddress = null, format = {}) {
+    // One search per player at a time: two overlapping searches could each claim a queued
+    // opponent, and the one that loses leaves its opponent holding a claim that never completes
+    if (this.searchesInFlight.has(playerId)) {
+      return { success: false, error: 'Already searching for a match' };
+    }
+
+    this.searchesInFlight.add(playerId);
+    try {
+      return await this.searchRandomMatch(playerId, socketId, stakeAmount, currency, walletAddress, format);
+    } finally {
+      this.searchesInFlight.delete(playerId);
+    }
+  }
+
+  /**
+   * One findRandomMatch search (see findRandomMatch for the parameters)
    * @returns {object} - Matchmaking result
    */
-  async findRandomMatch(playerId, socketId, stakeAmount = 0, currency = 'points', walletAddress = null) {
+  async searchRandomMatch(playerId, socketId, stakeAmount, currency, walletAddress, format) {
+    let matchFormat;
+    try {
+      matchFormat = resolveMatchFormat(format);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    // A new search replaces the player's previous one
+    this.cancelMatchmaking(playerId);
+
+    // A game in progress is only left through leave_game, which settles it as a forfeit
+    const liveCheck = this.checkNotInLiveGame(playerId);
+    if (!liveCheck.success) {
+      return liveCheck;
+    }
+
     // Check if player is already in a game
     if (this.playerGames.has(playerId)) {
       const existingGameId = this.playerGames.get(playerId);
       const existingGame = this.games.get(existingGameId);
       if (existingGame && existingGame.gameStatus !== 'finished') {
-        // Auto-remove player from old game instead of rejecting
-        console.log(`⚠️ Player ${playerId} still in game ${existingGameId}, auto-removing...`);
+        // A game still waiting for its opponent is cancelled (and refunded) instead of rejecting
+        log.info('Removing player from their unfinished game before matchmaking', { playerId, gameId: existingGameId });
         this.removePlayer(playerId);
-        console.log(`✅ Player ${playerId} removed from old game, proceeding with matchmaking`);
       }
     }
 
@@ -222,77 +434,57 @@ class GameManager {
           // Auto-switch to SOL if no points
           currency = 'sol';
           stakeAmount = 0.01; // Default SOL amount
-          console.log(`Player ${playerId} has insufficient points, switching to SOL`);
+          log.info('Player has insufficient points, searching for a SOL game instead', { playerId });
         }
       }
     }
 
-    // Look for an existing public game waiting for a player with matching stake and currency
+    // Among queued opponents with matching stake, currency and format, prefer the closest rating.
+    // claimOpponent takes the entry out of the queue, so no other search can pair with it meanwhile
+    const { rating } = await databaseService.getPlayerRating(walletAddress);
+    const seeker = { playerId, stakeAmount, currency, ...matchFormat, rating };
+    const opponent = this.matchmaker.claimOpponent(seeker);
+
+    if (opponent) {
+      log.info('Found queued opponent', {
+        playerId,
+        opponentId: opponent.playerId,
+        gameId: opponent.gameId,
+        rating,
+        opponentRating: opponent.rating ?? null
+      });
+      const joinResult = await this.joinGame(opponent.gameId, playerId, socketId, walletAddress);
+      if (joinResult.success) {
+        this.matchmaker.release(opponent);
+        return { ...joinResult, gameStarted: true };
+      }
+      // Their placeholder went away (or filled) while we looked - keep them searching
+      this.matchmaker.restore(opponent);
+    }
+
+    // Public games opened outside matchmaking take any rating
     for (const [gameId, gameState] of this.games.entries()) {
       if (
         gameState.gameType === 'public' &&
         gameState.gameStatus === 'waiting_for_player' &&
         gameState.stakeAmount === stakeAmount &&
         gameState.currency === currency &&
-        gameState.player1.id !== playerId // Don't match with yourself
+        isSameMatchFormat(gameState, matchFormat) &&
+        gameState.player1.id !== playerId && // Don't match with yourself
+        !this.matchmaker.ownsGame(gameId)
       ) {
-        console.log(`Found existing public game for player ${playerId}: ${gameId}`);
+        log.info('Found open public game', { playerId, gameId });
         return this.joinGame(gameId, playerId, socketId, walletAddress);
       }
     }
 
-    // Check if there's another player in the matchmaking queue with similar preferences
-    const queuedPlayer = this.publicQueue.find(p => 
-      p.playerId !== playerId && 
-      p.stakeAmount === stakeAmount && 
-      p.currency === currency
-    );
-
-    if (queuedPlayer) {
-      // Found a match in the queue! Create a game with both players
-      console.log(`Found queued player match: ${playerId} vs ${queuedPlayer.playerId}`);
-      
-      // Remove the queued player from the queue
-      this.publicQueue = this.publicQueue.filter(p => p.playerId !== queuedPlayer.playerId);
-      
-      // Create a new game
-      const gameResult = await this.createGame('public', stakeAmount, currency, queuedPlayer.playerId, queuedPlayer.socketId, queuedPlayer.walletAddress);
-      
-      if (gameResult.success) {
-        // Add the second player (current player) to the game
-        const joinResult = await this.joinGame(gameResult.gameId, playerId, socketId, walletAddress);
-        
-        if (joinResult.success) {
-          console.log(`Successfully matched ${playerId} with ${queuedPlayer.playerId} in game ${gameResult.gameId}`);
-          return {
-            ...joinResult,
-            gameStarted: true // Indicate that the game started immediately
-          };
-        }
-      }
-    }
-
-    // No existing game or queued player found, add to matchmaking queue
-    console.log(`Adding player ${playerId} to matchmaking queue`);
-    
-    // Remove any existing queue entry for this player
-    this.publicQueue = this.publicQueue.filter(p => p.playerId !== playerId);
-    
-    // Add player to queue
-    this.publicQueue.push({
-      playerId,
-      socketId,
-      stakeAmount,
-      currency,
-      walletAddress,
-      queuedAt: Date.now()
-    });
+    // Nobody to play yet - wait in a placeholder game the next searcher (or the queue sweep) joins
+    log.debug('Adding player to matchmaking queue', { playerId, currency, stakeAmount });
+    const gameResult = await this.createGame('public', stakeAmount, currency, playerId, socketId, walletAddress, null, matchFormat);
 
-    // Create a placeholder game for the UI to show "waiting" state
-    const gameResult = await this.createGame('public', stakeAmount, currency, playerId, socketId, walletAddress);
-    
     if (gameResult.success) {
-      console.log(`Created waiting game for player ${playerId}: ${gameResult.gameId}`);
+      this.matchmaker.enqueue({ ...seeker, socketId, walletAddress, gameId: gameResult.gameId });
+      log.info('Player queued for matchmaking', { playerId, gameId: gameResult.gameId, rating });
       return {
         ...gameResult,
         gameStarted: false, // Indicate that we're still waiting for an opponent
@@ -304,25 +496,294 @@ class GameManager {
   }
 
   /**
-   * Submit a move for a player
-   * @param {string} playerId - Player making the move
-   * @param {string} move - The move (rock/paper/scissors)
-   * @returns {object} - Move result
-   */
-  submitMove(playerId, move, requestedGameId = null) {
-    console.log(`GameManager.submitMove called:`);
-    console.log(`   - playerId: "${playerId}"`);
-    console.log(`   - move: "${move}"`);
-    console.log(`   - requestedGameId: "${requestedGameId}"`);
-    console.log(`   - playerGames map size:`, this.playerGames.size);
-    console.log(`   - playerGames map:`, Array.from(this.playerGames.entries()));
-    
+   * Pair queued players whose rating windows have widened enough to meet
+   * The longer-waiting player joins the other's waiting game and their own placeholder game is dropped
+   * @returns {Promise<object[]>} - Join results of the games that started, with playerId and previousGameId
+   */
+  async matchQueuedPlayers() {
+    const matches = [];
+
+    for (const [entry, opponent] of this.matchmaker.claimPairs()) {
+      const result = await this.joinGame(opponent.gameId, entry.playerId, entry.socketId, entry.walletAddress);
+      this.matchmaker.release(opponent);
+      if (!result.success) {
+        // The opponent's placeholder went away mid-sweep - keep this player searching from their own
+        log.warn('Failed to pair queued players', { playerId: entry.playerId, opponentId: opponent.playerId, gameId: opponent.gameId, error: result.error });
+        if (this.games.has(entry.gameId)) {
+          this.playerGames.set(entry.playerId, entry.gameId);
+          this.matchmaker.restore(entry);
+        } else {
+          this.matchmaker.release(entry);
+        }
+        continue;
+      }
+
+      // The placeholder only ever held this player - nothing was staked in it
+      this.discardPlaceholder(entry);
+      this.matchmaker.release(entry);
+      log.info('Matched queued players', {
+        gameId: opponent.gameId,
+        playerId: entry.playerId,
+        rating: entry.rating,
+        opponentId: opponent.playerId,
+        opponentRating: opponent.rating
+      });
+      matches.push({ ...result, playerId: entry.playerId, previousGameId: entry.gameId });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Leave matchmaking and drop the placeholder game
+   * @param {string} playerId - Player ID
+   * @param {string} socketId - Only cancel a search made from this socket (a disconnect must not cancel a newer search)
+   * @returns {object|null} - The cancelled queue entry
+   */
+  cancelMatchmaking(playerId, socketId = null) {
+    const entry = this.matchmaker.get(playerId);
+    if (!entry || (socketId && entry.socketId !== socketId)) {
+      return null;
+    }
+
+    this.matchmaker.remove(playerId);
+    this.discardPlaceholder(entry);
+    log.info('Player left matchmaking', { playerId });
+    return entry;
+  }
+
+  /**
+   * Take every player out of matchmaking and drop their placeholder games
+   * @returns {object[]} - Removed queue entries
+   */
+  drainMatchmaking() {
+    const drained = this.matchmaker.list()
+      .map(entry => this.cancelMatchmaking(entry.playerId))
+      .filter(Boolean);
+    log.warn('Matchmaking queue drained', { count: drained.length });
+    return drained;
+  }
+
+  /**
+   * Drop searches that have waited past the matchmaking timeout
+   * @param {number} now - Current time in ms
+   * @returns {object[]} - Expired queue entries
+   */
+  expireMatchmaking(now = Date.now()) {
+    const expired = this.matchmaker.expire(now);
+    for (const entry of expired) {
+      this.discardPlaceholder(entry);
+      log.info('Matchmaking timed out', { playerId: entry.playerId });
+    }
+    return expired;
+  }
+
+  /**
+   * Queue status for a searching player
+   * @param {string} playerId - Player ID
+   * @returns {object|null} - See Matchmaker.getStatus
+   */
+  getQueueStatus(playerId) {
+    return this.matchmaker.getStatus(playerId);
+  }
+
+  /**
+   * Delete the placeholder game a queue entry waited in, if nobody else joined it
+   * @param {object} entry - Queue entry { playerId, gameId }
+   */
+  discardPlaceholder({ playerId, gameId }) {
+    const gameState = this.games.get(gameId);
+    if (gameState && gameState.gameStatus === 'waiting_for_player' && gameState.player1.id === playerId && !gameState.player2.id) {
+      this.games.delete(gameId);
+      this.metricStatuses.delete(gameId);
+      this.spectators.delete(gameId);
+      this.chat.clearGame(gameId);
+    }
+    if (this.playerGames.get(playerId) === gameId) {
+      this.playerGames.delete(playerId);
+    }
+  }
+
+  /**
+   * Start a practice game against a bot
+   * Practice games are points games without a stake that never reach the database or leaderboard
+   * @param {string} playerId - Player ID
+   * @param {string} socketId - Player's socket ID
+   * @param {string} walletAddress - Player's wallet address
+   * @param {string} strategy - Bot strategy (see game/bots.js)
+   * @param {object} format - Match format { roundsToWin, drawLimit, ruleSet }
+   * @returns {Promise<object>} - Join result of the bot (game starts right away)
+   */
+  async createPracticeGame(playerId, socketId, walletAddress = null, strategy = DEFAULT_BOT_STRATEGY, format = {}) {
+    if (!isBotStrategy(strategy)) {
+      return { success: false, error: `Unknown bot strategy: ${strategy}` };
+    }
+
+    let matchFormat;
+    try {
+      matchFormat = resolveMatchFormat(format);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const liveCheck = this.checkNotInLiveGame(playerId);
+    if (!liveCheck.success) {
+      return liveCheck;
+    }
+
+    if (this.playerGames.has(playerId)) {
+      log.debug('Player left their previous game to practice', { playerId, oldGameId: this.playerGames.get(playerId) });
+      this.playerGames.delete(playerId);
+    }
+
+    const gameId = uuidv4();
+    const gameState = this.makePractice(createGameState(gameId, 'private', 0, 'points', matchFormat));
+    addPlayer(gameState, playerId, socketId, walletAddress);
+    this.storeGame(gameId, gameState);
+    this.playerGames.set(playerId, gameId);
+
+    log.info('Practice game created', { gameId, playerId, strategy });
+    return this.addBot(gameId, strategy);
+  }
+
+  /**
+   * Seat a bot in a game waiting for its second player (practice or matchmaking backfill)
+   * The bot joins like any player; the game becomes a practice game, so nothing is staked or recorded
+   * @param {string} gameId - Game waiting for a player
+   * @param {string} strategy - Bot strategy (see game/bots.js)
+   * @returns {Promise<object>} - Join result plus botId
+   */
+  async addBot(gameId, strategy = DEFAULT_BOT_STRATEGY) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) {
+      return { success: false, error: 'Game not found' };
+    }
+    // SOL games escrow real stakes on-chain - bots never sit at those tables
+    if (gameState.currency !== 'points') {
+      return { success: false, error: 'Bots can only play points games' };
+    }
+    if (!isBotStrategy(strategy)) {
+      return { success: false, error: `Unknown bot strategy: ${strategy}` };
+    }
+    if (gameState.gameStatus !== 'waiting_for_player') {
+      return { success: false, error: 'Game is not waiting for a player' };
+    }
+
+    const botId = `bot_${uuidv4()}`;
+    const result = await this.joinGame(gameId, botId, null, null);
+    if (!result.success) {
+      return result;
+    }
+
+    // Only a game the bot actually joined loses its stake
+    this.makePractice(result.gameState);
+    result.gameState[result.playerPosition].bot = strategy;
+    this.saveGame(gameId);
+
+    // A backfilled player is no longer waiting for a human
+    this.matchmaker.removeByGame(gameId);
+
+    log.info('Bot joined game', { gameId, botId, strategy });
+    return { ...result, botId };
+  }
+
+  /**
+   * Create the game of a tournament match
+   * Nobody is seated yet: the two players join it like a private game, and nobody else can
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} matchId - Match ID within the tournament
+   * @param {string[]} players - The two player IDs (wallets)
+   * @param {object} format - Match format { roundsToWin, drawLimit, ruleSet }
+   * @returns {object} - Game state
+   */
+  createTournamentGame(tournamentId, matchId, players, format = {}) {
+    const gameId = uuidv4();
+    const gameState = createGameState(gameId, 'private', 0, 'points', format);
+    gameState.tournament = { tournamentId, matchId, players: [...players] };
+    this.storeGame(gameId, gameState);
+
+    log.info('Tournament game created', { gameId, tournamentId, matchId });
+    return gameState;
+  }
+
+  /**
+   * End a tournament game that didn't start in time
+   * A player who sat down wins; with nobody seated the game ends without a winner
+   * @param {string} gameId - Game ID
+   * @returns {object} - { success, gameState } (winner is the seated player or null)
+   */
+  forfeitNoShow(gameId) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) {
+      return { success: false, error: 'Game not found' };
+    }
+    if (gameState.gameStatus !== 'waiting_for_player') {
+      return { success: false, error: 'Game is not waiting for a player' };
+    }
+
+    const seated = gameState.player1.id || gameState.player2.id;
+    gameState.gameStatus = 'finished';
+    gameState.winner = seated || null;
+    gameState.endReason = 'no_show';
+    if (seated) {
+      this.playerGames.delete(seated);
+    }
+    this.saveGame(gameId);
+
+    log.info('Tournament game ended by no-show', { gameId, winnerId: seated || null });
+    return { success: true, gameState };
+  }
+
+  /**
+   * Rate a finished tournament game
+   * @param {string} gameId - Game ID
+   * @param {object} gameState - Final game state
+   * @param {string} winnerPosition - 'player1' or 'player2'
+   */
+  async updateTournamentGameRatings(gameId, gameState, winnerPosition) {
+    const loserPosition = winnerPosition === 'player1' ? 'player2' : 'player1';
+    const winnerWallet = gameState[winnerPosition].wallet;
+    const loserWallet = gameState[loserPosition].wallet;
+
+    if (winnerWallet && loserWallet) {
+      await databaseService.updateRatings(winnerWallet, loserWallet, gameId);
+    }
+    log.info('Tournament game finished, prizes are settled by the tournament', { gameId });
+  }
+
+  /**
+   * Turn a points game into a practice game (no stake, no payout, nothing recorded)
+   * @param {object} gameState - Game state
+   * @returns {object} - The same game state
+   */
+  makePractice(gameState) {
+    const { stakeAmount, totalPot, platformFee, winnerPayout } = summarizePayout(0, 'points');
+    Object.assign(gameState, { stakeAmount, totalPot, platformFee, winnerPayout, practice: true });
+    return gameState;
+  }
+
+  /**
+   * Get the seats taken by bots
+   * @param {object} gameState - Game state
+   * @returns {object[]} - player1/player2 states of bots
+   */
+  getBotPlayers(gameState) {
+    return [gameState.player1, gameState.player2].filter(player => player.id && player.bot);
+  }
+
+  /**
+   * Resolve the game a player is currently in
+   * Falls back to searching all games if the playerGames map lost the entry
+   * @param {string} playerId - Player ID
+   * @param {string} requestedGameId - Game ID the client believes it is in
+   * @returns {string|null} - Game ID or null if not found
+   */
+  findPlayerGameId(playerId, requestedGameId = null) {
     // Fallback: if playerGames is empty but game exists, try to find game by searching all games
     let gameId = this.playerGames.get(playerId);
     
     if (!gameId) {
-      console.warn(`⚠️ Player "${playerId}" not found in playerGames map, searching all games...`);
-      console.warn(`   Available players in playerGames:`, Array.from(this.playerGames.keys()));
+      log.warn('Player missing from playerGames, searching all games', { playerId, requestedGameId });
       
       // Fallback: search through all games to find this player
       // Priority 1: If requestedGameId is provided, check that game first
@@ -331,11 +792,10 @@ class GameManager {
         if (requestedGame && 
             (requestedGame.player1?.id === playerId || requestedGame.player2?.id === playerId) &&
             requestedGame.gameStatus === 'playing') {
-          console.log(`🔍 Found player ${playerId} in REQUESTED game ${requestedGameId} by searching games`);
           gameId = requestedGameId;
           // Restore playerGames entry
           this.playerGames.set(playerId, gameId);
-          console.log(`✅ Restored playerGames entry: ${playerId} -> ${gameId}`);
+          log.info('Restored playerGames entry from the requested game', { playerId, gameId });
         }
       }
       
@@ -345,11 +805,10 @@ class GameManager {
         for (const [gId, gameState] of gamesArray) {
           if ((gameState.player1?.id === playerId || gameState.player2?.id === playerId) && 
               gameState.gameStatus === 'playing') {
-            console.log(`🔍 Found player ${playerId} in ACTIVE game ${gId} by searching games`);
             gameId = gId;
             // Restore playerGames entry
             this.playerGames.set(playerId, gameId);
-            console.log(`✅ Restored playerGames entry: ${playerId} -> ${gameId}`);
+            log.info('Restored playerGames entry from an active game', { playerId, gameId });
             break;
           }
         }
@@ -360,29 +819,37 @@ class GameManager {
         const gamesArray = Array.from(this.games.entries()).reverse();
         for (const [gId, gameState] of gamesArray) {
           if (gameState.player1?.id === playerId || gameState.player2?.id === playerId) {
-            console.log(`🔍 Found player ${playerId} in game ${gId} (any status) by searching games`);
             gameId = gId;
             // Restore playerGames entry
             this.playerGames.set(playerId, gameId);
-            console.log(`✅ Restored playerGames entry: ${playerId} -> ${gameId}`);
+            log.info('Restored playerGames entry from a game in any status', { playerId, gameId, gameStatus: gameState.gameStatus });
             break;
           }
         }
       }
     }
     
+    return gameId || null;
+  }
+
+  /**
+   * Resolve and validate the active game for a move action
+   * @param {string} playerId - Player ID
+   * @param {string} requestedGameId - Game ID the client believes it is in
+   * @returns {object} - { success, gameId, gameState } or { success: false, error }
+   */
+  getGameForMove(playerId, requestedGameId = null) {
+    const gameId = this.findPlayerGameId(playerId, requestedGameId);
+
     if (!gameId) {
-      console.error(`❌ Player "${playerId}" not found in any game`);
-      console.error(`   Available players:`, Array.from(this.playerGames.keys()));
-      console.error(`   Available games:`, Array.from(this.games.keys()));
+      log.warn('Player not found in any game', { playerId, requestedGameId, trackedPlayers: this.playerGames.size, games: this.games.size });
       return { success: false, error: 'Player not in any game' };
     }
 
     const gameState = this.games.get(gameId);
     
     if (!gameState) {
-      console.error(`❌ Game ${gameId} not found in games map`);
-      console.error(`   Available games:`, Array.from(this.games.keys()));
+      log.warn('Game not found in games map', { gameId, playerId });
       return { success: false, error: 'Game not found' };
     }
     
@@ -391,30 +858,70 @@ class GameManager {
     const isPlayer2 = gameState.player2?.id === playerId;
     
     if (!isPlayer1 && !isPlayer2) {
-      console.error(`❌ Player ${playerId} is not actually in game ${gameId}`);
-      console.error(`   Game has player1: ${gameState.player1?.id}, player2: ${gameState.player2?.id}`);
+      log.warn('Player is not seated in the game they were mapped to', {
+        playerId,
+        gameId,
+        player1: gameState.player1?.id,
+        player2: gameState.player2?.id
+      });
       return { success: false, error: 'Player is not in this game' };
     }
 
+    return { success: true, gameId, gameState };
+  }
+
+  /**
+   * Set a player's client seed for provably fair timeout moves
+   * @param {string} playerId - Player setting the seed
+   * @param {string} clientSeed - Seed chosen by the player
+   * @param {string} requestedGameId - Game ID from the client
+   * @returns {object} - Result with the updated game state
+   */
+  setPlayerClientSeed(playerId, clientSeed, requestedGameId = null) {
+    const lookup = this.getGameForMove(playerId, requestedGameId);
+    if (!lookup.success) {
+      return lookup;
+    }
+
+    const { gameId, gameState } = lookup;
+
     try {
-      const { gameState: updatedState, roundComplete, roundResult } = processMove(gameState, playerId, move);
-      this.games.set(gameId, updatedState);
+      setClientSeed(gameState, playerId, clientSeed);
+      this.saveGame(gameId);
 
-      // If game is complete, mark for processing but don't process here
-      // Processing will be handled by socketHandlers to avoid double execution
-      if (roundResult && roundResult.gameFinished) {
-        console.log(`🎮 Game ${gameId} finished, will be processed by socket handler`);
-        updatedState.readyForCompletion = true;
-        updatedState.completionData = roundResult;
-      }
+      log.debug('Client seed set', { gameId, playerId });
+      return { success: true, gameId, gameState };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Commit a hidden move for a player (commit phase of commit-reveal)
+   * @param {string} playerId - Player committing
+   * @param {string|number[]} commitment - sha256(move_index ++ nonce_le) as hex or 32 bytes
+   * @param {string} requestedGameId - Game ID from the client
+   * @returns {object} - Commit result
+   */
+  commitMove(playerId, commitment, requestedGameId = null) {
+    const lookup = this.getGameForMove(playerId, requestedGameId);
+    if (!lookup.success) {
+      return lookup;
+    }
+
+    const { gameId, gameState } = lookup;
+
+    try {
+      const { gameState: updatedState, bothCommitted } = processCommit(gameState, playerId, commitment);
+      this.storeGame(gameId, updatedState);
+
+      log.debug('Move committed', { gameId, playerId, round: updatedState.currentRound });
 
       return {
         success: true,
         gameId,
         gameState: updatedState,
-        roundComplete,
-        roundResult,
-        moveSubmitted: true
+        bothCommitted
       };
     } catch (error) {
       return { success: false, error: error.message };
@@ -422,27 +929,106 @@ class GameManager {
   }
 
   /**
-   * Process game completion and update database
-   * @param {string} gameId - Game ID
-   * @param {object} gameState - Final game state
-   * @param {object} roundResult - Round result with winner info
+   * Reveal a committed move (reveal phase of commit-reveal)
+   * The round is only resolved once both verified moves are in
+   * @param {string} playerId - Player revealing
+   * @param {string} move - The move (rock/paper/scissors)
+   * @param {number|string} nonce - Nonce used for the commitment
+   * @param {string} requestedGameId - Game ID from the client
+   * @returns {object} - Reveal result
    */
-  async processGameCompletion(gameId, gameState, roundResult) {
+  revealMove(playerId, move, nonce, requestedGameId = null) {
+    const lookup = this.getGameForMove(playerId, requestedGameId);
+    if (!lookup.success) {
+      return lookup;
+    }
+
+    const { gameId, gameState } = lookup;
+
     try {
-      // Additional safety check to prevent double processing
+      const { gameState: updatedState, roundComplete, roundResult } = processReveal(gameState, playerId, move, nonce);
+
+      // If game is complete, mark for processing but don't process here
+      // Processing will be handled by socketHandlers to avoid double execution
+      if (roundResult && roundResult.gameFinished) {
+        log.info('Game finished, completion handed to the socket handler', { gameId });
+        updatedState.readyForCompletion = true;
+        updatedState.completionData = roundResult;
+      }
+
+      this.storeGame(gameId, updatedState);
+
+      return {
+        success: true,
+        gameId,
+        gameState: updatedState,
+        roundComplete,
+        roundResult,
+        moveRevealed: true
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Advance a game to its next round and reset moves and commitments
+   * @param {string} gameId - Game ID
+   * @returns {object|null} - Updated game state or null if not playing
+   */
+  advanceRound(gameId) {
+    const gameState = this.games.get(gameId);
+    if (!gameState || gameState.gameStatus !== 'playing') return null;
+
+    gameState.currentRound++;
+    
+    // Reset moves for next round - NOW is the right time to clear them
+    gameState.roundPhase = 'commit';
+    gameState.player1.moveCommitment = null;
+    gameState.player2.moveCommitment = null;
+    gameState.player1.currentMove = null;
+    gameState.player2.currentMove = null;
+    gameState.player1.ready = false;
+    gameState.player2.ready = false;
+
+    this.saveGame(gameId);
+    return gameState;
+  }
+
+  /**
+   * Process game completion and update database
+   * @param {string} gameId - Game ID
+   * @param {object} gameState - Final game state
+   * @param {object} roundResult - Round result with winner info
+   */
+  async processGameCompletion(gameId, gameState, roundResult) {
+    try {
+      // Additional safety check to prevent double processing
       if (gameState.completionProcessed) {
-        console.log(`⚠️ Game ${gameId} completion already processed, skipping duplicate`);
+        log.warn('Game completion already processed, skipping duplicate', { gameId });
         return;
       }
       
-      // Mark as being processed
+      // Mark as being processed; persisted so a restart doesn't record the game twice
       gameState.completionProcessed = true;
+      this.saveGame(gameId);
+
+      if (gameState.practice) {
+        log.debug('Practice game finished, nothing to record', { gameId });
+        return;
+      }
+
+      // Bracket games only move ratings - entry fees and prizes belong to the tournament
+      if (gameState.tournament) {
+        await this.updateTournamentGameRatings(gameId, gameState, roundResult.gameWinner);
+        return;
+      }
       
       const player1Wallet = gameState.player1.wallet;
       const player2Wallet = gameState.player2.wallet;
       const winnerWallet = roundResult.gameWinner === 'player1' ? player1Wallet : player2Wallet;
 
-      console.log(`🎮 Processing ${gameState.currency} game completion:`, {
+      log.info('Processing game completion', {
         gameId,
         winner: roundResult.gameWinner,
         winnerWallet,
@@ -453,26 +1039,23 @@ class GameManager {
 
       // Check if we have wallet addresses
       if (!player1Wallet || !player2Wallet) {
-        console.error(`❌ Missing wallet addresses:`, {
-          player1Wallet,
-          player2Wallet,
-          gameId
-        });
+        log.error('Game completion skipped: missing wallet addresses', { gameId, player1Wallet, player2Wallet });
         return;
       }
 
       if (!winnerWallet) {
-        console.error(`❌ Could not determine winner wallet:`, {
-          roundResult,
-          gameState: {
-            player1: gameState.player1,
-            player2: gameState.player2
-          }
+        log.error('Game completion skipped: could not determine the winner wallet', {
+          gameId,
+          winner: roundResult.gameWinner,
+          player1: gameState.player1.id,
+          player2: gameState.player2.id
         });
         return;
       }
 
-      console.log(`🔍 About to check currency condition: gameState.currency = "${gameState.currency}"`);
+      // Ratings move the same way for points and SOL games
+      const loserWallet = winnerWallet === player1Wallet ? player2Wallet : player1Wallet;
+      await databaseService.updateRatings(winnerWallet, loserWallet, gameId);
 
       if (gameState.currency === 'points') {
         // Process points game
@@ -481,11 +1064,13 @@ class GameManager {
           player1Wallet,
           player2Wallet,
           winnerWallet,
-          gameState.createdAt
+          gameState.createdAt,
+          gameState.ruleSet
         );
 
         if (result.success) {
-          console.log(`Points game processed successfully:`, {
+          log.info('Points game settled', {
+            gameId,
             player1Balance: result.player1Profile?.points_balance,
             player2Balance: result.player2Profile?.points_balance
           });
@@ -493,130 +1078,72 @@ class GameManager {
           // Process referral commission for points winnings (1% of 100 points won = 1 point)
           try {
             const pointsWon = 100; // Winner gets 100 points in points games
-            console.log(`💰 Processing referral commission for points winner: ${winnerWallet}, Points won: ${pointsWon}`);
-            
             await this.referralService.processReferralCommission(winnerWallet, gameId, pointsWon);
           } catch (referralError) {
-            console.error('❌ Error processing referral commission for points game:', referralError);
+            log.error('Referral commission for points game failed', { gameId, winnerWallet, err: referralError });
             // Don't fail the whole game completion if referral processing fails
           }
         } else {
-          console.error(`Failed to process points game:`, result.error);
+          log.error('Points game settlement failed', { gameId, error: result.error });
         }
       } else if (gameState.currency === 'sol') {
         // MODERN STANDARD: Auto-finalize SOL games with proper winner rewards  
-        console.log(`🚀 SOL game completed - implementing auto-finalization`);
-        console.log(`🔍 Currency check passed: ${gameState.currency} === 'sol'`);
-        
         try {
           // Backend automatically handles winner distribution
-          console.log(`Winner: ${winnerWallet}`);
-          console.log(`Should receive: ${gameState.winnerPayout} SOL (total pot minus platform fee)`);
-          console.log(`Triggering auto-finalization...`);
-          
+          log.info('SOL game completed, queueing settlement', { gameId, winnerWallet, winnerPayout: gameState.winnerPayout });
+
           // Update database stats for both players (including 100 bonus points for winner)
           const player1Won = winnerWallet === player1Wallet;
           const player2Won = winnerWallet === player2Wallet;
 
-          console.log(`Updating database stats - Winner gets 100 bonus points`);
           const [player1Updated, player2Updated] = await Promise.all([
             databaseService.updateUserGameStats(player1Wallet, player1Won, 'sol', gameId),
             databaseService.updateUserGameStats(player2Wallet, player2Won, 'sol', gameId)
           ]);
 
-          console.log(`Database stats updated:`, {
+          log.debug('Player stats updated', {
+            gameId,
             player1: { won: player1Won, newBalance: player1Updated?.points_balance },
             player2: { won: player2Won, newBalance: player2Updated?.points_balance }
           });
 
           // SOL referral commission is now handled directly in auto-finalization service
-          console.log(`💰 SOL referral commission will be processed during auto-finalization`);
           
           // Record game completion  
+          const payout = summarizePayout(gameState.stakeAmount, 'sol');
           await databaseService.recordGameHistory({
             gameId,
             player1Wallet,
             player2Wallet,
             winnerWallet,
             currency: 'sol',
-            amountBet: gameState.stakeAmount,
-            potAmount: gameState.totalPot,
-            platformFee: gameState.platformFee,
-            winnerPayout: gameState.winnerPayout,
+            ruleSet: gameState.ruleSet,
+            amountBet: payout.stakeAmount,
+            potAmount: payout.totalPot,
+            platformFee: payout.platformFee,
+            winnerPayout: payout.winnerPayout,
             status: 'completed', // Use existing status instead of auto_finalizing
             startedAt: gameState.createdAt,
             completedAt: new Date().toISOString()
           });
 
-          // IMMEDIATELY trigger auto-finalization
-          const loserWallet = winnerWallet === player1Wallet ? player2Wallet : player1Wallet;
-          
-          console.log(`🚀 Calling auto-finalization service...`);
-          console.log(`🎯 Auto-finalization parameters:`, {
-            gameId,
-            winnerWallet,
-            loserWallet,
-            stakeAmount: gameState.stakeAmount
+          // Stats and history are recorded - from here on only the payout is outstanding,
+          // which the settlement queue drives (and retries) on its own
+          gameState.settlementStatus = 'pending';
+          this.saveGame(gameId);
+          this.enqueueSettlement(gameId, gameState, roundResult.gameWinner);
+          this.settlementQueue.processJob(gameId).catch(error => {
+            log.error('Settlement crashed', { gameId, err: error });
           });
           
-          let success = false;
-          try {
-            success = await autoFinalizationService.autoFinalizeSolGame(
-              gameId,
-              winnerWallet,
-              loserWallet,
-              gameState.stakeAmount
-            );
-            
-            console.log(`✅ Auto-finalization result:`, success);
-            
-            if (success) {
-              console.log(`🎉 Auto-finalization successful`);
-              console.log(`💰 Winner ${winnerWallet} should now have ${gameState.winnerPayout} SOL`);
-              console.log(`🚀 Winner receives SOL automatically`);
-            } else {
-              console.log(`❌ Auto-finalization returned false - no SOL transferred`);
-            }
-          } catch (autoFinalizeError) {
-            console.error(`💥 Auto-finalization CRASHED:`, autoFinalizeError);
-            console.error(`💥 Error details:`, {
-              message: autoFinalizeError.message,
-              stack: autoFinalizeError.stack,
-              name: autoFinalizeError.name
-            });
-            
-            // Log specific error types for debugging
-            if (autoFinalizeError.message.includes('insufficient balance')) {
-              console.error(`❌ CRITICAL: Service wallet needs funding!`);
-              console.error(`   This is likely why auto-finalization is failing on production`);
-            }
-            if (autoFinalizeError.message.includes('Service wallet not initialized')) {
-              console.error(`❌ CRITICAL: Service wallet not initialized!`);
-              console.error(`   Check SERVICE_WALLET_PRIVATE_KEY environment variable`);
-            }
-            if (autoFinalizeError.message.includes('RPC')) {
-              console.error(`❌ CRITICAL: RPC connection issue!`);
-              console.error(`   Check SOLANA_RPC_URL environment variable`);
-            }
-            
-            success = false;
-          }
-          
-          if (!success) {
-            console.error(`❌ Auto-finalization failed - winner will need to claim manually`);
-            console.error(`   This should be investigated - check service wallet balance and RPC connection`);
-          }
-          
         } catch (error) {
-          console.error('Auto-finalization failed:', error);
-          console.log('Game will fall back to manual claiming if needed');
+          log.error('SOL game completion failed', { gameId, err: error });
         }
       } else {
-        console.log(`❌ Unknown currency type: "${gameState.currency}" - no processing logic available`);
-        console.log(`Available options: 'points' or 'sol'`);
+        log.error('Unknown currency, game completion not processed', { gameId, currency: gameState.currency });
       }
     } catch (error) {
-      console.error('Error processing game completion:', error);
+      log.error('Game completion failed', { gameId, err: error });
     }
   }
 
@@ -628,12 +1155,30 @@ class GameManager {
    */
   async processGameAbandonmentCompletion(gameId, gameState, abandonmentResult) {
     try {
+      // Shares the flag with processGameCompletion, so a restart doesn't settle the game a second time
+      if (gameState.completionProcessed) {
+        log.warn('Game completion already processed, skipping duplicate abandonment', { gameId });
+        return;
+      }
+      gameState.completionProcessed = true;
+      this.saveGame(gameId);
+
+      if (gameState.practice) {
+        log.debug('Practice game abandoned, nothing to record', { gameId });
+        return;
+      }
+
+      if (gameState.tournament) {
+        await this.updateTournamentGameRatings(gameId, gameState, abandonmentResult.winner);
+        return;
+      }
+
       const player1Wallet = gameState.player1.wallet;
       const player2Wallet = gameState.player2.wallet;
       const winnerWallet = abandonmentResult.winner === 'player1' ? player1Wallet : player2Wallet;
       const loserWallet = abandonmentResult.winner === 'player1' ? player2Wallet : player1Wallet;
 
-      console.log(`Processing ${gameState.currency} game abandonment:`, {
+      log.info('Processing game abandonment', {
         gameId,
         winner: abandonmentResult.winner,
         quittingPlayer: abandonmentResult.quittingPlayer,
@@ -643,6 +1188,11 @@ class GameManager {
         reason: abandonmentResult.reason
       });
 
+      // Quitting counts as a loss for the rating
+      if (winnerWallet && loserWallet) {
+        await databaseService.updateRatings(winnerWallet, loserWallet, gameId);
+      }
+
       if (gameState.currency === 'points') {
         // Process points game abandonment
         const result = await databaseService.processPointsGameAbandonment(
@@ -651,29 +1201,33 @@ class GameManager {
           player2Wallet,
           winnerWallet,
           loserWallet,
-          gameState.createdAt
+          gameState.createdAt,
+          gameState.ruleSet
         );
 
         if (result.success) {
-          console.log(`Points game abandonment processed successfully:`, {
+          log.info('Points game abandonment settled', {
+            gameId,
             winnerBalance: result.winnerProfile?.points_balance,
             loserBalance: result.loserProfile?.points_balance
           });
         } else {
-          console.error(`Failed to process points game abandonment:`, result.error);
+          log.error('Points game abandonment settlement failed', { gameId, error: result.error });
         }
       } else if (gameState.currency === 'sol') {
         // Record SOL game history as abandoned
+        const payout = summarizePayout(gameState.stakeAmount, 'sol');
         await databaseService.recordGameHistory({
           gameId,
           player1Wallet,
           player2Wallet,
           winnerWallet,
           currency: 'sol',
-          amountBet: gameState.stakeAmount,
-          potAmount: gameState.totalPot,
-          platformFee: gameState.platformFee,
-          winnerPayout: gameState.winnerPayout,
+          ruleSet: gameState.ruleSet,
+          amountBet: payout.stakeAmount,
+          potAmount: payout.totalPot,
+          platformFee: payout.platformFee,
+          winnerPayout: payout.winnerPayout,
           status: 'abandoned',
           startedAt: gameState.createdAt,
           completedAt: new Date().toISOString(),
@@ -681,10 +1235,23 @@ class GameManager {
           abandonReason: abandonmentResult.reason
         });
 
-        console.log(`SOL game abandonment recorded in history`);
+        log.info('SOL game abandonment recorded in history, queueing settlement', { gameId, winnerWallet });
+
+        if (!winnerWallet || !loserWallet) {
+          log.error('Abandonment settlement skipped: missing wallet addresses', { gameId, winnerWallet, loserWallet });
+          return;
+        }
+
+        // The escrowed pot goes to the player who stayed, through the same queue as a played-out game
+        gameState.settlementStatus = 'pending';
+        this.saveGame(gameId);
+        this.enqueueSettlement(gameId, gameState, abandonmentResult.winner);
+        this.settlementQueue.processJob(gameId).catch(error => {
+          log.error('Settlement crashed', { gameId, err: error });
+        });
       }
     } catch (error) {
-      console.error('Error processing game abandonment completion:', error);
+      log.error('Game abandonment completion failed', { gameId, err: error });
     }
   }
 
@@ -708,6 +1275,734 @@ class GameManager {
     return this.games.get(gameId) || null;
   }
 
+  /**
+   * Make sure a player isn't sitting in a game that is being played
+   * Moving on from it would drop the game without settling its stakes; they have to finish or leave it first
+   * @param {string} playerId - Player ID
+   * @param {string} nextGameId - Game the player is about to sit in (their own current game is fine)
+   * @returns {object} - { success } or { success: false, error }
+   */
+  checkNotInLiveGame(playerId, nextGameId = null) {
+    const current = this.getPlayerGame(playerId);
+    if (current && current.gameId !== nextGameId && current.gameStatus === 'playing') {
+      return { success: false, error: 'Finish or leave your current game first' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Start watching a game
+   * Private games can't be watched unless they are tournament matches, and players can't watch their own game.
+   * @param {string} gameId - Game ID
+   * @param {string} socketId - Spectator's socket ID
+   * @param {string|null} playerId - Spectator's player ID, when the socket is authenticated
+   * @returns {object} - { success, gameState, error }
+   */
+  addSpectator(gameId, socketId, playerId = null) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) {
+      return { success: false, error: 'Game not found' };
+    }
+    if (gameState.gameType === 'private' && !gameState.tournament) {
+      return { success: false, error: 'Private games cannot be watched' };
+    }
+    if (gameState.gameStatus === 'finished') {
+      return { success: false, error: 'Game is already finished' };
+    }
+    if (playerId && (gameState.player1.id === playerId || gameState.player2.id === playerId)) {
+      return { success: false, error: 'Players cannot spectate their own game' };
+    }
+
+    if (!this.spectators.has(gameId)) {
+      this.spectators.set(gameId, new Set());
+    }
+    this.spectators.get(gameId).add(socketId);
+    this.updateSpectatorCount(gameId);
+
+    return { success: true, gameState };
+  }
+
+  /**
+   * Stop watching a game
+   * @param {string} gameId - Game ID
+   * @param {string} socketId - Spectator's socket ID
+   * @returns {boolean} - True if the socket was watching the game
+   */
+  removeSpectator(gameId, socketId) {
+    const sockets = this.spectators.get(gameId);
+    if (!sockets || !sockets.delete(socketId)) {
+      return false;
+    }
+    if (sockets.size === 0) {
+      this.spectators.delete(gameId);
+    }
+    this.updateSpectatorCount(gameId);
+    return true;
+  }
+
+  /**
+   * Stop a disconnected socket watching anything
+   * @param {string} socketId - Socket ID
+   * @returns {string[]} - Games the socket was watching
+   */
+  removeSpectatorSocket(socketId) {
+    const watched = [...this.spectators.entries()]
+      .filter(([, sockets]) => sockets.has(socketId))
+      .map(([gameId]) => gameId);
+    watched.forEach(gameId => this.removeSpectator(gameId, socketId));
+    return watched;
+  }
+
+  /**
+   * Copy the number of spectators into the game state, where projections pick it up
+   * @param {string} gameId - Game ID
+   */
+  updateSpectatorCount(gameId) {
+    const gameState = this.games.get(gameId);
+    if (gameState) {
+      gameState.spectatorCount = this.spectators.get(gameId)?.size || 0;
+      this.saveGame(gameId);
+    }
+  }
+
+  /**
+   * Games in progress that anyone can watch, biggest stakes first
+   * SOL games come before points games; practice and private (non-tournament) games are left out.
+   * @param {object} options - { currency, minStake, limit }
+   * @returns {object[]} - Game states
+   */
+  listWatchableGames({ currency = null, minStake = 0, limit = LIVE_GAMES_LIMIT } = {}) {
+    return Array.from(this.games.values())
+      .filter(gameState =>
+        gameState.gameStatus === 'playing' &&
+        !gameState.practice &&
+        (gameState.gameType !== 'private' || gameState.tournament) &&
+        (!currency || gameState.currency === currency) &&
+        gameState.stakeAmount >= minStake
+      )
+      .sort((a, b) => (b.currency === 'sol') - (a.currency === 'sol') || b.stakeAmount - a.stakeAmount)
+      .slice(0, limit);
+  }
+
+  /**
+   * Grace period a disconnected player gets before forfeiting
+   * @param {string} currency - 'points' or 'sol'
+   * @returns {number} - Seconds
+   */
+  getReconnectGraceSeconds(currency) {
+    return RECONNECT_GRACE_SECONDS[currency] ?? RECONNECT_GRACE_SECONDS.points;
+  }
+
+  /**
+   * Free a player's seat after their socket dropped
+   * Nothing happens if a newer socket already took the seat over.
+   * @param {string} playerId - Player ID
+   * @param {string} socketId - Socket that disconnected
+   * @returns {object|null} - The player's unfinished game, or null
+   */
+  markDisconnected(playerId, socketId) {
+    const gameState = this.getPlayerGame(playerId);
+    const player = gameState && getPlayerState(gameState, playerId);
+    if (!player || gameState.gameStatus === 'finished' || player.socketId !== socketId) {
+      return null;
+    }
+
+    player.socketId = null;
+    this.saveGame(gameState.gameId);
+    return gameState;
+  }
+
+  /**
+   * Start the reconnection grace period of a disconnected player
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Disconnected player
+   * @param {number} now - Current time in ms
+   * @returns {number|null} - Deadline (ms) after which the player forfeits, or null if they're not away
+   */
+  startReconnectGrace(gameId, playerId, now = Date.now()) {
+    const gameState = this.games.get(gameId);
+    const player = gameState && getPlayerState(gameState, playerId);
+    if (!player || player.socketId || gameState.gameStatus !== 'playing') {
+      return null;
+    }
+
+    player.reconnectDeadline = now + this.getReconnectGraceSeconds(gameState.currency) * 1000;
+    this.saveGame(gameId);
+    return player.reconnectDeadline;
+  }
+
+  /**
+   * Check whether a disconnected player's grace period has run out
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player ID
+   * @param {number} now - Current time in ms
+   * @returns {boolean}
+   */
+  isReconnectExpired(gameId, playerId, now = Date.now()) {
+    const gameState = this.games.get(gameId);
+    const player = gameState && getPlayerState(gameState, playerId);
+    return Boolean(
+      player &&
+      gameState.gameStatus === 'playing' &&
+      !player.socketId &&
+      player.reconnectDeadline &&
+      player.reconnectDeadline <= now
+    );
+  }
+
+  /**
+   * Seat a reconnecting player on a new socket
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player ID
+   * @param {string} socketId - New socket ID
+   * @returns {object} - { success, gameState, playerId, position, error }
+   */
+  reconnectPlayer(gameId, playerId, socketId) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) {
+      return { success: false, error: 'Game not found' };
+    }
+    if (gameState.gameStatus === 'finished') {
+      return { success: false, error: 'Game is already finished' };
+    }
+    const position = gameState.player1.id === playerId ? 'player1' : gameState.player2.id === playerId ? 'player2' : null;
+    if (!position) {
+      return { success: false, error: 'Not a player in this game' };
+    }
+
+    gameState[position].socketId = socketId;
+    gameState[position].reconnectDeadline = null;
+    this.playerGames.set(playerId, gameId);
+    this.saveGame(gameId);
+
+    log.info('Player reconnected', { gameId, playerId, position });
+    return { success: true, gameState, playerId, position };
+  }
+
+  /**
+   * Seat a reconnecting player by the resume token of their seat
+   * @param {string} gameId - Game ID
+   * @param {string} resumeToken - Token from the player's own view of the game
+   * @param {string} socketId - New socket ID
+   * @param {string} sessionPlayerId - Player the socket is signed in as, if any; the seat has to be theirs
+   * @returns {object} - See reconnectPlayer
+   */
+  resumePlayer(gameId, resumeToken, socketId, sessionPlayerId = null) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) {
+      return { success: false, error: 'Game not found' };
+    }
+
+    const matches = token => typeof token === 'string' && typeof resumeToken === 'string' &&
+      token.length === resumeToken.length &&
+      crypto.timingSafeEqual(Buffer.from(token), Buffer.from(resumeToken));
+    const player = [gameState.player1, gameState.player2].find(p => p.id && matches(p.resumeToken));
+    if (!player) {
+      return { success: false, error: 'Invalid resume token' };
+    }
+    if (this.isWalletBanned(player.wallet || player.id)) {
+      return { success: false, error: 'Wallet is banned' };
+    }
+    if (sessionPlayerId && sessionPlayerId !== player.id) {
+      return { success: false, error: 'Resume token belongs to another player' };
+    }
+
+    return this.reconnectPlayer(gameId, player.id, socketId);
+  }
+
+  /**
+   * Look up a finished game one of its players wants to play again
+   * @param {string} gameId - Finished game ID
+   * @param {string} playerId - Player asking
+   * @returns {object} - { success, gameState, error }
+   */
+  getRematchGame(gameId, playerId) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) {
+      return { success: false, error: 'Game not found' };
+    }
+    if (gameState.gameStatus !== 'finished') {
+      return { success: false, error: 'Game is not finished' };
+    }
+    if (gameState.player1.id !== playerId && gameState.player2.id !== playerId) {
+      return { success: false, error: 'Not a player in this game' };
+    }
+    if (gameState.practice) {
+      return { success: false, error: 'Practice games cannot be rematched' };
+    }
+    if (gameState.tournament) {
+      return { success: false, error: 'Tournament games cannot be rematched' };
+    }
+    return { success: true, gameState };
+  }
+
+  /**
+   * Ask the opponent of a finished game for a rematch
+   * @param {string} gameId - Finished game ID
+   * @param {string} playerId - Player asking
+   * @param {number} now - Current time in ms
+   * @returns {object} - { success, gameState, rematch, error }
+   */
+  requestRematch(gameId, playerId, now = Date.now()) {
+    const check = this.getRematchGame(gameId, playerId);
+    if (!check.success) return check;
+
+    const { gameState } = check;
+    const { rematch } = gameState;
+    if (rematch && rematch.status === 'accepted') {
+      return { success: false, error: 'Rematch already started' };
+    }
+    if (rematch && rematch.status === 'pending' && rematch.expiresAt > now) {
+      return { success: false, error: 'A rematch has already been requested' };
+    }
+
+    gameState.rematch = {
+      requestedBy: playerId,
+      status: 'pending',
+      expiresAt: now + REMATCH_TIMEOUT_SECONDS * 1000,
+      gameId: null
+    };
+    this.saveGame(gameId);
+
+    log.info('Rematch requested', { gameId, playerId });
+    return { success: true, gameState, rematch: gameState.rematch };
+  }
+
+  /**
+   * Accept a rematch: a new game with the same stake, currency and format, positions swapped
+   * @param {string} gameId - Finished game ID
+   * @param {string} playerId - Player accepting (the one who didn't ask)
+   * @param {object} socketIds - Current socket ID of each player, by player ID
+   * @param {number} now - Current time in ms
+   * @returns {Promise<object>} - { success, gameId, gameState, previousGameId, error }
+   */
+  async acceptRematch(gameId, playerId, socketIds, now = Date.now()) {
+    const check = this.getRematchGame(gameId, playerId);
+    if (!check.success) return check;
+
+    const { gameState } = check;
+    const { rematch } = gameState;
+    if (!rematch || rematch.status !== 'pending') {
+      return { success: false, error: 'No rematch to accept' };
+    }
+    if (rematch.requestedBy === playerId) {
+      return { success: false, error: 'You cannot accept your own rematch request' };
+    }
+    if (rematch.expiresAt <= now) {
+      this.expireRematch(gameId, now);
+      return { success: false, error: 'Rematch request expired' };
+    }
+
+    // The old player2 creates the new game, so positions swap
+    const [creator, joiner] = [gameState.player2, gameState.player1];
+    for (const player of [creator, joiner]) {
+      if (!socketIds[player.id]) {
+        return { success: false, error: 'Both players must be connected' };
+      }
+      const current = this.getPlayerGame(player.id);
+      if (current && current.gameId !== gameId && current.gameStatus !== 'finished') {
+        return { success: false, error: 'A player is already in another game' };
+      }
+    }
+
+    // Claimed before the awaits below so a second accept can't start another game
+    rematch.status = 'accepted';
+    this.saveGame(gameId);
+
+    const format = { roundsToWin: gameState.roundsToWin, drawLimit: gameState.drawLimit, ruleSet: gameState.ruleSet };
+    const created = await this.createGame(
+      gameState.gameType,
+      gameState.stakeAmount,
+      gameState.currency,
+      creator.id,
+      socketIds[creator.id],
+      creator.wallet,
+      null,
+      format
+    );
+    const joined = created.success
+      ? await this.joinGame(created.gameId, joiner.id, socketIds[joiner.id], joiner.wallet)
+      : created;
+
+    if (!joined.success) {
+      if (created.success) {
+        this.discardPlaceholder({ playerId: creator.id, gameId: created.gameId });
+      }
+      rematch.status = 'failed';
+      this.saveGame(gameId);
+      return { success: false, error: joined.error };
+    }
+
+    rematch.gameId = created.gameId;
+    this.saveGame(gameId);
+
+    log.info('Rematch started', { gameId: created.gameId, previousGameId: gameId });
+    return { success: true, gameId: created.gameId, gameState: joined.gameState, previousGameId: gameId };
+  }
+
+  /**
+   * Turn down (or, for the player who asked, withdraw) a rematch request
+   * @param {string} gameId - Finished game ID
+   * @param {string} playerId - Player declining
+   * @returns {object} - { success, gameState, error }
+   */
+  declineRematch(gameId, playerId) {
+    const check = this.getRematchGame(gameId, playerId);
+    if (!check.success) return check;
+
+    const { gameState } = check;
+    if (!gameState.rematch || gameState.rematch.status !== 'pending') {
+      return { success: false, error: 'No rematch to decline' };
+    }
+
+    gameState.rematch.status = 'declined';
+    this.saveGame(gameId);
+    return { success: true, gameState };
+  }
+
+  /**
+   * Expire a rematch request nobody answered in time
+   * @param {string} gameId - Finished game ID
+   * @param {number} now - Current time in ms
+   * @returns {object|null} - The game state if its request just expired
+   */
+  expireRematch(gameId, now = Date.now()) {
+    const gameState = this.games.get(gameId);
+    if (!gameState || !gameState.rematch || gameState.rematch.status !== 'pending' || gameState.rematch.expiresAt > now) {
+      return null;
+    }
+
+    gameState.rematch.status = 'expired';
+    this.saveGame(gameId);
+    return gameState;
+  }
+
+  /**
+   * Mint an invite for a private game waiting for its second player, replacing any earlier invite
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Game creator
+   * @param {object} options - { targetWallet, ttlSeconds, inviteOnly } (see resolveInviteOptions)
+   * @param {number} now - Current time in ms
+   * @returns {object} - { success, gameState, invite, error }
+   */
+  createInvite(gameId, playerId, options = {}, now = Date.now()) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) {
+      return { success: false, error: 'Game not found' };
+    }
+    if (!isGameCreator(gameState, playerId)) {
+      return { success: false, error: 'Only the game creator can invite' };
+    }
+    if (gameState.gameType !== 'private' || gameState.tournament) {
+      return { success: false, error: 'Only private games have invites' };
+    }
+    if (gameState.gameStatus !== 'waiting_for_player') {
+      return { success: false, error: 'Game is no longer waiting for a player' };
+    }
+
+    let resolved;
+    try {
+      resolved = resolveInviteOptions(options);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    let code = createInviteCode();
+    while (this.findGameByInviteCode(code)) {
+      code = createInviteCode();
+    }
+
+    gameState.invite = {
+      code,
+      targetWallet: resolved.targetWallet,
+      expiresAt: now + resolved.ttlSeconds * 1000,
+      status: 'active',
+      usedBy: null
+    };
+    gameState.inviteOnly = resolved.inviteOnly;
+    this.saveGame(gameId);
+
+    log.info('Invite created', { gameId, playerId, targetWallet: resolved.targetWallet, inviteOnly: resolved.inviteOnly });
+    return { success: true, gameState, invite: gameState.invite };
+  }
+
+  /**
+   * Find the game an invite code belongs to
+   * @param {string} inviteCode - Code as entered
+   * @returns {object|null} - Game state
+   */
+  findGameByInviteCode(inviteCode) {
+    const code = normalizeInviteCode(inviteCode);
+    if (!code) {
+      return null;
+    }
+    for (const gameState of this.games.values()) {
+      if (gameState.invite && gameState.invite.code === code) {
+        return gameState;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find a game by its ID or by one of its invite codes
+   * @param {string} gameIdOrCode - Game ID or invite code
+   * @returns {object} - { gameState, inviteCode } (gameState is null if nothing matches)
+   */
+  resolveJoinTarget(gameIdOrCode) {
+    const gameState = this.games.get(gameIdOrCode);
+    if (gameState) {
+      return { gameState, inviteCode: null };
+    }
+    const invited = this.findGameByInviteCode(gameIdOrCode);
+    return { gameState: invited, inviteCode: invited ? invited.invite.code : null };
+  }
+
+  /**
+   * Check that a player may take the open seat of a game with an invite
+   * Invite-only games need the code; an invite locked to a wallet admits only that wallet either way.
+   * @param {object} gameState - Game state
+   * @param {string} playerId - Player joining
+   * @param {string} walletAddress - Player's wallet
+   * @param {string} inviteCode - Code the player gave, if any
+   * @param {number} now - Current time in ms
+   * @returns {object} - { success, error }
+   */
+  checkInvite(gameState, playerId, walletAddress, inviteCode = null, now = Date.now()) {
+    const { invite } = gameState;
+    // The creator and players already seated don't need the invite
+    if (!invite || isGameCreator(gameState, playerId) || (playerId && gameState.player2.id === playerId)) {
+      return { success: true };
+    }
+
+    const code = inviteCode ? normalizeInviteCode(inviteCode) : null;
+    if (inviteCode && code !== invite.code) {
+      return { success: false, error: 'Invalid invite code' };
+    }
+    if (!code && gameState.inviteOnly) {
+      return { success: false, error: 'This game can only be joined with an invite code' };
+    }
+    if (invite.status === 'used') {
+      return { success: false, error: 'Invite has already been used' };
+    }
+    if (invite.status === 'revoked' || invite.status === 'declined') {
+      return { success: false, error: 'Invite was revoked' };
+    }
+    if (invite.status === 'expired' || invite.expiresAt <= now) {
+      return { success: false, error: 'Invite has expired' };
+    }
+    if (invite.targetWallet && (walletAddress || playerId) !== invite.targetWallet) {
+      return { success: false, error: 'This invite is for another wallet' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Revoke a game's invite: as its creator, or by declining an invite locked to your wallet
+   * The game keeps waiting (the creator can mint a new invite) until the revoked invite would have lapsed.
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Creator revoking, or invited wallet declining
+   * @returns {object} - { success, gameState, error }
+   */
+  revokeInvite(gameId, playerId) {
+    const gameState = this.games.get(gameId);
+    if (!gameState || !gameState.invite) {
+      return { success: false, error: 'Invite not found' };
+    }
+
+    const { invite } = gameState;
+    const isCreator = isGameCreator(gameState, playerId);
+    if (!isCreator && invite.targetWallet !== playerId) {
+      return { success: false, error: 'Only the game creator can revoke the invite' };
+    }
+    if (invite.status !== 'active') {
+      return { success: false, error: `Invite is already ${invite.status}` };
+    }
+
+    invite.status = isCreator ? 'revoked' : 'declined';
+    this.saveGame(gameId);
+    return { success: true, gameState };
+  }
+
+  /**
+   * Cancel private games still waiting for a player once their invite lapses, refunding a SOL creator's escrow
+   * @param {number} now - Current time in ms
+   * @returns {Array} - [{ gameId, gameState, refund }] of the cancelled games
+   */
+  expireInvites(now = Date.now()) {
+    const cancelled = [];
+    for (const [gameId, gameState] of this.games.entries()) {
+      const { invite } = gameState;
+      if (!invite || invite.status === 'used' || invite.status === 'expired' || invite.expiresAt > now) continue;
+      if (gameState.gameStatus !== 'waiting_for_player') continue;
+
+      invite.status = 'expired';
+      // Points stakes are only settled when a game ends, so just the SOL escrow has anything to give back
+      const result = this.cancelUnfundedGame(gameId, {
+        refundCreator: gameState.currency === 'sol',
+        reason: 'Invite expired'
+      });
+      cancelled.push({ gameId, gameState, refund: result.refund });
+    }
+    return cancelled;
+  }
+
+  /**
+   * Look up a game a player wants to chat in
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player chatting
+   * @returns {object} - { success, gameState, opponent, error }
+   */
+  getChatGame(gameId, playerId) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) {
+      return { success: false, error: 'Game not found' };
+    }
+    if (gameState.player1.id !== playerId && gameState.player2.id !== playerId) {
+      return { success: false, error: 'Not a player in this game' };
+    }
+    if (gameState.practice) {
+      return { success: false, error: 'Chat is not available in practice games' };
+    }
+    const opponent = gameState.player1.id === playerId ? gameState.player2 : gameState.player1;
+    if (!opponent.id) {
+      return { success: false, error: 'No opponent to chat with yet' };
+    }
+    return { success: true, gameState, opponent };
+  }
+
+  /**
+   * Post a chat message or an emote to a game
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Sender
+   * @param {string} socketId - Sender's socket (rate limits are per socket)
+   * @param {object} content - { text } or { emote }
+   * @param {number} now - Current time in ms
+   * @returns {object} - { success, gameState, message, error }
+   */
+  sendChat(gameId, playerId, socketId, content, now = Date.now()) {
+    const check = this.getChatGame(gameId, playerId);
+    if (!check.success) return check;
+
+    const result = this.chat.post(gameId, playerId, socketId, content, now);
+    if (!result.success) return result;
+    return { success: true, gameState: check.gameState, message: result.message };
+  }
+
+  /**
+   * Chat messages a player can catch up on, oldest first
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player reading
+   * @returns {Array}
+   */
+  getChatHistory(gameId, playerId) {
+    return this.chat.getHistory(gameId, playerId);
+  }
+
+  /**
+   * Mute or unmute the opponent's chat; mutes are recorded against the opponent's wallet
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player muting
+   * @param {boolean} muted - Mute (true) or unmute (false)
+   * @returns {Promise<object>} - { success, gameState, playerId (the opponent), error }
+   */
+  async setChatMute(gameId, playerId, muted) {
+    const check = this.getChatGame(gameId, playerId);
+    if (!check.success) return check;
+
+    const { gameState, opponent } = check;
+    const changed = this.chat.setMuted(gameId, playerId, opponent.id, muted);
+    if (changed && muted) {
+      await databaseService.recordChatModeration({
+        action: 'mute',
+        wallet: opponent.wallet || opponent.id,
+        reportedBy: playerId,
+        gameId
+      });
+    }
+    return { success: true, gameState, playerId: opponent.id };
+  }
+
+  /**
+   * Report an opponent's chat message; the report is recorded against the sender's wallet
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player reporting
+   * @param {number} messageId - Reported message (must still be in the buffer)
+   * @param {string} reason - Optional reason given by the reporter
+   * @returns {Promise<object>} - { success, gameState, message, error }
+   */
+  async reportChatMessage(gameId, playerId, messageId, reason = null) {
+    const check = this.getChatGame(gameId, playerId);
+    if (!check.success) return check;
+
+    const message = this.chat.getMessage(gameId, messageId);
+    if (!message) {
+      return { success: false, error: 'Message not found' };
+    }
+    if (message.playerId === playerId) {
+      return { success: false, error: 'You cannot report your own message' };
+    }
+
+    const { gameState, opponent } = check;
+    await databaseService.recordChatModeration({
+      action: 'report',
+      wallet: opponent.wallet || opponent.id,
+      reportedBy: playerId,
+      gameId,
+      message,
+      reason: typeof reason === 'string' ? reason.slice(0, CHAT_MAX_LENGTH) : null
+    });
+    log.info('Chat message reported', { gameId, playerId, messageId });
+    return { success: true, gameState, message };
+  }
+
+  /**
+   * Ban a wallet from signing in; a search it has running is cancelled
+   * Banning an already banned wallet updates the reason
+   * @param {string} wallet - Wallet address (doubles as the player ID)
+   * @param {object} details - { reason, bannedBy }
+   * @returns {object} - Result with the ban and the cancelled queue entry (or null)
+   */
+  banWallet(wallet, { reason = null, bannedBy = null } = {}) {
+    const ban = { wallet, reason, bannedBy, bannedAt: new Date().toISOString() };
+    this.bannedWallets.set(wallet, ban);
+    const cancelledSearch = this.cancelMatchmaking(wallet);
+
+    log.warn('Wallet banned', { wallet, reason, bannedBy });
+    return { success: true, ban, cancelledSearch };
+  }
+
+  /**
+   * Lift a wallet's ban
+   * @param {string} wallet - Wallet address
+   * @returns {object} - Result with the lifted ban
+   */
+  unbanWallet(wallet) {
+    const ban = this.bannedWallets.get(wallet);
+    if (!ban) {
+      return { success: false, error: 'Wallet is not banned' };
+    }
+
+    this.bannedWallets.delete(wallet);
+    log.warn('Wallet unbanned', { wallet });
+    return { success: true, ban };
+  }
+
+  /**
+   * @param {string} wallet - Wallet address
+   * @returns {boolean} - True if the wallet is banned
+   */
+  isWalletBanned(wallet) {
+    return Boolean(wallet) && this.bannedWallets.has(wallet);
+  }
+
+  /**
+   * @returns {object[]} - Bans, newest first
+   */
+  listBans() {
+    return Array.from(this.bannedWallets.values()).sort((a, b) => b.bannedAt.localeCompare(a.bannedAt));
+  }
+
   /**
    * Remove a player from their current game and clean up
    * @param {string} playerId - Player to remove
@@ -715,10 +2010,8 @@ class GameManager {
    */
   removePlayer(playerId) {
     // Remove from matchmaking queue if present
-    const queueIndex = this.publicQueue.findIndex(p => p.playerId === playerId);
-    if (queueIndex !== -1) {
-      this.publicQueue.splice(queueIndex, 1);
-      console.log(`Removed player ${playerId} from matchmaking queue`);
+    if (this.matchmaker.remove(playerId)) {
+      log.debug('Removed player from matchmaking queue', { playerId });
     }
 
     const gameId = this.playerGames.get(playerId);
@@ -733,6 +2026,19 @@ class GameManager {
       return { success: false, error: 'Game not found' };
     }
 
+    // A finished game keeps its seats: settlement, history and restart recovery read both wallets from them
+    if (gameState.gameStatus === 'finished') {
+      this.playerGames.delete(playerId);
+      this.getBotPlayers(gameState).forEach(bot => this.playerGames.delete(bot.id));
+      return { success: true, gameId, gameState, refund: null };
+    }
+
+    // Before anyone joins only the creator has a stake in escrow - note it before the seat is cleared
+    const solRefundWallet =
+      gameState.currency === 'sol' && gameState.gameStatus === 'waiting_for_player' && gameState.player1.id === playerId
+        ? gameState.player1.wallet
+        : null;
+
     // Remove player from game
     if (gameState.player1.id === playerId) {
       gameState.player1 = {
@@ -740,6 +2046,8 @@ class GameManager {
         socketId: null,
         wallet: null,
         wins: 0,
+        clientSeed: null,
+        moveCommitment: null,
         currentMove: null,
         stakeDeposited: false
       };
@@ -749,6 +2057,8 @@ class GameManager {
         socketId: null,
         wallet: null,
         wins: 0,
+        clientSeed: null,
+        moveCommitment: null,
         currentMove: null,
         stakeDeposited: false
       };
@@ -760,49 +2070,131 @@ class GameManager {
     // Handle different game states
     if (!gameState.player1.id && !gameState.player2.id) {
       gameState.gameStatus = 'finished';
-      console.log(`Game ${gameId} marked for cleanup - no players remaining`);
+      log.info('Game marked for cleanup, no players remaining', { gameId });
     } else if (gameState.gameStatus === 'playing') {
       // If game was active, end it with remaining player as winner
       const remainingPlayer = gameState.player1.id || gameState.player2.id;
       gameState.gameStatus = 'finished';
       gameState.winner = remainingPlayer;
-      console.log(`Game ${gameId} ended - ${remainingPlayer} wins by forfeit`);
+      log.info('Game ended by forfeit', { gameId, playerId, winnerId: remainingPlayer });
     } else if (gameState.gameStatus === 'waiting_for_player') {
       // Game hasn't started yet - process refund for the quitting player
-      console.log(`Player ${playerId} quit before game started - processing refund`);
+      log.info('Player quit before the game started', { gameId, playerId });
       
-      // Process refund based on currency type
-      if (gameState.currency === 'points') {
+      // Process refund based on currency type (practice and tournament games have no stake)
+      if (gameState.currency === 'points' && !gameState.practice && !gameState.tournament) {
         // For points games, refund the stake amount
         this.processPointsRefund(gameId, playerId, gameState.stakeAmount);
-      } else if (gameState.currency === 'sol') {
-        // For SOL games, handle on-chain refund
-        console.log(`SOL game refund needed for player ${playerId} - stake: ${gameState.stakeAmount}`);
-        
-        // Get player wallet from game state
-        let playerWallet = null;
-        if (gameState.player1.id === playerId) {
-          playerWallet = gameState.player1.wallet;
-        } else if (gameState.player2.id === playerId) {
-          playerWallet = gameState.player2.wallet;
-        }
-        
-        if (playerWallet) {
-          const { refundSolBeforeStart } = require('../services/autoFinalizationService');
-          refundSolBeforeStart(gameId, playerWallet, gameState.stakeAmount).catch(err => {
-            console.error('Failed to process SOL refund:', err);
-          });
-        }
       }
     }
 
+    let refund = null;
+    if (solRefundWallet) {
+      refund = this.requestSolRefund(gameId, gameState, playerId, solRefundWallet);
+    }
+
+    // Bots don't leave on their own - free them once the game is over
+    if (gameState.gameStatus === 'finished') {
+      this.getBotPlayers(gameState).forEach(bot => this.playerGames.delete(bot.id));
+    }
+
+    this.saveGame(gameId);
+
     return {
       success: true,
       gameId,
-      gameState
+      gameState,
+      refund
     };
   }
 
+  /**
+   * Queue the on-chain refund of a creator's stake for a SOL game cancelled before it started
+   * @param {string} gameId - Game ID
+   * @param {object} gameState - Game state
+   * @param {string} playerId - Creator's player ID
+   * @param {string} playerWallet - Creator's wallet
+   * @returns {object} - Refund job
+   */
+  requestSolRefund(gameId, gameState, playerId, playerWallet) {
+    log.info('Queueing SOL refund', { gameId, playerId, playerWallet, stakeAmount: gameState.stakeAmount });
+
+    const job = this.refundQueue.enqueue({
+      gameId,
+      playerId,
+      playerWallet,
+      stakeAmount: gameState.stakeAmount,
+      startedAt: gameState.createdAt
+    });
+
+    this.refundQueue.processJob(gameId).catch(error => {
+      log.error('SOL refund crashed', { gameId, err: error });
+    });
+
+    return job;
+  }
+
+  /**
+   * Cancel a SOL game whose stakes never (all) landed on-chain
+   * Nobody wins and nothing is settled; when the creator's stake is in escrow it is refunded through cancel_game
+   * @param {string} gameId - Game ID
+   * @param {object} options - { refundCreator, reason }
+   * @returns {object} - Result with the refund job (or null)
+   */
+  cancelUnfundedGame(gameId, { refundCreator = false, reason = 'Deposit timeout' } = {}) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) {
+      return { success: false, error: 'Game not found' };
+    }
+
+    gameState.gameStatus = 'finished';
+    gameState.winner = null;
+    gameState.cancelReason = reason;
+
+    for (const player of [gameState.player1, gameState.player2]) {
+      if (player.id && this.playerGames.get(player.id) === gameId) {
+        this.playerGames.delete(player.id);
+      }
+    }
+
+    let refund = null;
+    if (refundCreator && gameState.player1.wallet) {
+      refund = this.requestSolRefund(gameId, gameState, gameState.player1.id, gameState.player1.wallet);
+    }
+
+    this.saveGame(gameId);
+    log.info('Game cancelled', { gameId, reason, refundCreator: Boolean(refund) });
+
+    return { success: true, gameId, gameState, refund };
+  }
+
+  /**
+   * End a game in progress with a winner chosen by an operator (e.g. a game stuck on a lost reveal)
+   * Settlement runs as for any finished game, through processGameCompletion
+   * @param {string} gameId - Game ID
+   * @param {string} winnerPosition - 'player1' or 'player2'
+   * @returns {object} - Result with the finished game state
+   */
+  forceFinishGame(gameId, winnerPosition) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) {
+      return { success: false, error: 'Game not found' };
+    }
+    if (winnerPosition !== 'player1' && winnerPosition !== 'player2') {
+      return { success: false, error: 'Winner must be player1 or player2' };
+    }
+    if (gameState.gameStatus !== 'playing') {
+      return { success: false, error: 'Only games in progress can be force-finished' };
+    }
+
+    gameState.gameStatus = 'finished';
+    gameState.winner = gameState[winnerPosition].id;
+    this.saveGame(gameId);
+
+    log.warn('Game force-finished', { gameId, winner: gameState.winner, winnerPosition });
+    return { success: true, gameId, gameState };
+  }
+
   /**
    * Process points refund for player who quit before game started
    * @param {string} gameId - Game ID
@@ -813,7 +2205,7 @@ class GameManager {
     try {
       const gameState = this.games.get(gameId);
       if (!gameState) {
-        console.error(`Game ${gameId} not found for refund processing`);
+        log.error('Game not found for points refund', { gameId, playerId });
         return;
       }
 
@@ -826,22 +2218,20 @@ class GameManager {
       }
 
       if (!playerWallet) {
-        console.error(`Player ${playerId} wallet not found for refund`);
+        log.error('Player wallet not found for points refund', { gameId, playerId });
         return;
       }
 
-      console.log(`Processing points refund: ${stakeAmount} points to ${playerWallet}`);
-
       // Refund the points to the player
       const refundResult = await databaseService.refundPoints(playerWallet, stakeAmount, gameId);
       
       if (refundResult.success) {
-        console.log(`Points refund successful: ${stakeAmount} points returned to ${playerWallet}`);
+        log.info('Points refunded', { gameId, playerId, playerWallet, stakeAmount });
       } else {
-        console.error(`Points refund failed:`, refundResult.error);
+        log.error('Points refund failed', { gameId, playerId, playerWallet, stakeAmount, error: refundResult.error });
       }
     } catch (error) {
-      console.error('Error processing points refund:', error);
+      log.error('Points refund failed', { gameId, playerId, err: error });
     }
   }
 
@@ -875,7 +2265,7 @@ class GameManager {
     for (const [gameId, gameState] of this.games.entries()) {
       const gameAge = now - new Date(gameState.createdAt);
       
-      if (gameState.gameStatus === 'finished' && gameAge > maxAge) {
+      if (gameState.gameStatus === 'finished' && gameAge > maxAge && !this.isUnsettledSolGame(gameState)) {
         gamesToRemove.push(gameId);
         
         // Remove players from playerGames map
@@ -888,11 +2278,90 @@ class GameManager {
       }
     }
 
-    gamesToRemove.forEach(gameId => this.games.delete(gameId));
+    gamesToRemove.forEach(gameId => {
+      this.games.delete(gameId);
+      this.metricStatuses.delete(gameId);
+      this.spectators.delete(gameId);
+      this.chat.clearGame(gameId);
+    });
     
     return { removed: gamesToRemove.length };
   }
 
+  /**
+   * Check whether a finished SOL game still owes the winner a payout
+   * @param {object} gameState - Game state
+   * @returns {boolean}
+   */
+  isUnsettledSolGame(gameState) {
+    return (
+      gameState.currency === 'sol' &&
+      gameState.gameStatus === 'finished' &&
+      Boolean(gameState.winner) &&
+      Boolean(gameState.player1.id && gameState.player2.id) &&
+      gameState.settlementStatus !== 'settled'
+    );
+  }
+
+  /**
+   * Hand a finished SOL game's payout to the settlement queue
+   * @param {string} gameId - Game ID
+   * @param {object} gameState - Finished game state
+   * @param {string} gameWinner - 'player1' or 'player2'
+   * @returns {object} - Settlement job
+   */
+  enqueueSettlement(gameId, gameState, gameWinner) {
+    const gameLoser = gameWinner === 'player1' ? 'player2' : 'player1';
+
+    return this.settlementQueue.enqueue({
+      gameId,
+      winnerWallet: gameState[gameWinner].wallet,
+      loserWallet: gameState[gameLoser].wallet,
+      stakeAmount: gameState.stakeAmount
+    });
+  }
+
+  /**
+   * Record the outcome of a settlement job on its game
+   * @param {string} gameId - Game ID
+   * @param {string} status - 'settled' or 'failed'
+   */
+  setSettlementStatus(gameId, status) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) return;
+
+    gameState.settlementStatus = status;
+    this.saveGame(gameId);
+  }
+
+  /**
+   * Re-queue settlement for finished SOL games that never got paid out (e.g. after a crash)
+   * Games whose completion never ran are processed in full; otherwise the settlement job is
+   * (re-)created and left to the queue poller, which resumes at its first unfinished step
+   * @returns {Promise<number>} - Number of games re-queued
+   */
+  async resumeUnsettledGames() {
+    const unsettled = Array.from(this.games.entries()).filter(([, gameState]) => this.isUnsettledSolGame(gameState));
+
+    if (unsettled.length > 0) {
+      log.info('Re-queuing settlement for unsettled SOL games', { count: unsettled.length });
+    }
+
+    for (const [gameId, gameState] of unsettled) {
+      const gameWinner = gameState.winner === gameState.player1.id ? 'player1' : 'player2';
+
+      if (!gameState.completionProcessed) {
+        gameState.processed = true;
+        await this.processGameCompletion(gameId, gameState, { gameWinner, gameFinished: true });
+        continue;
+      }
+
+      this.enqueueSettlement(gameId, gameState, gameWinner);
+    }
+
+    return unsettled.length;
+  }
+
   /**
    * Process a round directly (used for auto-processing when time runs out)
    * @param {string} gameId - Game ID
@@ -912,7 +2381,7 @@ class GameManager {
     try {
       const { processRound } = require('./gameLogic');
       const { gameState: updatedState, roundComplete, roundResult } = processRound(gameState);
-      this.games.set(gameId, updatedState);
+      this.storeGame(gameId, updatedState);
 
       return {
         success: true,
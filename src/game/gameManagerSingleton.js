@@ -4,9 +4,10 @@
  */
 
 const GameManager = require('./gameManager');
+const { createStateStore } = require('../services/stateStore');
 
-// Create single instance
-const gameManagerInstance = new GameManager();
+// Create single instance, backed by the configured state store (STATE_STORE / STATE_FILE)
+const gameManagerInstance = new GameManager(createStateStore());
 
 // Export the singleton instance
 module.exports = gameManagerInstance; 
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * Game State Projections
+ * Builds sanitized, per-recipient views of a GameManager state object.
+ * Socket IDs, internal processing flags, unrevealed moves and the unfinished game's server seed never leave the server;
+ * resume tokens only go to the player they belong to, and invite codes only to the game creator.
+ */
+
+const { isGameCreator } = require('./invites');
+
+/**
+ * Check whether the current round has been resolved (both moves public)
+ * @param {object} gameState - Raw game state
+ * @returns {boolean}
+ */
+function isCurrentRoundResolved(gameState) {
+  if (gameState.gameStatus === 'finished') {
+    return true;
+  }
+  const lastRound = gameState.moveHistory[gameState.moveHistory.length - 1];
+  return Boolean(lastRound && lastRound.round === gameState.currentRound);
+}
+
+/**
+ * Project a single player slot
+ * @param {object} player - Raw player1/player2 state
+ * @param {object} options - { isSelf, roundResolved }
+ * @returns {object} - Sanitized player view
+ */
+function projectPlayer(player, { isSelf, roundResolved }) {
+  const view = {
+    id: player.id,
+    wins: player.wins,
+    connected: Boolean(player.socketId || player.bot),
+    reconnectDeadline: player.reconnectDeadline || null,
+    isBot: Boolean(player.bot),
+    clientSeed: player.clientSeed,
+    hasCommitted: Boolean(player.moveCommitment || player.currentMove),
+    stakeDeposited: Boolean(player.stakeDeposited),
+    currentMove: isSelf || roundResolved ? player.currentMove : null
+  };
+
+  if (isSelf) {
+    view.wallet = player.wallet;
+    view.resumeToken = player.resumeToken;
+  }
+
+  return view;
+}
+
+/**
+ * Build the view of a game for one recipient
+ * Players see their own move and wallet; the opponent's move stays hidden until the round resolves.
+ * Anyone else gets the spectator view.
+ * @param {object} gameState - Raw game state
+ * @param {string|null} viewerId - Player ID of the recipient (null for spectators)
+ * @returns {object|null} - Sanitized game view
+ */
+function projectGameState(gameState, viewerId = null) {
+  if (!gameState) {
+    return null;
+  }
+
+  const roundResolved = isCurrentRoundResolved(gameState);
+  let position = null;
+  if (viewerId && gameState.player1.id === viewerId) {
+    position = 'player1';
+  } else if (viewerId && gameState.player2.id === viewerId) {
+    position = 'player2';
+  }
+
+  return {
+    gameId: gameState.gameId,
+    gameType: gameState.gameType,
+    currency: gameState.currency,
+    practice: Boolean(gameState.practice),
+    tournament: gameState.tournament
+      ? { tournamentId: gameState.tournament.tournamentId, matchId: gameState.tournament.matchId }
+      : null,
+    ruleSet: gameState.ruleSet,
+    stakeAmount: gameState.stakeAmount,
+    totalPot: gameState.totalPot,
+    platformFee: gameState.platformFee,
+    winnerPayout: gameState.winnerPayout,
+    roundsToWin: gameState.roundsToWin,
+    drawLimit: gameState.drawLimit,
+    consecutiveDraws: gameState.consecutiveDraws,
+    suddenDeath: gameState.suddenDeath,
+    serverSeedHash: gameState.serverSeedHash,
+    // The seed behind timeout moves is only published once nothing is left to derive from it
+    serverSeed: gameState.gameStatus === 'finished' ? gameState.serverSeed : null,
+    gameStatus: gameState.gameStatus,
+    currentRound: gameState.currentRound,
+    roundPhase: gameState.roundPhase,
+    player1: projectPlayer(gameState.player1, { isSelf: position === 'player1', roundResolved }),
+    player2: projectPlayer(gameState.player2, { isSelf: position === 'player2', roundResolved }),
+    winner: gameState.winner,
+    spectatorCount: gameState.spectatorCount || 0,
+    rematch: gameState.rematch ? { ...gameState.rematch } : null,
+    // The invite code is the creator's to hand out; everyone else only learns whether one is needed
+    invite: gameState.invite && isGameCreator(gameState, viewerId) ? { ...gameState.invite } : null,
+    inviteOnly: Boolean(gameState.invite && gameState.inviteOnly),
+    moveHistory: gameState.moveHistory.map(round => ({ ...round })),
+    createdAt: gameState.createdAt,
+    viewer: position || 'spectator'
+  };
+}
+
+/**
+ * Build the player view of a game
+ * @param {object} gameState - Raw game state
+ * @param {string} playerId - Recipient player ID
+ * @returns {object|null} - Sanitized game view
+ */
+function projectForPlayer(gameState, playerId) {
+  return projectGameState(gameState, playerId);
+}
+
+/**
+ * Build the spectator (public) view of a game
+ * @param {object} gameState - Raw game state
+ * @returns {object|null} - Sanitized game view
+ */
+function projectForSpectator(gameState) {
+  return projectGameState(gameState, null);
+}
+
+/**
+ * Replace the raw gameState in a result/payload object with a projected view
+ * @param {object} payload - Object that may carry a raw gameState
+ * @param {string|null} viewerId - Recipient player ID
+ * @returns {object} - Payload safe to send to the recipient
+ */
+function projectPayload(payload, viewerId = null) {
+  if (!payload || !payload.gameState) {
+    return payload;
+  }
+  return {
+    ...payload,
+    gameState: projectGameState(payload.gameState, viewerId)
+  };
+}
+
+module.exports = {
+  isCurrentRoundResolved,
+  projectGameState,
+  projectForPlayer,
+  projectForSpectator,
+  projectPayload
+};
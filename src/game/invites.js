@@ -0,0 +1,88 @@
+/**
+ * Private Game Invites
+ * Short invite codes for private games, optionally locked to one wallet
+ *
+ * Codes use an alphabet without look-alike characters (0/O, 1/I/L, U/V), so they can be read out and typed.
+ * Input is upper-cased and spaces and dashes are dropped, so "abcd-efgh" matches "ABCDEFGH".
+ */
+
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const {
+  INVITE_CODE_LENGTH,
+  INVITE_TTL_SECONDS,
+  INVITE_MIN_TTL_SECONDS,
+  INVITE_MAX_TTL_SECONDS
+} = require('../utils/constants');
+
+const INVITE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTWXYZ';
+
+/**
+ * Create a random invite code
+ * @returns {string} - INVITE_CODE_LENGTH characters from INVITE_ALPHABET
+ */
+function createInviteCode() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Bring a typed invite code to its canonical form
+ * @param {string} input - Code as entered
+ * @returns {string|null} - Canonical code, or null if it can't be an invite code
+ */
+function normalizeInviteCode(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+  const code = input.toUpperCase().replace(/[\s-]/g, '');
+  if (code.length !== INVITE_CODE_LENGTH || [...code].some(char => !INVITE_ALPHABET.includes(char))) {
+    return null;
+  }
+  return code;
+}
+
+/**
+ * Validate invite options and fill in defaults
+ * @param {object} options - { targetWallet, ttlSeconds, inviteOnly }
+ * @returns {object} - { targetWallet, ttlSeconds, inviteOnly }
+ * @throws {Error} - If the wallet or lifetime is invalid
+ */
+function resolveInviteOptions({ targetWallet = null, ttlSeconds = null, inviteOnly = true } = {}) {
+  let wallet = null;
+  if (targetWallet) {
+    try {
+      wallet = new PublicKey(targetWallet).toBase58();
+    } catch (error) {
+      throw new Error('Invalid invite wallet address');
+    }
+  }
+
+  const ttl = ttlSeconds ?? INVITE_TTL_SECONDS;
+  if (!Number.isInteger(ttl) || ttl < INVITE_MIN_TTL_SECONDS || ttl > INVITE_MAX_TTL_SECONDS) {
+    throw new Error(`Invite lifetime must be ${INVITE_MIN_TTL_SECONDS}-${INVITE_MAX_TTL_SECONDS} seconds`);
+  }
+
+  return { targetWallet: wallet, ttlSeconds: ttl, inviteOnly: inviteOnly !== false };
+}
+
+/**
+ * Check whether a player created a game (games created over HTTP have no seated creator until they join)
+ * @param {object} gameState - Game state
+ * @param {string} playerId - Player ID
+ * @returns {boolean}
+ */
+function isGameCreator(gameState, playerId) {
+  return Boolean(playerId) && (gameState.createdBy || gameState.player1.id) === playerId;
+}
+
+module.exports = {
+  INVITE_ALPHABET,
+  createInviteCode,
+  normalizeInviteCode,
+  resolveInviteOptions,
+  isGameCreator
+};
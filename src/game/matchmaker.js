@@ -0,0 +1,272 @@
+/**
+ * Matchmaker
+ * Owns the public matchmaking queue: who is searching, for how long, and who gets paired with whom
+ *
+ * Each entry points at the placeholder game its player waits in. Pairing takes the chosen entry out of the
+ * queue in the same synchronous step that picks it, so a queued player can never be handed to two games.
+ * Its placeholder stays claimed (ownsGame) until the caller either release()s it after the join or
+ * restore()s the entry because the join failed. Entries expire after MATCHMAKING_TIMEOUT_MS.
+ */
+
+const { MemoryStateStore } = require('../services/stateStore');
+const { isSameMatchFormat } = require('./gameLogic');
+const { pickClosestOpponent } = require('./rating');
+const { DEFAULT_RATING, MATCHMAKING_TIMEOUT_MS } = require('../utils/constants');
+const { metrics } = require('../utils/metrics');
+
+const WAIT_SAMPLES_PER_TIER = 20; // Recent waits kept per stake tier for the estimate
+
+/**
+ * Key of the stake tier an entry searches in
+ * @param {object} entry - { currency, stakeAmount }
+ * @returns {string} - e.g. 'points:100' or 'sol:0.1'
+ */
+function getStakeTier({ currency, stakeAmount }) {
+  return `${currency}:${stakeAmount}`;
+}
+
+class Matchmaker {
+  /**
+   * @param {object} stateStore - State store the queue is persisted in
+   * @param {object} options - { timeoutMs }
+   */
+  constructor(stateStore = new MemoryStateStore(), options = {}) {
+    this.stateStore = stateStore;
+    this.timeoutMs = options.timeoutMs ?? MATCHMAKING_TIMEOUT_MS;
+    this.queue = stateStore.get('queues', 'public') || [];
+    this.recentWaits = new Map(); // stake tier -> ms waited by recently matched players, newest last
+    this.claimed = new Set(); // Placeholder gameIds of entries taken for a pairing that is still joining
+  }
+
+  /**
+   * Persist the queue and publish its length
+   */
+  save() {
+    this.stateStore.set('queues', 'public', this.queue);
+    for (const currency of ['points', 'sol']) {
+      metrics.queueLength.set({ currency }, this.queue.filter(entry => entry.currency === currency).length);
+    }
+  }
+
+  /**
+   * Add a player to the queue, replacing any entry they already had
+   * @param {object} entry - { playerId, socketId, gameId, stakeAmount, currency, roundsToWin, drawLimit, ruleSet, walletAddress, rating }
+   * @returns {object} - The stored entry
+   */
+  enqueue(entry) {
+    this.queue = this.queue.filter(p => p.playerId !== entry.playerId);
+    const stored = { ...entry, queuedAt: entry.queuedAt ?? Date.now() };
+    this.queue.push(stored);
+    this.save();
+    return stored;
+  }
+
+  /**
+   * Put back an entry whose pairing fell through, keeping its place
+   * @param {object} entry - Entry taken by claimOpponent/claimPairs
+   */
+  restore(entry) {
+    this.claimed.delete(entry.gameId);
+    if (!this.get(entry.playerId)) {
+      this.queue.push(entry);
+      this.queue.sort((a, b) => a.queuedAt - b.queuedAt);
+      this.save();
+    }
+  }
+
+  /**
+   * Finish a pairing: the claimed placeholder has been joined or discarded
+   * @param {object} entry - Entry taken by claimOpponent/claimPairs
+   */
+  release(entry) {
+    this.claimed.delete(entry.gameId);
+  }
+
+  /**
+   * Remove a player's entry
+   * @param {string} playerId - Player ID
+   * @returns {object|null} - Removed entry
+   */
+  remove(playerId) {
+    const entry = this.get(playerId);
+    if (entry) {
+      this.queue = this.queue.filter(p => p !== entry);
+      this.save();
+    }
+    return entry;
+  }
+
+  /**
+   * Remove the entry waiting in a placeholder game
+   * @param {string} gameId - Placeholder game ID
+   * @returns {object|null} - Removed entry
+   */
+  removeByGame(gameId) {
+    const entry = this.queue.find(p => p.gameId === gameId);
+    return entry ? this.remove(entry.playerId) : null;
+  }
+
+  /**
+   * Empty the queue (sockets are gone after a restart)
+   * @returns {object[]} - Removed entries
+   */
+  clear() {
+    const entries = this.queue;
+    this.queue = [];
+    this.claimed.clear();
+    this.save();
+    return entries;
+  }
+
+  /**
+   * @param {string} playerId - Player ID
+   * @returns {object|null} - The player's entry
+   */
+  get(playerId) {
+    return this.queue.find(p => p.playerId === playerId) || null;
+  }
+
+  /**
+   * Check whether a game is a matchmaking placeholder (queued or claimed)
+   * @param {string} gameId - Game ID
+   * @returns {boolean}
+   */
+  ownsGame(gameId) {
+    return this.claimed.has(gameId) || this.queue.some(p => p.gameId === gameId);
+  }
+
+  /**
+   * @returns {object[]} - Entries, oldest first
+   */
+  list() {
+    return [...this.queue];
+  }
+
+  /**
+   * Entries a seeker could be paired with
+   * @param {object} seeker - { playerId, stakeAmount, currency, roundsToWin, drawLimit, ruleSet }
+   * @returns {object[]}
+   */
+  getCompatible(seeker) {
+    return this.queue.filter(p =>
+      p.playerId !== seeker.playerId &&
+      p.stakeAmount === seeker.stakeAmount &&
+      p.currency === seeker.currency &&
+      isSameMatchFormat(p, seeker)
+    );
+  }
+
+  /**
+   * Choose and take the best queued opponent for a seeker (closest rating inside the rating window)
+   * @param {object} seeker - Same shape as an entry; queuedAt when the seeker is itself queued
+   * @param {number} now - Current time in ms
+   * @returns {object|null} - The opponent's entry, already removed from the queue
+   */
+  claimOpponent(seeker, now = Date.now()) {
+    const candidates = this.getCompatible(seeker).map(entry => ({
+      entry,
+      rating: entry.rating ?? null,
+      waitingSince: entry.queuedAt
+    }));
+    const chosen = pickClosestOpponent(candidates, seeker.rating ?? DEFAULT_RATING, seeker.queuedAt ?? now, now);
+    if (!chosen) {
+      return null;
+    }
+
+    this.remove(chosen.entry.playerId);
+    this.claimed.add(chosen.entry.gameId);
+    this.recordWait(chosen.entry, now);
+    return chosen.entry;
+  }
+
+  /**
+   * Pair queued players whose rating windows have widened enough to meet, oldest first
+   * @param {number} now - Current time in ms
+   * @returns {Array<[object, object]>} - [entry, opponent] pairs, both already removed from the queue
+   */
+  claimPairs(now = Date.now()) {
+    const pairs = [];
+    for (const entry of this.list()) {
+      // Taken as an opponent earlier in this pass
+      if (!this.queue.includes(entry)) continue;
+
+      const opponent = this.claimOpponent(entry, now);
+      if (opponent) {
+        this.remove(entry.playerId);
+        this.claimed.add(entry.gameId);
+        this.recordWait(entry, now);
+        pairs.push([entry, opponent]);
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Drop entries that have been searching for too long
+   * @param {number} now - Current time in ms
+   * @returns {object[]} - Expired entries
+   */
+  expire(now = Date.now()) {
+    const expired = this.queue.filter(p => now - p.queuedAt >= this.timeoutMs);
+    if (expired.length) {
+      this.queue = this.queue.filter(p => !expired.includes(p));
+      this.save();
+      expired.forEach(entry => metrics.queueTimeouts.inc({ currency: entry.currency }));
+    }
+    return expired;
+  }
+
+  /**
+   * Remember how long a matched player waited
+   * @param {object} entry - Matched entry
+   * @param {number} now - Current time in ms
+   */
+  recordWait(entry, now) {
+    const tier = getStakeTier(entry);
+    const waits = this.recentWaits.get(tier) || [];
+    waits.push(now - entry.queuedAt);
+    this.recentWaits.set(tier, waits.slice(-WAIT_SAMPLES_PER_TIER));
+    metrics.queueWait.observe({ currency: entry.currency }, (now - entry.queuedAt) / 1000);
+  }
+
+  /**
+   * Count searching players per stake tier
+   * @returns {object} - { 'points:100': 2, 'sol:0.1': 1 }
+   */
+  getSearchingByTier() {
+    return this.queue.reduce((acc, entry) => {
+      const tier = getStakeTier(entry);
+      acc[tier] = (acc[tier] || 0) + 1;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Queue status for one player
+   * The estimate is the average recent wait in the player's stake tier minus the time already waited
+   * @param {string} playerId - Player ID
+   * @param {number} now - Current time in ms
+   * @returns {object|null} - { gameId, position, waitedSeconds, estimatedWaitSeconds, searching } or null when not queued
+   */
+  getStatus(playerId, now = Date.now()) {
+    const entry = this.get(playerId);
+    if (!entry) {
+      return null;
+    }
+
+    const tier = getStakeTier(entry);
+    const ahead = this.queue.filter(p => getStakeTier(p) === tier && isSameMatchFormat(p, entry) && p.queuedAt < entry.queuedAt);
+    const waits = this.recentWaits.get(tier) || [];
+    const averageWait = waits.length ? waits.reduce((sum, wait) => sum + wait, 0) / waits.length : null;
+
+    return {
+      gameId: entry.gameId,
+      position: ahead.length + 1,
+      waitedSeconds: Math.floor((now - entry.queuedAt) / 1000),
+      estimatedWaitSeconds: averageWait === null ? null : Math.max(0, Math.round((averageWait - (now - entry.queuedAt)) / 1000)),
+      searching: this.getSearchingByTier()
+    };
+  }
+}
+
+module.exports = Matchmaker;
@@ -0,0 +1,118 @@
+/**
+ * Payouts
+ * The one fee schedule for SOL games, worked out in integer lamports (BigInt).
+ *
+ * The platform fee is a share of the pot picked by the per-player stake; when the winner was referred,
+ * the referrer's share comes out of that fee. Amounts are floored to whole lamports and the winner gets
+ * the remainder, so stake * 2 === winnerPayout + platformShare + referralShare, always.
+ */
+
+const { SOL_LAMPORTS } = require('../utils/constants');
+
+const LAMPORTS_PER_SOL = BigInt(SOL_LAMPORTS);
+const BPS_DENOMINATOR = 10000n;
+
+// Platform fee tiers by per-player stake, in basis points of the pot (first matching tier applies)
+const SOL_FEE_TIERS = [
+  { maxStakeLamports: 10000000n, feeBps: 500n }, // ≤ 0.01 SOL: 5%
+  { maxStakeLamports: 50000000n, feeBps: 300n }, // ≤ 0.05 SOL: 3%
+  { maxStakeLamports: null, feeBps: 200n } // above: 2%
+];
+const REFERRAL_SHARE_BPS = 100n; // Referrer's cut of the pot (1%), paid out of the platform fee
+
+/**
+ * Convert a SOL amount to lamports, rounded to the nearest lamport
+ * @param {number|string|bigint} sol - Amount in SOL (bigint is taken as lamports already)
+ * @returns {bigint} - Lamports
+ */
+function solToLamports(sol) {
+  if (typeof sol === 'bigint') {
+    return sol;
+  }
+
+  const value = Number(sol);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid SOL amount: ${sol}`);
+  }
+
+  // toFixed(9) works on the decimal form, so 0.1 becomes exactly 100000000 lamports
+  const [whole, fraction] = value.toFixed(9).split('.');
+  return BigInt(whole) * LAMPORTS_PER_SOL + BigInt(fraction);
+}
+
+/**
+ * Convert lamports to SOL for display and storage
+ * @param {bigint} lamports - Lamports
+ * @returns {number} - SOL
+ */
+function lamportsToSol(lamports) {
+  const whole = lamports / LAMPORTS_PER_SOL;
+  const fraction = (lamports % LAMPORTS_PER_SOL).toString().padStart(9, '0');
+  return Number(`${whole}.${fraction}`);
+}
+
+/**
+ * Platform fee rate for a stake
+ * @param {bigint} stakeLamports - Per-player stake
+ * @returns {bigint} - Fee in basis points of the pot
+ */
+function getSolFeeBps(stakeLamports) {
+  return SOL_FEE_TIERS.find(tier => tier.maxStakeLamports === null || stakeLamports <= tier.maxStakeLamports).feeBps;
+}
+
+/**
+ * Split the pot of a SOL game
+ * @param {bigint} stakeLamports - Per-player stake
+ * @param {object} options - { hasReferrer }
+ * @returns {object} - { stakeLamports, potLamports, feeBps, platformFeeLamports, platformShareLamports,
+ *   referralShareLamports, winnerPayoutLamports } (all BigInt)
+ */
+function calculateSolPayout(stakeLamports, { hasReferrer = false } = {}) {
+  const potLamports = stakeLamports * 2n;
+  const feeBps = getSolFeeBps(stakeLamports);
+  const platformFeeLamports = (potLamports * feeBps) / BPS_DENOMINATOR;
+  const referralShareLamports = hasReferrer ? (potLamports * REFERRAL_SHARE_BPS) / BPS_DENOMINATOR : 0n;
+
+  return {
+    stakeLamports,
+    potLamports,
+    feeBps,
+    platformFeeLamports,
+    platformShareLamports: platformFeeLamports - referralShareLamports,
+    referralShareLamports,
+    winnerPayoutLamports: potLamports - platformFeeLamports
+  };
+}
+
+/**
+ * Payout figures of a game in its own currency (SOL or points), as stored on gameState and in history
+ * @param {number} stakeAmount - Per-player stake
+ * @param {string} currency - 'sol' or 'points'
+ * @param {object} options - { hasReferrer }
+ * @returns {object} - { stakeAmount, totalPot, platformFee, referralShare, winnerPayout }
+ */
+function summarizePayout(stakeAmount, currency, { hasReferrer = false } = {}) {
+  if (currency !== 'sol') {
+    // Points games have no fee
+    return { stakeAmount, totalPot: stakeAmount * 2, platformFee: 0, referralShare: 0, winnerPayout: stakeAmount * 2 };
+  }
+
+  const payout = calculateSolPayout(solToLamports(stakeAmount), { hasReferrer });
+  return {
+    stakeAmount: lamportsToSol(payout.stakeLamports),
+    totalPot: lamportsToSol(payout.potLamports),
+    platformFee: lamportsToSol(payout.platformFeeLamports),
+    referralShare: lamportsToSol(payout.referralShareLamports),
+    winnerPayout: lamportsToSol(payout.winnerPayoutLamports)
+  };
+}
+
+module.exports = {
+  SOL_FEE_TIERS,
+  REFERRAL_SHARE_BPS,
+  solToLamports,
+  lamportsToSol,
+  getSolFeeBps,
+  calculateSolPayout,
+  summarizePayout
+};
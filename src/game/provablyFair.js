@@ -0,0 +1,127 @@
+/**
+ * Provably Fair Timeout Moves
+ * Moves assigned to players who run out of time are derived, not rolled
+ *
+ * Each game commits to a secret server seed up front by publishing sha256(serverSeed). A timed-out player's move is
+ * HMAC-SHA256(serverSeed, "clientSeed1:clientSeed2:round:position") mapped onto the rule set's moves without modulo bias.
+ * The seed is revealed with game_finished, so anyone can hash it against the commitment and recompute every
+ * assigned move. Players pick their own client seed before the first timeout, so the server can't choose a seed
+ * that favours either side.
+ */
+
+const crypto = require('crypto');
+const { getRuleSet } = require('./ruleSets');
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+const UINT32_RANGE = 2 ** 32;
+
+/**
+ * Hash a server seed (the commitment published at game start)
+ * @param {string} serverSeed - Hex server seed
+ * @returns {string} - Hex sha256 digest
+ */
+function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Generate a server seed and its commitment for a new game
+ * @returns {object} - { serverSeed, serverSeedHash }
+ */
+function createServerSeed() {
+  const serverSeed = crypto.randomBytes(32).toString('hex');
+  return { serverSeed, serverSeedHash: hashServerSeed(serverSeed) };
+}
+
+/**
+ * Validate a player-chosen client seed
+ * @param {string} clientSeed - Client seed
+ * @returns {string} - The seed
+ */
+function normalizeClientSeed(clientSeed) {
+  if (typeof clientSeed !== 'string' || !clientSeed || clientSeed.length > MAX_CLIENT_SEED_LENGTH || clientSeed.includes(':')) {
+    throw new Error(`Client seed must be 1-${MAX_CLIENT_SEED_LENGTH} characters without ':'`);
+  }
+  return clientSeed;
+}
+
+/**
+ * Derive the move assigned to a timed-out player
+ * Draws 32-bit values from the HMAC (re-keyed with a counter) and rejects those past the last full multiple of the move count
+ * @param {object} params - { serverSeed, clientSeeds: { player1, player2 }, round, position, ruleSet }
+ * @returns {string} - Move from the rule set
+ */
+function deriveAutoMove({ serverSeed, clientSeeds, round, position, ruleSet }) {
+  const { moves } = getRuleSet(ruleSet);
+  const limit = UINT32_RANGE - (UINT32_RANGE % moves.length);
+  const message = `${clientSeeds.player1}:${clientSeeds.player2}:${round}:${position}`;
+
+  for (let counter = 0; ; counter++) {
+    const digest = crypto.createHmac('sha256', serverSeed).update(`${message}:${counter}`).digest();
+    for (let offset = 0; offset < digest.length; offset += 4) {
+      const value = digest.readUInt32BE(offset);
+      if (value < limit) {
+        return moves[value % moves.length];
+      }
+    }
+  }
+}
+
+/**
+ * Recompute published timeout moves
+ * @param {object} fairness - { serverSeed, serverSeedHash, clientSeeds, ruleSet, autoMoves: [{ round, position, move }] }
+ * @returns {object} - { valid, seedMatchesHash, autoMoves: [{ round, position, move, expectedMove, valid }] }
+ */
+function verifyAutoMoves({ serverSeed, serverSeedHash, clientSeeds, ruleSet, autoMoves = [] }) {
+  if (typeof serverSeed !== 'string' || typeof serverSeedHash !== 'string') {
+    throw new Error('Server seed and its hash are required');
+  }
+  if (!clientSeeds || typeof clientSeeds.player1 !== 'string' || typeof clientSeeds.player2 !== 'string') {
+    throw new Error('Client seeds for both players are required');
+  }
+  if (!Array.isArray(autoMoves)) {
+    throw new Error('autoMoves must be an array');
+  }
+
+  const seedMatchesHash = hashServerSeed(serverSeed) === serverSeedHash.toLowerCase();
+  const results = autoMoves.map(({ round, position, move }) => {
+    if (!Number.isInteger(round) || round < 1 || !['player1', 'player2'].includes(position)) {
+      throw new Error('Each auto move needs a round and a position');
+    }
+    const expectedMove = deriveAutoMove({ serverSeed, clientSeeds, round, position, ruleSet });
+    return { round, position, move, expectedMove, valid: move === expectedMove };
+  });
+
+  return {
+    valid: seedMatchesHash && results.every(result => result.valid),
+    seedMatchesHash,
+    autoMoves: results
+  };
+}
+
+/**
+ * Build the fairness data published with game_finished
+ * @param {object} gameState - Finished game state
+ * @returns {object} - Everything verifyAutoMoves needs
+ */
+function revealFairness(gameState) {
+  return {
+    serverSeed: gameState.serverSeed,
+    serverSeedHash: gameState.serverSeedHash,
+    clientSeeds: {
+      player1: gameState.player1.clientSeed,
+      player2: gameState.player2.clientSeed
+    },
+    ruleSet: gameState.ruleSet,
+    autoMoves: gameState.autoMoves.map(({ round, position, move }) => ({ round, position, move }))
+  };
+}
+
+module.exports = {
+  hashServerSeed,
+  createServerSeed,
+  normalizeClientSeed,
+  deriveAutoMove,
+  verifyAutoMoves,
+  revealFairness
+};
@@ -0,0 +1,98 @@
+/**
+ * Skill Rating
+ * Elo ratings per wallet and the rating window used by public matchmaking
+ *
+ * Every completed or abandoned game is a win/loss (games can't end in a draw). New wallets start at
+ * DEFAULT_RATING and move faster during their first RATING_PROVISIONAL_GAMES games.
+ */
+
+const {
+  DEFAULT_RATING,
+  RATING_PROVISIONAL_GAMES,
+  RATING_K_FACTOR_PROVISIONAL,
+  RATING_K_FACTOR,
+  RATING_WINDOW_BASE,
+  RATING_WINDOW_STEP,
+  RATING_WINDOW_STEP_SECONDS
+} = require('../utils/constants');
+
+/**
+ * Expected score of a player against an opponent
+ * @param {number} rating - Player rating
+ * @param {number} opponentRating - Opponent rating
+ * @returns {number} - Win probability between 0 and 1
+ */
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * K-factor for a player
+ * @param {number} ratedGames - Rated games played so far
+ * @returns {number}
+ */
+function getKFactor(ratedGames = 0) {
+  return ratedGames < RATING_PROVISIONAL_GAMES ? RATING_K_FACTOR_PROVISIONAL : RATING_K_FACTOR;
+}
+
+/**
+ * Rate a finished game
+ * @param {object} winner - { rating, ratedGames }
+ * @param {object} loser - { rating, ratedGames }
+ * @returns {object} - { winner: { rating, ratedGames, delta }, loser: { rating, ratedGames, delta } }
+ */
+function rateGame(winner, loser) {
+  const winnerRating = winner.rating ?? DEFAULT_RATING;
+  const loserRating = loser.rating ?? DEFAULT_RATING;
+  const winnerExpected = expectedScore(winnerRating, loserRating);
+
+  const winnerDelta = Math.round(getKFactor(winner.ratedGames) * (1 - winnerExpected));
+  const loserDelta = Math.round(getKFactor(loser.ratedGames) * (0 - (1 - winnerExpected)));
+
+  return {
+    winner: { rating: winnerRating + winnerDelta, ratedGames: (winner.ratedGames || 0) + 1, delta: winnerDelta },
+    loser: { rating: loserRating + loserDelta, ratedGames: (loser.ratedGames || 0) + 1, delta: loserDelta }
+  };
+}
+
+/**
+ * Largest rating gap matchmaking accepts after waiting a while
+ * @param {number} waitedMs - Time spent in the queue
+ * @returns {number} - Accepted rating difference
+ */
+function getRatingWindow(waitedMs) {
+  const steps = Math.floor(Math.max(0, waitedMs) / (RATING_WINDOW_STEP_SECONDS * 1000));
+  return RATING_WINDOW_BASE + steps * RATING_WINDOW_STEP;
+}
+
+/**
+ * Pick the opponent with the closest rating inside the rating window
+ * The window follows whichever of the two has waited longer. Candidates without a rating (games opened outside
+ * matchmaking) accept anyone and come after rated ones; ties go to whoever has waited longest
+ * @param {object[]} candidates - { rating, waitingSince, ... }
+ * @param {number} rating - Rating of the player looking for a match
+ * @param {number} waitingSince - When that player started waiting (now for a fresh search)
+ * @param {number} now - Current time in ms
+ * @returns {object|null} - Chosen candidate
+ */
+function pickClosestOpponent(candidates, rating, waitingSince = Date.now(), now = Date.now()) {
+  const eligible = candidates
+    .map(candidate => ({
+      candidate,
+      gap: candidate.rating == null ? Infinity : Math.abs(candidate.rating - rating)
+    }))
+    .filter(({ candidate, gap }) =>
+      gap === Infinity || gap <= getRatingWindow(now - Math.min(candidate.waitingSince, waitingSince))
+    );
+
+  eligible.sort((a, b) => a.gap - b.gap || a.candidate.waitingSince - b.candidate.waitingSince);
+  return eligible.length ? eligible[0].candidate : null;
+}
+
+module.exports = {
+  expectedScore,
+  getKFactor,
+  rateGame,
+  getRatingWindow,
+  pickClosestOpponent
+};
@@ -0,0 +1,146 @@
+/**
+ * Rule Sets
+ * Registry of game variants: which moves a game allows and which move beats which
+ *
+ * A rule set is plain data - an ordered move list and a `beats` map from each move to the moves it defeats -
+ * so a larger variant is just a bigger tournament graph. The move order is the move index used in
+ * commitments; classic keeps the IDL `Move` enum order (Rock = 0, Paper = 1, Scissors = 2).
+ */
+
+const { DEFAULT_RULE_SET } = require('../utils/constants');
+
+const ruleSets = new Map(); // name -> { name, moves, beats }
+
+/**
+ * Register a variant
+ * Every pair of distinct moves must have exactly one winner, otherwise a round could end undecided
+ * @param {object} definition - { name, moves: string[], beats: { [move]: string[] } }
+ * @returns {object} - The registered rule set
+ */
+function registerRuleSet({ name, moves, beats }) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Rule set needs a name');
+  }
+  if (!Array.isArray(moves) || moves.length < 3 || new Set(moves).size !== moves.length) {
+    throw new Error(`Rule set ${name} needs at least 3 distinct moves`);
+  }
+
+  for (const [move, defeated] of Object.entries(beats)) {
+    if (!moves.includes(move) || !defeated.every(other => moves.includes(other) && other !== move)) {
+      throw new Error(`Rule set ${name} has an invalid beats entry for ${move}`);
+    }
+  }
+
+  for (const a of moves) {
+    for (const b of moves) {
+      if (a < b) {
+        const aBeatsB = (beats[a] || []).includes(b);
+        const bBeatsA = (beats[b] || []).includes(a);
+        if (aBeatsB === bBeatsA) {
+          throw new Error(`Rule set ${name} needs exactly one winner between ${a} and ${b}`);
+        }
+      }
+    }
+  }
+
+  const ruleSet = Object.freeze({
+    name,
+    moves: Object.freeze([...moves]),
+    beats: Object.freeze(Object.fromEntries(moves.map(move => [move, Object.freeze([...(beats[move] || [])])])))
+  });
+  ruleSets.set(name, ruleSet);
+  return ruleSet;
+}
+
+/**
+ * Look up a variant
+ * @param {string} name - Rule set name (defaults to classic)
+ * @returns {object} - { name, moves, beats }
+ */
+function getRuleSet(name = DEFAULT_RULE_SET) {
+  const ruleSet = ruleSets.get(name);
+  if (!ruleSet) {
+    throw new Error(`Unknown rule set: ${name}`);
+  }
+  return ruleSet;
+}
+
+/**
+ * List registered variants
+ * @returns {object[]} - Rule sets
+ */
+function listRuleSets() {
+  return Array.from(ruleSets.values());
+}
+
+/**
+ * Check whether a move exists in a variant
+ * @param {string} name - Rule set name
+ * @param {string} move - Move
+ * @returns {boolean}
+ */
+function isValidMove(name, move) {
+  return getRuleSet(name).moves.includes(move);
+}
+
+/**
+ * Decide a round
+ * @param {string} name - Rule set name
+ * @param {string} move1 - Player 1's move
+ * @param {string} move2 - Player 2's move
+ * @returns {string} - 'player1', 'player2', or 'draw'
+ */
+function resolveRound(name, move1, move2) {
+  const { moves, beats } = getRuleSet(name);
+  if (!moves.includes(move1) || !moves.includes(move2)) {
+    throw new Error('Invalid move provided');
+  }
+
+  if (move1 === move2) {
+    return 'draw';
+  }
+  return beats[move1].includes(move2) ? 'player1' : 'player2';
+}
+
+/**
+ * Pick a uniformly random move (for players who run out of time)
+ * @param {string} name - Rule set name
+ * @returns {string} - Move
+ */
+function getRandomMove(name) {
+  const { moves } = getRuleSet(name);
+  return moves[Math.floor(Math.random() * moves.length)];
+}
+
+// Rock beats Scissors, Scissors beats Paper, Paper beats Rock
+registerRuleSet({
+  name: 'classic',
+  moves: ['rock', 'paper', 'scissors'],
+  beats: {
+    rock: ['scissors'],
+    paper: ['rock'],
+    scissors: ['paper']
+  }
+});
+
+// Rock-Paper-Scissors-Lizard-Spock: every move beats two others and loses to two
+registerRuleSet({
+  name: 'rpsls',
+  moves: ['rock', 'paper', 'scissors', 'lizard', 'spock'],
+  beats: {
+    rock: ['scissors', 'lizard'],
+    paper: ['rock', 'spock'],
+    scissors: ['paper', 'lizard'],
+    lizard: ['spock', 'paper'],
+    spock: ['scissors', 'rock']
+  }
+});
+
+module.exports = {
+  registerRuleSet,
+  getRuleSet,
+  listRuleSets,
+  isValidMove,
+  resolveRound,
+  getRandomMove
+};
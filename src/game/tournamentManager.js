@@ -0,0 +1,642 @@
+/**
+ * Tournament Manager
+ * Runs tournaments on top of GameManager: registration and entry fees, bracket games, advancement,
+ * no-shows and prize distribution
+ *
+ * - Entry fees are taken at registration: points through the database, SOL as a transfer to the service
+ *   wallet (see services/tournamentTreasury.js). Leaving or cancelling before the start refunds them.
+ * - Players are seeded by rating. Each match is a private points game without a stake that only its two
+ *   players can join (GameManager.createTournamentGame); its result advances the bracket.
+ * - A match whose game hasn't started TOURNAMENT_NO_SHOW_SECONDS after it opened is forfeited to whoever sat
+ *   down. If nobody did, the better seed advances in single elimination and nobody scores in Swiss.
+ * - The prize pool (entry fees minus the platform cut on SOL) is split by the tournament's prize table.
+ *
+ * Tournaments live in the state store (namespace 'tournaments'); no-shows and scheduled starts are driven
+ * by tick() rather than timers, so both survive a restart. Emits 'updated' (tournament) on every change and
+ * 'match_ready' ({ tournament, match }) when a bracket game opens.
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { PersistentMap } = require('../services/stateStore');
+const databaseService = require('../services/databaseService');
+const TournamentTreasury = require('../services/tournamentTreasury');
+const { resolveMatchFormat } = require('./gameLogic');
+const { solToLamports, lamportsToSol } = require('./payouts');
+const {
+  TOURNAMENT_FORMATS,
+  findMatch,
+  finishMatch,
+  getPlayer,
+  createEliminationRounds,
+  advanceElimination,
+  pairSwissRound,
+  scoreSwissMatch,
+  getRoundCount,
+  getStandings,
+  splitPrizePool,
+  normalizePrizeTable
+} = require('./tournaments');
+const {
+  TOURNAMENT_MIN_PLAYERS,
+  TOURNAMENT_MAX_PLAYERS,
+  TOURNAMENT_DEFAULT_PRIZE_TABLE,
+  TOURNAMENT_SOL_FEE_BPS,
+  TOURNAMENT_NO_SHOW_SECONDS
+} = require('../utils/constants');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'tournamentManager' });
+
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Convert an amount to the smallest unit of its currency
+ * @param {string} currency - 'points' or 'sol'
+ * @param {number} amount - Points or SOL
+ * @returns {bigint} - Points or lamports
+ */
+function toUnits(currency, amount) {
+  return currency === 'sol' ? solToLamports(amount) : BigInt(amount);
+}
+
+/**
+ * Convert the smallest unit of a currency back to an amount
+ * @param {string} currency - 'points' or 'sol'
+ * @param {bigint} units - Points or lamports
+ * @returns {number} - Points or SOL
+ */
+function fromUnits(currency, units) {
+  return currency === 'sol' ? lamportsToSol(units) : Number(units);
+}
+
+class TournamentManager extends EventEmitter {
+  /**
+   * @param {GameManager} gameManager - Creates and ends the bracket games
+   * @param {object} stateStore - Where tournaments are persisted (defaults to the game manager's store)
+   * @param {TournamentTreasury} treasury - SOL entry fees and prizes
+   */
+  constructor(gameManager, stateStore = gameManager.stateStore, treasury = new TournamentTreasury()) {
+    super();
+    this.gameManager = gameManager;
+    this.treasury = treasury;
+    this.tournaments = new PersistentMap(stateStore, 'tournaments'); // tournamentId -> tournament
+    this.registering = new Map(); // tournamentId -> wallets whose registration is being paid for
+  }
+
+  /**
+   * Persist a tournament and announce the change
+   * @param {object} tournament - Tournament
+   */
+  save(tournament) {
+    tournament.updatedAt = new Date().toISOString();
+    this.tournaments.set(tournament.tournamentId, tournament);
+    this.emit('updated', tournament);
+  }
+
+  /**
+   * Create a tournament open for registration
+   * @param {string} organizer - Wallet of the organizer (may start or cancel it early)
+   * @param {object} options - { name, format, currency, entryFee, prizeTable, maxPlayers, startsAt, roundsToWin, drawLimit, ruleSet }
+   * @returns {object} - { success, tournament } or { success: false, error }
+   */
+  createTournament(organizer, options = {}) {
+    const {
+      name,
+      format = 'single_elimination',
+      currency = 'points',
+      entryFee = 0,
+      prizeTable = TOURNAMENT_DEFAULT_PRIZE_TABLE,
+      maxPlayers = TOURNAMENT_MAX_PLAYERS,
+      startsAt = null,
+      roundsToWin,
+      drawLimit,
+      ruleSet
+    } = options;
+
+    let matchFormat;
+    try {
+      matchFormat = resolveMatchFormat({ roundsToWin, drawLimit, ruleSet });
+      normalizePrizeTable(prizeTable);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return { success: false, error: `Tournament name must be 1-${MAX_NAME_LENGTH} characters` };
+    }
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+      return { success: false, error: `Format must be one of: ${TOURNAMENT_FORMATS.join(', ')}` };
+    }
+    if (!['points', 'sol'].includes(currency)) {
+      return { success: false, error: 'Currency must be points or sol' };
+    }
+    if (typeof entryFee !== 'number' || !Number.isFinite(entryFee) || entryFee < 0 || (currency === 'points' && !Number.isInteger(entryFee))) {
+      return { success: false, error: 'Entry fee must be a non-negative amount (whole points for points tournaments)' };
+    }
+    if (!Number.isInteger(maxPlayers) || maxPlayers < TOURNAMENT_MIN_PLAYERS || maxPlayers > TOURNAMENT_MAX_PLAYERS) {
+      return { success: false, error: `Max players must be between ${TOURNAMENT_MIN_PLAYERS} and ${TOURNAMENT_MAX_PLAYERS}` };
+    }
+    const startTime = startsAt === null ? null : Date.parse(startsAt);
+    if (startTime !== null && !(startTime > Date.now())) {
+      return { success: false, error: 'startsAt must be a future date' };
+    }
+
+    const tournament = {
+      tournamentId: uuidv4(),
+      name: name.trim(),
+      organizer,
+      format,
+      currency,
+      entryFee,
+      prizeTable: [...prizeTable],
+      maxPlayers,
+      ...matchFormat,
+      status: 'registration', // registration -> running -> finished, or cancelled
+      players: [], // { wallet, rating, seed, score, byes, opponents, eliminatedInRound, entrySignature, registeredAt }
+      rounds: [], // [[match]] - see game/tournaments.js
+      prizePool: 0,
+      platformFee: 0,
+      prizes: [], // { place, wallet, amount, status, signature, error }
+      startsAt: startTime === null ? null : new Date(startTime).toISOString(),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.save(tournament);
+    log.info('Tournament created', { tournamentId: tournament.tournamentId, name: tournament.name, organizer, format, entryFee, currency });
+    return { success: true, tournament };
+  }
+
+  /**
+   * @param {string} tournamentId - Tournament ID
+   * @returns {object|null} - Tournament
+   */
+  getTournament(tournamentId) {
+    return this.tournaments.get(tournamentId) || null;
+  }
+
+  /**
+   * List tournaments, newest first
+   * @param {string} status - Only tournaments in this status
+   * @returns {object[]}
+   */
+  listTournaments(status = null) {
+    return Array.from(this.tournaments.values())
+      .filter(tournament => !status || tournament.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Register a wallet, taking the entry fee
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} wallet - Player's wallet (also their player ID)
+   * @param {object} payment - { signature } of the SOL entry fee transfer (SOL tournaments with a fee)
+   * @returns {Promise<object>} - { success, tournament } or { success: false, error }
+   */
+  async register(tournamentId, wallet, payment = {}) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament) {
+      return { success: false, error: 'Tournament not found' };
+    }
+    if (tournament.status !== 'registration') {
+      return { success: false, error: 'Registration is closed' };
+    }
+
+    // Registrations still being paid for hold their seat, so a full field can't be oversold
+    const registering = this.registering.get(tournamentId) || new Set();
+    if (getPlayer(tournament, wallet) || registering.has(wallet)) {
+      return { success: false, error: 'Already registered' };
+    }
+    if (tournament.players.length + registering.size >= tournament.maxPlayers) {
+      return { success: false, error: 'Tournament is full' };
+    }
+    const signature = payment.signature || null;
+    if (signature && this.isSignatureUsed(signature)) {
+      return { success: false, error: 'Entry fee transaction was already used' };
+    }
+
+    registering.add(wallet);
+    this.registering.set(tournamentId, registering);
+    try {
+      const charge = await this.chargeEntry(tournament, wallet, signature);
+      if (!charge.success) {
+        return charge;
+      }
+
+      const { rating } = await databaseService.getPlayerRating(wallet);
+      const current = this.getTournament(tournamentId);
+      if (current.status !== 'registration') {
+        await this.refundEntry(current, { wallet, entrySignature: signature });
+        return { success: false, error: 'Registration is closed' };
+      }
+
+      current.players.push({
+        wallet,
+        rating,
+        seed: null,
+        score: 0,
+        byes: 0,
+        opponents: [],
+        eliminatedInRound: null,
+        entrySignature: signature,
+        registeredAt: new Date().toISOString()
+      });
+      this.save(current);
+
+      log.info('Player registered for tournament', { tournamentId, wallet, players: current.players.length, maxPlayers: current.maxPlayers });
+      return { success: true, tournament: current };
+    } finally {
+      registering.delete(wallet);
+    }
+  }
+
+  /**
+   * Leave a tournament before it starts, getting the entry fee back
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} wallet - Player's wallet
+   * @returns {Promise<object>} - { success, tournament, refund } or { success: false, error }
+   */
+  async unregister(tournamentId, wallet) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament) {
+      return { success: false, error: 'Tournament not found' };
+    }
+    if (tournament.status !== 'registration') {
+      return { success: false, error: 'Tournament has already started' };
+    }
+    const player = getPlayer(tournament, wallet);
+    if (!player) {
+      return { success: false, error: 'Not registered' };
+    }
+
+    tournament.players = tournament.players.filter(p => p !== player);
+    this.save(tournament);
+
+    const refund = await this.refundEntry(tournament, player);
+    log.info('Player left tournament', { tournamentId, wallet });
+    return { success: true, tournament, refund };
+  }
+
+  /**
+   * Cancel a tournament before it starts and refund every entry fee
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} requestedBy - Wallet asking for it (must be the organizer); null for the scheduler
+   * @returns {Promise<object>} - { success, tournament, refunds } or { success: false, error }
+   */
+  async cancel(tournamentId, requestedBy = null) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament) {
+      return { success: false, error: 'Tournament not found' };
+    }
+    if (requestedBy && requestedBy !== tournament.organizer) {
+      return { success: false, error: 'Only the organizer can cancel the tournament' };
+    }
+    if (tournament.status !== 'registration') {
+      return { success: false, error: 'Only tournaments that haven\'t started can be cancelled' };
+    }
+
+    tournament.status = 'cancelled';
+    tournament.finishedAt = new Date().toISOString();
+    this.save(tournament);
+
+    const refunds = [];
+    for (const player of tournament.players) {
+      refunds.push({ wallet: player.wallet, ...(await this.refundEntry(tournament, player)) });
+    }
+
+    log.info('Tournament cancelled', { tournamentId, refunds: refunds.length });
+    return { success: true, tournament, refunds };
+  }
+
+  /**
+   * Close registration, seed the players and open the first matches
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} requestedBy - Wallet asking for it (must be the organizer); null for the scheduler
+   * @returns {object} - { success, tournament } or { success: false, error }
+   */
+  start(tournamentId, requestedBy = null) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament) {
+      return { success: false, error: 'Tournament not found' };
+    }
+    if (requestedBy && requestedBy !== tournament.organizer) {
+      return { success: false, error: 'Only the organizer can start the tournament' };
+    }
+    if (tournament.status !== 'registration') {
+      return { success: false, error: 'Tournament has already started' };
+    }
+    if ((this.registering.get(tournamentId) || new Set()).size) {
+      return { success: false, error: 'A registration is still being processed' };
+    }
+    if (tournament.players.length < TOURNAMENT_MIN_PLAYERS) {
+      return { success: false, error: `At least ${TOURNAMENT_MIN_PLAYERS} players are needed to start` };
+    }
+
+    // Higher rating, then earlier registration, gets the better seed
+    tournament.players.sort((a, b) => b.rating - a.rating || a.registeredAt.localeCompare(b.registeredAt));
+    tournament.players.forEach((player, i) => { player.seed = i + 1; });
+
+    const { pool, fee } = this.getPrizePool(tournament);
+    tournament.prizePool = fromUnits(tournament.currency, pool);
+    tournament.platformFee = fromUnits(tournament.currency, fee);
+    tournament.status = 'running';
+    tournament.startedAt = new Date().toISOString();
+
+    if (tournament.format === 'swiss') {
+      this.addSwissRound(tournament);
+    } else {
+      tournament.rounds = createEliminationRounds(tournament.players);
+    }
+
+    this.openReadyMatches(tournament);
+    this.save(tournament);
+
+    log.info('Tournament started', { tournamentId, players: tournament.players.length, prizePool: tournament.prizePool, currency: tournament.currency });
+    return { success: true, tournament };
+  }
+
+  /**
+   * Record the result of a finished bracket game and advance the tournament
+   * Called for every finished game; games outside tournaments and repeated calls are ignored
+   * @param {string} gameId - Game ID
+   * @param {object} gameState - Final game state
+   * @returns {Promise<object|null>} - Updated tournament
+   */
+  async recordGameResult(gameId, gameState) {
+    if (!gameState || !gameState.tournament) {
+      return null;
+    }
+
+    const tournament = this.getTournament(gameState.tournament.tournamentId);
+    const match = tournament && findMatch(tournament, gameState.tournament.matchId);
+    if (!match || match.gameId !== gameId || match.status === 'finished' || tournament.status !== 'running') {
+      return null;
+    }
+
+    const winner = match.players.includes(gameState.winner) ? gameState.winner : null;
+    return this.resolveMatch(tournament, match, winner, gameState.endReason || 'played');
+  }
+
+  /**
+   * Forfeit matches whose game didn't start in time
+   * @param {number} now - Current time in ms
+   * @returns {Promise<object[]>} - Games ended by a no-show ({ gameId, gameState })
+   */
+  async checkNoShows(now = Date.now()) {
+    const forfeited = [];
+
+    for (const tournament of this.listTournaments('running')) {
+      const due = tournament.rounds.flat().filter(match => match.status === 'ready' && match.deadline && match.deadline <= now);
+
+      for (const match of due) {
+        const gameState = this.gameManager.getGame(match.gameId);
+        if (gameState && gameState.gameStatus === 'playing') {
+          // Both showed up - the game decides from here
+          match.deadline = null;
+          this.save(tournament);
+          continue;
+        }
+
+        let winner = gameState && gameState.gameStatus === 'finished' ? gameState.winner : null;
+        if (gameState && gameState.gameStatus === 'waiting_for_player') {
+          const result = this.gameManager.forfeitNoShow(match.gameId);
+          winner = result.gameState.winner;
+          forfeited.push({ gameId: match.gameId, gameState: result.gameState });
+        }
+
+        await this.resolveMatch(tournament, match, match.players.includes(winner) ? winner : null, 'no_show');
+      }
+    }
+
+    return forfeited;
+  }
+
+  /**
+   * Start (or, without enough players, cancel) tournaments whose start time has passed
+   * @param {number} now - Current time in ms
+   * @returns {Promise<object[]>} - Tournaments started or cancelled
+   */
+  async startScheduled(now = Date.now()) {
+    const due = this.listTournaments('registration').filter(tournament => tournament.startsAt && Date.parse(tournament.startsAt) <= now);
+    const changed = [];
+
+    for (const tournament of due) {
+      const result = tournament.players.length >= TOURNAMENT_MIN_PLAYERS
+        ? this.start(tournament.tournamentId)
+        : await this.cancel(tournament.tournamentId);
+      if (result.success) {
+        changed.push(result.tournament);
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Close a match and move the tournament on
+   * @param {object} tournament - Running tournament
+   * @param {object} match - Match being closed
+   * @param {string|null} winner - Winning wallet (null when neither player showed up)
+   * @param {string} result - 'played', 'no_show', ...
+   * @returns {Promise<object>} - Updated tournament
+   */
+  async resolveMatch(tournament, match, winner, result) {
+    if (tournament.format === 'swiss') {
+      finishMatch(match, winner, result);
+      scoreSwissMatch(tournament, match);
+
+      const roundDone = tournament.rounds[tournament.rounds.length - 1].every(m => m.status === 'finished');
+      if (roundDone && tournament.rounds.length < getRoundCount(tournament)) {
+        this.addSwissRound(tournament);
+      } else if (roundDone) {
+        tournament.status = 'finished';
+      }
+    } else {
+      // Somebody has to advance: with no winner the better seed does
+      const advancing = winner || match.players
+        .map(wallet => getPlayer(tournament, wallet))
+        .sort((a, b) => a.seed - b.seed)[0].wallet;
+      finishMatch(match, advancing, result);
+
+      const loser = match.players.find(wallet => wallet !== advancing);
+      getPlayer(tournament, loser).eliminatedInRound = match.round;
+
+      if (!advanceElimination(tournament.rounds, match)) {
+        tournament.status = 'finished';
+      }
+    }
+
+    log.info('Tournament match decided', { tournamentId: tournament.tournamentId, matchId: match.matchId, gameId: match.gameId, winner: match.winner || null, result });
+
+    if (tournament.status === 'finished') {
+      tournament.finishedAt = new Date().toISOString();
+      this.save(tournament);
+      await this.distributePrizes(tournament);
+    } else {
+      this.openReadyMatches(tournament);
+      this.save(tournament);
+    }
+
+    return tournament;
+  }
+
+  /**
+   * Pair the next Swiss round (byes score right away)
+   * @param {object} tournament - Swiss tournament
+   */
+  addSwissRound(tournament) {
+    const matches = pairSwissRound(tournament);
+    tournament.rounds.push(matches);
+    matches.filter(match => match.status === 'finished').forEach(match => scoreSwissMatch(tournament, match));
+  }
+
+  /**
+   * Create games for matches that have both players
+   * @param {object} tournament - Running tournament
+   */
+  openReadyMatches(tournament) {
+    // Matches opened together share one no-show deadline
+    const deadline = Date.now() + TOURNAMENT_NO_SHOW_SECONDS * 1000;
+    for (const match of tournament.rounds.flat()) {
+      if (match.status !== 'pending' || !match.players[0] || !match.players[1]) continue;
+
+      const gameState = this.gameManager.createTournamentGame(tournament.tournamentId, match.matchId, match.players, tournament);
+      match.gameId = gameState.gameId;
+      match.status = 'ready';
+      match.deadline = deadline;
+      this.emit('match_ready', { tournament, match });
+    }
+  }
+
+  /**
+   * Prize pool and platform cut of a tournament, in the smallest unit
+   * @param {object} tournament - Tournament
+   * @returns {object} - { pool, fee } (BigInt)
+   */
+  getPrizePool(tournament) {
+    const collected = toUnits(tournament.currency, tournament.entryFee) * BigInt(tournament.players.length);
+    const fee = tournament.currency === 'sol' ? (collected * BigInt(TOURNAMENT_SOL_FEE_BPS)) / 10000n : 0n;
+    return { pool: collected - fee, fee };
+  }
+
+  /**
+   * Pay the prizes of a finished tournament by the prize table and record the result
+   * Each prize is paid on its own; a failed payment is recorded as 'failed' and doesn't stop the others
+   * @param {object} tournament - Finished tournament
+   */
+  async distributePrizes(tournament) {
+    const standings = getStandings(tournament);
+    const amounts = splitPrizePool(this.getPrizePool(tournament).pool, tournament.prizeTable, standings.length);
+
+    tournament.prizes = [];
+    for (const [i, units] of amounts.entries()) {
+      const { place, wallet } = standings[i];
+      const prize = { place, wallet, amount: fromUnits(tournament.currency, units), status: 'paid', signature: null, error: null };
+
+      if (units > 0n) {
+        const payment = await this.pay(tournament, wallet, units, `tournament ${tournament.tournamentId} place ${place}`);
+        Object.assign(prize, payment);
+      }
+      tournament.prizes.push(prize);
+    }
+
+    this.save(tournament);
+    await databaseService.recordTournamentResult(tournament, standings);
+    log.info('Tournament finished', { tournamentId: tournament.tournamentId, winner: standings[0].wallet, prizes: tournament.prizes });
+  }
+
+  /**
+   * Take the entry fee from a registering wallet
+   * @param {object} tournament - Tournament
+   * @param {string} wallet - Player's wallet
+   * @param {string|null} signature - SOL transfer signature
+   * @returns {Promise<object>} - { success } or { success: false, error }
+   */
+  async chargeEntry(tournament, wallet, signature) {
+    const fee = toUnits(tournament.currency, tournament.entryFee);
+    if (fee === 0n) {
+      return { success: true };
+    }
+
+    if (tournament.currency === 'sol') {
+      return this.treasury.verifyEntryPayment(wallet, fee, signature);
+    }
+
+    const result = await databaseService.adjustPoints(wallet, -Number(fee), `tournament ${tournament.tournamentId} entry`);
+    return result.success ? { success: true } : { success: false, error: result.error };
+  }
+
+  /**
+   * Give a player's entry fee back
+   * @param {object} tournament - Tournament
+   * @param {object} player - { wallet }
+   * @returns {Promise<object>} - { status, signature, error }
+   */
+  async refundEntry(tournament, player) {
+    const fee = toUnits(tournament.currency, tournament.entryFee);
+    if (fee === 0n) {
+      return { status: 'paid', signature: null, error: null };
+    }
+    return this.pay(tournament, player.wallet, fee, `tournament ${tournament.tournamentId} refund`);
+  }
+
+  /**
+   * Send points or SOL to a player
+   * @param {object} tournament - Tournament (for the currency)
+   * @param {string} wallet - Recipient
+   * @param {bigint} units - Points or lamports
+   * @param {string} reason - For logging
+   * @returns {Promise<object>} - { status: 'paid'|'failed', signature, error }
+   */
+  async pay(tournament, wallet, units, reason) {
+    try {
+      if (tournament.currency === 'sol') {
+        const signature = await this.treasury.send(wallet, units);
+        return { status: 'paid', signature, error: null };
+      }
+
+      const result = await databaseService.adjustPoints(wallet, Number(units), reason);
+      return result.success
+        ? { status: 'paid', signature: null, error: null }
+        : { status: 'failed', signature: null, error: result.error };
+    } catch (error) {
+      log.error('Tournament payment failed', { tournamentId: tournament.tournamentId, wallet, reason, err: error });
+      return { status: 'failed', signature: null, error: error.message };
+    }
+  }
+
+  /**
+   * Check whether a SOL transfer already paid for an entry
+   * @param {string} signature - Transaction signature
+   * @returns {boolean}
+   */
+  isSignatureUsed(signature) {
+    return Array.from(this.tournaments.values()).some(tournament =>
+      tournament.players.some(player => player.entrySignature === signature)
+    );
+  }
+
+  /**
+   * Public view of a tournament with its standings
+   * @param {object} tournament - Tournament
+   * @returns {object}
+   */
+  getView(tournament) {
+    if (!tournament) {
+      return null;
+    }
+
+    const unfinished = tournament.rounds.find(round => round.some(match => match.status !== 'finished'));
+    return {
+      ...tournament,
+      players: tournament.players.map(({ wallet, rating, seed, score, eliminatedInRound }) => ({ wallet, rating, seed, score, eliminatedInRound })),
+      currentRound: unfinished ? unfinished[0].round : null,
+      standings: tournament.status === 'registration' ? [] : getStandings(tournament),
+      entryAddress: tournament.currency === 'sol' && tournament.entryFee > 0 ? this.treasury.getAddress() : null
+    };
+  }
+}
+
+module.exports = TournamentManager;
@@ -0,0 +1,12 @@
+/**
+ * TournamentManager Singleton
+ * Shares one tournament manager between HTTP routes and WebSocket handlers, on top of the GameManager singleton
+ */
+
+const TournamentManager = require('./tournamentManager');
+const gameManager = require('./gameManagerSingleton');
+
+// Tournaments are persisted next to the games they create
+const tournamentManagerInstance = new TournamentManager(gameManager);
+
+module.exports = tournamentManagerInstance;
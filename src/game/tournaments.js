@@ -0,0 +1,283 @@
+/**
+ * Tournament Brackets
+ * Pairings, advancement, standings and prize splits for single-elimination and Swiss tournaments
+ *
+ * Everything here works on plain tournament objects (see TournamentManager) and never touches games or money.
+ * - single_elimination: the bracket is padded to a power of two and seeded 1 vs N, 2 vs N-1, ...; the padding
+ *   becomes byes for the top seeds. Eliminated players are ranked by the round they reached, then by seed.
+ * - swiss: ceil(log2(players)) rounds; each round pairs players with equal scores who haven't met yet, and an
+ *   odd player out gets a bye worth a win. Standings go by score, then Buchholz (opponents' scores), then seed.
+ */
+
+const TOURNAMENT_FORMATS = ['single_elimination', 'swiss'];
+
+/**
+ * Seed order of a power-of-two bracket: [1, 8, 4, 5, 2, 7, 3, 6] for 8
+ * @param {number} size - Bracket size
+ * @returns {number[]} - Seeds in bracket order
+ */
+function getSeedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Build a match
+ * @param {number} round - Round number (1-based)
+ * @param {number} index - Match index within the round
+ * @param {Array<string|null>} players - Wallets in the two slots
+ * @returns {object} - Match
+ */
+function createMatch(round, index, players = [null, null]) {
+  return {
+    matchId: `${round}-${index + 1}`,
+    round,
+    players,
+    gameId: null,
+    status: 'pending', // pending -> ready (game created) -> finished
+    winner: null,
+    result: null, // 'played' | 'forfeit' | 'no_show' | 'bye'
+    deadline: null
+  };
+}
+
+/**
+ * Close a match
+ * @param {object} match - Match
+ * @param {string|null} winner - Winning wallet (null when nobody showed up in Swiss)
+ * @param {string} result - How the match ended
+ */
+function finishMatch(match, winner, result) {
+  match.status = 'finished';
+  match.winner = winner;
+  match.result = result;
+  match.deadline = null;
+}
+
+/**
+ * Find a match by ID
+ * @param {object} tournament - Tournament
+ * @param {string} matchId - Match ID
+ * @returns {object|null}
+ */
+function findMatch(tournament, matchId) {
+  for (const round of tournament.rounds) {
+    const match = round.find(m => m.matchId === matchId);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Look up a player by wallet
+ * @param {object} tournament - Tournament
+ * @param {string} wallet - Wallet
+ * @returns {object|null}
+ */
+function getPlayer(tournament, wallet) {
+  return tournament.players.find(p => p.wallet === wallet) || null;
+}
+
+/**
+ * Create every round of a single-elimination bracket; first-round byes are finished right away
+ * @param {object[]} players - Seeded players ({ wallet, seed })
+ * @returns {object[][]} - Rounds of matches
+ */
+function createEliminationRounds(players) {
+  const size = 2 ** Math.ceil(Math.log2(Math.max(players.length, 2)));
+  const bySeed = new Map(players.map(p => [p.seed, p.wallet]));
+  const order = getSeedOrder(size);
+  const rounds = [];
+
+  const first = [];
+  for (let i = 0; i < size / 2; i++) {
+    first.push(createMatch(1, i, [bySeed.get(order[i * 2]) || null, bySeed.get(order[i * 2 + 1]) || null]));
+  }
+  rounds.push(first);
+
+  for (let round = 2, count = size / 4; count >= 1; round++, count /= 2) {
+    rounds.push(Array.from({ length: count }, (_, i) => createMatch(round, i)));
+  }
+
+  for (const match of first) {
+    const [a, b] = match.players;
+    if (!a || !b) {
+      finishMatch(match, a || b, 'bye');
+      advanceElimination(rounds, match);
+    }
+  }
+
+  return rounds;
+}
+
+/**
+ * Move the winner of a finished match into its slot in the next round
+ * @param {object[][]} rounds - Bracket rounds
+ * @param {object} match - Finished match
+ * @returns {object|null} - The next-round match, or null after the final
+ */
+function advanceElimination(rounds, match) {
+  const index = rounds[match.round - 1].indexOf(match);
+  const next = rounds[match.round] && rounds[match.round][Math.floor(index / 2)];
+  if (!next) {
+    return null;
+  }
+  next.players[index % 2] = match.winner;
+  return next;
+}
+
+/**
+ * Pair the next Swiss round
+ * Players are ranked by score then seed; each takes the best-ranked player left that they haven't met yet
+ * (or the best-ranked one left if they've met everyone). An odd player out gets a bye, lowest rank first,
+ * one bye per player while possible.
+ * @param {object} tournament - Tournament with players ({ wallet, seed, score, byes, opponents })
+ * @returns {object[]} - Matches of the new round (byes already finished)
+ */
+function pairSwissRound(tournament) {
+  const round = tournament.rounds.length + 1;
+  const ranked = [...tournament.players].sort((a, b) => b.score - a.score || a.seed - b.seed);
+  const matches = [];
+
+  let bye = null;
+  if (ranked.length % 2 === 1) {
+    const fewestByes = Math.min(...ranked.map(p => p.byes));
+    bye = [...ranked].reverse().find(p => p.byes === fewestByes);
+    ranked.splice(ranked.indexOf(bye), 1);
+  }
+
+  while (ranked.length) {
+    const player = ranked.shift();
+    let opponentIndex = ranked.findIndex(other => !player.opponents.includes(other.wallet));
+    if (opponentIndex === -1) opponentIndex = 0;
+    const [opponent] = ranked.splice(opponentIndex, 1);
+    matches.push(createMatch(round, matches.length, [player.wallet, opponent.wallet]));
+  }
+
+  if (bye) {
+    const match = createMatch(round, matches.length, [bye.wallet, null]);
+    finishMatch(match, bye.wallet, 'bye');
+    matches.push(match);
+  }
+
+  return matches;
+}
+
+/**
+ * Apply a finished Swiss match to the players' scores
+ * @param {object} tournament - Tournament
+ * @param {object} match - Finished match
+ */
+function scoreSwissMatch(tournament, match) {
+  const [a, b] = match.players.map(wallet => wallet && getPlayer(tournament, wallet));
+  if (a && b) {
+    a.opponents.push(b.wallet);
+    b.opponents.push(a.wallet);
+  } else if (a && match.result === 'bye') {
+    a.byes++;
+  }
+  if (match.winner) {
+    getPlayer(tournament, match.winner).score++;
+  }
+}
+
+/**
+ * Total number of rounds a tournament plays
+ * @param {object} tournament - Tournament
+ * @returns {number}
+ */
+function getRoundCount(tournament) {
+  return Math.max(1, Math.ceil(Math.log2(tournament.players.length)));
+}
+
+/**
+ * Final (or current) standings
+ * @param {object} tournament - Tournament
+ * @returns {object[]} - { place, wallet, seed, score, buchholz, eliminatedInRound }, best first
+ */
+function getStandings(tournament) {
+  let ranked;
+
+  if (tournament.format === 'swiss') {
+    const scores = new Map(tournament.players.map(p => [p.wallet, p.score]));
+    ranked = tournament.players
+      .map(p => ({ ...p, buchholz: p.opponents.reduce((sum, wallet) => sum + scores.get(wallet), 0) }))
+      .sort((a, b) => b.score - a.score || b.buchholz - a.buchholz || a.seed - b.seed);
+  } else {
+    const final = tournament.rounds[tournament.rounds.length - 1];
+    const champion = final && final[0].winner;
+    ranked = [...tournament.players].sort((a, b) =>
+      (b.wallet === champion) - (a.wallet === champion) ||
+      (b.eliminatedInRound ?? Infinity) - (a.eliminatedInRound ?? Infinity) ||
+      a.seed - b.seed
+    );
+  }
+
+  return ranked.map((p, i) => ({
+    place: i + 1,
+    wallet: p.wallet,
+    seed: p.seed,
+    score: p.score,
+    buchholz: p.buchholz ?? null,
+    eliminatedInRound: p.eliminatedInRound ?? null
+  }));
+}
+
+/**
+ * Split a prize pool by a prize table
+ * Places beyond the number of players are dropped and the remaining shares scaled up to the whole pool.
+ * Shares are floored and first place gets the remainder, so the prizes always add up to the pool.
+ * @param {bigint} pool - Prize pool in the smallest unit (points or lamports)
+ * @param {number[]} table - Percent of the pool per place, best first
+ * @param {number} players - Number of players
+ * @returns {bigint[]} - Prize per place
+ */
+function splitPrizePool(pool, table, players) {
+  const shares = table.slice(0, players).map(percent => BigInt(Math.round(percent * 100)));
+  const total = shares.reduce((sum, share) => sum + share, 0n);
+  if (total === 0n) {
+    return [];
+  }
+
+  const prizes = shares.map(share => (pool * share) / total);
+  prizes[0] += pool - prizes.reduce((sum, prize) => sum + prize, 0n);
+  return prizes;
+}
+
+/**
+ * Validate a prize table
+ * @param {number[]} table - Percent of the pool per place
+ * @returns {number[]} - The table
+ */
+function normalizePrizeTable(table) {
+  if (
+    !Array.isArray(table) ||
+    !table.length ||
+    !table.every(percent => typeof percent === 'number' && percent > 0) ||
+    Math.abs(table.reduce((sum, percent) => sum + percent, 0) - 100) > 1e-9
+  ) {
+    throw new Error('Prize table must be positive percentages adding up to 100');
+  }
+  return table;
+}
+
+module.exports = {
+  TOURNAMENT_FORMATS,
+  getSeedOrder,
+  createMatch,
+  finishMatch,
+  findMatch,
+  getPlayer,
+  createEliminationRounds,
+  advanceElimination,
+  pairSwissRound,
+  scoreSwissMatch,
+  getRoundCount,
+  getStandings,
+  splitPrizePool,
+  normalizePrizeTable
+};
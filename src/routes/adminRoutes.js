@@ -0,0 +1,351 @@
+/**
+ * Admin API Routes
+ * Operator endpoints; only sessions of wallets listed in ADMIN_WALLETS get through.
+ * Every action that changes something is written to the append-only audit log, whether it worked or not.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { PublicKey } = require('@solana/web3.js');
+
+const gameManager = require('../game/gameManagerSingleton');
+const { requireAuth } = require('./authRoutes');
+const { createAuditLog } = require('../services/auditLog');
+const { logger, isLogLevel } = require('../utils/logger');
+const { ADMIN_AUDIT_PAGE_LIMIT, ADMIN_AUDIT_RECENT_LIMIT } = require('../utils/constants');
+
+const log = logger.child({ module: 'admin' });
+const auditLog = createAuditLog();
+
+// Game overrides go through the socket layer, which owns the game timers and player sockets
+let socketHandlersRef = null;
+let ioRef = null;
+
+/**
+ * Give the admin routes the socket handlers and socket.io server (called once the server listens)
+ * @param {object} socketHandlers - socket/socketHandlers module
+ * @param {object} io - Socket.io server instance
+ */
+function initializeSocketHandlers(socketHandlers, io) {
+  socketHandlersRef = socketHandlers;
+  ioRef = io;
+}
+
+/**
+ * @returns {object} - { socketHandlers, io }
+ */
+function getSocketLayer() {
+  if (!socketHandlersRef || !ioRef) {
+    throw new Error('Socket handlers not initialized');
+  }
+  return { socketHandlers: socketHandlersRef, io: ioRef };
+}
+
+/**
+ * Wallets allowed to use the admin API (comma-separated ADMIN_WALLETS)
+ * @returns {Set<string>}
+ */
+function getAdminWallets() {
+  return new Set((process.env.ADMIN_WALLETS || '').split(',').map(wallet => wallet.trim()).filter(Boolean));
+}
+
+/**
+ * Express middleware: require a session whose wallet is an admin wallet
+ */
+function requireAdmin(req, res, next) {
+  requireAuth(req, res, () => {
+    if (!getAdminWallets().has(req.session.wallet)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required'
+      });
+    }
+    next();
+  });
+}
+
+/**
+ * @param {string} wallet - Candidate wallet address
+ * @returns {boolean} - True for a valid base58 Solana address
+ */
+function isWalletAddress(wallet) {
+  try {
+    return new PublicKey(wallet).toBase58() === wallet;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build a handler for an admin action and audit every call
+ * @param {string} action - Audit action, e.g. 'game.cancel'
+ * @param {Function} run - req => result { success, error, ... } (may be async)
+ * @param {Function} describe - (req, result) => extra audit details beyond the request body
+ * @returns {Function} - Express handler
+ */
+function adminAction(action, run, describe = () => ({})) {
+  return async (req, res) => {
+    const target = req.params.gameId || req.params.wallet || req.params.playerId || null;
+    let result;
+    let crashed = false;
+    try {
+      result = await run(req);
+    } catch (error) {
+      log.error('Admin action failed', { action, target, err: error });
+      result = { success: false, error: error.message };
+      crashed = true;
+    }
+
+    const entry = auditLog.record({
+      admin: req.session.wallet,
+      action,
+      target,
+      details: { ...(req.body || {}), ...(result.success ? describe(req, result) : {}) },
+      success: result.success,
+      error: result.success ? null : result.error
+    });
+
+    if (result.success) {
+      res.json({ ...result, auditId: entry.id });
+    } else if (crashed) {
+      res.status(500).json({ success: false, error: `Failed to run ${action}`, auditId: entry.id });
+    } else {
+      res.status(/not found/i.test(result.error) ? 404 : 400).json({ success: false, error: result.error, auditId: entry.id });
+    }
+  };
+}
+
+/**
+ * Put a dead-lettered queue job back in its queue and run an attempt right away
+ * @param {object} queue - Settlement or refund queue
+ * @param {string} gameId - Game ID
+ * @returns {object} - PersistentJobQueue.retryJob result
+ */
+function retryQueueJob(queue, gameId) {
+  const result = queue.retryJob(gameId);
+  if (result.success) {
+    queue.processJob(gameId).catch(error => {
+      log.error('Retried job crashed', { queue: queue.name, gameId, err: error });
+    });
+  }
+  return result;
+}
+
+router.use(requireAdmin);
+
+/**
+ * GET /admin/games
+ * Every game held in memory with its full internal state, newest first
+ * Query: ?status=waiting_for_player|playing|finished, ?currency=points|sol
+ */
+router.get('/games', (req, res) => {
+  try {
+    const { socketHandlers } = getSocketLayer();
+    const { status, currency } = req.query;
+
+    const games = Array.from(gameManager.games.values())
+      .filter(gameState => (!status || gameState.gameStatus === status) && (!currency || gameState.currency === currency))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(gameState => socketHandlers.inspectGame(gameState.gameId));
+
+    res.json({ success: true, count: games.length, games });
+  } catch (error) {
+    log.error('List games failed', { err: error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list games'
+    });
+  }
+});
+
+/**
+ * GET /admin/games/:gameId
+ * One game with its full internal state
+ */
+router.get('/games/:gameId', (req, res) => {
+  try {
+    const game = getSocketLayer().socketHandlers.inspectGame(req.params.gameId);
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        error: 'Game not found'
+      });
+    }
+
+    res.json({ success: true, ...game });
+  } catch (error) {
+    log.error('Get game failed', { gameId: req.params.gameId, err: error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get game'
+    });
+  }
+});
+
+/**
+ * POST /admin/games/:gameId/finish
+ * End a game in progress with the chosen winner and settle it through processGameCompletion
+ * Body: { winner: 'player1'|'player2', reason }
+ */
+router.post('/games/:gameId/finish', adminAction('game.force_finish', req => {
+  const { socketHandlers, io } = getSocketLayer();
+  return socketHandlers.forceFinishGame(io, req.params.gameId, (req.body || {}).winner);
+}, (req, result) => ({ winnerId: result.gameState.winner })));
+
+/**
+ * POST /admin/games/:gameId/cancel
+ * Cancel a game without a winner; a SOL game's escrowed creator stake goes to the refund queue
+ * Body: { reason }
+ */
+router.post('/games/:gameId/cancel', adminAction('game.cancel', req => {
+  const { socketHandlers, io } = getSocketLayer();
+  return socketHandlers.cancelGame(io, req.params.gameId, (req.body || {}).reason || 'Cancelled by an operator');
+}, (req, result) => ({ refund: result.refund ? { playerWallet: result.refund.playerWallet, stakeAmount: result.refund.stakeAmount } : null })));
+
+/**
+ * GET /admin/settlements
+ * SOL settlement jobs (?status=pending|processing|settled|dead_letter)
+ */
+router.get('/settlements', (req, res) => {
+  const jobs = gameManager.settlementQueue.listJobs(req.query.status || null);
+  res.json({ success: true, count: jobs.length, jobs });
+});
+
+/**
+ * POST /admin/settlements/:gameId/retry
+ * Re-queue a dead-lettered payout with a fresh attempt budget and attempt it right away
+ */
+router.post('/settlements/:gameId/retry', adminAction('settlement.retry', req => {
+  const result = retryQueueJob(gameManager.settlementQueue, req.params.gameId);
+  if (result.success) {
+    gameManager.setSettlementStatus(req.params.gameId, 'pending');
+  }
+  return result;
+}));
+
+/**
+ * GET /admin/refunds
+ * SOL refund jobs (?status=pending|awaiting_signature|completed|dead_letter)
+ */
+router.get('/refunds', (req, res) => {
+  const jobs = gameManager.refundQueue.listJobs(req.query.status || null);
+  res.json({ success: true, count: jobs.length, jobs });
+});
+
+/**
+ * POST /admin/refunds/:gameId/retry
+ * Re-queue a dead-lettered refund; the creator is asked to sign cancel_game again
+ */
+router.post('/refunds/:gameId/retry', adminAction('refund.retry', req =>
+  retryQueueJob(gameManager.refundQueue, req.params.gameId)
+));
+
+/**
+ * GET /admin/matchmaking
+ * The public matchmaking queue, oldest first, with searching players per stake tier
+ */
+router.get('/matchmaking', (req, res) => {
+  const queue = gameManager.matchmaker.list();
+  res.json({
+    success: true,
+    count: queue.length,
+    queue,
+    tiers: gameManager.matchmaker.getSearchingByTier()
+  });
+});
+
+/**
+ * DELETE /admin/matchmaking
+ * Drain the queue: every searching player is told their search was cancelled
+ */
+router.delete('/matchmaking', adminAction('matchmaking.drain', () => {
+  const { socketHandlers, io } = getSocketLayer();
+  return { success: true, drained: socketHandlers.drainMatchmaking(io) };
+}, (req, result) => ({ players: result.drained.map(entry => entry.playerId) })));
+
+/**
+ * DELETE /admin/matchmaking/:playerId
+ * Take one player out of the queue
+ */
+router.delete('/matchmaking/:playerId', adminAction('matchmaking.remove', req => {
+  const { socketHandlers, io } = getSocketLayer();
+  const [entry] = socketHandlers.drainMatchmaking(io, req.params.playerId);
+  return entry ? { success: true, entry } : { success: false, error: 'Player not found in matchmaking' };
+}));
+
+/**
+ * GET /admin/bans
+ * Banned wallets, newest first
+ */
+router.get('/bans', (req, res) => {
+  const bans = gameManager.listBans();
+  res.json({ success: true, count: bans.length, bans });
+});
+
+/**
+ * PUT /admin/bans/:wallet
+ * Ban a wallet: its sessions end, its socket is disconnected and it can't sign in again
+ * Body: { reason }
+ */
+router.put('/bans/:wallet', adminAction('wallet.ban', req => {
+  const { wallet } = req.params;
+  if (!isWalletAddress(wallet)) {
+    return { success: false, error: 'Invalid wallet address' };
+  }
+
+  const { socketHandlers, io } = getSocketLayer();
+  return socketHandlers.banWallet(io, wallet, { reason: (req.body || {}).reason || null, bannedBy: req.session.wallet });
+}, (req, result) => ({ revokedSessions: result.revokedSessions, cancelledSearch: Boolean(result.cancelledSearch) })));
+
+/**
+ * DELETE /admin/bans/:wallet
+ * Lift a ban
+ */
+router.delete('/bans/:wallet', adminAction('wallet.unban', req => gameManager.unbanWallet(req.params.wallet)));
+
+/**
+ * GET /admin/audit
+ * Recent audit entries, newest first
+ * Query: ?limit= (default 100), ?action=, ?admin=, ?target=
+ */
+router.get('/audit', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || ADMIN_AUDIT_PAGE_LIMIT, 1), ADMIN_AUDIT_RECENT_LIMIT);
+  const entries = auditLog.list({
+    limit,
+    action: req.query.action || null,
+    admin: req.query.admin || null,
+    target: req.query.target || null
+  });
+  res.json({ success: true, count: entries.length, entries });
+});
+
+/**
+ * GET /admin/log-levels
+ * Default log level and every module with its own level
+ */
+router.get('/log-levels', (req, res) => {
+  res.json({ success: true, ...logger.getLevels() });
+});
+
+/**
+ * PUT /admin/log-levels
+ * Change the level of one module, or the default level when no module is given
+ * Body: { level, module }; level "default" drops the module's own level
+ */
+router.put('/log-levels', adminAction('log_level.set', req => {
+  const { level, module: moduleName = null } = req.body || {};
+
+  if (level === 'default' && moduleName) {
+    logger.resetLevel(moduleName);
+  } else if (isLogLevel(level)) {
+    logger.setLevel(level, moduleName);
+  } else {
+    return { success: false, error: 'Unknown log level' };
+  }
+
+  log.warn('Log level changed', { admin: req.session.wallet, target: moduleName || 'default', newLevel: level });
+  return { success: true, ...logger.getLevels() };
+}));
+
+module.exports = { router, requireAdmin, initializeSocketHandlers, auditLog };
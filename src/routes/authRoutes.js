@@ -0,0 +1,110 @@
+/**
+ * Auth API Routes
+ * Wallet-signature login for HTTP clients and the session middleware shared by other routes
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authService = require('../services/authService');
+const gameManager = require('../game/gameManagerSingleton');
+
+/**
+ * Read the session token from `Authorization: Bearer <token>` or `x-session-token`
+ * @param {object} req - Express request
+ * @returns {string|null} - Session token
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return req.headers['x-session-token'] || null;
+}
+
+/**
+ * Express middleware: reject requests without a live session and expose it as req.session
+ */
+function requireAuth(req, res, next) {
+  const session = authService.getSession(getRequestToken(req));
+
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  req.session = session;
+  next();
+}
+
+/**
+ * POST /api/auth/challenge
+ * Issue a nonce for the wallet to sign
+ */
+router.post('/challenge', (req, res) => {
+  try {
+    const { wallet } = req.body;
+
+    if (!wallet) {
+      return res.status(400).json({
+        success: false,
+        error: 'Wallet is required'
+      });
+    }
+
+    if (gameManager.isWalletBanned(wallet)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Wallet is banned'
+      });
+    }
+
+    const result = authService.issueChallenge(wallet);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('Auth challenge error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue challenge'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify
+ * Verify the signed challenge and return a session token
+ */
+router.post('/verify', (req, res) => {
+  try {
+    const { wallet, nonce, signature } = req.body;
+
+    if (!wallet || !nonce || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Wallet, nonce and signature are required'
+      });
+    }
+
+    const result = authService.verifyChallenge(wallet, nonce, signature);
+    res.status(result.success ? 200 : 401).json(result);
+  } catch (error) {
+    console.error('Auth verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify signature'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session token
+ */
+router.post('/logout', requireAuth, (req, res) => {
+  authService.revokeSession(req.session.token);
+  res.json({ success: true });
+});
+
+module.exports = { router, requireAuth, getRequestToken };
@@ -8,8 +8,15 @@ const router = express.Router();
 
 // Use singleton GameManager instance shared with socket handlers
 const gameManager = require('../game/gameManagerSingleton');
+const { projectGameState, projectPayload } = require('../game/gameProjection');
 const databaseService = require('../services/databaseService');
 const ReferralService = require('../services/referralService');
+const { listRuleSets } = require('../game/ruleSets');
+const { verifyAutoMoves } = require('../game/provablyFair');
+const { resolveInviteOptions } = require('../game/invites');
+const authService = require('../services/authService');
+const { requireAuth, getRequestToken } = require('./authRoutes');
+const { LIVE_GAMES_LIMIT, LIVE_GAMES_MAX_LIMIT } = require('../utils/constants');
 // socketHandlers will be passed via route initialization - see server.js
 let socketHandlersRef = null;
 let ioRef = null;
@@ -103,6 +110,135 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/games/rule-sets
+ * List the game variants (moves and which move beats which)
+ */
+router.get('/rule-sets', (req, res) => {
+  res.json({
+    success: true,
+    ruleSets: listRuleSets()
+  });
+});
+
+/**
+ * GET /api/games/chat/emotes
+ * List the emotes players can send with send_emote
+ */
+router.get('/chat/emotes', (req, res) => {
+  res.json({
+    success: true,
+    emotes: gameManager.chat.listEmotes()
+  });
+});
+
+/**
+ * GET /api/games/live
+ * Games in progress that can be watched, biggest stakes first (SOL before points)
+ * Query: ?currency=points|sol, ?minStake=, ?limit= (default 20, at most 50)
+ */
+router.get('/live', (req, res) => {
+  try {
+    const { currency = null } = req.query;
+    const minStake = Number(req.query.minStake) || 0;
+    const limit = Math.min(parseInt(req.query.limit) || LIVE_GAMES_LIMIT, LIVE_GAMES_MAX_LIMIT);
+
+    if (currency && currency !== 'points' && currency !== 'sol') {
+      return res.status(400).json({
+        success: false,
+        error: 'Currency must be points or sol'
+      });
+    }
+
+    const games = gameManager.listWatchableGames({ currency, minStake, limit })
+      .map(gameState => projectGameState(gameState, null));
+
+    res.json({
+      success: true,
+      games,
+      count: games.length
+    });
+  } catch (error) {
+    console.error('Get live games error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get live games'
+    });
+  }
+});
+
+/**
+ * GET /api/games/leaderboard
+ * Get leaderboard data (?sort=rating ranks by skill rating instead of points earned)
+ */
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const sortBy = req.query.sort === 'rating' ? 'rating' : 'points';
+    const leaderboard = await databaseService.getLeaderboard(limit, sortBy);
+    
+    res.json({
+      success: true,
+      leaderboard,
+      total: leaderboard.length
+    });
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get leaderboard'
+    });
+  }
+});
+
+/**
+ * GET /api/games/leaderboard/user/:walletAddress
+ * Get user's rank on leaderboard
+ */
+router.get('/leaderboard/user/:walletAddress', async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+    const userRank = await databaseService.getUserRank(walletAddress);
+    
+    if (!userRank) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found on leaderboard'
+      });
+    }
+    
+    res.json({
+      success: true,
+      userRank
+    });
+  } catch (error) {
+    console.error('Get user rank error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get user rank'
+    });
+  }
+});
+
+/**
+ * POST /api/games/fairness/verify
+ * Recompute timeout moves from the fairness data published with game_finished
+ * Body: { serverSeed, serverSeedHash, clientSeeds: { player1, player2 }, ruleSet, autoMoves: [{ round, position, move }] }
+ */
+router.post('/fairness/verify', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...verifyAutoMoves(req.body || {})
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/games/:gameId
  * Get game information by ID
@@ -119,30 +255,16 @@ router.get('/:gameId', (req, res) => {
       });
     }
 
-    // Return public game information (hide sensitive data like current moves)
+    // Return the sanitized view: a player signed in with a session sees their
+    // own move and wallet, everyone else gets the spectator view
+    const session = authService.getSession(getRequestToken(req));
+    const gameView = projectGameState(gameState, session ? session.playerId : null);
     const publicGameInfo = {
-      gameId: gameState.gameId,
-      gameType: gameState.gameType,
-      currency: gameState.currency,
-      stakeAmount: gameState.stakeAmount,
-      totalPot: gameState.totalPot,
-      gameStatus: gameState.gameStatus,
-      currentRound: gameState.currentRound,
+      ...gameView,
       players: {
-        player1: {
-          id: gameState.player1.id,
-          wins: gameState.player1.wins,
-          connected: gameState.player1.socketId !== null
-        },
-        player2: {
-          id: gameState.player2.id,
-          wins: gameState.player2.wins,
-          connected: gameState.player2.socketId !== null
-        }
-      },
-      winner: gameState.winner,
-      moveHistory: gameState.moveHistory,
-      createdAt: gameState.createdAt
+        player1: gameView.player1,
+        player2: gameView.player2
+      }
     };
 
     res.json({
@@ -161,21 +283,40 @@ router.get('/:gameId', (req, res) => {
 /**
  * POST /api/games/create
  * Create a new game (HTTP alternative to WebSocket)
+ * Requires a session token; the creator is the session's wallet
+ * Private games get an invite: optional inviteWallet, inviteTtlSeconds and inviteOnly (default true)
  */
-router.post('/create', (req, res) => {
+router.post('/create', requireAuth, async (req, res) => {
   try {
-    const { gameType = 'public', stakeAmount = 0, currency = 'points', playerId } = req.body;
-    
-    if (!playerId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Player ID is required'
-      });
+    const { gameType = 'public', stakeAmount = 0, currency = 'points', roundsToWin, drawLimit, ruleSet } = req.body;
+    const { playerId, wallet } = req.session;
+
+    let inviteOptions = null;
+    if (gameType === 'private') {
+      try {
+        inviteOptions = resolveInviteOptions({
+          targetWallet: req.body.inviteWallet,
+          ttlSeconds: req.body.inviteTtlSeconds,
+          inviteOnly: req.body.inviteOnly
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
     }
 
-    const result = gameManager.createGame(gameType, stakeAmount, currency, playerId, null);
+    const result = await gameManager.createGame(gameType, stakeAmount, currency, playerId, null, wallet, null, { roundsToWin, drawLimit, ruleSet });
+
+    if (result.success && inviteOptions) {
+      const invited = gameManager.createInvite(result.gameId, playerId, inviteOptions);
+      if (invited.success) {
+        result.inviteLink = invited.invite.code;
+      }
+    }
     
-    res.json(result);
+    res.json(projectPayload(result, playerId));
   } catch (error) {
     console.error('Create game error:', error);
     res.status(500).json({
@@ -187,24 +328,26 @@ router.post('/create', (req, res) => {
 
 /**
  * POST /api/games/:gameId/join
- * Join a game by ID (HTTP alternative to WebSocket)
+ * Join a game by ID or invite code (HTTP alternative to WebSocket)
+ * Requires a session token; the joining player is the session's wallet
+ * Invite-only games also need { inviteCode } when joined by ID
  */
-router.post('/:gameId/join', (req, res) => {
+router.post('/:gameId/join', requireAuth, async (req, res) => {
   try {
-    const { gameId } = req.params;
-    const { playerId } = req.body;
-    
-    if (!playerId) {
-      return res.status(400).json({
+    const { playerId, wallet } = req.session;
+    const target = gameManager.resolveJoinTarget(req.params.gameId);
+
+    if (!target.gameState) {
+      return res.status(404).json({
         success: false,
-        error: 'Player ID is required'
+        error: 'Game not found'
       });
     }
 
-    const result = gameManager.joinGame(gameId, playerId, null);
+    const result = await gameManager.joinGame(target.gameState.gameId, playerId, null, wallet, req.body.inviteCode || target.inviteCode);
     
     if (result.success) {
-      res.json(result);
+      res.json(projectPayload(result, playerId));
     } else {
       res.status(400).json(result);
     }
@@ -256,8 +399,9 @@ router.get('/public/available', (req, res) => {
 /**
  * POST /api/games/onchain/created
  * HTTP fallback endpoint for onchain_game_created event
+ * The game only moves on once the deposit is confirmed on-chain
  */
-router.post('/onchain/created', (req, res) => {
+router.post('/onchain/created', requireAuth, (req, res) => {
   try {
     const { gameId } = req.body;
     
@@ -275,6 +419,7 @@ router.post('/onchain/created', (req, res) => {
       // Create a dummy socket-like object for the handler
       const dummySocket = {
         id: 'http-fallback',
+        data: { session: req.session },
         emit: () => {},
         join: () => {},
         to: () => ({ emit: () => {} })
@@ -288,7 +433,7 @@ router.post('/onchain/created', (req, res) => {
     
     res.json({
       success: true,
-      message: 'Event received and processed',
+      message: 'Event received, deposit is being verified on-chain',
       gameId: String(gameId)
     });
   } catch (error) {
@@ -303,8 +448,9 @@ router.post('/onchain/created', (req, res) => {
 /**
  * POST /api/games/onchain/joined
  * HTTP fallback endpoint for onchain_game_joined event
+ * The game only moves on once the deposit is confirmed on-chain
  */
-router.post('/onchain/joined', (req, res) => {
+router.post('/onchain/joined', requireAuth, (req, res) => {
   try {
     const { gameId } = req.body;
     
@@ -322,6 +468,7 @@ router.post('/onchain/joined', (req, res) => {
       // Create a dummy socket-like object for the handler
       const dummySocket = {
         id: 'http-fallback',
+        data: { session: req.session },
         emit: () => {},
         join: () => {},
         to: () => ({ emit: () => {} })
@@ -335,7 +482,7 @@ router.post('/onchain/joined', (req, res) => {
     
     res.json({
       success: true,
-      message: 'Event received and processed',
+      message: 'Event received, deposit is being verified on-chain',
       gameId: String(gameId)
     });
   } catch (error) {
@@ -349,7 +496,7 @@ router.post('/onchain/joined', (req, res) => {
 
 /**
  * POST /api/games/validate-invite
- * Validate an invitation link
+ * Check an invite code (or the ID of a game that can be joined without one) before joining
  */
 router.post('/validate-invite', (req, res) => {
   try {
@@ -362,10 +509,9 @@ router.post('/validate-invite', (req, res) => {
       });
     }
 
-    // For now, invite code is just the game ID
-    const gameState = gameManager.getGame(inviteCode);
+    const { gameState, inviteCode: code } = gameManager.resolveJoinTarget(inviteCode);
     
-    if (!gameState) {
+    if (!gameState || (!code && gameState.inviteOnly)) {
       return res.status(404).json({
         success: false,
         error: 'Invalid invite code'
@@ -386,6 +532,13 @@ router.post('/validate-invite', (req, res) => {
       });
     }
 
+    // Check the invite itself without a joining wallet - a wallet-locked invite is only reported as such
+    const { invite } = gameState;
+    const check = gameManager.checkInvite(gameState, null, invite?.targetWallet || null, code);
+    if (!check.success) {
+      return res.status(400).json(check);
+    }
+
     res.json({
       success: true,
       valid: true,
@@ -393,8 +546,11 @@ router.post('/validate-invite', (req, res) => {
         gameId: gameState.gameId,
         gameType: gameState.gameType,
         stakeAmount: gameState.stakeAmount,
+        currency: gameState.currency,
         gameStatus: gameState.gameStatus,
-        createdAt: gameState.createdAt
+        createdAt: gameState.createdAt,
+        inviteExpiresAt: invite ? invite.expiresAt : null,
+        walletRestricted: Boolean(invite?.targetWallet)
       }
     });
   } catch (error) {
@@ -406,14 +562,66 @@ router.post('/validate-invite', (req, res) => {
   }
 });
 
+/**
+ * POST /api/games/:gameId/invite
+ * Mint a new invite for your waiting private game ({ targetWallet, ttlSeconds, inviteOnly }); the old code stops working
+ */
+router.post('/:gameId/invite', requireAuth, (req, res) => {
+  try {
+    const { targetWallet, ttlSeconds, inviteOnly } = req.body;
+    const result = gameManager.createInvite(req.params.gameId, req.session.playerId, { targetWallet, ttlSeconds, inviteOnly });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      gameId: req.params.gameId,
+      invite: { ...result.invite }
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create invite'
+    });
+  }
+});
+
+/**
+ * DELETE /api/games/:gameId/invite
+ * Revoke the invite of your waiting private game
+ */
+router.delete('/:gameId/invite', requireAuth, (req, res) => {
+  try {
+    const result = gameManager.revokeInvite(req.params.gameId, req.session.playerId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      gameId: req.params.gameId
+    });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke invite'
+    });
+  }
+});
+
 /**
  * DELETE /api/games/:gameId
  * Cancel/delete a game (only if not started)
  */
-router.delete('/:gameId', (req, res) => {
+router.delete('/:gameId', requireAuth, (req, res) => {
   try {
     const { gameId } = req.params;
-    const { playerId } = req.body;
+    const { playerId } = req.session;
     
     const gameState = gameManager.getGame(gameId);
     
@@ -439,20 +647,22 @@ router.delete('/:gameId', (req, res) => {
       });
     }
 
+    // Removing the creator queues the on-chain refund for SOL games that never started
+    const result = gameManager.removePlayer(playerId);
+
     // Remove game
     gameManager.games.delete(gameId);
+    gameManager.metricStatuses.delete(gameId);
     
-    // Remove players from tracking
-    if (gameState.player1.id) {
-      gameManager.playerGames.delete(gameState.player1.id);
-    }
+    // Remove remaining players from tracking
     if (gameState.player2.id) {
       gameManager.playerGames.delete(gameState.player2.id);
     }
 
     res.json({
       success: true,
-      message: 'Game deleted successfully'
+      message: 'Game deleted successfully',
+      refund: result.refund || null
     });
   } catch (error) {
     console.error('Delete game error:', error);
@@ -464,53 +674,37 @@ router.delete('/:gameId', (req, res) => {
 });
 
 /**
- * GET /api/games/leaderboard
- * Get leaderboard data
+ * POST /api/games/:gameId/refund
+ * Relay the creator's signed cancel_game transaction for a SOL game cancelled before start
  */
-router.get('/leaderboard', async (req, res) => {
+router.post('/:gameId/refund', requireAuth, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const leaderboard = await databaseService.getLeaderboard(limit);
-    
-    res.json({
-      success: true,
-      leaderboard,
-      total: leaderboard.length
-    });
-  } catch (error) {
-    console.error('Get leaderboard error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get leaderboard'
-    });
-  }
-});
+    const { gameId } = req.params;
+    const { signedTransaction } = req.body;
 
-/**
- * GET /api/games/leaderboard/user/:walletAddress
- * Get user's rank on leaderboard
- */
-router.get('/leaderboard/user/:walletAddress', async (req, res) => {
-  try {
-    const { walletAddress } = req.params;
-    const userRank = await databaseService.getUserRank(walletAddress);
-    
-    if (!userRank) {
-      return res.status(404).json({
+    if (!signedTransaction) {
+      return res.status(400).json({
         success: false,
-        error: 'User not found on leaderboard'
+        error: 'Signed transaction is required'
       });
     }
-    
+
+    const result = await gameManager.refundQueue.submitSignedTransaction(gameId, req.session.wallet, signedTransaction);
+
+    if (!result.success && !result.job) {
+      return res.status(400).json(result);
+    }
+
     res.json({
-      success: true,
-      userRank
+      success: result.success,
+      refund: result.job,
+      error: result.error
     });
   } catch (error) {
-    console.error('Get user rank error:', error);
+    console.error('Submit refund error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get user rank'
+      error: 'Failed to submit refund'
     });
   }
 });
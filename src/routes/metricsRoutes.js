@@ -0,0 +1,55 @@
+/**
+ * Metrics Route
+ * Prometheus scrape endpoint; when METRICS_TOKEN is set, scrapes must send it as a bearer token
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+
+const { registry, CONTENT_TYPE } = require('../utils/metrics');
+const { getRequestToken } = require('./authRoutes');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'metrics' });
+
+/**
+ * Check a scrape's bearer token against METRICS_TOKEN
+ * @param {object} req - Express request
+ * @returns {boolean} - True when no token is configured or the token matches
+ */
+function isAuthorizedScrape(req) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return true;
+  }
+  const provided = Buffer.from(getRequestToken(req) || '');
+  const wanted = Buffer.from(expected);
+  return provided.length === wanted.length && crypto.timingSafeEqual(provided, wanted);
+}
+
+/**
+ * GET /metrics
+ * Every metric in the Prometheus text exposition format
+ */
+router.get('/', async (req, res) => {
+  if (!isAuthorizedScrape(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid metrics token'
+    });
+  }
+
+  try {
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(await registry.render());
+  } catch (error) {
+    log.error('Rendering metrics failed', { err: error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render metrics'
+    });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,155 @@
+/**
+ * Tournament API Routes
+ * Listing, creating and joining tournaments and viewing their brackets
+ * Bracket changes are pushed over the socket as tournament_updated (see socketHandlers)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const tournamentManager = require('../game/tournamentManagerSingleton');
+const { requireAuth } = require('./authRoutes');
+
+/**
+ * GET /api/tournaments
+ * List tournaments, newest first (?status=registration|running|finished|cancelled)
+ */
+router.get('/', (req, res) => {
+  try {
+    const tournaments = tournamentManager.listTournaments(req.query.status || null).map(tournament => ({
+      tournamentId: tournament.tournamentId,
+      name: tournament.name,
+      format: tournament.format,
+      currency: tournament.currency,
+      entryFee: tournament.entryFee,
+      status: tournament.status,
+      playerCount: tournament.players.length,
+      maxPlayers: tournament.maxPlayers,
+      prizeTable: tournament.prizeTable,
+      prizePool: tournament.prizePool,
+      startsAt: tournament.startsAt,
+      createdAt: tournament.createdAt
+    }));
+
+    res.json({
+      success: true,
+      tournaments,
+      count: tournaments.length
+    });
+  } catch (error) {
+    console.error('List tournaments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list tournaments'
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments
+ * Create a tournament; the session's wallet is the organizer
+ * Body: { name, format, currency, entryFee, prizeTable, maxPlayers, startsAt, roundsToWin, drawLimit, ruleSet }
+ */
+router.post('/', requireAuth, (req, res) => {
+  try {
+    const result = tournamentManager.createTournament(req.session.wallet, req.body || {});
+
+    if (result.success) {
+      res.json({ success: true, tournament: tournamentManager.getView(result.tournament) });
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Create tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create tournament'
+    });
+  }
+});
+
+/**
+ * GET /api/tournaments/:tournamentId
+ * Tournament with its bracket, standings and prizes
+ */
+router.get('/:tournamentId', (req, res) => {
+  try {
+    const tournament = tournamentManager.getTournament(req.params.tournamentId);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found'
+      });
+    }
+
+    res.json({ success: true, tournament: tournamentManager.getView(tournament) });
+  } catch (error) {
+    console.error('Get tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get tournament'
+    });
+  }
+});
+
+/**
+ * Build a handler for a tournament action taken by the session's wallet
+ * @param {string} label - Action name for logs and errors
+ * @param {Function} action - (tournamentId, wallet, body) => result
+ * @returns {Function} - Express handler
+ */
+function tournamentAction(label, action) {
+  return async (req, res) => {
+    try {
+      const result = await action(req.params.tournamentId, req.session.wallet, req.body || {});
+
+      if (result.success) {
+        res.json({ ...result, tournament: tournamentManager.getView(result.tournament) });
+      } else {
+        res.status(result.error === 'Tournament not found' ? 404 : 400).json(result);
+      }
+    } catch (error) {
+      console.error(`Tournament ${label} error:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${label} tournament`
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/tournaments/:tournamentId/join
+ * Register the session's wallet and take the entry fee
+ * SOL tournaments with a fee need { signature } of a transfer of the fee to the tournament's entryAddress
+ */
+router.post('/:tournamentId/join', requireAuth, tournamentAction('join', (tournamentId, wallet, body) =>
+  tournamentManager.register(tournamentId, wallet, { signature: body.signature })
+));
+
+/**
+ * POST /api/tournaments/:tournamentId/leave
+ * Leave before the start; the entry fee is refunded
+ */
+router.post('/:tournamentId/leave', requireAuth, tournamentAction('leave', (tournamentId, wallet) =>
+  tournamentManager.unregister(tournamentId, wallet)
+));
+
+/**
+ * POST /api/tournaments/:tournamentId/start
+ * Organizer only: close registration and open the first matches
+ */
+router.post('/:tournamentId/start', requireAuth, tournamentAction('start', (tournamentId, wallet) =>
+  tournamentManager.start(tournamentId, wallet)
+));
+
+/**
+ * POST /api/tournaments/:tournamentId/cancel
+ * Organizer only: cancel before the start and refund every entry fee
+ */
+router.post('/:tournamentId/cancel', requireAuth, tournamentAction('cancel', (tournamentId, wallet) =>
+  tournamentManager.cancel(tournamentId, wallet)
+));
+
+module.exports = { router };
@@ -0,0 +1,125 @@
+/**
+ * Admin Audit Log
+ * Append-only record of every admin action: who did what to which game, queue job or wallet, and how it went.
+ *
+ * Entries are appended synchronously to a JSON-lines journal that is never rewritten or compacted,
+ * and mirrored into the admin_audit_log table (which rejects updates and deletes). The most recent
+ * entries are kept in memory for GET /admin/audit.
+ *
+ * Drivers follow STATE_STORE: 'file' (default) appends to ADMIN_AUDIT_FILE, 'memory' keeps entries in memory only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const databaseService = require('./databaseService');
+const { logger } = require('../utils/logger');
+const { ADMIN_AUDIT_RECENT_LIMIT, ADMIN_AUDIT_PAGE_LIMIT } = require('../utils/constants');
+
+const log = logger.child({ module: 'audit' });
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, '../../data/admin-audit.jsonl');
+
+class AuditLog {
+  /**
+   * @param {string|null} filePath - Journal file path; null keeps entries in memory only
+   * @param {object} options - { recentLimit, mirror }
+   */
+  constructor(filePath = null, { recentLimit = ADMIN_AUDIT_RECENT_LIMIT, mirror = entry => databaseService.recordAdminAction(entry) } = {}) {
+    this.filePath = filePath;
+    this.recentLimit = recentLimit;
+    this.mirror = mirror;
+    this.recent = []; // Newest last
+
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.load();
+    }
+  }
+
+  /**
+   * Read the newest journal entries back into memory
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.remember(JSON.parse(line));
+      } catch (error) {
+        // Torn write from a crash - the entries around it are still valid
+      }
+    }
+  }
+
+  /**
+   * Keep an entry in the in-memory window
+   * @param {object} entry - Audit entry
+   */
+  remember(entry) {
+    this.recent.push(entry);
+    if (this.recent.length > this.recentLimit) {
+      this.recent.shift();
+    }
+  }
+
+  /**
+   * Record an admin action
+   * @param {object} action - { admin, action, target, details, success, error }
+   * @returns {object} - Stored entry
+   */
+  record({ admin, action, target = null, details = {}, success = true, error = null }) {
+    const entry = {
+      id: uuidv4(),
+      at: new Date().toISOString(),
+      admin,
+      action,
+      target,
+      details,
+      success,
+      error
+    };
+
+    if (this.filePath) {
+      try {
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+      } catch (writeError) {
+        log.error('Failed to write audit journal', { err: writeError, entry });
+      }
+    }
+    this.remember(entry);
+
+    Promise.resolve(this.mirror(entry)).catch(mirrorError => {
+      log.error('Failed to mirror audit entry', { id: entry.id, err: mirrorError });
+    });
+
+    return entry;
+  }
+
+  /**
+   * Recent entries, newest first
+   * @param {object} filters - { limit, action, admin, target }
+   * @returns {object[]} - Audit entries
+   */
+  list({ limit = ADMIN_AUDIT_PAGE_LIMIT, action = null, admin = null, target = null } = {}) {
+    return this.recent
+      .filter(entry => (!action || entry.action === action) && (!admin || entry.admin === admin) && (!target || entry.target === target))
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+/**
+ * Create the audit log configured by the environment
+ * @returns {AuditLog} - Configured audit log
+ */
+function createAuditLog() {
+  const driver = process.env.STATE_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+  return new AuditLog(driver === 'memory' ? null : process.env.ADMIN_AUDIT_FILE || DEFAULT_AUDIT_FILE);
+}
+
+module.exports = {
+  AuditLog,
+  createAuditLog
+};
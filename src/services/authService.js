@@ -0,0 +1,270 @@
+/**
+ * Auth Service
+ * Wallet-signature login: the client signs a server-issued nonce with its Solana key
+ * and receives a session token bound to that wallet. Sockets and HTTP routes derive
+ * playerId/wallet from the session instead of trusting request payloads.
+ */
+
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+const { PublicKey } = require('@solana/web3.js');
+const { utils } = require('@coral-xyz/anchor');
+const { AUTH_CHALLENGE_TTL_SECONDS, AUTH_MAX_PENDING_CHALLENGES, SESSION_TTL_SECONDS } = require('../utils/constants');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'authService' });
+
+class AuthService {
+  constructor() {
+    this.challenges = new Map(); // nonce -> { wallet, message, expiresAt }
+    this.sessions = new Map(); // token -> { token, wallet, playerId, createdAt, expiresAt }
+  }
+
+  /**
+   * Build the message the wallet has to sign
+   * @param {string} wallet - Wallet address
+   * @param {string} nonce - Server-issued nonce
+   * @returns {string} - Message to sign
+   */
+  buildMessage(wallet, nonce) {
+    return `Sign in to RPS MagicBlock\nWallet: ${wallet}\nNonce: ${nonce}`;
+  }
+
+  /**
+   * Issue a one-time login challenge for a wallet
+   * A wallet can hold a few pending challenges, so a new request doesn't void one being signed;
+   * past AUTH_MAX_PENDING_CHALLENGES the oldest goes, which keeps repeated requests from piling up
+   * @param {string} wallet - Wallet address (base58)
+   * @returns {object} - { success, wallet, nonce, message, expiresAt } or error
+   */
+  issueChallenge(wallet) {
+    let publicKey;
+    try {
+      publicKey = new PublicKey(wallet);
+    } catch (error) {
+      return { success: false, error: 'Invalid wallet address' };
+    }
+
+    // Keep the challenge/session maps bounded without a background timer
+    this.cleanupExpired();
+
+    const walletAddress = publicKey.toBase58();
+    // Map order is issue order, so the oldest pending challenge comes first
+    const pending = [...this.challenges.entries()]
+      .filter(([, challenge]) => challenge.wallet === walletAddress)
+      .map(([pendingNonce]) => pendingNonce);
+    while (pending.length >= AUTH_MAX_PENDING_CHALLENGES) {
+      this.challenges.delete(pending.shift());
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const message = this.buildMessage(walletAddress, nonce);
+    const expiresAt = Date.now() + AUTH_CHALLENGE_TTL_SECONDS * 1000;
+
+    this.challenges.set(nonce, { wallet: walletAddress, message, expiresAt });
+
+    return {
+      success: true,
+      wallet: walletAddress,
+      nonce,
+      message,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Decode a signature sent by the client
+   * Accepts base58 (wallet adapter default), base64 or a byte array
+   * @param {string|number[]} signature - Encoded signature
+   * @returns {Uint8Array|null} - 64-byte signature or null
+   */
+  decodeSignature(signature) {
+    let bytes = null;
+    try {
+      if (Array.isArray(signature) || signature instanceof Uint8Array) {
+        bytes = Uint8Array.from(signature);
+      } else if (typeof signature === 'string') {
+        bytes = utils.bytes.bs58.decode(signature);
+        if (bytes.length !== nacl.sign.signatureLength) {
+          bytes = Uint8Array.from(Buffer.from(signature, 'base64'));
+        }
+      }
+    } catch (error) {
+      try {
+        bytes = Uint8Array.from(Buffer.from(signature, 'base64'));
+      } catch (decodeError) {
+        return null;
+      }
+    }
+
+    if (!bytes || bytes.length !== nacl.sign.signatureLength) {
+      return null;
+    }
+    return bytes;
+  }
+
+  /**
+   * Verify a signed challenge and open a session
+   * The challenge is consumed only by a valid signature, so unsigned attempts can't burn it
+   * @param {string} wallet - Wallet address (base58)
+   * @param {string} nonce - Nonce of the challenge that was signed
+   * @param {string|number[]} signature - Signature of the challenge message
+   * @returns {object} - { success, token, playerId, wallet, expiresAt } or error
+   */
+  verifyChallenge(wallet, nonce, signature) {
+    let publicKey;
+    try {
+      publicKey = new PublicKey(wallet);
+    } catch (error) {
+      return { success: false, error: 'Invalid wallet address' };
+    }
+
+    const walletAddress = publicKey.toBase58();
+    const challenge = typeof nonce === 'string' ? this.challenges.get(nonce) : null;
+
+    if (!challenge || challenge.wallet !== walletAddress) {
+      return { success: false, error: 'Challenge expired or not found' };
+    }
+    if (challenge.expiresAt < Date.now()) {
+      this.challenges.delete(nonce);
+      return { success: false, error: 'Challenge expired or not found' };
+    }
+
+    const signatureBytes = this.decodeSignature(signature);
+    if (!signatureBytes) {
+      return { success: false, error: 'Invalid signature' };
+    }
+
+    const verified = nacl.sign.detached.verify(
+      Buffer.from(challenge.message, 'utf8'),
+      signatureBytes,
+      publicKey.toBytes()
+    );
+    if (!verified) {
+      log.warn('Signature verification failed', { wallet: walletAddress });
+      return { success: false, error: 'Invalid signature' };
+    }
+
+    this.challenges.delete(nonce);
+    const session = this.createSession(walletAddress);
+    log.info('Session opened', { wallet: walletAddress });
+
+    return this.describeSession(session);
+  }
+
+  /**
+   * Build the client-facing description of a session
+   * @param {object} session - Session
+   * @returns {object} - { success, token, playerId, wallet, expiresAt }
+   */
+  describeSession(session) {
+    return {
+      success: true,
+      token: session.token,
+      playerId: session.playerId,
+      wallet: session.wallet,
+      expiresAt: new Date(session.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Create a session for a verified wallet
+   * The wallet address doubles as the player ID so the two can never diverge
+   * @param {string} wallet - Verified wallet address
+   * @returns {object} - Session
+   */
+  createSession(wallet) {
+    const now = Date.now();
+    const session = {
+      token: crypto.randomBytes(32).toString('hex'),
+      wallet,
+      playerId: wallet,
+      createdAt: now,
+      expiresAt: now + SESSION_TTL_SECONDS * 1000
+    };
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  /**
+   * Look up a live session by token
+   * @param {string} token - Session token
+   * @returns {object|null} - Session or null if missing/expired
+   */
+  getSession(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    const session = this.sessions.get(token);
+    if (!session) {
+      return null;
+    }
+
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Revoke a session (logout)
+   * @param {string} token - Session token
+   * @returns {boolean} - True if a session was removed
+   */
+  revokeSession(token) {
+    return this.sessions.delete(token);
+  }
+
+  /**
+   * Revoke every session and pending challenge of a wallet (e.g. when it is banned)
+   * @param {string} wallet - Wallet address
+   * @returns {number} - Number of sessions removed
+   */
+  revokeWallet(wallet) {
+    for (const [nonce, challenge] of this.challenges.entries()) {
+      if (challenge.wallet === wallet) {
+        this.challenges.delete(nonce);
+      }
+    }
+
+    let removed = 0;
+    for (const [token, session] of this.sessions.entries()) {
+      if (session.wallet === wallet) {
+        this.sessions.delete(token);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Drop expired challenges and sessions
+   * @returns {number} - Number of entries removed
+   */
+  cleanupExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [nonce, challenge] of this.challenges.entries()) {
+      if (challenge.expiresAt < now) {
+        this.challenges.delete(nonce);
+        removed++;
+      }
+    }
+    for (const [token, session] of this.sessions.entries()) {
+      if (session.expiresAt < now) {
+        this.sessions.delete(token);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      log.debug('Cleaned up expired auth entries', { removed });
+    }
+    return removed;
+  }
+}
+
+module.exports = new AuthService();
@@ -4,6 +4,9 @@
  */
 
 const { supabase, isConfigured } = require('../config/supabase');
+const { summarizePayout } = require('../game/payouts');
+const { rateGame } = require('../game/rating');
+const { DEFAULT_RULE_SET, DEFAULT_RATING } = require('../utils/constants');
 
 class DatabaseService {
   constructor() {
@@ -119,9 +122,10 @@ class DatabaseService {
    * @param {string} winnerWallet - Winner wallet address
    * @param {string} loserWallet - Loser wallet address
    * @param {string} startedAt - Game start timestamp
+   * @param {string} ruleSet - Variant the game was played with
    * @returns {Promise<Object>} Processing result
    */
-  async processPointsGameAbandonment(gameId, player1Wallet, player2Wallet, winnerWallet, loserWallet, startedAt) {
+  async processPointsGameAbandonment(gameId, player1Wallet, player2Wallet, winnerWallet, loserWallet, startedAt, ruleSet = DEFAULT_RULE_SET) {
     if (!this.isReady) {
       console.warn('DatabaseService: Supabase not configured');
       return { success: false, error: 'Database not configured' };
@@ -149,6 +153,7 @@ class DatabaseService {
         player2Wallet,
         winnerWallet,
         currency: 'points',
+        ruleSet,
         amountBet: 100,
         potAmount: 200,
         platformFee: 0,
@@ -258,6 +263,7 @@ class DatabaseService {
           player2_wallet: gameData.player2Wallet,
           winner_wallet: gameData.winnerWallet,
           currency_used: gameData.currency,
+          rule_set: gameData.ruleSet || DEFAULT_RULE_SET,
           amount_bet: gameData.amountBet,
           pot_amount: gameData.potAmount,
           platform_fee: gameData.platformFee,
@@ -282,54 +288,285 @@ class DatabaseService {
   }
 
   /**
-   * Record a game that needs finalization on-chain
-   * @param {string} gameId - Game ID
-   * @param {string} player1Wallet - Player 1 wallet address
-   * @param {string} player2Wallet - Player 2 wallet address
+   * Mirror a SOL settlement job into the games_to_finalize table
+   * The settlement queue keeps its own durable copy; this row is for ops visibility and manual recovery
+   * @param {Object} job - Settlement job from SettlementQueue
+   * @returns {Promise<Object|null>} Settlement job record
+   */
+  async saveSettlementJob(job) {
+    if (!this.isReady) {
+      return null;
+    }
+
+    try {
+      const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+      const { data, error } = await supabase
+        .from('games_to_finalize')
+        .upsert([{
+          game_id: job.gameId,
+          winner_wallet: job.winnerWallet,
+          loser_wallet: job.loserWallet,
+          stake_amount: job.stakeAmount,
+          status: job.status,
+          set_winner_status: job.steps.set_winner.status,
+          set_winner_signature: job.steps.set_winner.signature,
+          finalize_game_status: job.steps.finalize_game.status,
+          finalize_game_signature: job.steps.finalize_game.signature,
+          close_game_status: job.steps.close_game.status,
+          close_game_signature: job.steps.close_game.signature,
+          attempts: job.attempts,
+          next_attempt_at: toIso(job.nextAttemptAt),
+          last_error: job.lastError,
+          created_at: toIso(job.createdAt),
+          updated_at: toIso(job.updatedAt),
+          settled_at: toIso(job.settledAt)
+        }], { onConflict: 'game_id' })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error saving settlement job:', error);
+        return null;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Database error in saveSettlementJob:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get a wallet's skill rating
+   * Wallets without a profile (or without a database) play at the default rating
+   * @param {string} walletAddress - User's wallet address
+   * @returns {Promise<Object>} { rating, ratedGames }
+   */
+  async getPlayerRating(walletAddress) {
+    const unrated = { rating: DEFAULT_RATING, ratedGames: 0 };
+    if (!this.isReady || !walletAddress) {
+      return unrated;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('user_profiles')
+        .select('rating, rated_games')
+        .eq('wallet_address', walletAddress)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // Not found error is OK
+        console.error('Error getting player rating:', error);
+      }
+
+      return data ? { rating: data.rating, ratedGames: data.rated_games } : unrated;
+    } catch (error) {
+      console.error('Database error in getPlayerRating:', error);
+      return unrated;
+    }
+  }
+
+  /**
+   * Update both players' ratings after a completed or abandoned game
    * @param {string} winnerWallet - Winner wallet address
-   * @returns {Promise<Object|null>} Game finalization record
+   * @param {string} loserWallet - Loser wallet address
+   * @param {string} gameId - Game ID for logging
+   * @returns {Promise<Object>} Result with the new ratings
+   */
+  async updateRatings(winnerWallet, loserWallet, gameId = null) {
+    if (!this.isReady) {
+      console.warn('DatabaseService: Supabase not configured');
+      return { success: false, error: 'Database not configured' };
+    }
+
+    try {
+      const [winner, loser] = await Promise.all([
+        this.getPlayerRating(winnerWallet),
+        this.getPlayerRating(loserWallet)
+      ]);
+      const rated = rateGame(winner, loser);
+
+      const updates = await Promise.all([
+        [winnerWallet, rated.winner],
+        [loserWallet, rated.loser]
+      ].map(([walletAddress, { rating, ratedGames }]) => supabase
+        .from('user_profiles')
+        .update({
+          rating,
+          rated_games: ratedGames,
+          updated_at: new Date().toISOString()
+        })
+        .eq('wallet_address', walletAddress)));
+
+      const failed = updates.find(({ error }) => error);
+      if (failed) {
+        console.error('Error updating ratings:', failed.error);
+        return { success: false, error: failed.error.message };
+      }
+
+      console.log(`📈 Ratings updated for game ${gameId}:`, {
+        winner: { wallet: winnerWallet, rating: rated.winner.rating, delta: rated.winner.delta },
+        loser: { wallet: loserWallet, rating: rated.loser.rating, delta: rated.loser.delta }
+      });
+
+      return { success: true, ...rated };
+    } catch (error) {
+      console.error('Database error in updateRatings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Add or take points outside of a game (tournament entry fees, refunds and prizes)
+   * Taking more points than the wallet holds fails without changing the balance
+   * @param {string} walletAddress - User's wallet address
+   * @param {number} delta - Points to add (negative to take)
+   * @param {string} reason - What the points are for, for logging
+   * @returns {Promise<Object>} { success, newBalance } or { success: false, error }
+   */
+  async adjustPoints(walletAddress, delta, reason) {
+    if (!this.isReady) {
+      console.warn('DatabaseService: Supabase not configured');
+      return { success: false, error: 'Database not configured' };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .rpc('adjust_points_balance', { user_wallet: walletAddress, points_delta: delta });
+
+      if (error) {
+        console.error('Error adjusting points balance:', error);
+        return { success: false, error: error.message };
+      }
+
+      if (!data || !data.wallet_address) {
+        return { success: false, error: 'Insufficient points' };
+      }
+
+      console.log(`💰 ${delta >= 0 ? '+' : ''}${delta} points for ${walletAddress} (${reason}), balance ${data.points_balance}`);
+      return { success: true, newBalance: data.points_balance };
+    } catch (error) {
+      console.error('Database error in adjustPoints:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Record a finished tournament
+   * @param {Object} tournament - Finished tournament (see TournamentManager)
+   * @param {Array} standings - Final standings
+   * @returns {Promise<Object|null>} Tournament result record
    */
-  async recordGameFinalizationNeeded(gameId, player1Wallet, player2Wallet, winnerWallet) {
+  async recordTournamentResult(tournament, standings) {
     if (!this.isReady) {
       console.warn('DatabaseService: Supabase not configured');
       return null;
     }
 
     try {
-      // Check if we have a games_to_finalize table
-      const { data: tableExists } = await supabase
-        .from('games_to_finalize')
-        .select('count')
-        .limit(1)
-        .catch(() => ({ data: null }));
+      const { data, error } = await supabase
+        .from('tournament_results')
+        .upsert([{
+          tournament_id: tournament.tournamentId,
+          name: tournament.name,
+          format: tournament.format,
+          currency: tournament.currency,
+          entry_fee: tournament.entryFee,
+          prize_pool: tournament.prizePool,
+          platform_fee: tournament.platformFee,
+          player_count: tournament.players.length,
+          standings,
+          prizes: tournament.prizes,
+          started_at: tournament.startedAt,
+          finished_at: tournament.finishedAt
+        }])
+        .select()
+        .single();
 
-      // If table doesn't exist, we'll just log and return
-      if (tableExists === null) {
-        console.log('games_to_finalize table does not exist, skipping record');
+      if (error) {
+        console.error('Error recording tournament result:', error);
         return null;
       }
 
+      return data;
+    } catch (error) {
+      console.error('Database error in recordTournamentResult:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a chat mute or report against the sender's wallet
+   * @param {Object} entry - { action: 'mute'|'report', wallet, reportedBy, gameId, message, reason }
+   * @returns {Promise<Object|null>} Moderation record
+   */
+  async recordChatModeration({ action, wallet, reportedBy, gameId, message = null, reason = null }) {
+    if (!this.isReady) {
+      console.warn('DatabaseService: Supabase not configured');
+      return null;
+    }
+
+    try {
       const { data, error } = await supabase
-        .from('games_to_finalize')
+        .from('chat_moderation')
         .insert([{
+          action,
+          wallet_address: wallet,
+          reported_by: reportedBy,
           game_id: gameId,
-          player1_wallet: player1Wallet,
-          player2_wallet: player2Wallet,
-          winner_wallet: winnerWallet,
-          created_at: new Date().toISOString(),
-          status: 'pending'
+          message,
+          reason
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error recording chat moderation:', error);
+        return null;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Database error in recordChatModeration:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Mirror an admin audit entry into the admin_audit_log table
+   * The audit journal on disk is the primary copy; this row is for querying across deploys
+   * @param {Object} entry - Entry from AuditLog { id, at, admin, action, target, details, success, error }
+   * @returns {Promise<Object|null>} Audit record
+   */
+  async recordAdminAction(entry) {
+    if (!this.isReady) {
+      return null;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('admin_audit_log')
+        .insert([{
+          id: entry.id,
+          admin_wallet: entry.admin,
+          action: entry.action,
+          target: entry.target,
+          details: entry.details,
+          success: entry.success,
+          error: entry.error,
+          created_at: entry.at
         }])
-        .select();
+        .select()
+        .single();
 
       if (error) {
-        console.error('Error recording game finalization needed:', error);
+        console.error('Error recording admin action:', error);
         return null;
       }
 
-      console.log(`📝 Recorded game ${gameId} needing on-chain finalization`);
-      return data[0];
+      return data;
     } catch (error) {
-      console.error('Database error in recordGameFinalizationNeeded:', error);
+      console.error('Database error in recordAdminAction:', error);
       return null;
     }
   }
@@ -337,9 +574,10 @@ class DatabaseService {
   /**
    * Get leaderboard
    * @param {number} limit - Number of entries to return (default 50)
+   * @param {string} sortBy - 'points' (default) or 'rating'
    * @returns {Promise<Array>} Leaderboard entries
    */
-  async getLeaderboard(limit = 50) {
+  async getLeaderboard(limit = 50, sortBy = 'points') {
     if (!this.isReady) {
       console.warn('DatabaseService: Supabase not configured');
       return [];
@@ -349,6 +587,7 @@ class DatabaseService {
       const { data, error } = await supabase
         .from('leaderboard')
         .select('*')
+        .order(sortBy === 'rating' ? 'rating_rank' : 'rank', { ascending: true })
         .limit(limit);
 
       if (error) {
@@ -400,9 +639,10 @@ class DatabaseService {
    * @param {string} player2Wallet - Player 2 wallet
    * @param {string} winnerWallet - Winner wallet
    * @param {string} startedAt - Game start time
+   * @param {string} ruleSet - Variant the game was played with
    * @returns {Promise<Object>} Processing result
    */
-  async processPointsGame(gameId, player1Wallet, player2Wallet, winnerWallet, startedAt) {
+  async processPointsGame(gameId, player1Wallet, player2Wallet, winnerWallet, startedAt, ruleSet = DEFAULT_RULE_SET) {
     if (!this.isReady) {
       console.warn('DatabaseService: Supabase not configured');
       return { success: false, error: 'Database not configured' };
@@ -425,6 +665,7 @@ class DatabaseService {
         player2Wallet,
         winnerWallet,
         currency: 'points',
+        ruleSet,
         amountBet: 100, // Fixed 100 points per game
         potAmount: null, // No pot for points games
         platformFee: null, // No fee for points games
@@ -552,7 +793,7 @@ class DatabaseService {
         stakeAmount: game.amount_bet,
         pointsWon: game.currency_used === 'points' ? (game.amount_bet || 0) : 0,
         winningsAmount: game.currency_used === 'sol' ? 
-          (game.winner_payout || game.amount_bet * 2 * 0.95) : 
+          (game.winner_payout || summarizePayout(Number(game.amount_bet), 'sol').winnerPayout) : 
           (game.amount_bet || 0),
         createdAt: game.created_at
       })) || [];
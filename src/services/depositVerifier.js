@@ -0,0 +1,153 @@
+/**
+ * Deposit Verifier
+ * Confirms SOL stakes on-chain before a game starts.
+ *
+ * Clients still announce their deposits (onchain_game_created / onchain_game_joined), but an announcement
+ * only starts a check: the game PDA is polled until it shows the expected player and the escrowed lamports.
+ * - player1: game account exists as a SOL game created by player1 with the backend stake and win target, holding rent + stake
+ * - player2: player2 joined on-chain and the account holds rent + both stakes
+ *
+ * A deposit that contradicts the backend game (another wallet, stake or win target) is rejected right away;
+ * one that hasn't landed yet stays pending until the deadline.
+ */
+
+const programClient = require('./programClient');
+const { solToLamports } = require('../game/payouts');
+const { DEPOSIT_POLL_INTERVAL_MS } = require('../utils/constants');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'depositVerifier' });
+
+const { GAME_STATUS } = programClient;
+
+class DepositVerifier {
+  /**
+   * @param {object} options - { chain: { fetchGame, getRentExemptLamports }, pollIntervalMs }
+   */
+  constructor(options = {}) {
+    this.chain = options.chain || {
+      fetchGame: gameId => programClient.fetchGame(gameId),
+      getRentExemptLamports: dataLength => programClient.connection.getMinimumBalanceForRentExemption(dataLength)
+    };
+    this.pollIntervalMs = options.pollIntervalMs || DEPOSIT_POLL_INTERVAL_MS;
+    this.watches = new Map(); // `${gameId}:${role}` -> { promise, cancelled }
+  }
+
+  /**
+   * Check one player's deposit once
+   * @param {string} gameId - Game ID
+   * @param {string} role - 'player1' or 'player2'
+   * @param {object} expected - { player1Wallet, player2Wallet, stakeAmount, roundsToWin } from the backend game
+   * @returns {Promise<object>} - { status: 'confirmed'|'pending'|'rejected', reason, refundable }
+   *   refundable marks a rejected game whose escrow belongs to player1 (cancel_game can return it)
+   */
+  async checkDeposit(gameId, role, expected) {
+    const account = await this.chain.fetchGame(gameId);
+    if (!account) {
+      return { status: 'pending', reason: 'Game account not created on-chain yet' };
+    }
+
+    const { game } = account;
+    const stakeLamports = solToLamports(expected.stakeAmount);
+
+    if (game.player1.toString() !== expected.player1Wallet) {
+      return { status: 'rejected', reason: `On-chain creator ${game.player1.toString()} does not match ${expected.player1Wallet}` };
+    }
+    if (game.currency !== 'sol' || game.stakeLamports !== stakeLamports || game.roundsToWin !== expected.roundsToWin) {
+      return {
+        status: 'rejected',
+        reason: `On-chain game (${game.stakeLamports} lamports ${game.currency}, first to ${game.roundsToWin}) ` +
+          `does not match ${stakeLamports} lamports sol, first to ${expected.roundsToWin}`,
+        refundable: game.status === GAME_STATUS.WAITING_FOR_PLAYER
+      };
+    }
+    if (game.status === GAME_STATUS.ABANDONED) {
+      return { status: 'rejected', reason: 'Game was cancelled on-chain' };
+    }
+
+    const escrowed = BigInt(account.lamports) - BigInt(await this.chain.getRentExemptLamports(account.dataLength));
+
+    if (role === 'player1') {
+      return escrowed >= stakeLamports
+        ? { status: 'confirmed' }
+        : { status: 'pending', reason: 'Player1 stake not escrowed yet' };
+    }
+
+    if (!game.player2) {
+      return { status: 'pending', reason: 'Player2 has not joined on-chain yet' };
+    }
+    if (game.player2.toString() !== expected.player2Wallet) {
+      return { status: 'rejected', reason: `On-chain player2 ${game.player2.toString()} does not match ${expected.player2Wallet}` };
+    }
+    return escrowed >= stakeLamports * 2n
+      ? { status: 'confirmed' }
+      : { status: 'pending', reason: 'Player2 stake not escrowed yet' };
+  }
+
+  /**
+   * Poll a deposit until it is confirmed, rejected or the deadline passes
+   * Concurrent calls for the same deposit share one watch
+   * @param {string} gameId - Game ID
+   * @param {string} role - 'player1' or 'player2'
+   * @param {object} expected - { player1Wallet, player2Wallet, stakeAmount, roundsToWin }
+   * @param {number} deadline - Give up after this time (ms)
+   * @returns {Promise<object>} - Last check result, or status 'expired' / 'cancelled'
+   */
+  waitForDeposit(gameId, role, expected, deadline) {
+    const key = `${gameId}:${role}`;
+    if (this.watches.has(key)) {
+      return this.watches.get(key).promise;
+    }
+
+    const watch = { cancelled: false };
+    watch.promise = (async () => {
+      try {
+        while (!watch.cancelled) {
+          let result;
+          try {
+            result = await this.checkDeposit(gameId, role, expected);
+          } catch (error) {
+            // RPC hiccups don't decide anything - keep polling
+            result = { status: 'pending', reason: error.message };
+          }
+
+          if (result.status !== 'pending') {
+            const outcome = { gameId, role, status: result.status, reason: result.reason || null };
+            if (result.status === 'confirmed') {
+              log.info('Deposit confirmed', outcome);
+            } else {
+              log.warn('Deposit rejected', outcome);
+            }
+            return result;
+          }
+          if (Date.now() + this.pollIntervalMs > deadline) {
+            return { status: 'expired', reason: result.reason };
+          }
+
+          await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+        return { status: 'cancelled' };
+      } finally {
+        this.watches.delete(key);
+      }
+    })();
+
+    this.watches.set(key, watch);
+    return watch.promise;
+  }
+
+  /**
+   * Stop watching a game's deposits (watches resolve as 'cancelled' after their current poll)
+   * @param {string} gameId - Game ID
+   */
+  cancel(gameId) {
+    for (const role of ['player1', 'player2']) {
+      const watch = this.watches.get(`${gameId}:${role}`);
+      if (watch) {
+        watch.cancelled = true;
+      }
+    }
+  }
+}
+
+module.exports = DepositVerifier;
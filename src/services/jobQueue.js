@@ -0,0 +1,185 @@
+/**
+ * Persistent Job Queue
+ * Shared plumbing for the on-chain job queues (settlements, refunds): jobs keyed by gameId in a
+ * state store namespace, exponential backoff between attempts, a dead-letter state and a poller.
+ * Subclasses implement processJob() and may override mirror() to copy jobs elsewhere; copies of
+ * one job are written one at a time, in the order the job was saved.
+ */
+
+const EventEmitter = require('events');
+const { MemoryStateStore, PersistentMap } = require('./stateStore');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'jobQueue' });
+
+class PersistentJobQueue extends EventEmitter {
+  /**
+   * @param {MemoryStateStore} stateStore - Where jobs are persisted
+   * @param {string} namespace - State store namespace
+   * @param {object} options - { maxAttempts, baseDelayMs, maxDelayMs, pollIntervalMs, retryStatuses }
+   */
+  constructor(stateStore = new MemoryStateStore(), namespace, options = {}) {
+    super();
+    this.name = namespace;
+    this.jobs = new PersistentMap(stateStore, namespace); // gameId -> job
+    this.maxAttempts = options.maxAttempts;
+    this.baseDelayMs = options.baseDelayMs;
+    this.maxDelayMs = options.maxDelayMs;
+    this.pollIntervalMs = options.pollIntervalMs;
+    this.retryStatuses = options.retryStatuses || ['pending']; // Statuses picked up once nextAttemptAt passes
+    this.inFlight = new Set();
+    this.mirrorWrites = new Map(); // gameId -> last pending mirror() write
+    this.pollInterval = null;
+
+    // A crash mid-attempt leaves jobs 'processing'; subclasses make re-running an attempt safe
+    for (const job of this.jobs.values()) {
+      if (job.status === 'processing') {
+        job.status = 'pending';
+        this.save(job);
+      }
+    }
+  }
+
+  /**
+   * Get the job for a game
+   * @param {string} gameId - Game ID
+   * @returns {object|null} - Job
+   */
+  getJob(gameId) {
+    return this.jobs.get(gameId) || null;
+  }
+
+  /**
+   * List jobs, optionally filtered by status
+   * @param {string} status - Job status
+   * @returns {Array} - Jobs
+   */
+  listJobs(status = null) {
+    return Array.from(this.jobs.values()).filter(job => !status || job.status === status);
+  }
+
+  /**
+   * Delay before the next attempt after `attempts` failures
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} - Delay in ms
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Persist a job (and mirror it)
+   * @param {object} job - Job
+   */
+  save(job) {
+    job.updatedAt = Date.now();
+    this.jobs.set(job.gameId, job);
+    this.queueMirror(job);
+  }
+
+  /**
+   * Mirror a snapshot of the job once the previous mirror write for it has landed,
+   * so a slow 'processing' copy can never overwrite a later 'settled' one
+   * @param {object} job - Job
+   */
+  queueMirror(job) {
+    const snapshot = structuredClone(job);
+    const run = () => Promise.resolve(this.mirror(snapshot)).catch(error => {
+      log.error('Failed to mirror job', { queue: this.name, gameId: job.gameId, err: error });
+    });
+
+    const previous = this.mirrorWrites.get(job.gameId);
+    const write = (previous ? previous.then(run) : run()).then(() => {
+      if (this.mirrorWrites.get(job.gameId) === write) {
+        this.mirrorWrites.delete(job.gameId);
+      }
+    });
+    this.mirrorWrites.set(job.gameId, write);
+  }
+
+  /**
+   * Copy a saved job somewhere else (e.g. a database table); no-op by default
+   * @param {object} job - Snapshot of the job
+   * @returns {Promise|undefined}
+   */
+  mirror(job) {}
+
+  /**
+   * Run one attempt of a job
+   * @param {string} gameId - Game ID
+   * @returns {Promise<object|null>} - Job after the attempt
+   */
+  async processJob(gameId) {
+    throw new Error(`${this.constructor.name} must implement processJob`);
+  }
+
+  /**
+   * Process every job whose backoff has elapsed
+   * @param {number} now - Current time in ms
+   * @returns {Promise<number>} - Number of jobs attempted
+   */
+  async processDueJobs(now = Date.now()) {
+    const due = this.listJobs().filter(job => this.retryStatuses.includes(job.status) && job.nextAttemptAt <= now);
+
+    for (const job of due) {
+      await this.processJob(job.gameId);
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Put a dead-lettered job back in the queue with a fresh attempt budget
+   * @param {string} gameId - Game ID
+   * @returns {object} - Result
+   */
+  retryJob(gameId) {
+    const job = this.jobs.get(gameId);
+    if (!job) {
+      return { success: false, error: 'Job not found' };
+    }
+    if (job.status !== 'dead_letter') {
+      return { success: false, error: `Job is ${job.status}` };
+    }
+
+    job.status = 'pending';
+    job.attempts = 0;
+    job.nextAttemptAt = Date.now();
+    this.save(job);
+
+    log.info('Job re-queued from dead-letter', { queue: this.name, gameId });
+    return { success: true, job };
+  }
+
+  /**
+   * Start polling for due jobs
+   * @param {number} intervalMs - Poll interval
+   */
+  start(intervalMs = this.pollIntervalMs) {
+    if (this.pollInterval) return;
+
+    this.pollInterval = setInterval(() => {
+      this.processDueJobs().catch(error => {
+        log.error('Queue poll failed', { queue: this.name, err: error });
+      });
+    }, intervalMs);
+
+    const counts = this.listJobs().reduce((acc, job) => {
+      acc[job.status] = (acc[job.status] || 0) + 1;
+      return acc;
+    }, {});
+    log.info('Queue started', { queue: this.name, intervalMs, jobs: counts });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+}
+
+module.exports = PersistentJobQueue;
@@ -0,0 +1,465 @@
+/**
+ * RPS Program Client
+ * Single source of truth for talking to the on-chain rps_game program:
+ * - PROGRAM_ID and the bundled IDL (idl/rps_game.json)
+ * - the shared RPC connection
+ * - PDA derivation for games and user profiles
+ * - typed decoding of Game and UserProfile accounts through the IDL
+ * - one instruction builder per program instruction
+ *
+ * Game PDAs are seeded with the game ID exactly as passed to create_game (["game", game_id]), which the
+ * program caps at 32 bytes. Backend game IDs are normalized the same way (dashes stripped, 32 chars),
+ * so normalizeGameId() is the only transformation ever applied before seeding.
+ */
+
+require('dotenv').config();
+
+const anchor = require('@coral-xyz/anchor');
+const { Connection, PublicKey, SystemProgram } = require('@solana/web3.js');
+const fs = require('fs');
+const path = require('path');
+const { metrics } = require('../utils/metrics');
+
+const PROGRAM_ID = new PublicKey('GstXQkBpu26KABj6YZ3pYKJhQphoQ72YL1zL38NC6D9U');
+const MAX_GAME_ID_LENGTH = 32; // Program's GameIdTooLong limit, also the max PDA seed length
+
+const IDL_PATH = path.join(__dirname, '../../idl/rps_game.json');
+const IDL = { ...JSON.parse(fs.readFileSync(IDL_PATH, 'utf8')), address: PROGRAM_ID.toString() };
+
+const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com';
+const connection = new Connection(SOLANA_RPC_URL, { commitment: 'confirmed', fetch: timedRpcFetch });
+
+// Read-only program used to encode instructions; signing happens wherever the transaction is sent
+const instructionProgram = new anchor.Program(IDL, { connection });
+const accountsCoder = new anchor.BorshAccountsCoder(IDL);
+
+// On-chain GameStatus variants, as decoded
+const GAME_STATUS = {
+  WAITING_FOR_PLAYER: 'WaitingForPlayer',
+  IN_PROGRESS: 'InProgress',
+  FINISHED: 'Finished',
+  ABANDONED: 'Abandoned'
+};
+
+/**
+ * fetch() for the RPC connection that records each request's latency by JSON-RPC method
+ * @param {string} url - RPC URL
+ * @param {object} init - fetch options; the body is the JSON-RPC request
+ * @returns {Promise<Response>}
+ */
+async function timedRpcFetch(url, init = {}) {
+  let method = 'unknown';
+  try {
+    const request = JSON.parse(init.body);
+    method = Array.isArray(request) ? 'batch' : request.method;
+  } catch (error) {
+    // Not JSON - time it as unknown
+  }
+
+  const stopTimer = metrics.rpcDuration.startTimer({ method });
+  try {
+    const response = await fetch(url, init);
+    stopTimer({ outcome: response.ok ? 'ok' : 'error' });
+    return response;
+  } catch (error) {
+    stopTimer({ outcome: 'error' });
+    throw error;
+  }
+}
+
+/**
+ * Normalize a backend game ID into the on-chain game_id (dashes stripped, max 32 chars)
+ * @param {string} gameId - Game ID (UUID or already normalized)
+ * @returns {string} - On-chain game_id
+ */
+function normalizeGameId(gameId) {
+  return String(gameId).replace(/-/g, '').slice(0, MAX_GAME_ID_LENGTH);
+}
+
+/**
+ * Accept a wallet as a PublicKey or base58 string
+ * @param {PublicKey|string} value - Wallet
+ * @returns {PublicKey}
+ */
+function toPublicKey(value) {
+  return value instanceof PublicKey ? value : new PublicKey(value);
+}
+
+/**
+ * Find the PDA of a game account
+ * @param {string} gameId - Game ID
+ * @returns {PublicKey}
+ */
+function findGamePDA(gameId) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('game'), Buffer.from(normalizeGameId(gameId), 'utf8')],
+    PROGRAM_ID
+  )[0];
+}
+
+/**
+ * Find the PDA of a user profile account
+ * @param {PublicKey|string} wallet - Profile owner
+ * @returns {PublicKey}
+ */
+function findUserProfilePDA(wallet) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('user_profile'), toPublicKey(wallet).toBuffer()],
+    PROGRAM_ID
+  )[0];
+}
+
+/**
+ * Name of the variant of a decoded Anchor enum ({ InProgress: {} } -> 'InProgress')
+ * @param {object} value - Decoded enum
+ * @returns {string}
+ */
+function enumVariant(value) {
+  return Object.keys(value)[0];
+}
+
+/**
+ * Decode a Game account
+ * @param {Buffer} data - Raw account data (with discriminator)
+ * @returns {object} - Typed game: { gameId, player1, player2, status, stakeLamports, currency, roundsToWin, currentRound,
+ *   player1RoundsWon, player2RoundsWon, player1MoveCommitment, player2MoveCommitment, winner, createdAt }
+ */
+function decodeGameAccount(data) {
+  const raw = accountsCoder.decode('Game', data);
+
+  return {
+    gameId: raw.game_id,
+    player1: raw.player1,
+    player2: raw.player2,
+    status: enumVariant(raw.game_status),
+    stakeLamports: BigInt(raw.stake_amount.toString()),
+    currency: enumVariant(raw.currency_type).toLowerCase(), // 'sol' or 'points', as in the backend
+    roundsToWin: raw.rounds_to_win,
+    currentRound: raw.current_round,
+    player1RoundsWon: raw.player1_rounds_won,
+    player2RoundsWon: raw.player2_rounds_won,
+    player1MoveCommitment: raw.player1_move_commitment ? Buffer.from(raw.player1_move_commitment) : null,
+    player2MoveCommitment: raw.player2_move_commitment ? Buffer.from(raw.player2_move_commitment) : null,
+    winner: raw.winner,
+    createdAt: raw.created_at.toNumber() // Unix seconds
+  };
+}
+
+/**
+ * Decode a UserProfile account
+ * @param {Buffer} data - Raw account data (with discriminator)
+ * @returns {object} - Typed profile: { pointsBalance, wins, losses, totalGames, totalPointsEarned, referralCode,
+ *   referredBy, referralCount, referralEarnings, createdAt }
+ */
+function decodeUserProfileAccount(data) {
+  const raw = accountsCoder.decode('UserProfile', data);
+
+  return {
+    pointsBalance: BigInt(raw.points_balance.toString()),
+    wins: raw.wins,
+    losses: raw.losses,
+    totalGames: raw.total_games,
+    totalPointsEarned: BigInt(raw.total_points_earned.toString()),
+    referralCode: Buffer.from(raw.referral_code),
+    referredBy: raw.referred_by,
+    referralCount: raw.referral_count,
+    referralEarnings: BigInt(raw.referral_earnings.toString()),
+    createdAt: raw.created_at.toNumber() // Unix seconds
+  };
+}
+
+/**
+ * Fetch and decode a game account
+ * @param {string} gameId - Game ID
+ * @returns {Promise<object|null>} - { address, lamports, dataLength, game } or null if the account doesn't exist (or was closed)
+ */
+async function fetchGame(gameId) {
+  const address = findGamePDA(gameId);
+  const accountInfo = await connection.getAccountInfo(address);
+  if (!accountInfo) {
+    return null;
+  }
+
+  return {
+    address,
+    lamports: accountInfo.lamports,
+    dataLength: accountInfo.data.length,
+    game: decodeGameAccount(accountInfo.data)
+  };
+}
+
+/**
+ * Fetch and decode a user profile
+ * @param {PublicKey|string} wallet - Profile owner
+ * @returns {Promise<object|null>} - Profile or null if the wallet has none
+ */
+async function fetchUserProfile(wallet) {
+  const accountInfo = await connection.getAccountInfo(findUserProfilePDA(wallet));
+  return accountInfo ? decodeUserProfileAccount(accountInfo.data) : null;
+}
+
+/**
+ * Create an Anchor program instance
+ * @param {object} wallet - Anchor wallet ({ publicKey, signTransaction, signAllTransactions }); omit for read-only use
+ * @returns {anchor.Program}
+ */
+function getProgram(wallet = null) {
+  if (!wallet) {
+    return instructionProgram;
+  }
+
+  const provider = new anchor.AnchorProvider(connection, wallet, {
+    commitment: 'confirmed',
+    preflightCommitment: 'confirmed'
+  });
+  return new anchor.Program(IDL, provider);
+}
+
+/**
+ * Map a move name to the IDL Move enum
+ * @param {string} move - 'rock', 'paper' or 'scissors'
+ * @returns {object} - Anchor enum value
+ */
+function toMoveArg(move) {
+  if (!['rock', 'paper', 'scissors'].includes(move)) {
+    throw new Error(`Invalid move: ${move}`);
+  }
+  return { [move]: {} };
+}
+
+// ---------------------------------------------------------------------------
+// Instruction builders - each returns a TransactionInstruction
+// ---------------------------------------------------------------------------
+
+/**
+ * create_game: creator opens a game and escrows their stake
+ * @param {object} params - { gameId, user, stakeLamports, currency: 'sol'|'points', roundsToWin }
+ * @returns {Promise<TransactionInstruction>}
+ */
+function createGame({ gameId, user, stakeLamports, currency, roundsToWin }) {
+  return instructionProgram.methods
+    .createGame(normalizeGameId(gameId), new anchor.BN(stakeLamports.toString()), { [currency]: {} }, roundsToWin)
+    .accountsStrict({
+      game: findGamePDA(gameId),
+      userProfile: findUserProfilePDA(user),
+      user: toPublicKey(user),
+      systemProgram: SystemProgram.programId
+    })
+    .instruction();
+}
+
+/**
+ * join_game: second player joins and escrows their stake
+ * @param {object} params - { gameId, user }
+ * @returns {Promise<TransactionInstruction>}
+ */
+function joinGame({ gameId, user }) {
+  return instructionProgram.methods
+    .joinGame(normalizeGameId(gameId))
+    .accountsStrict({
+      game: findGamePDA(gameId),
+      userProfile: findUserProfilePDA(user),
+      user: toPublicKey(user),
+      systemProgram: SystemProgram.programId
+    })
+    .instruction();
+}
+
+/**
+ * commit_move: record a move commitment
+ * @param {object} params - { gameId, user, commitment: 32-byte Buffer/array }
+ * @returns {Promise<TransactionInstruction>}
+ */
+function commitMove({ gameId, user, commitment }) {
+  return instructionProgram.methods
+    .commitMove(normalizeGameId(gameId), Array.from(commitment))
+    .accountsStrict({
+      game: findGamePDA(gameId),
+      user: toPublicKey(user)
+    })
+    .instruction();
+}
+
+/**
+ * reveal_move: open a previously committed move
+ * @param {object} params - { gameId, user, move, nonce }
+ * @returns {Promise<TransactionInstruction>}
+ */
+function revealMove({ gameId, user, move, nonce }) {
+  return instructionProgram.methods
+    .revealMove(normalizeGameId(gameId), toMoveArg(move), new anchor.BN(nonce.toString()))
+    .accountsStrict({
+      game: findGamePDA(gameId),
+      user: toPublicKey(user)
+    })
+    .instruction();
+}
+
+/**
+ * process_round: resolve a round from both revealed moves
+ * @param {object} params - { gameId, authority, player1Move, player1Nonce, player2Move, player2Nonce }
+ * @returns {Promise<TransactionInstruction>}
+ */
+function processRound({ gameId, authority, player1Move, player1Nonce, player2Move, player2Nonce }) {
+  return instructionProgram.methods
+    .processRound(
+      normalizeGameId(gameId),
+      toMoveArg(player1Move),
+      new anchor.BN(player1Nonce.toString()),
+      toMoveArg(player2Move),
+      new anchor.BN(player2Nonce.toString())
+    )
+    .accountsStrict({
+      game: findGamePDA(gameId),
+      user: toPublicKey(authority)
+    })
+    .instruction();
+}
+
+/**
+ * set_winner: record the game winner (service wallet)
+ * @param {object} params - { gameId, authority, winner }
+ * @returns {Promise<TransactionInstruction>}
+ */
+function setWinner({ gameId, authority, winner }) {
+  return instructionProgram.methods
+    .setWinner(normalizeGameId(gameId), toPublicKey(winner))
+    .accountsStrict({
+      game: findGamePDA(gameId),
+      user: toPublicKey(authority)
+    })
+    .instruction();
+}
+
+/**
+ * finalize_game: pay out the pot to the winner, platform and referrer
+ * @param {object} params - { gameId, player1, player2, platformWallet, referrer, referrerProfile }
+ * @returns {Promise<TransactionInstruction>}
+ */
+function finalizeGame({ gameId, player1, player2, platformWallet, referrer, referrerProfile }) {
+  return instructionProgram.methods
+    .finalizeGame(normalizeGameId(gameId))
+    .accountsStrict({
+      game: findGamePDA(gameId),
+      player1Profile: findUserProfilePDA(player1),
+      player2Profile: findUserProfilePDA(player2),
+      player1: toPublicKey(player1),
+      player2: toPublicKey(player2),
+      platformWallet: toPublicKey(platformWallet),
+      referrer: toPublicKey(referrer),
+      referrerProfile: toPublicKey(referrerProfile),
+      systemProgram: SystemProgram.programId
+    })
+    .instruction();
+}
+
+/**
+ * close_game: close the game account and return rent to the creator
+ * @param {object} params - { gameId, player1, authority }
+ * @returns {Promise<TransactionInstruction>}
+ */
+function closeGame({ gameId, player1, authority }) {
+  return instructionProgram.methods
+    .closeGame(normalizeGameId(gameId))
+    .accountsStrict({
+      game: findGamePDA(gameId),
+      player1: toPublicKey(player1),
+      user: toPublicKey(authority),
+      systemProgram: SystemProgram.programId
+    })
+    .instruction();
+}
+
+/**
+ * cancel_game: creator cancels before anyone joined and gets their stake back
+ * @param {object} params - { gameId, user }
+ * @returns {Promise<TransactionInstruction>}
+ */
+function cancelGame({ gameId, user }) {
+  return instructionProgram.methods
+    .cancelGame(normalizeGameId(gameId))
+    .accountsStrict({
+      game: findGamePDA(gameId),
+      user: toPublicKey(user),
+      systemProgram: SystemProgram.programId
+    })
+    .instruction();
+}
+
+/**
+ * initialize_user_profile: create a wallet's on-chain profile
+ * @param {object} params - { user }
+ * @returns {Promise<TransactionInstruction>}
+ */
+function initializeUserProfile({ user }) {
+  return instructionProgram.methods
+    .initializeUserProfile()
+    .accountsStrict({
+      userProfile: findUserProfilePDA(user),
+      user: toPublicKey(user),
+      systemProgram: SystemProgram.programId
+    })
+    .instruction();
+}
+
+/**
+ * set_referrer: link a profile to the referrer owning referrerCode
+ * @param {object} params - { user, referrer, referrerCode: 8-byte Buffer/array }
+ * @returns {Promise<TransactionInstruction>}
+ */
+function setReferrer({ user, referrer, referrerCode }) {
+  return instructionProgram.methods
+    .setReferrer(Array.from(referrerCode))
+    .accountsStrict({
+      userProfile: findUserProfilePDA(user),
+      referrerProfile: findUserProfilePDA(referrer),
+      user: toPublicKey(user),
+      referrer: toPublicKey(referrer)
+    })
+    .instruction();
+}
+
+/**
+ * Instruction discriminator from the IDL (e.g. to recognize instructions in signed transactions)
+ * @param {string} name - Instruction name as in the IDL (snake_case)
+ * @returns {Buffer}
+ */
+function getInstructionDiscriminator(name) {
+  const instruction = IDL.instructions.find(ix => ix.name === name);
+  if (!instruction) {
+    throw new Error(`Unknown instruction: ${name}`);
+  }
+  return Buffer.from(instruction.discriminator);
+}
+
+module.exports = {
+  PROGRAM_ID,
+  IDL,
+  GAME_STATUS,
+  SOLANA_RPC_URL,
+  MAX_GAME_ID_LENGTH,
+  connection,
+  normalizeGameId,
+  toPublicKey,
+  findGamePDA,
+  findUserProfilePDA,
+  getProgram,
+  getInstructionDiscriminator,
+  decodeGameAccount,
+  decodeUserProfileAccount,
+  fetchGame,
+  fetchUserProfile,
+  instructions: {
+    createGame,
+    joinGame,
+    commitMove,
+    revealMove,
+    processRound,
+    setWinner,
+    finalizeGame,
+    closeGame,
+    cancelGame,
+    initializeUserProfile,
+    setReferrer
+  }
+};
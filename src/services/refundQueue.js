@@ -0,0 +1,237 @@
+/**
+ * Refund Queue
+ * Returns escrowed SOL stakes for games cancelled before player2 joined.
+ *
+ * The program's cancel_game instruction must be signed by the creator, so the backend can't refund
+ * on its own. Each attempt checks the game account on-chain:
+ * - stake still escrowed → build a cancel_game transaction and hand it to the player to sign ('awaiting_signature')
+ * - escrow released or no account → refund complete
+ * - game already started on-chain → dead-letter (cancel_game is no longer allowed)
+ *
+ * Unsigned or failed refunds are re-checked (and the player re-prompted) with backoff until
+ * REFUND_MAX_ATTEMPTS, then dead-lettered for manual review.
+ *
+ * Events: 'signature_required' (job, transaction), 'completed' (job), 'failed' (job, { retrying })
+ */
+
+const PersistentJobQueue = require('./jobQueue');
+const databaseService = require('./databaseService');
+const autoFinalizationService = require('./autoFinalizationService');
+const { MemoryStateStore } = require('./stateStore');
+const { logger } = require('../utils/logger');
+const {
+  REFUND_MAX_ATTEMPTS,
+  REFUND_BASE_DELAY_MS,
+  REFUND_MAX_DELAY_MS,
+  SETTLEMENT_POLL_INTERVAL_MS
+} = require('../utils/constants');
+
+const log = logger.child({ module: 'refundQueue' });
+
+class RefundQueue extends PersistentJobQueue {
+  /**
+   * @param {MemoryStateStore} stateStore - Where jobs are persisted
+   * @param {object} options - { chain, maxAttempts, baseDelayMs, maxDelayMs }
+   */
+  constructor(stateStore = new MemoryStateStore(), options = {}) {
+    super(stateStore, 'refundJobs', {
+      maxAttempts: options.maxAttempts || REFUND_MAX_ATTEMPTS,
+      baseDelayMs: options.baseDelayMs || REFUND_BASE_DELAY_MS,
+      maxDelayMs: options.maxDelayMs || REFUND_MAX_DELAY_MS,
+      pollIntervalMs: SETTLEMENT_POLL_INTERVAL_MS,
+      retryStatuses: ['pending', 'awaiting_signature']
+    });
+    this.chain = options.chain || {
+      getEscrowState: gameId => autoFinalizationService.getEscrowState(gameId),
+      buildCancelGameTransaction: (gameId, wallet) => autoFinalizationService.buildCancelGameTransaction(gameId, wallet),
+      sendCancelGameTransaction: (gameId, wallet, tx) => autoFinalizationService.sendCancelGameTransaction(gameId, wallet, tx)
+    };
+  }
+
+  /**
+   * Add a refund for a SOL game cancelled before it started
+   * Enqueueing a game that already has a refund returns the existing job
+   * @param {object} refund - { gameId, playerId, playerWallet, stakeAmount, startedAt }
+   * @returns {object} - Refund job
+   */
+  enqueue({ gameId, playerId, playerWallet, stakeAmount, startedAt }) {
+    const existing = this.jobs.get(gameId);
+    if (existing) {
+      return existing;
+    }
+
+    const now = Date.now();
+    const job = {
+      gameId,
+      playerId,
+      playerWallet,
+      stakeAmount,
+      startedAt: startedAt || new Date(now).toISOString(),
+      status: 'pending',
+      signature: null,
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    this.save(job);
+    log.info('Refund queued', { gameId, playerWallet, stakeAmount });
+    return job;
+  }
+
+  /**
+   * Check the escrow and either complete the refund or ask the player to sign cancel_game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<object|null>} - Job after the attempt
+   */
+  async processJob(gameId) {
+    const job = this.jobs.get(gameId);
+    if (!job || job.status === 'completed' || job.status === 'dead_letter' || this.inFlight.has(gameId)) {
+      return job || null;
+    }
+
+    this.inFlight.add(gameId);
+    job.status = 'processing';
+    job.attempts++;
+    this.save(job);
+
+    try {
+      const escrow = await this.chain.getEscrowState(gameId);
+
+      if (escrow.state === 'released' || escrow.state === 'not_found') {
+        await this.complete(job);
+      } else if (escrow.state === 'started') {
+        const error = new Error('Game already started on-chain - cancel_game is not allowed');
+        error.permanent = true;
+        throw error;
+      } else if (job.attempts >= this.maxAttempts) {
+        throw new Error('Player did not sign the refund transaction');
+      } else {
+        const transaction = await this.chain.buildCancelGameTransaction(gameId, job.playerWallet);
+        job.status = 'awaiting_signature';
+        // If the player never signs, re-check and re-prompt after the backoff
+        job.nextAttemptAt = Date.now() + this.getBackoffDelay(job.attempts);
+        this.save(job);
+
+        log.info('Refund waiting for the creator to sign cancel_game', { gameId, playerWallet: job.playerWallet });
+        this.emit('signature_required', job, transaction);
+      }
+    } catch (error) {
+      await this.fail(job, error);
+    } finally {
+      this.inFlight.delete(gameId);
+    }
+
+    return job;
+  }
+
+  /**
+   * Relay the player's signed cancel_game transaction and complete the refund once it lands
+   * @param {string} gameId - Game ID
+   * @param {string} playerWallet - Wallet of the session submitting the transaction
+   * @param {string} signedTransaction - Base64-serialized signed transaction
+   * @returns {Promise<object>} - Result
+   */
+  async submitSignedTransaction(gameId, playerWallet, signedTransaction) {
+    const job = this.jobs.get(gameId);
+    if (!job || job.playerWallet !== playerWallet) {
+      return { success: false, error: 'Refund not found' };
+    }
+    if (job.status === 'completed') {
+      return { success: true, job };
+    }
+    if (this.inFlight.has(gameId)) {
+      return { success: false, error: 'Refund is already being processed' };
+    }
+
+    this.inFlight.add(gameId);
+    try {
+      job.signature = await this.chain.sendCancelGameTransaction(gameId, playerWallet, signedTransaction);
+      // A late signature can still rescue a dead-lettered refund
+      job.status = 'pending';
+      this.save(job);
+    } catch (error) {
+      this.inFlight.delete(gameId);
+
+      // A malformed submission doesn't count against the refund - the player can sign again
+      if (error.permanent) {
+        return { success: false, error: error.message };
+      }
+
+      job.attempts++;
+      await this.fail(job, error);
+      return { success: false, error: error.message, job };
+    }
+    this.inFlight.delete(gameId);
+
+    // Confirm through the escrow state rather than trusting the signature alone
+    await this.processJob(gameId);
+    return { success: job.status === 'completed', job };
+  }
+
+  /**
+   * Mark a refund complete and record it in game history
+   * @param {object} job - Refund job
+   */
+  async complete(job) {
+    job.status = 'completed';
+    job.lastError = null;
+    job.completedAt = Date.now();
+    this.save(job);
+
+    await this.recordHistory(job, 'refunded');
+    log.info('Refund complete', { gameId: job.gameId });
+    this.emit('completed', job);
+  }
+
+  /**
+   * Schedule a retry, or dead-letter the refund when retrying can't help
+   * @param {object} job - Refund job
+   * @param {Error} error - Failure
+   */
+  async fail(job, error) {
+    job.lastError = error.message;
+
+    if (error.permanent || job.attempts >= this.maxAttempts) {
+      job.status = 'dead_letter';
+      this.save(job);
+      await this.recordHistory(job, 'refund_failed');
+      log.error('Refund dead-lettered', { gameId: job.gameId, attempts: job.attempts, err: error });
+      this.emit('failed', job, { retrying: false });
+      return;
+    }
+
+    job.status = 'pending';
+    job.nextAttemptAt = Date.now() + this.getBackoffDelay(job.attempts);
+    this.save(job);
+    log.error('Refund attempt failed', { gameId: job.gameId, attempt: job.attempts, maxAttempts: this.maxAttempts, err: error });
+    this.emit('failed', job, { retrying: true });
+  }
+
+  /**
+   * Record the refund outcome in game history
+   * @param {object} job - Refund job
+   * @param {string} status - 'refunded' or 'refund_failed'
+   */
+  async recordHistory(job, status) {
+    await databaseService.recordGameHistory({
+      gameId: job.gameId,
+      player1Wallet: job.playerWallet,
+      player2Wallet: null,
+      winnerWallet: null,
+      currency: 'sol',
+      amountBet: job.stakeAmount,
+      potAmount: job.stakeAmount,
+      platformFee: 0,
+      winnerPayout: 0,
+      status,
+      startedAt: job.startedAt,
+      completedAt: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = RefundQueue;
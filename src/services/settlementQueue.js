@@ -0,0 +1,164 @@
+/**
+ * Settlement Queue
+ * Durable job queue for SOL payouts: set_winner → finalize_game → close_game
+ *
+ * - Each job tracks per-step status, so a retry (or a restart) resumes at the first unfinished step
+ * - Steps check the on-chain game account before sending, so re-running a step that already landed is a no-op
+ * - Failed attempts back off exponentially; after SETTLEMENT_MAX_ATTEMPTS, or on a permanent error
+ *   such as a winner mismatch, the job moves to 'dead_letter' for manual review
+ *
+ * Jobs live in the state store (namespace 'settlementJobs') and are mirrored to the games_to_finalize table.
+ */
+
+const PersistentJobQueue = require('./jobQueue');
+const databaseService = require('./databaseService');
+const autoFinalizationService = require('./autoFinalizationService');
+const { MemoryStateStore } = require('./stateStore');
+const { logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+const {
+  SETTLEMENT_MAX_ATTEMPTS,
+  SETTLEMENT_BASE_DELAY_MS,
+  SETTLEMENT_MAX_DELAY_MS,
+  SETTLEMENT_POLL_INTERVAL_MS
+} = require('../utils/constants');
+
+const SETTLEMENT_STEPS = ['set_winner', 'finalize_game', 'close_game'];
+const log = logger.child({ module: 'settlementQueue' });
+
+class SettlementQueue extends PersistentJobQueue {
+  /**
+   * @param {MemoryStateStore} stateStore - Where jobs are persisted
+   * @param {object} options - { steps, maxAttempts, baseDelayMs, maxDelayMs }
+   */
+  constructor(stateStore = new MemoryStateStore(), options = {}) {
+    super(stateStore, 'settlementJobs', {
+      maxAttempts: options.maxAttempts || SETTLEMENT_MAX_ATTEMPTS,
+      baseDelayMs: options.baseDelayMs || SETTLEMENT_BASE_DELAY_MS,
+      maxDelayMs: options.maxDelayMs || SETTLEMENT_MAX_DELAY_MS,
+      pollIntervalMs: SETTLEMENT_POLL_INTERVAL_MS
+    });
+    this.steps = options.steps || {
+      set_winner: job => autoFinalizationService.setWinnerStep(job),
+      finalize_game: job => autoFinalizationService.finalizeGameStep(job),
+      close_game: job => autoFinalizationService.closeGameStep(job)
+    };
+  }
+
+  /**
+   * Add a settlement job for a finished SOL game
+   * Enqueueing a game that already has a job returns the existing job
+   * @param {object} settlement - { gameId, winnerWallet, loserWallet, stakeAmount }
+   * @returns {object} - Settlement job
+   */
+  enqueue({ gameId, winnerWallet, loserWallet, stakeAmount }) {
+    const existing = this.jobs.get(gameId);
+    if (existing) {
+      return existing;
+    }
+
+    const now = Date.now();
+    const job = {
+      gameId,
+      winnerWallet,
+      loserWallet,
+      stakeAmount,
+      status: 'pending',
+      steps: Object.fromEntries(SETTLEMENT_STEPS.map(step => [step, { status: 'pending', signature: null, completedAt: null }])),
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      settledAt: null
+    };
+
+    this.save(job);
+    log.info('Settlement queued', { gameId, winnerWallet, stakeAmount });
+    return job;
+  }
+
+  /**
+   * Mirror a saved job to the games_to_finalize table
+   * @param {object} job - Settlement job (a snapshot taken when it was saved)
+   * @returns {Promise}
+   */
+  mirror(job) {
+    return databaseService.saveSettlementJob(job);
+  }
+
+  /**
+   * Run the outstanding steps of one job
+   * @param {string} gameId - Game ID
+   * @returns {Promise<object|null>} - Job after the attempt
+   */
+  async processJob(gameId) {
+    const job = this.jobs.get(gameId);
+    if (!job || job.status === 'settled' || job.status === 'dead_letter' || this.inFlight.has(gameId)) {
+      return job || null;
+    }
+
+    this.inFlight.add(gameId);
+    job.status = 'processing';
+    job.attempts++;
+    this.save(job);
+
+    let currentStep = null;
+    try {
+      for (const step of SETTLEMENT_STEPS) {
+        if (job.steps[step].status !== 'pending') continue;
+
+        currentStep = step;
+        metrics.settlementAttempts.inc({ step });
+        const result = await this.steps[step](job);
+        metrics.settlementResults.inc({ step, result: result.skipped ? 'skipped' : 'success' });
+        job.steps[step] = {
+          status: result.skipped ? 'skipped' : 'done',
+          signature: result.signature || null,
+          completedAt: Date.now()
+        };
+        // Persist each step so a crash doesn't resend one that already landed
+        this.save(job);
+      }
+
+      job.status = 'settled';
+      job.lastError = null;
+      job.settledAt = Date.now();
+      this.save(job);
+
+      log.info('Settlement complete', { gameId, attempts: job.attempts });
+      this.emit('settled', job);
+    } catch (error) {
+      job.lastError = `${currentStep}: ${error.message}`;
+      if (currentStep) {
+        metrics.settlementResults.inc({ step: currentStep, result: 'failure' });
+      }
+
+      if (error.permanent || job.attempts >= this.maxAttempts) {
+        job.status = 'dead_letter';
+        this.save(job);
+        metrics.settlementDeadLetters.inc();
+        log.error('Settlement dead-lettered', { gameId, step: currentStep, attempts: job.attempts, err: error });
+        this.emit('dead_letter', job);
+      } else {
+        job.status = 'pending';
+        job.nextAttemptAt = Date.now() + this.getBackoffDelay(job.attempts);
+        this.save(job);
+        log.error('Settlement attempt failed', {
+          gameId,
+          step: currentStep,
+          attempt: job.attempts,
+          maxAttempts: this.maxAttempts,
+          nextAttemptAt: new Date(job.nextAttemptAt).toISOString(),
+          err: error
+        });
+      }
+    } finally {
+      this.inFlight.delete(gameId);
+    }
+
+    return job;
+  }
+}
+
+module.exports = SettlementQueue;
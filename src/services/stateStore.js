@@ -0,0 +1,249 @@
+/**
+ * State Store
+ * Pluggable persistence for in-memory game state so a restart or deploy doesn't drop live games.
+ *
+ * Drivers (STATE_STORE env):
+ * - 'file' (default): append-only JSON-lines journal, compacted into a snapshot on load and every
+ *   STATE_COMPACT_EVERY writes. Each write is appended synchronously, so a crash loses at most the
+ *   line being written (a torn last line is ignored on load).
+ * - 'memory': no persistence (used by tests)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'stateStore' });
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '../../data/game-state.jsonl');
+const DEFAULT_COMPACT_EVERY = 1000;
+
+class MemoryStateStore {
+  constructor() {
+    this.data = new Map(); // namespace -> Map(key -> value)
+  }
+
+  /**
+   * Get (and create) the map for a namespace
+   * @param {string} namespace - e.g. 'games', 'playerGames'
+   * @returns {Map} - Namespace map
+   */
+  namespace(namespace) {
+    if (!this.data.has(namespace)) {
+      this.data.set(namespace, new Map());
+    }
+    return this.data.get(namespace);
+  }
+
+  /**
+   * Get a stored value
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {*} - Stored value or undefined
+   */
+  get(namespace, key) {
+    return this.namespace(namespace).get(key);
+  }
+
+  /**
+   * Store a value
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   */
+  set(namespace, key, value) {
+    this.namespace(namespace).set(key, value);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   */
+  delete(namespace, key) {
+    this.namespace(namespace).delete(key);
+  }
+
+  /**
+   * List all entries in a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Array} - [key, value] pairs
+   */
+  entries(namespace) {
+    return Array.from(this.namespace(namespace).entries());
+  }
+}
+
+class FileStateStore extends MemoryStateStore {
+  /**
+   * @param {string} filePath - Journal file path
+   * @param {object} options - { compactEvery }
+   */
+  constructor(filePath = DEFAULT_STATE_FILE, { compactEvery = DEFAULT_COMPACT_EVERY } = {}) {
+    super();
+    this.filePath = filePath;
+    this.compactEvery = compactEvery;
+    this.writesSinceCompaction = 0;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Replay the journal into memory and compact it into a fresh snapshot
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      log.info('No state journal, starting fresh', { filePath: this.filePath });
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let applied = 0;
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Torn write from a crash - everything before it is still valid
+        skipped++;
+        continue;
+      }
+
+      if (entry.op === 'set') {
+        super.set(entry.ns, entry.key, entry.value);
+      } else if (entry.op === 'delete') {
+        super.delete(entry.ns, entry.key);
+      }
+      applied++;
+    }
+
+    log.info('Replayed state journal', { filePath: this.filePath, applied, skipped });
+    this.compact();
+  }
+
+  /**
+   * Append one journal entry
+   * @param {object} entry - { op, ns, key, value }
+   */
+  append(entry) {
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      log.error('Failed to write state journal', { filePath: this.filePath, err: error });
+      return;
+    }
+
+    this.writesSinceCompaction++;
+    if (this.writesSinceCompaction >= this.compactEvery) {
+      this.compact();
+    }
+  }
+
+  set(namespace, key, value) {
+    // Store a detached copy so later in-place mutations don't skew memory vs. disk
+    const serialized = JSON.parse(JSON.stringify(value));
+    super.set(namespace, key, serialized);
+    this.append({ op: 'set', ns: namespace, key, value: serialized });
+  }
+
+  delete(namespace, key) {
+    if (!this.namespace(namespace).has(key)) return;
+    super.delete(namespace, key);
+    this.append({ op: 'delete', ns: namespace, key });
+  }
+
+  /**
+   * Rewrite the journal as a snapshot of current state (write to temp file, then atomic rename)
+   */
+  compact() {
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = [];
+    for (const [ns, entries] of this.data.entries()) {
+      for (const [key, value] of entries.entries()) {
+        lines.push(JSON.stringify({ op: 'set', ns, key, value }));
+      }
+    }
+
+    try {
+      const fd = fs.openSync(tempPath, 'w');
+      fs.writeSync(fd, lines.length ? lines.join('\n') + '\n' : '');
+      fs.fsyncSync(fd);
+      fs.closeSync(fd);
+      fs.renameSync(tempPath, this.filePath);
+      this.writesSinceCompaction = 0;
+    } catch (error) {
+      log.error('Failed to compact state journal', { filePath: this.filePath, err: error });
+    }
+  }
+}
+
+/**
+ * Map that writes every set/delete through to a state store namespace
+ * In-place mutations of stored objects must be followed by another set() to be persisted
+ */
+class PersistentMap extends Map {
+  /**
+   * @param {MemoryStateStore} store - Backing store
+   * @param {string} namespace - Namespace in the store
+   */
+  constructor(store, namespace) {
+    super();
+    this.store = store;
+    this.namespace = namespace;
+    for (const [key, value] of store.entries(namespace)) {
+      super.set(key, value);
+    }
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.store.set(this.namespace, key, value);
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) {
+      this.store.delete(this.namespace, key);
+    }
+    return existed;
+  }
+
+  clear() {
+    for (const key of this.keys()) {
+      this.store.delete(this.namespace, key);
+    }
+    super.clear();
+  }
+}
+
+/**
+ * Create the store configured by the environment
+ * @returns {MemoryStateStore} - Configured store
+ */
+function createStateStore() {
+  const driver = process.env.STATE_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+
+  if (driver === 'memory') {
+    return new MemoryStateStore();
+  }
+  if (driver === 'file') {
+    return new FileStateStore(process.env.STATE_FILE || DEFAULT_STATE_FILE, {
+      compactEvery: parseInt(process.env.STATE_COMPACT_EVERY) || DEFAULT_COMPACT_EVERY
+    });
+  }
+
+  throw new Error(`Unknown STATE_STORE driver: ${driver}`);
+}
+
+module.exports = {
+  MemoryStateStore,
+  FileStateStore,
+  PersistentMap,
+  createStateStore
+};
@@ -0,0 +1,99 @@
+/**
+ * Tournament Treasury
+ * Moves SOL for tournaments through the service wallet: entry fees in, prizes out
+ *
+ * A SOL entry fee is a plain system transfer from the player's wallet to the service wallet. Registration
+ * passes its signature, and the confirmed transaction must show the transfer from that wallet for at least
+ * the fee. Prizes (and refunds of cancelled tournaments) are system transfers signed by the service wallet.
+ */
+
+const { PublicKey, SystemProgram, Transaction, sendAndConfirmTransaction } = require('@solana/web3.js');
+const programClient = require('./programClient');
+const { getServiceWallet } = require('../config/serviceWallet');
+
+class TournamentTreasury {
+  /**
+   * @param {object} options - { chain: { getParsedTransaction, transfer }, wallet }
+   */
+  constructor(options = {}) {
+    this.wallet = options.wallet || null;
+    this.chain = options.chain || {
+      getParsedTransaction: signature => programClient.connection.getParsedTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      }),
+      transfer: (toWallet, lamports) => {
+        const serviceWallet = this.getWallet();
+        const transaction = new Transaction().add(SystemProgram.transfer({
+          fromPubkey: serviceWallet.publicKey,
+          toPubkey: new PublicKey(toWallet),
+          lamports
+        }));
+        return sendAndConfirmTransaction(programClient.connection, transaction, [serviceWallet], { commitment: 'confirmed' });
+      }
+    };
+  }
+
+  /**
+   * Service wallet holding tournament funds (loaded on first use)
+   * @returns {object} - Keypair
+   */
+  getWallet() {
+    if (!this.wallet) {
+      this.wallet = getServiceWallet();
+    }
+    return this.wallet;
+  }
+
+  /**
+   * Address players send SOL entry fees to
+   * @returns {string}
+   */
+  getAddress() {
+    return this.getWallet().publicKey.toString();
+  }
+
+  /**
+   * Check an entry fee transfer
+   * @param {string} wallet - Player's wallet
+   * @param {bigint} lamports - Entry fee
+   * @param {string} signature - Transfer transaction signature
+   * @returns {Promise<object>} - { success, error }
+   */
+  async verifyEntryPayment(wallet, lamports, signature) {
+    if (typeof signature !== 'string' || !signature) {
+      return { success: false, error: 'Entry fee transaction signature is required' };
+    }
+
+    const transaction = await this.chain.getParsedTransaction(signature);
+    if (!transaction) {
+      return { success: false, error: 'Entry fee transaction not found or not confirmed yet' };
+    }
+    if (transaction.meta && transaction.meta.err) {
+      return { success: false, error: 'Entry fee transaction failed' };
+    }
+
+    const treasury = this.getAddress();
+    const paid = transaction.transaction.message.instructions
+      .filter(ix => ix.program === 'system' && ix.parsed && ix.parsed.type === 'transfer')
+      .filter(ix => ix.parsed.info.source === wallet && ix.parsed.info.destination === treasury)
+      .reduce((sum, ix) => sum + BigInt(ix.parsed.info.lamports), 0n);
+
+    if (paid < lamports) {
+      return { success: false, error: `Entry fee transaction pays ${paid} of ${lamports} lamports to ${treasury}` };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Send SOL from the service wallet
+   * @param {string} wallet - Recipient
+   * @param {bigint} lamports - Amount
+   * @returns {Promise<string>} - Transaction signature
+   */
+  async send(wallet, lamports) {
+    return this.chain.transfer(wallet, lamports);
+  }
+}
+
+module.exports = TournamentTreasury;
@@ -7,13 +7,14 @@
 
 require('dotenv').config();
 
-const { Connection, PublicKey, SystemProgram, Transaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { PublicKey, SystemProgram, Transaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const { getServiceWallet } = require('../config/serviceWallet');
 const { PLATFORM_WALLET } = require('../config/platformWallet');
+const { connection } = require('./programClient');
 
 class WalletMonitoringService {
   constructor() {
-    this.connection = new Connection('https://api.devnet.solana.com', 'confirmed');
+    this.connection = connection;
     this.serviceWallet = null;
     this.isMonitoring = false;
     this.checkInterval = null;
@@ -5,75 +5,172 @@
 
 const { v4: uuidv4 } = require('uuid');
 const gameManager = require('../game/gameManagerSingleton');
+const tournamentManager = require('../game/tournamentManagerSingleton');
 const databaseService = require('../services/databaseService');
+const authService = require('../services/authService');
 const { useSimpleMove } = require('../utils/simpleMove');
-const { VALID_MOVES } = require('../utils/constants');
-const anchor = require('@coral-xyz/anchor');
-const { Connection, PublicKey, SystemProgram, Keypair } = require('@solana/web3.js');
-const fs = require('fs');
-const path = require('path');
-
-// Constants for Anchor integration
-const PROGRAM_ID = new PublicKey('GstXQkBpu26KABj6YZ3pYKJhQphoQ72YL1zL38NC6D9U');
-const DEVNET_URL = 'https://api.devnet.solana.com';
-const connection = new Connection(DEVNET_URL, 'confirmed');
-
-// Load Anchor IDL
-let idl;
-try {
-  const idlPath = path.join(__dirname, '../../../anchor/target/idl/rps_game.json');
-  idl = JSON.parse(fs.readFileSync(idlPath, 'utf8'));
-  console.log('Anchor IDL loaded successfully');
-} catch (error) {
-  console.error('Failed to load Anchor IDL:', error);
-  idl = null;
+const {
+  REVEAL_TIMEOUT_SECONDS,
+  DEPOSIT_TIMEOUT_MS,
+  DEFAULT_BOT_STRATEGY,
+  BOT_FILL_MIN_SECONDS,
+  BOT_FILL_MAX_SECONDS,
+  BOT_THINK_MIN_MS,
+  BOT_THINK_MAX_MS,
+  QUEUE_STATUS_INTERVAL_MS,
+  TOURNAMENT_TICK_MS,
+  INVITE_SWEEP_INTERVAL_MS
+} = require('../utils/constants');
+const { projectPayload, isCurrentRoundResolved } = require('../game/gameProjection');
+const { getPlayerState, resolveMatchFormat, assignTimeoutMove } = require('../game/gameLogic');
+const { revealFairness } = require('../game/provablyFair');
+const { chooseBotMove } = require('../game/bots');
+const { createCommitment } = require('../game/commitReveal');
+const { resolveInviteOptions } = require('../game/invites');
+const { PersistentMap } = require('../services/stateStore');
+const { PublicKey } = require('@solana/web3.js');
+const programClient = require('../services/programClient');
+const DepositVerifier = require('../services/depositVerifier');
+const { logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+
+const log = logger.child({ module: 'socket' });
+
+// Game timers
+const gameTimers = new Map();
+// Round deadlines outlive the process so countdowns can resume after a restart
+const roundDeadlines = new PersistentMap(gameManager.stateStore, 'roundDeadlines'); // gameId -> { deadline, phase }
+const playerSockets = new Map(); // playerId -> socketId
+const socketPlayers = new Map(); // socketId -> playerId
+const botSecrets = new Map(); // `${gameId}:${botId}` -> { move, nonce } committed this round
+const simpleMove = useSimpleMove();
+// Events spectators get as well; everything else (commits, reveals, deposits, refunds) stays with the players
+const SPECTATOR_EVENTS = new Set(['countdown_update', 'round_completed', 'next_round', 'game_finished', 'spectator_count']);
+
+// Track on-chain completion status for SOL games
+const onchainStatus = new PersistentMap(gameManager.stateStore, 'onchainStatus'); // gameId -> { player1: boolean, player2: boolean, deadline }
+const depositVerifier = new DepositVerifier();
+const depositTimers = new Map(); // gameId -> deposit deadline timeout
+const rematchTimers = new Map(); // finished gameId -> rematch request expiry timeout
+const reconnectTimers = new Map(); // `${gameId}:${playerId}` -> forfeit timeout of a disconnected player
+
+/**
+ * Get the live wallet session bound to a socket
+ * Emits an error and returns null when the socket has not authenticated
+ * @param {object} socket - Client socket
+ * @returns {object|null} - Session { token, wallet, playerId } or null
+ */
+function requireSession(socket) {
+  const session = authService.getSession(socket.data?.session?.token);
+  if (!session) {
+    if (socket.data) {
+      socket.data.session = null;
+    }
+    socket.emit('error', { message: 'Authentication required' });
+    return null;
+  }
+  return session;
 }
 
-// Simple hash function for Node.js compatibility (same as frontend)
-function simpleHash(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  // Convert to 16 bytes
-  const result = new Uint8Array(16);
-  const hashStr = Math.abs(hash).toString(16).padStart(8, '0');
-  const idStr = str.slice(0, 8).padEnd(8, '0');
-  const combined = (hashStr + idStr).slice(0, 16);
-  for (let i = 0; i < 16; i++) {
-    result[i] = combined.charCodeAt(i) % 256;
+/**
+ * Check that an on-chain completion event comes from the player it claims to be
+ * @param {object} socket - Client socket (or HTTP fallback carrying data.session)
+ * @param {string} gameId - Game ID
+ * @param {string} position - 'player1' or 'player2'
+ * @returns {boolean} - True if the session owns that seat
+ */
+function authorizeOnchainEvent(socket, gameId, position) {
+  const session = requireSession(socket);
+  if (!session) {
+    return false;
+  }
+
+  const game = gameManager.getGame(gameId);
+  if (game && game[position].id !== session.playerId) {
+    log.warn('Ignoring on-chain event from a player not in that seat', { gameId, playerId: session.playerId, position, socketId: socket.id });
+    socket.emit('error', { message: 'Not authorized for this game' });
+    return false;
   }
-  return result;
+  return true;
 }
 
-// Helper functions for Anchor integration
-function findUserProfilePDA(walletPublicKey) {
-  return PublicKey.findProgramAddressSync(
-    [Buffer.from('user_profile'), walletPublicKey.toBuffer()],
-    PROGRAM_ID
-  )[0];
+/**
+ * Resolve which player (if any) a socket belongs to for a given game
+ * @param {object} gameState - Raw game state
+ * @param {string} socketId - Recipient socket ID
+ * @returns {string|null} - Player ID or null for spectators
+ */
+function getViewerId(gameState, socketId) {
+  const playerId = socketPlayers.get(socketId);
+  if (playerId) return playerId;
+  if (gameState?.player1?.socketId === socketId) return gameState.player1.id;
+  if (gameState?.player2?.socketId === socketId) return gameState.player2.id;
+  return null;
 }
 
-function findGamePDA(gameId) {
-  // Hash the gameId to ensure it fits within seed length limits (32 bytes max)
-  const gameIdHash = simpleHash(gameId);
-  
-  return PublicKey.findProgramAddressSync(
-    [Buffer.from('game'), Buffer.from(gameIdHash)],
-    PROGRAM_ID
-  )[0];
+/**
+ * Emit an event to a single socket, projecting any gameState for that recipient
+ * @param {object} io - Socket.io server instance
+ * @param {string} socketId - Recipient socket ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload (may carry a raw gameState)
+ */
+function emitToSocket(io, socketId, event, payload) {
+  if (!socketId) return;
+  io.to(socketId).emit(event, projectPayload(payload, getViewerId(payload?.gameState, socketId)));
 }
 
-// Game timers
-const gameTimers = new Map();
-const playerSockets = new Map(); // playerId -> socketId
-const socketPlayers = new Map(); // socketId -> playerId
-const simpleMove = useSimpleMove();
+/**
+ * Emit an event to every socket in a game room, projecting any gameState per recipient
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game room
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload (may carry a raw gameState)
+ * @param {string} exceptSocketId - Optional socket to skip (the sender)
+ */
+function emitToGame(io, gameId, event, payload, exceptSocketId = null) {
+  const room = io.sockets.adapter.rooms.get(gameId);
+  for (const socketId of room || []) {
+    if (socketId !== exceptSocketId) {
+      emitToSocket(io, socketId, event, payload);
+    }
+  }
+  if (SPECTATOR_EVENTS.has(event)) {
+    emitToSpectators(io, gameId, event, payload);
+  }
+}
 
-// Track on-chain completion status for SOL games
-const onchainStatus = new Map(); // gameId -> { player1: boolean, player2: boolean }
+/**
+ * Socket.io room of a game's spectators (kept apart from the players' room)
+ * @param {string} gameId - Game ID
+ * @returns {string}
+ */
+function getSpectatorRoom(gameId) {
+  return `spectate:${gameId}`;
+}
+
+/**
+ * Emit an event to a game's spectators with the spectator view of any gameState
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload (may carry a raw gameState)
+ */
+function emitToSpectators(io, gameId, event, payload) {
+  io.to(getSpectatorRoom(gameId)).emit(event, projectPayload(payload, null));
+}
+
+/**
+ * Tell players and spectators how many people are watching
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ */
+function emitSpectatorCount(io, gameId) {
+  const gameState = gameManager.getGame(gameId);
+  if (gameState) {
+    emitToGame(io, gameId, 'spectator_count', { gameId, spectatorCount: gameState.spectatorCount });
+  }
+}
 
 /**
  * Start a countdown timer for a game round
@@ -82,41 +179,52 @@ const onchainStatus = new Map(); // gameId -> { player1: boolean, player2: boole
  * @param {number} duration - Timer duration in seconds
  */
 function startRoundTimer(gameId, io, duration = 15) {
-  console.log(`⏰ Starting round timer for game ${gameId} with duration ${duration}s`);
+  const gameLog = log.child({ gameId });
+  gameLog.debug('Starting round timer', { duration });
   
   // Clear any existing timer for this game
   if (gameTimers.has(gameId)) {
-    console.log(`⏰ Clearing existing timer for game ${gameId}`);
+    gameLog.debug('Clearing existing round timer');
     clearInterval(gameTimers.get(gameId));
   }
 
+  roundDeadlines.set(gameId, {
+    deadline: Date.now() + duration * 1000,
+    phase: gameManager.getGame(gameId)?.roundPhase || null
+  });
+
+  // The round's clock starts with its first timer; reveal timers and re-armed timers keep it
+  const gameState = gameManager.getGame(gameId);
+  if (gameState && gameState.roundStart?.round !== gameState.currentRound) {
+    gameState.roundStart = { round: gameState.currentRound, startedAt: Date.now() };
+    gameManager.saveGame(gameId);
+  }
+
   let countdown = duration;
   
   // Emit initial countdown
-  io.to(gameId).emit('countdown_update', { countdown });
+  emitToGame(io, gameId, 'countdown_update', { gameId, countdown });
   
   const timer = setInterval(() => {
     countdown--;
     // Only log countdown at key intervals to reduce spam
     if (countdown % 5 === 0 || countdown <= 3) {
-      console.log(`⏰ Countdown ${countdown} for game ${gameId}`);
+      gameLog.trace('Countdown', { countdown });
     }
     
     // Check if game still exists and is active before sending countdown
     const currentGameState = gameManager.getGame(gameId);
     if (!currentGameState || currentGameState.gameStatus === 'finished') {
-      console.log(`⏰ Game ${gameId} is finished or doesn't exist, stopping timer`);
-      clearInterval(timer);
-      gameTimers.delete(gameId);
+      gameLog.debug('Game is finished or gone, stopping round timer');
+      clearRoundTimer(gameId);
       return;
     }
     
-    io.to(gameId).emit('countdown_update', { countdown });
+    emitToGame(io, gameId, 'countdown_update', { gameId, countdown });
     
     if (countdown <= 0) {
-      console.log(`⏰ Timer reached 0 for game ${gameId}, clearing timer`);
-      clearInterval(timer);
-      gameTimers.delete(gameId);
+      gameLog.debug('Round timer reached 0');
+      clearRoundTimer(gameId);
       
       // Time's up! Handle automatic moves for players who haven't moved
       handleTimeUp(gameId, io);
@@ -124,377 +232,1422 @@ function startRoundTimer(gameId, io, duration = 15) {
   }, 1000);
   
   gameTimers.set(gameId, timer);
-  console.log(`⏰ Timer created for game ${gameId}`);
+
+  scheduleBotTurns(io, gameId);
 }
 
 /**
- * Handle when time runs out for a round
+ * Stop a game's countdown and forget its persisted deadline
  * @param {string} gameId - Game ID
+ */
+function clearRoundTimer(gameId) {
+  if (gameTimers.has(gameId)) {
+    clearInterval(gameTimers.get(gameId));
+    gameTimers.delete(gameId);
+  }
+  roundDeadlines.delete(gameId);
+}
+
+/**
+ * Record how long a just-resolved round took, from its first timer to its result
+ * @param {object} gameState - Game state
+ * @param {number} round - Resolved round
+ */
+function recordRoundDuration(gameState, round) {
+  if (gameState.roundStart?.round === round) {
+    metrics.roundDuration.observe({ currency: gameState.currency }, (Date.now() - gameState.roundStart.startedAt) / 1000);
+  }
+}
+
+/**
+ * Broadcast an accepted commitment and open the reveal phase once both are in
+ * Shared by player sockets and bots
  * @param {object} io - Socket.io server instance
+ * @param {object} result - GameManager.commitMove result
+ * @param {string} playerId - Committing player
+ * @param {object} socket - Committing player's socket (null for bots)
  */
-function handleTimeUp(gameId, io) {
-  const gameState = gameManager.getGame(gameId);
-  if (!gameState) return;
+function handleCommitResult(io, result, playerId, socket = null) {
+  // Confirm the commitment to the room - the move itself stays hidden
+  io.to(result.gameId).emit('move_submitted', {
+    success: true,
+    gameId: result.gameId,
+    playerId,
+    committed: true
+  });
 
-  console.log(`⏰ Time up for game ${gameId}`);
-  
-  const moves = ['rock', 'paper', 'scissors'];
-  
-  // Assign random moves to players who haven't moved
-  let autoAssignedMoves = [];
-  
-  // Check which players need moves assigned
-  const needsMove = {
-    player1: !gameState.player1.currentMove && gameState.player1.id,
-    player2: !gameState.player2.currentMove && gameState.player2.id
-  };
-  
-  if (needsMove.player1 && needsMove.player2) {
-    // Both players timed out - ensure they get different moves for interesting outcome
-    const shuffledMoves = [...moves].sort(() => Math.random() - 0.5);
-    const player1Move = shuffledMoves[0];
-    const player2Move = shuffledMoves[1]; // Guaranteed to be different from player1Move
-    
-    console.log(`🎲 Auto-assigning ${player1Move} to player1`);
-    gameState.player1.currentMove = player1Move;
-    autoAssignedMoves.push({ playerId: gameState.player1.id, move: player1Move });
-    
-    console.log(`🎲 Auto-assigning ${player2Move} to player2`);
-    gameState.player2.currentMove = player2Move;
-    autoAssignedMoves.push({ playerId: gameState.player2.id, move: player2Move });
-  } else {
-    // Only one player timed out - assign random move
-    if (needsMove.player1) {
-      const randomMove = moves[Math.floor(Math.random() * moves.length)];
-      console.log(`🎲 Auto-assigning ${randomMove} to player1`);
-      gameState.player1.currentMove = randomMove;
-      autoAssignedMoves.push({ playerId: gameState.player1.id, move: randomMove });
-    }
-    
-    if (needsMove.player2) {
-      const randomMove = moves[Math.floor(Math.random() * moves.length)];
-      console.log(`🎲 Auto-assigning ${randomMove} to player2`);
-      gameState.player2.currentMove = randomMove;
-      autoAssignedMoves.push({ playerId: gameState.player2.id, move: randomMove });
-    }
+  // Notify other player that a move was submitted (without revealing the move)
+  (socket ? socket.to(result.gameId) : io.to(result.gameId)).emit('opponent_move_submitted', {
+    gameId: result.gameId,
+    bothMovesSubmitted: result.bothCommitted
+  });
+
+  // Both commitments are in - ask players to reveal
+  if (result.bothCommitted) {
+    startRevealPhase(result.gameId, io);
   }
-  
-  console.log(`🔍 Timeout processing: autoAssignedMoves:`, autoAssignedMoves);
-  
-  // If we auto-assigned moves, process the round
-  if (autoAssignedMoves.length > 0) {
-    console.log(`🔍 Processing ${autoAssignedMoves.length} auto-assigned moves...`);
-    
-    console.log(`🔍 Game state after auto-assignment:`, {
-      player1Move: gameState?.player1?.currentMove,
-      player2Move: gameState?.player2?.currentMove,
-      gameStatus: gameState?.gameStatus
+}
+
+/**
+ * Acknowledge an accepted reveal and, once the round resolves, broadcast it and move on
+ * Shared by player sockets and bots
+ * @param {object} io - Socket.io server instance
+ * @param {object} result - GameManager.revealMove result
+ * @param {string} playerId - Revealing player
+ * @param {object} socket - Revealing player's socket (null for bots)
+ */
+function handleRevealResult(io, result, playerId, socket = null) {
+  log.debug('Move revealed', { gameId: result.gameId, playerId });
+
+  // Only the revealing player learns their reveal was accepted;
+  // both moves go out together once the round resolves
+  if (socket) {
+    socket.emit('move_revealed', {
+      success: true,
+      gameId: result.gameId,
+      playerId
     });
-    
-    if (gameState && gameState.player1.currentMove && gameState.player2.currentMove) {
-      console.log(`🔍 Both players have moves, proceeding with round processing...`);
-      
-      // Emit move_submitted events for the auto-assigned moves to update UI
-      autoAssignedMoves.forEach(({ playerId, move }) => {
-        console.log(`📤 Emitting move_submitted for ${playerId}: ${move}`);
-        io.to(gameId).emit('move_submitted', {
-          success: true,
-          playerId: playerId,
-          move: move,
-          gameState: gameState
-        });
+  }
+
+  // If round is complete, clear timer and broadcast results
+  if (result.roundComplete) {
+    // Clear the timer since round is complete
+    clearRoundTimer(result.gameId);
+    recordRoundDuration(result.gameState, result.roundResult.round);
+
+    // For final round, don't emit round_completed immediately
+    // Instead show suspense screen and then reveal winner
+    if (result.roundResult.gameFinished) {
+      // No delay - show result immediately
+      handleGameFinished(result.gameId, result.gameState, io);
+    } else {
+      // Regular round - emit round_completed immediately
+      emitToGame(io, result.gameId, 'round_completed', {
+        gameId: result.gameId,
+        roundResult: result.roundResult,
+        gameState: result.gameState
       });
-      
-      // Both players now have moves, process the round
-      const result = gameManager.processRoundDirectly(gameId);
-      console.log('processRoundDirectly result:', result);
-      
-      if (result.success && result.roundComplete) {
-        console.log('Round completed via timeout, emitting round_completed event');
-        
-        // For final round, don't emit round_completed immediately
-        // Instead show suspense screen and then reveal winner
-        if (result.roundResult.gameFinished) {
-          console.log('🎬 Final round - showing suspense screen before revealing winner');
-          
-          // No delay - show result immediately
-          console.log('🏆 Revealing final winner immediately');
-          handleGameFinished(gameId, result.gameState, io);
-        } else {
-          // Regular round - emit round_completed immediately
-          io.to(gameId).emit('round_completed', {
-            gameId,
-            roundResult: result.roundResult,
-            gameState: result.gameState
-          });
-          
-          // Update game state for all players
-          io.to(gameId).emit('game_state_updated', {
-            gameState: result.gameState,
-            event: 'timeout_round_processed'
-          });
-          
-          // Start next round immediately
-          startNextRound(gameId, io);
-        }
-      } else {
-        console.error('❌ Failed to process round directly:', result);
-      }
+
+      // Start next round immediately
+      startNextRound(result.gameId, io);
     }
+
+    // Update game state for all players
+    emitToGame(io, result.gameId, 'game_state_updated', {
+      gameState: result.gameState,
+      event: 'move_processed'
+    });
   }
 }
 
 /**
- * Start the next round
+ * Let the bots of a game act in the phase that just started
+ * Each bot commits (or reveals) after a short random delay, through the same GameManager calls as players
+ * @param {object} io - Socket.io server instance
  * @param {string} gameId - Game ID
+ */
+function scheduleBotTurns(io, gameId) {
+  const gameState = gameManager.getGame(gameId);
+  if (!gameState || gameState.gameStatus !== 'playing') return;
+
+  for (const bot of gameManager.getBotPlayers(gameState)) {
+    const delay = BOT_THINK_MIN_MS + Math.floor(Math.random() * (BOT_THINK_MAX_MS - BOT_THINK_MIN_MS));
+    setTimeout(() => playBotTurn(io, gameId, bot.id), delay);
+  }
+}
+
+/**
+ * Commit or reveal for a bot, whichever the current phase needs
  * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {string} botId - Bot player ID
  */
-function startNextRound(gameId, io) {
+function playBotTurn(io, gameId, botId) {
   const gameState = gameManager.getGame(gameId);
   if (!gameState || gameState.gameStatus !== 'playing') return;
-  
-  // INCREMENT round number at the START of new round
-  gameState.currentRound++;
-  
-  // Reset moves for next round - NOW is the right time to clear them
-  gameState.player1.currentMove = null;
-  gameState.player2.currentMove = null;
-  gameState.player1.ready = false;
-  gameState.player2.ready = false;
-  
-  console.log(`🔄 Starting round ${gameState.currentRound} for game ${gameId}`);
-  
-  io.to(gameId).emit('next_round', {
+
+  const bot = getPlayerState(gameState, botId);
+  if (!bot || !bot.bot) return;
+
+  const secretKey = `${gameId}:${botId}`;
+
+  if (gameState.roundPhase === 'commit' && !bot.moveCommitment && !bot.currentMove) {
+    const position = gameState.player1.id === botId ? 'player1' : 'player2';
+    const move = chooseBotMove(bot.bot, gameState, position);
+    const { commitment, nonce } = createCommitment(move, gameState.ruleSet);
+
+    const result = gameManager.commitMove(botId, commitment, gameId);
+    if (result.success) {
+      botSecrets.set(secretKey, { move, nonce });
+      handleCommitResult(io, result, botId);
+    }
+  } else if (gameState.roundPhase === 'reveal' && bot.moveCommitment && !bot.currentMove) {
+    // The secret is lost on a restart - the reveal timeout then assigns the bot a move
+    const secret = botSecrets.get(secretKey);
+    if (!secret) return;
+    botSecrets.delete(secretKey);
+
+    const result = gameManager.revealMove(botId, secret.move, secret.nonce, gameId);
+    if (result.success) {
+      handleRevealResult(io, result, botId);
+    }
+  }
+}
+
+/**
+ * Start a points game whose second seat was just taken (by a bot or a matched player)
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {object} gameState - Game state
+ */
+function startPointsGame(io, gameId, gameState) {
+  emitToGame(io, gameId, 'game_started', {
     gameId,
-    round: gameState.currentRound, // Use new round number (just incremented)
     gameState
   });
-  
-  // Start timer for next round
-  startRoundTimer(gameId, io, 15);
+
+  setTimeout(() => {
+    startRoundTimer(gameId, io, 15);
+  }, 1000);
 }
 
 /**
- * Handle game completion
- * @param {string} gameId - Completed game ID
- * @param {object} gameState - Final game state
+ * Start a game whose second seat the server just filled (matchmaking or a rematch)
+ * SOL games wait for both on-chain deposits first; points games start right away
  * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {object} gameState - Game state
  */
-function handleGameFinished(gameId, gameState, io) {
-  console.log(`🏁 Game finished: ${gameId}, Winner: ${gameState.winner}`);
-  console.log(`🔍 Game state details:`, {
+function startMatchedGame(io, gameId, gameState) {
+  if (gameState.currency !== 'sol') {
+    startPointsGame(io, gameId, gameState);
+    return;
+  }
+
+  // Initialize on-chain completion tracking for this game
+  if (!onchainStatus.has(gameId)) {
+    onchainStatus.set(gameId, {
+      player1: false,
+      player2: false
+    });
+  }
+
+  // Emit ONLY to player1 first - player2 will get triggered after player1 completes
+  // This ensures sequential execution and prevents both popups at once
+  log.info('Asking player1 to create the on-chain game', { gameId, playerId: gameState.player1.id, socketId: gameState.player1.socketId });
+  emitToSocket(io, gameState.player1.socketId, 'create_onchain_game', {
     gameId,
-    winner: gameState.winner,
+    stakeAmount: gameState.stakeAmount,
     currency: gameState.currency,
-    player1: { id: gameState.player1?.id, wallet: gameState.player1?.wallet },
-    player2: { id: gameState.player2?.id, wallet: gameState.player2?.wallet },
-    processed: gameState.processed
+    roundsToWin: gameState.roundsToWin,
+    gameState: gameState
   });
-  
-  // Clear any timers for this game
-  if (gameTimers.has(gameId)) {
-    clearInterval(gameTimers.get(gameId));
-    gameTimers.delete(gameId);
-  }
-  
-  // CRITICAL: Process game completion for SOL/points distribution
-  // This was missing and causing SOL not to be credited in random matches!
-  // Only process if game hasn't been processed yet (avoid double processing)
-  if (gameState && gameState.winner && !gameState.processed) {
-    console.log(`✅ Processing game completion for ${gameId}`);
-    
-    const roundResult = {
-      gameWinner: gameState.winner === gameState.player1.id ? 'player1' : 'player2',
-      gameFinished: true,
-      round: gameState.currentRound,
-      moves: { player1: null, player2: null }, // Last moves not available here
-      roundWinner: null,
-      scores: {
-        player1: gameState.player1.wins,
-        player2: gameState.player2.wins
+
+  // Player2 will receive join_onchain_game after player1's deposit is confirmed (see markDepositConfirmed)
+  awaitDeposits(io, gameId);
+}
+
+/**
+ * Pair queued players whose rating windows now overlap and start their games
+ * @param {object} io - Socket.io server instance
+ */
+async function sweepMatchmaking(io) {
+  const matches = await gameManager.matchQueuedPlayers();
+
+  for (const match of matches) {
+    const socket = io.sockets.sockets.get(match.gameState[match.playerPosition].socketId);
+    if (socket) {
+      if (match.previousGameId) {
+        socket.leave(match.previousGameId);
       }
-    };
-    
-    console.log(`🎯 Round result:`, roundResult);
-    
-    // Check if already processed to avoid double processing
-    if (gameState.processed) {
-      console.log(`⚠️ Game ${gameId} already processed, skipping duplicate completion`);
-      return;
+      socket.join(match.gameId);
+      socket.emit('match_found', projectPayload(match, match.playerId));
     }
-    
-    // Mark as processed to avoid double processing
-    gameState.processed = true;
-    
-    // Process game completion (this handles SOL distribution and database updates)
-    console.log(`🚀 Calling gameManager.processGameCompletion...`);
-    gameManager.processGameCompletion(gameId, gameState, roundResult);
-  } else {
-    console.log(`⚠️ Skipping game completion processing:`, {
-      hasGameState: !!gameState,
-      hasWinner: !!gameState?.winner,
-      alreadyProcessed: !!gameState?.processed
+
+    emitToGame(io, match.gameId, 'game_state_updated', {
+      gameState: match.gameState,
+      event: 'match_found'
     });
+    startMatchedGame(io, match.gameId, match.gameState);
   }
-  
-  // Emit game finished event to all players
-  io.to(gameId).emit('game_finished', {
-    gameId,
-    gameState,
-    winner: {
-      playerId: gameState.winner,
-      position: gameState.winner === gameState.player1.id ? 'player1' : 'player2'
-    },
-    finalScores: {
-      player1: gameState.player1.wins,
-      player2: gameState.player2.wins
-    },
-    payout: {
-      totalPot: gameState.totalPot,
-      winnerPayout: gameState.winnerPayout,
-      platformFee: gameState.platformFee
-    }
-  });
+}
 
-  // IMMEDIATELY remove players from playerGames map so they can start new games
-  if (gameState.player1?.id) {
-    gameManager.playerGames.delete(gameState.player1.id);
-    console.log(`✅ Removed player1 (${gameState.player1.id}) from playerGames map`);
-  }
-  if (gameState.player2?.id) {
-    gameManager.playerGames.delete(gameState.player2.id);
-    console.log(`✅ Removed player2 (${gameState.player2.id}) from playerGames map`);
+/**
+ * Tell every searching player where they stand in the queue
+ * @param {object} io - Socket.io server instance
+ */
+function emitQueueStatus(io) {
+  for (const entry of gameManager.matchmaker.list()) {
+    const socket = io.sockets.sockets.get(entry.socketId);
+    if (socket) {
+      socket.emit('queue_status', gameManager.getQueueStatus(entry.playerId));
+    }
   }
-
-  // Schedule cleanup of game from memory (after a delay for final state viewing)
-  setTimeout(() => {
-    gameManager.cleanupOldGames(0); // Clean up immediately for finished games
-  }, 30000); // 30 seconds delay
 }
 
 /**
- * Set up on-chain completion event handlers for a socket
- * These handlers update the shared onchainStatus map
+ * Drop searches that waited too long
+ * @param {object} io - Socket.io server instance
  */
-function setupOnchainHandlersForSocket(socket, io) {
-  // Listen for on-chain completion events from this socket
-  console.log(`🔧 Setting up onchain handlers for socket ${socket.id}`);
+function expireMatchmaking(io) {
+  for (const entry of gameManager.expireMatchmaking()) {
+    const socket = io.sockets.sockets.get(entry.socketId);
+    if (socket) {
+      socket.leave(entry.gameId);
+      socket.emit('matchmaking_timeout', { gameId: entry.gameId });
+    }
+  }
+}
+
+/**
+ * Run the matchmaking tick: time out stale searches, pair players whose rating windows widened, report queue status
+ * Called once on boot
+ * @param {object} io - Socket.io server instance
+ */
+function startMatchmaking(io) {
+  setInterval(async () => {
+    try {
+      expireMatchmaking(io);
+      await sweepMatchmaking(io);
+      emitQueueStatus(io);
+    } catch (error) {
+      log.error('Matchmaking sweep failed', { err: error });
+    }
+  }, QUEUE_STATUS_INTERVAL_MS);
+}
+
+/**
+ * Push bracket changes to tournament watchers and open matches to their players, and run the
+ * tournament tick: scheduled starts and no-show forfeits
+ * Called once on boot
+ * @param {object} io - Socket.io server instance
+ */
+function startTournaments(io) {
+  tournamentManager.on('updated', tournament => {
+    io.to(`tournament:${tournament.tournamentId}`).emit('tournament_updated', {
+      tournament: tournamentManager.getView(tournament)
+    });
+  });
+
+  tournamentManager.on('match_ready', ({ tournament, match }) => {
+    const payload = {
+      tournamentId: tournament.tournamentId,
+      matchId: match.matchId,
+      round: match.round,
+      gameId: match.gameId,
+      players: match.players,
+      deadline: match.deadline
+    };
+    for (const playerId of match.players) {
+      const socketId = playerSockets.get(playerId);
+      if (socketId) {
+        io.to(socketId).emit('tournament_match_ready', payload);
+      }
+    }
+  });
+
+  setInterval(async () => {
+    try {
+      await tournamentManager.startScheduled();
+      for (const { gameId, gameState } of await tournamentManager.checkNoShows()) {
+        if (!gameState.winner) continue;
+        emitToGame(io, gameId, 'game_finished', {
+          gameId,
+          gameState,
+          winner: {
+            playerId: gameState.winner,
+            position: gameState.winner === gameState.player1.id ? 'player1' : 'player2',
+            reason: 'opponent_no_show'
+          },
+          finalScores: {
+            player1: gameState.player1.wins,
+            player2: gameState.player2.wins
+          },
+          fairness: revealFairness(gameState)
+        });
+      }
+    } catch (error) {
+      log.error('Tournament tick failed', { err: error });
+    }
+  }, TOURNAMENT_TICK_MS);
+}
+
+/**
+ * Cancel private games whose invite lapsed before anyone joined
+ * Called once on boot; also covers invites minted before a restart or over HTTP
+ * @param {object} io - Socket.io server instance
+ */
+function startInvites(io) {
+  setInterval(() => {
+    try {
+      for (const { gameId, refund } of gameManager.expireInvites()) {
+        onchainStatus.delete(gameId);
+        depositVerifier.cancel(gameId);
+        emitToGame(io, gameId, 'game_cancelled', {
+          gameId,
+          reason: 'Invite expired',
+          refund: refund ? { stakeAmount: refund.stakeAmount, status: refund.status } : null
+        });
+      }
+    } catch (error) {
+      log.error('Invite sweep failed', { err: error });
+    }
+  }, INVITE_SWEEP_INTERVAL_MS);
+}
+
+/**
+ * Seat a bot in a queued player's game if nobody has joined by the deadline
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Placeholder game of the queued player
+ * @param {number} seconds - Wait before the bot joins
+ * @param {string} strategy - Bot strategy
+ */
+function armBotFill(io, gameId, seconds, strategy) {
+  setTimeout(async () => {
+    const gameState = gameManager.getGame(gameId);
+    if (!gameState || gameState.gameStatus !== 'waiting_for_player' || !gameState.player1.id) return;
+
+    const result = await gameManager.addBot(gameId, strategy);
+    if (!result.success) {
+      log.error('Bot backfill failed', { gameId, error: result.error });
+      return;
+    }
+
+    emitToGame(io, gameId, 'bot_joined', {
+      gameId,
+      strategy,
+      gameState: result.gameState
+    });
+    startPointsGame(io, gameId, result.gameState);
+  }, seconds * 1000);
+}
+
+/**
+ * Handle when time runs out for a round
+ * In the commit phase, players without a commitment get a move assigned.
+ * In the reveal phase, players who committed but never revealed get a move assigned.
+ * @param {string} gameId - Game ID
+ * @param {object} io - Socket.io server instance
+ */
+function handleTimeUp(gameId, io) {
+  const gameState = gameManager.getGame(gameId);
+  if (!gameState || gameState.gameStatus !== 'playing') return;
+
+  const gameLog = log.child({ gameId });
   
-  socket.on('onchain_game_created', (data) => {
-    console.log('📥 [setupOnchainHandlersForSocket] Received onchain_game_created event:', data, 'from socket:', socket.id);
-    console.log('📥 [setupOnchainHandlersForSocket] Full event data:', JSON.stringify(data));
-    console.log('📥 [setupOnchainHandlersForSocket] Data type:', typeof data, 'Is object:', typeof data === 'object');
-    const { gameId } = data || {};
-    const gameIdKey = gameId ? String(gameId) : null;
-    console.log('📥 [setupOnchainHandlersForSocket] Extracted gameId:', gameId, 'Type:', typeof gameId, 'Converted to:', gameIdKey);
-    if (gameIdKey) {
-      console.log('🔍 Checking onchainStatus for game:', gameIdKey, 'Status exists:', onchainStatus.has(gameIdKey));
-      console.log('🔍 Available gameIds in onchainStatus:', Array.from(onchainStatus.keys()));
-      if (onchainStatus.has(gameIdKey)) {
-        const status = onchainStatus.get(gameIdKey);
-        console.log('📊 Current status:', status);
-        if (status && !status.player1) {
-          status.player1 = true;
-          console.log('✅ Player 1 on-chain game created for game:', gameIdKey);
-          console.log('📊 Updated status:', onchainStatus.get(gameIdKey));
-          
-          // Get game state to send trigger to player 2
-          const gameState = gameManager.getGame(gameIdKey);
-          if (gameState && gameState.player2 && gameState.player2.socketId) {
-            console.log('📤 Now triggering player2 to complete their transaction...');
-            
-            // Use different events based on game type
-            const eventName = gameState.gameType === 'private' ? 'game_started_pre_tx' : 'join_onchain_game';
-            
-            io.to(gameState.player2.socketId).emit(eventName, {
-              gameId: gameIdKey,
-              gameState: {
-                ...gameState,
-                gameId: gameIdKey
-              },
-              playerType: 'player2' // Explicitly tell them they're player2
-            });
-          }
-          
-          checkAndStartGame(io, gameIdKey);
-        } else if (status && status.player1) {
-          console.log('⚠️ Player 1 already marked as completed for game:', gameIdKey);
-        }
+  const isRevealPhase = gameState.roundPhase === 'reveal';
+  
+  // Assign moves to players who haven't moved - derived from the game's committed server seed,
+  // so both players can recompute them once the seed is revealed with game_finished
+  let autoAssignedMoves = [];
+  
+  for (const position of ['player1', 'player2']) {
+    const player = gameState[position];
+    const needsMove = !player.currentMove && player.id && (isRevealPhase || !player.moveCommitment);
+    if (needsMove) {
+      const move = assignTimeoutMove(gameState, position);
+      autoAssignedMoves.push({ playerId: player.id, move });
+    }
+  }
+  
+  gameLog.info('Round time is up', {
+    round: gameState.currentRound,
+    phase: gameState.roundPhase,
+    autoAssigned: autoAssignedMoves.map(({ playerId }) => playerId)
+  });
+  metrics.roundTimeouts.inc({ currency: gameState.currency, phase: gameState.roundPhase });
+  if (autoAssignedMoves.length > 0) {
+    metrics.autoMoves.inc({ currency: gameState.currency, phase: gameState.roundPhase }, autoAssignedMoves.length);
+  }
+  gameManager.saveGame(gameId);
+  
+  // Notify the room that moves were locked in, without revealing them
+  autoAssignedMoves.forEach(({ playerId }) => {
+    io.to(gameId).emit('move_submitted', {
+      success: true,
+      gameId,
+      playerId,
+      autoAssigned: true
+    });
+  });
+  
+  // A player who committed in time still gets to reveal before the round resolves
+  if (!isRevealPhase && (
+    (gameState.player1.moveCommitment && !gameState.player1.currentMove) ||
+    (gameState.player2.moveCommitment && !gameState.player2.currentMove)
+  )) {
+    gameState.roundPhase = 'reveal';
+    gameManager.saveGame(gameId);
+    startRevealPhase(gameId, io);
+    return;
+  }
+  
+  if (gameState.player1.currentMove && gameState.player2.currentMove) {
+    // Both players now have moves, process the round
+    const result = gameManager.processRoundDirectly(gameId);
+    
+    if (result.success && result.roundComplete) {
+      gameLog.debug('Round completed via timeout');
+      recordRoundDuration(result.gameState, result.roundResult.round);
+      
+      // For final round, don't emit round_completed immediately
+      if (result.roundResult.gameFinished) {
+        // No delay - show result immediately
+        handleGameFinished(gameId, result.gameState, io);
       } else {
-        console.log('⚠️ No onchainStatus found for game:', gameIdKey, 'Available games:', Array.from(onchainStatus.keys()));
+        // Regular round - emit round_completed immediately
+        emitToGame(io, gameId, 'round_completed', {
+          gameId,
+          roundResult: result.roundResult,
+          gameState: result.gameState
+        });
+        
+        // Update game state for all players
+        emitToGame(io, gameId, 'game_state_updated', {
+          gameState: result.gameState,
+          event: 'timeout_round_processed'
+        });
+        
+        // Start next round immediately
+        startNextRound(gameId, io);
       }
     } else {
-      console.error('❌ No gameId in onchain_game_created event:', data);
+      gameLog.error('Failed to process round after timeout', { error: result.error });
+    }
+  }
+}
+
+/**
+ * Open the reveal phase once both moves are committed (or timed out)
+ * @param {string} gameId - Game ID
+ * @param {object} io - Socket.io server instance
+ */
+function startRevealPhase(gameId, io) {
+  const gameState = gameManager.getGame(gameId);
+  if (!gameState || gameState.gameStatus !== 'playing') return;
+
+  log.debug('Reveal phase started', { gameId, round: gameState.currentRound });
+
+  io.to(gameId).emit('reveal_phase', {
+    gameId,
+    round: gameState.currentRound,
+    revealTimeout: REVEAL_TIMEOUT_SECONDS
+  });
+
+  startRoundTimer(gameId, io, REVEAL_TIMEOUT_SECONDS);
+}
+
+/**
+ * Start the next round
+ * @param {string} gameId - Game ID
+ * @param {object} io - Socket.io server instance
+ */
+function startNextRound(gameId, io) {
+  const gameState = gameManager.getGame(gameId);
+  if (!gameState || gameState.gameStatus !== 'playing') return;
+  
+  // INCREMENT round number and reset moves at the START of new round
+  gameManager.advanceRound(gameId);
+  
+  log.debug('Next round started', { gameId, round: gameState.currentRound });
+  
+  emitToGame(io, gameId, 'next_round', {
+    gameId,
+    round: gameState.currentRound, // Use new round number (just incremented)
+    gameState
+  });
+  
+  // Start timer for next round
+  startRoundTimer(gameId, io, 15);
+}
+
+/**
+ * Handle game completion
+ * @param {string} gameId - Completed game ID
+ * @param {object} gameState - Final game state
+ * @param {object} io - Socket.io server instance
+ */
+function handleGameFinished(gameId, gameState, io) {
+  const gameLog = log.child({ gameId });
+  gameLog.info('Game finished', {
+    winner: gameState.winner,
+    currency: gameState.currency,
+    player1: { id: gameState.player1?.id, wallet: gameState.player1?.wallet },
+    player2: { id: gameState.player2?.id, wallet: gameState.player2?.wallet },
+    processed: Boolean(gameState.processed)
+  });
+  
+  // Clear any timers for this game
+  clearRoundTimer(gameId);
+  
+  // CRITICAL: Process game completion for SOL/points distribution
+  // This was missing and causing SOL not to be credited in random matches!
+  // Only process if game hasn't been processed yet (avoid double processing)
+  if (gameState && gameState.winner && !gameState.processed) {
+    const roundResult = {
+      gameWinner: gameState.winner === gameState.player1.id ? 'player1' : 'player2',
+      gameFinished: true,
+      round: gameState.currentRound,
+      moves: { player1: null, player2: null }, // Last moves not available here
+      roundWinner: null,
+      scores: {
+        player1: gameState.player1.wins,
+        player2: gameState.player2.wins
+      }
+    };
+    
+    // Check if already processed to avoid double processing
+    if (gameState.processed) {
+      gameLog.warn('Game already processed, skipping duplicate completion');
+      return;
+    }
+    
+    // Mark as processed to avoid double processing
+    gameState.processed = true;
+    gameManager.saveGame(gameId);
+    
+    // Process game completion (this handles SOL distribution and database updates)
+    gameManager.processGameCompletion(gameId, gameState, roundResult);
+  } else {
+    gameLog.debug('Skipping game completion processing', {
+      hasGameState: !!gameState,
+      hasWinner: !!gameState?.winner,
+      alreadyProcessed: !!gameState?.processed
+    });
+  }
+  
+  // Emit game finished event to all players
+  emitToGame(io, gameId, 'game_finished', {
+    gameId,
+    gameState,
+    winner: {
+      playerId: gameState.winner,
+      position: gameState.winner === gameState.player1.id ? 'player1' : 'player2'
+    },
+    finalScores: {
+      player1: gameState.player1.wins,
+      player2: gameState.player2.wins
+    },
+    payout: {
+      totalPot: gameState.totalPot,
+      winnerPayout: gameState.winnerPayout,
+      platformFee: gameState.platformFee
+    },
+    fairness: revealFairness(gameState)
+  });
+
+  recordTournamentResult(gameId, gameState);
+
+  // IMMEDIATELY remove players from playerGames map so they can start new games
+  if (gameState.player1?.id) {
+    gameManager.playerGames.delete(gameState.player1.id);
+  }
+  if (gameState.player2?.id) {
+    gameManager.playerGames.delete(gameState.player2.id);
+  }
+
+  // Schedule cleanup of game from memory (after a delay for final state viewing)
+  setTimeout(() => {
+    gameManager.cleanupOldGames(0); // Clean up immediately for finished games
+  }, 30000); // 30 seconds delay
+}
+
+/**
+ * Advance the tournament a finished bracket game belongs to
+ * @param {string} gameId - Finished game ID
+ * @param {object} gameState - Final game state
+ */
+function recordTournamentResult(gameId, gameState) {
+  if (!gameState.tournament) return;
+
+  tournamentManager.recordGameResult(gameId, gameState).catch(error => {
+    log.error('Failed to record tournament result', { gameId, tournamentId: gameState.tournament.tournamentId, err: error });
+  });
+}
+
+/**
+ * Set up on-chain completion event handlers for a socket
+ * These handlers update the shared onchainStatus map
+ */
+function setupOnchainHandlersForSocket(socket, io) {
+  // Listen for on-chain completion events from this socket
+  socket.on('onchain_game_created', (data) => {
+    handleOnchainGameCreated(socket, io, data);
+  });
+  
+  socket.on('onchain_game_joined', (data) => {
+    handleOnchainGameJoined(socket, io, data);
+  });
+}
+
+/**
+ * Check if both players completed on-chain setup and start the game
+ */
+function checkAndStartGame(io, gameId) {
+  // Ensure gameId is a string for consistency
+  const gameIdKey = String(gameId);
+  const status = onchainStatus.get(gameIdKey);
+  log.debug('Checking deposits before starting game', { gameId: gameIdKey, deposits: status || null });
+  if (status && status.player1 && status.player2) {
+    // Get game state - try both string and original format
+    let game = gameManager.getGame(gameIdKey);
+    if (!game) {
+      game = gameManager.getGame(gameId);
+    }
+    if (!game) {
+      log.error('Both deposits confirmed but the game is gone', { gameId: gameIdKey });
+      onchainStatus.delete(gameId);
+      return;
+    }
+    
+    // Clean up status
+    onchainStatus.delete(gameIdKey);
+    clearDepositTimer(gameIdKey);
+    
+    // Emit game_started to all players - use the game's actual ID
+    const actualGameId = game.gameId || gameIdKey;
+    log.info('Both deposits confirmed, starting game', { gameId: actualGameId });
+    emitToGame(io, actualGameId, 'game_started', {
+      gameId: actualGameId,
+      gameState: game
+    });
+    
+    // Start the first round timer
+    setTimeout(() => {
+      startRoundTimer(actualGameId, io, 15); // Timer for first round
+    }, 2000);
+  }
+}
+
+/**
+ * What the on-chain game must show for a backend game's deposits
+ * @param {object} gameState - Game state
+ * @returns {object} - { player1Wallet, player2Wallet, stakeAmount }
+ */
+function depositExpectation(gameState) {
+  return {
+    player1Wallet: gameState.player1.wallet,
+    player2Wallet: gameState.player2.wallet,
+    stakeAmount: gameState.stakeAmount,
+    roundsToWin: gameState.roundsToWin
+  };
+}
+
+/**
+ * Start the deposit deadline of a SOL game once its players are asked to sign
+ * The deadline is persisted with the onchainStatus entry so it survives a restart
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ */
+function awaitDeposits(io, gameId) {
+  const status = onchainStatus.get(gameId);
+  if (!status) return;
+
+  if (!status.deadline) {
+    status.deadline = Date.now() + DEPOSIT_TIMEOUT_MS;
+    onchainStatus.set(gameId, status);
+  }
+  armDepositTimer(io, gameId, status.deadline);
+}
+
+/**
+ * Schedule the deposit timeout of a game
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {number} deadline - Deadline (ms)
+ */
+function armDepositTimer(io, gameId, deadline) {
+  clearDepositTimer(gameId);
+  depositTimers.set(gameId, setTimeout(() => {
+    handleDepositTimeout(io, gameId).catch(error => {
+      log.error('Deposit timeout handling failed', { gameId, err: error });
+    });
+  }, Math.max(deadline - Date.now(), 0)));
+}
+
+/**
+ * Clear the deposit timeout of a game
+ * @param {string} gameId - Game ID
+ */
+function clearDepositTimer(gameId) {
+  const timer = depositTimers.get(gameId);
+  if (timer) {
+    clearTimeout(timer);
+    depositTimers.delete(gameId);
+  }
+}
+
+/**
+ * Confirm an announced deposit on-chain before it counts toward starting the game
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {string} role - 'player1' or 'player2'
+ */
+async function verifyDeposit(io, gameId, role) {
+  const gameState = gameManager.getGame(gameId);
+  const status = onchainStatus.get(gameId);
+  if (!gameState || !status) return;
+
+  const deadline = status.deadline || Date.now() + DEPOSIT_TIMEOUT_MS;
+  const result = await depositVerifier.waitForDeposit(gameId, role, depositExpectation(gameState), deadline);
+
+  if (result.status === 'confirmed') {
+    markDepositConfirmed(io, gameId, role);
+  } else if (result.status === 'rejected') {
+    emitToSocket(io, gameState[role].socketId, 'deposit_rejected', { gameId, error: result.reason });
+  }
+  // 'expired' and 'cancelled' are handled by the deposit timeout
+}
+
+/**
+ * Record a confirmed deposit and move the game forward
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {string} role - 'player1' or 'player2'
+ */
+function markDepositConfirmed(io, gameId, role) {
+  const status = onchainStatus.get(gameId);
+  if (!status || status[role]) return;
+
+  status[role] = true;
+  onchainStatus.set(gameId, status);
+  log.info('Deposit confirmed on-chain', { gameId, position: role, deposits: status });
+
+  // Player1's escrow exists now - player2 can join it
+  const gameState = gameManager.getGame(gameId);
+  if (role === 'player1' && !status.player2 && gameState && gameState.player2 && gameState.player2.socketId) {
+
+    // Use different events based on game type
+    const eventName = gameState.gameType === 'private' ? 'game_started_pre_tx' : 'join_onchain_game';
+
+    emitToSocket(io, gameState.player2.socketId, eventName, {
+      gameId,
+      gameState: {
+        ...gameState,
+        gameId
+      },
+      playerType: 'player2' // Explicitly tell them they're player2
+    });
+  }
+
+  checkAndStartGame(io, gameId);
+}
+
+/**
+ * Deposit deadline passed: start the game if both stakes did land, otherwise cancel it
+ * and refund the creator's stake if it is in escrow
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ */
+async function handleDepositTimeout(io, gameId) {
+  depositTimers.delete(gameId);
+  const status = onchainStatus.get(gameId);
+  if (!status) return; // Already started or gone
+
+  const gameState = gameManager.getGame(gameId);
+  if (!gameState) {
+    onchainStatus.delete(gameId);
+    return;
+  }
+
+  depositVerifier.cancel(gameId);
+
+  // Last look: a deposit may have landed without (or after) its announcement
+  let refundCreator = status.player1;
+  for (const role of ['player1', 'player2']) {
+    if (status[role]) continue;
+    const result = await depositVerifier.checkDeposit(gameId, role, depositExpectation(gameState))
+      .catch(error => ({ status: 'pending', reason: error.message }));
+    if (result.status === 'confirmed') {
+      status[role] = true;
+    }
+    if (role === 'player1') {
+      refundCreator = status.player1 || Boolean(result.refundable);
+    }
+  }
+
+  if (status.player1 && status.player2) {
+    onchainStatus.set(gameId, status);
+    checkAndStartGame(io, gameId);
+    return;
+  }
+
+  onchainStatus.delete(gameId);
+  const result = gameManager.cancelUnfundedGame(gameId, { refundCreator, reason: 'Deposit timeout' });
+
+  emitToGame(io, gameId, 'game_cancelled', {
+    gameId,
+    reason: 'Deposit timeout',
+    refund: result.refund ? { stakeAmount: result.refund.stakeAmount, status: result.refund.status } : null
+  });
+}
+
+/**
+ * Emit an event to both players of a game on their current sockets
+ * @param {object} io - Socket.io server instance
+ * @param {object} gameState - Game state
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload (may carry a raw gameState)
+ */
+function emitToPlayers(io, gameState, event, payload) {
+  for (const position of ['player1', 'player2']) {
+    const player = gameState[position];
+    if (player.id) {
+      emitToSocket(io, playerSockets.get(player.id) || player.socketId, event, payload);
+    }
+  }
+}
+
+/**
+ * Relay a chat message to the players of its game, skipping anyone who muted the sender
+ * @param {object} io - Socket.io server instance
+ * @param {object} gameState - Game state
+ * @param {object} message - Chat message from GameChat
+ */
+function relayChatMessage(io, gameState, message) {
+  for (const position of ['player1', 'player2']) {
+    const player = gameState[position];
+    if (player.id && !player.isBot && !gameManager.chat.isMuted(gameState.gameId, player.id, message.playerId)) {
+      emitToSocket(io, playerSockets.get(player.id) || player.socketId, 'chat_message', {
+        gameId: gameState.gameId,
+        message
+      });
+    }
+  }
+}
+
+/**
+ * Mute or unmute a player's opponent in a game's chat
+ * @param {object} socket - Client socket
+ * @param {object} data - { gameId }
+ * @param {boolean} muted - Mute (true) or unmute (false)
+ */
+async function handleChatMute(socket, data, muted) {
+  const { gameId } = data || {};
+  try {
+    const session = requireSession(socket);
+    if (!session) return;
+
+    const result = await gameManager.setChatMute(gameId, session.playerId, muted);
+    if (!result.success) {
+      socket.emit('error', { message: result.error });
+      return;
+    }
+    socket.emit(muted ? 'player_muted' : 'player_unmuted', { gameId, playerId: result.playerId });
+  } catch (error) {
+    log.error('Chat mute failed', { gameId, socketId: socket.id, err: error });
+    socket.emit('error', { message: 'Failed to update mute' });
+  }
+}
+
+/**
+ * Schedule the expiry of a rematch request; both players hear when it lapses
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Finished game ID
+ * @param {number} expiresAt - Expiry time (ms)
+ */
+function armRematchTimer(io, gameId, expiresAt) {
+  clearRematchTimer(gameId);
+  rematchTimers.set(gameId, setTimeout(() => {
+    rematchTimers.delete(gameId);
+    const gameState = gameManager.expireRematch(gameId);
+    if (gameState) {
+      emitToPlayers(io, gameState, 'rematch_expired', { gameId });
+    }
+  }, Math.max(expiresAt - Date.now(), 0)));
+}
+
+/**
+ * Clear the expiry timer of a rematch request
+ * @param {string} gameId - Finished game ID
+ */
+function clearRematchTimer(gameId) {
+  const timer = rematchTimers.get(gameId);
+  if (timer) {
+    clearTimeout(timer);
+    rematchTimers.delete(gameId);
+  }
+}
+
+/**
+ * Accept a rematch and start the new game, moving both players' sockets into its room
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Finished game ID
+ * @param {string} playerId - Player accepting
+ * @returns {Promise<object>} - GameManager.acceptRematch result
+ */
+async function startRematch(io, gameId, playerId) {
+  const previous = gameManager.getGame(gameId);
+  const socketIds = {};
+  for (const position of ['player1', 'player2']) {
+    const id = previous?.[position].id;
+    if (id && playerSockets.has(id)) {
+      socketIds[id] = playerSockets.get(id);
+    }
+  }
+
+  const result = await gameManager.acceptRematch(gameId, playerId, socketIds);
+  if (!result.success) {
+    return result;
+  }
+
+  clearRematchTimer(gameId);
+  for (const socketId of Object.values(socketIds)) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) {
+      socket.leave(gameId);
+      socket.join(result.gameId);
     }
+  }
+
+  emitToGame(io, result.gameId, 'rematch_started', {
+    previousGameId: gameId,
+    gameId: result.gameId,
+    gameState: result.gameState
   });
-  
-  socket.on('onchain_game_joined', (data) => {
-    console.log('📥 [setupOnchainHandlersForSocket] Received onchain_game_joined event:', data, 'from socket:', socket.id);
-    console.log('📥 [setupOnchainHandlersForSocket] Full event data:', JSON.stringify(data));
-    console.log('📥 [setupOnchainHandlersForSocket] Data type:', typeof data, 'Is object:', typeof data === 'object');
-    const { gameId } = data || {};
-    const gameIdKey = gameId ? String(gameId) : null;
-    console.log('📥 [setupOnchainHandlersForSocket] Extracted gameId:', gameId, 'Type:', typeof gameId, 'Converted to:', gameIdKey);
-    if (gameIdKey) {
-      console.log('🔍 Checking onchainStatus for game:', gameIdKey, 'Status exists:', onchainStatus.has(gameIdKey));
-      console.log('🔍 Available gameIds in onchainStatus:', Array.from(onchainStatus.keys()));
-      if (onchainStatus.has(gameIdKey)) {
-        const status = onchainStatus.get(gameIdKey);
-        console.log('📊 Current status:', status);
-        if (status && !status.player2) {
-          status.player2 = true;
-          console.log('✅ Player 2 on-chain game joined for game:', gameIdKey);
-          console.log('📊 Updated status:', onchainStatus.get(gameIdKey));
-          checkAndStartGame(io, gameIdKey);
-        } else if (status && status.player2) {
-          console.log('⚠️ Player 2 already marked as completed for game:', gameIdKey);
-        }
+  startMatchedGame(io, result.gameId, result.gameState);
+  return result;
+}
+
+/**
+ * End a game in progress in the opponent's favour
+ * Used for leave_game and for players who don't come back within their grace period;
+ * both settle through processGameAbandonmentCompletion.
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {string} quittingPlayerId - Player who quit or didn't come back
+ * @param {string} reason - 'opponent_quit' or 'opponent_disconnect'
+ * @returns {Promise<boolean>} - True if the game was forfeited
+ */
+async function forfeitGame(io, gameId, quittingPlayerId, reason) {
+  const gameState = gameManager.getGame(gameId);
+  if (!gameState || gameState.gameStatus !== 'playing') {
+    return false;
+  }
+
+  let opponent = null;
+  if (gameState.player1.id === quittingPlayerId) {
+    opponent = gameState.player2;
+  } else if (gameState.player2.id === quittingPlayerId) {
+    opponent = gameState.player1;
+  }
+  if (!opponent || !opponent.id) {
+    return false;
+  }
+
+  // Mark opponent as winner
+  gameState.winner = opponent.id;
+  gameState.gameStatus = 'finished';
+  gameManager.saveGame(gameId);
+
+  log.info('Game ended by forfeit', { gameId, playerId: quittingPlayerId, winnerId: opponent.id, reason });
+
+  // Clear any timers for this game
+  clearRoundTimer(gameId);
+  clearReconnectTimer(gameId, gameState.player1.id);
+  clearReconnectTimer(gameId, gameState.player2.id);
+
+  const abandonmentResult = {
+    winner: opponent === gameState.player1 ? 'player1' : 'player2',
+    quittingPlayer: gameState.player1.id === quittingPlayerId ? 'player1' : 'player2',
+    reason
+  };
+
+  // Process game abandonment completion for database updates
+  await gameManager.processGameAbandonmentCompletion(gameId, gameState, abandonmentResult);
+
+  // Notify opponent they won
+  emitToGame(io, gameId, 'game_finished', {
+    gameId,
+    gameState,
+    winner: {
+      playerId: opponent.id,
+      position: abandonmentResult.winner,
+      reason
+    },
+    finalScores: {
+      player1: gameState.player1.wins,
+      player2: gameState.player2.wins
+    },
+    payout: {
+      totalPot: gameState.totalPot,
+      winnerPayout: gameState.winnerPayout,
+      platformFee: gameState.platformFee
+    },
+    quitReason: reason === 'opponent_quit' ? 'player_quit' : 'player_disconnected',
+    fairness: revealFairness(gameState)
+  });
+  recordTournamentResult(gameId, gameState);
+
+  // Update game state
+  emitToGame(io, gameId, 'game_state_updated', {
+    gameState,
+    event: reason === 'opponent_quit' ? 'player_quit' : 'player_disconnected'
+  });
+  return true;
+}
+
+/**
+ * Schedule the forfeit of a disconnected player
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {string} playerId - Disconnected player
+ * @param {number} deadline - End of the grace period (ms)
+ */
+function armReconnectTimer(io, gameId, playerId, deadline) {
+  clearReconnectTimer(gameId, playerId);
+  reconnectTimers.set(`${gameId}:${playerId}`, setTimeout(() => {
+    reconnectTimers.delete(`${gameId}:${playerId}`);
+    handleReconnectTimeout(io, gameId, playerId).catch(error => {
+      log.error('Reconnect timeout handling failed', { gameId, playerId, err: error });
+    });
+  }, Math.max(deadline - Date.now(), 0)));
+}
+
+/**
+ * Clear the forfeit timer of a player who came back (or whose game ended)
+ * @param {string} gameId - Game ID
+ * @param {string} playerId - Player ID
+ */
+function clearReconnectTimer(gameId, playerId) {
+  const key = `${gameId}:${playerId}`;
+  const timer = reconnectTimers.get(key);
+  if (timer) {
+    clearTimeout(timer);
+    reconnectTimers.delete(key);
+  }
+}
+
+/**
+ * Grace period over: a player who still isn't back forfeits the game
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {string} playerId - Disconnected player
+ */
+async function handleReconnectTimeout(io, gameId, playerId) {
+  if (!gameManager.isReconnectExpired(gameId, playerId)) return;
+
+  log.info('Player did not reconnect in time, forfeiting', { gameId, playerId });
+  const gameState = gameManager.getGame(gameId);
+  if (await forfeitGame(io, gameId, playerId, 'opponent_disconnect')) {
+    // Nobody is going to send leave_game for this seat - free both players for new games
+    gameManager.playerGames.delete(gameState.player1.id);
+    gameManager.playerGames.delete(gameState.player2.id);
+  }
+}
+
+/**
+ * Everything the server holds about a game, for operators: the raw game state (seeds, commitments and
+ * resume tokens included) plus deposits, the round deadline and the queue jobs kept for it
+ * @param {string} gameId - Game ID
+ * @returns {object|null} - { gameState, deposits, roundDeadline, settlement, refund, spectators, matchmaking } or null
+ */
+function inspectGame(gameId) {
+  const gameState = gameManager.getGame(gameId);
+  if (!gameState) return null;
+
+  return {
+    gameState,
+    deposits: onchainStatus.get(gameId) || null,
+    roundDeadline: roundDeadlines.get(gameId) || null,
+    settlement: gameManager.settlementQueue.getJob(gameId),
+    refund: gameManager.refundQueue.getJob(gameId),
+    spectators: gameManager.spectators.get(gameId)?.size || 0,
+    matchmaking: gameManager.matchmaker.ownsGame(gameId)
+  };
+}
+
+/**
+ * Operator override: end a game in progress with the given winner and settle it like any finished game
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {string} winnerPosition - 'player1' or 'player2'
+ * @returns {object} - GameManager.forceFinishGame result
+ */
+function forceFinishGame(io, gameId, winnerPosition) {
+  if (onchainStatus.has(gameId)) {
+    return { success: false, error: 'Deposits are not confirmed yet, cancel the game instead' };
+  }
+
+  const result = gameManager.forceFinishGame(gameId, winnerPosition);
+  if (!result.success) {
+    return result;
+  }
+
+  const { gameState } = result;
+  clearReconnectTimer(gameId, gameState.player1.id);
+  clearReconnectTimer(gameId, gameState.player2.id);
+  handleGameFinished(gameId, gameState, io);
+  return result;
+}
+
+/**
+ * Operator override: cancel a game without a winner and refund the creator's escrowed SOL stake
+ * Points stakes only move when a game is settled, so a points game has nothing to refund. A SOL game
+ * can only be cancelled before both deposits land; after that the program only releases the pot to a winner.
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {string} reason - Reason shown to the players
+ * @returns {object} - GameManager.cancelUnfundedGame result
+ */
+function cancelGame(io, gameId, reason) {
+  const gameState = gameManager.getGame(gameId);
+  if (!gameState) {
+    return { success: false, error: 'Game not found' };
+  }
+  if (gameState.gameStatus === 'finished') {
+    return { success: false, error: 'Game is already finished' };
+  }
+  if (gameState.tournament) {
+    return { success: false, error: 'Tournament games can only be force-finished' };
+  }
+  if (gameState.currency === 'sol' && gameState.gameStatus === 'playing' && !onchainStatus.has(gameId)) {
+    return { success: false, error: 'Both SOL stakes are in escrow, force-finish the game instead' };
+  }
+
+  gameManager.matchmaker.removeByGame(gameId);
+  depositVerifier.cancel(gameId);
+  onchainStatus.delete(gameId);
+  clearDepositTimer(gameId);
+  clearRoundTimer(gameId);
+  clearReconnectTimer(gameId, gameState.player1.id);
+  clearReconnectTimer(gameId, gameState.player2.id);
+
+  const refundCreator = gameState.currency === 'sol' && Boolean(gameState.player1.wallet);
+  const result = gameManager.cancelUnfundedGame(gameId, { refundCreator, reason });
+
+  emitToGame(io, gameId, 'game_cancelled', {
+    gameId,
+    reason,
+    refund: result.refund ? { stakeAmount: result.refund.stakeAmount, status: result.refund.status } : null
+  });
+  return result;
+}
+
+/**
+ * Tell a player whose search was ended by an operator
+ * @param {object} io - Socket.io server instance
+ * @param {object} entry - Removed queue entry
+ * @param {string} reason - Reason shown to the player
+ */
+function notifySearchCancelled(io, entry, reason) {
+  const socket = io.sockets.sockets.get(entry.socketId);
+  if (socket) {
+    socket.leave(entry.gameId);
+    socket.emit('matchmaking_cancelled', { gameId: entry.gameId, reason });
+  }
+}
+
+/**
+ * Operator override: take one player, or everyone, out of matchmaking
+ * @param {object} io - Socket.io server instance
+ * @param {string} playerId - Player to remove; null drains the whole queue
+ * @returns {object[]} - Removed queue entries
+ */
+function drainMatchmaking(io, playerId = null) {
+  const entries = playerId ? [gameManager.cancelMatchmaking(playerId)].filter(Boolean) : gameManager.drainMatchmaking();
+  for (const entry of entries) {
+    notifySearchCancelled(io, entry, 'Removed from matchmaking by an operator');
+  }
+  return entries;
+}
+
+/**
+ * Ban a wallet: record the ban, end its sessions and disconnect its socket
+ * A game in progress is not ended here - the banned player can't come back, so it forfeits when the
+ * reconnect grace period runs out (or an operator force-finishes it)
+ * @param {object} io - Socket.io server instance
+ * @param {string} wallet - Wallet address
+ * @param {object} details - { reason, bannedBy }
+ * @returns {object} - GameManager.banWallet result with the number of revoked sessions
+ */
+function banWallet(io, wallet, details) {
+  const result = gameManager.banWallet(wallet, details);
+  if (result.cancelledSearch) {
+    notifySearchCancelled(io, result.cancelledSearch, 'Wallet banned');
+  }
+
+  const revokedSessions = authService.revokeWallet(wallet);
+  const socket = io.sockets.sockets.get(playerSockets.get(wallet));
+  if (socket) {
+    socket.emit('banned', { reason: result.ban.reason });
+    socket.disconnect(true);
+  }
+
+  return { ...result, revokedSessions };
+}
+
+/**
+ * Attach a socket to a player's game and send it everything needed to pick up where it left off
+ * @param {object} socket - Client socket
+ * @param {object} io - Socket.io server instance
+ * @param {object} gameState - Game state (the seat already points at this socket)
+ * @param {string} playerId - Player ID
+ */
+function bindPlayerSocket(socket, io, gameState, playerId) {
+  const { gameId } = gameState;
+  playerSockets.set(playerId, socket.id);
+  socketPlayers.set(socket.id, playerId);
+  socket.join(gameId);
+  clearReconnectTimer(gameId, playerId);
+
+  const saved = roundDeadlines.get(gameId);
+  const deposits = onchainStatus.get(gameId);
+  emitToSocket(io, socket.id, 'game_resumed', {
+    gameId,
+    gameState,
+    countdown: saved ? Math.max(0, Math.ceil((saved.deadline - Date.now()) / 1000)) : null,
+    roundPhase: gameState.roundPhase,
+    deposits: deposits ? { player1: deposits.player1, player2: deposits.player2, deadline: deposits.deadline || null } : null,
+    chat: gameManager.getChatHistory(gameId, playerId)
+  });
+  emitToGame(io, gameId, 'player_reconnected', { gameId, playerId, gameState }, socket.id);
+}
+
+/**
+ * Re-seat a socket by the resume token of a game seat
+ * The token only reattaches the socket to its seat (game updates, no forfeit for being away);
+ * it never opens a session, so moves and every other action still need the wallet's session
+ * @param {object} socket - Client socket
+ * @param {object} io - Socket.io server instance
+ * @param {string} gameId - Game ID
+ * @param {string} resumeToken - Resume token from the player's own view of the game
+ */
+function resumeGame(socket, io, gameId, resumeToken) {
+  const session = authService.getSession(socket.data.session?.token);
+  const result = gameManager.resumePlayer(gameId, resumeToken, socket.id, session ? session.playerId : null);
+  if (!result.success) {
+    socket.emit('error', { message: result.error });
+    return;
+  }
+
+  log.info('Seat resumed with resume token', { gameId, playerId: result.playerId, socketId: socket.id });
+  bindPlayerSocket(socket, io, result.gameState, result.playerId);
+}
+
+/**
+ * Resume countdowns and settlements for state recovered from the state store
+ * Called once on boot, after the server starts listening
+ * @param {object} io - Socket.io server instance
+ */
+function recoverState(io) {
+  const now = Date.now();
+  let resumed = 0;
+
+  for (const [gameId, gameState] of gameManager.games.entries()) {
+    // SOL games still waiting for deposits are started by checkAndStartGame
+    if (gameState.gameStatus !== 'playing' || onchainStatus.has(gameId)) continue;
+
+    const saved = roundDeadlines.get(gameId);
+    if (saved) {
+      const remaining = Math.ceil((saved.deadline - now) / 1000);
+      if (remaining > 0) {
+        startRoundTimer(gameId, io, remaining);
       } else {
-        console.log('⚠️ No onchainStatus found for game:', gameIdKey, 'Available games:', Array.from(onchainStatus.keys()));
+        // Deadline passed while we were down - resolve the round as a timeout
+        roundDeadlines.delete(gameId);
+        handleTimeUp(gameId, io);
       }
+    } else if (isCurrentRoundResolved(gameState)) {
+      startNextRound(gameId, io);
     } else {
-      console.error('❌ No gameId in onchain_game_joined event:', data);
+      startRoundTimer(gameId, io, 15);
+    }
+    resumed++;
+  }
+
+  // Re-arm deposit deadlines; the timeout re-checks the chain, so deposits announced while we were down still count
+  for (const [gameId, status] of onchainStatus.entries()) {
+    if (status.deadline) {
+      armDepositTimer(io, gameId, status.deadline);
+    }
+  }
+
+  // Rematch requests keep their original expiry
+  for (const [gameId, gameState] of gameManager.games.entries()) {
+    if (gameState.rematch && gameState.rematch.status === 'pending') {
+      armRematchTimer(io, gameId, gameState.rematch.expiresAt);
     }
+  }
+
+  // Drop deadlines of games that no longer exist
+  for (const gameId of roundDeadlines.keys()) {
+    if (!gameManager.getGame(gameId)) {
+      roundDeadlines.delete(gameId);
+    }
+  }
+
+  log.info('Resumed active games after restart', { count: resumed });
+
+  gameManager.resumeUnsettledGames().catch(error => {
+    log.error('Failed to resume unsettled games', { err: error });
   });
 }
 
 /**
- * Check if both players completed on-chain setup and start the game
+ * Forward refund queue progress to the refunded player and start the on-chain job queues
+ * Called once on boot, after recoverState
+ * @param {object} io - Socket.io server instance
  */
-function checkAndStartGame(io, gameId) {
-  // Ensure gameId is a string for consistency
-  const gameIdKey = String(gameId);
-  const status = onchainStatus.get(gameIdKey);
-  console.log('🎮 [checkAndStartGame] Checking game:', gameIdKey, 'Status:', status);
-  if (status && status.player1 && status.player2) {
-    console.log('🚀 Both players completed on-chain setup, starting game:', gameIdKey);
-    
-    // Get game state - try both string and original format
-    let game = gameManager.getGame(gameIdKey);
-    if (!game) {
-      game = gameManager.getGame(gameId);
-    }
-    if (!game) {
-      console.error('Game not found:', gameId);
-      onchainStatus.delete(gameId);
-      return;
+function startJobQueues(io) {
+  const { refundQueue, settlementQueue } = gameManager;
+
+  const emitToPlayer = (playerId, event, payload) => {
+    const socketId = playerSockets.get(playerId);
+    if (socketId) {
+      io.to(socketId).emit(event, payload);
     }
-    
-    // Clean up status
-    onchainStatus.delete(gameIdKey);
-    
-    // Emit game_started to all players - use the game's actual ID
-    const actualGameId = game.gameId || gameIdKey;
-    console.log('📤 Emitting game_started with gameId:', actualGameId);
-    io.to(actualGameId).emit('game_started', {
-      gameId: actualGameId,
-      gameState: game
+  };
+
+  refundQueue.on('signature_required', (job, transaction) => {
+    emitToPlayer(job.playerId, 'refund_transaction', {
+      gameId: job.gameId,
+      stakeAmount: job.stakeAmount,
+      transaction
     });
-    
-    // Start the first round timer
-    setTimeout(() => {
-      startRoundTimer(actualGameId, io, 15); // Timer for first round
-    }, 2000);
+  });
+
+  refundQueue.on('completed', job => {
+    emitToPlayer(job.playerId, 'refund_completed', {
+      gameId: job.gameId,
+      stakeAmount: job.stakeAmount,
+      signature: job.signature
+    });
+  });
+
+  refundQueue.on('failed', (job, { retrying }) => {
+    emitToPlayer(job.playerId, 'refund_failed', {
+      gameId: job.gameId,
+      stakeAmount: job.stakeAmount,
+      error: job.lastError,
+      retrying,
+      nextAttemptAt: retrying ? job.nextAttemptAt : null
+    });
+  });
+
+  // Both queues retry with backoff (and pick up jobs whose backoff was running when we went down)
+  settlementQueue.start();
+  refundQueue.start();
+}
+
+/**
+ * Re-attach an authenticated socket to its game when the seat has no socket
+ * (after a restart, or a dropped connection within the grace period)
+ * @param {object} socket - Client socket
+ * @param {object} io - Socket.io server instance
+ * @param {object} session - Wallet session
+ */
+function rebindPlayerGame(socket, io, session) {
+  const gameState = gameManager.getPlayerGame(session.playerId);
+  if (!gameState || gameState.gameStatus === 'finished') return;
+
+  const player = getPlayerState(gameState, session.playerId);
+  if (!player || player.socketId) return;
+
+  const result = gameManager.reconnectPlayer(gameState.gameId, session.playerId, socket.id);
+  if (result.success) {
+    log.info('Session rebound to its game', { gameId: gameState.gameId, playerId: session.playerId, socketId: socket.id });
+    bindPlayerSocket(socket, io, result.gameState, session.playerId);
   }
 }
 
@@ -502,47 +1655,29 @@ function checkAndStartGame(io, gameId) {
  * Handle onchain_game_created event (can be called from global handler)
  */
 function handleOnchainGameCreated(socket, io, data) {
-  console.log('📥 [handleOnchainGameCreated] Processing event:', data, 'from socket:', socket.id);
   const { gameId } = data || {};
   const gameIdKey = gameId ? String(gameId) : null;
+  if (gameIdKey && !authorizeOnchainEvent(socket, gameIdKey, 'player1')) {
+    return;
+  }
   if (gameIdKey) {
-    console.log('🔍 Checking onchainStatus for game:', gameIdKey, 'Status exists:', onchainStatus.has(gameIdKey));
-    console.log('🔍 Available gameIds in onchainStatus:', Array.from(onchainStatus.keys()));
+    const eventLog = log.child({ gameId: gameIdKey, socketId: socket.id, position: 'player1' });
     if (onchainStatus.has(gameIdKey)) {
       const status = onchainStatus.get(gameIdKey);
-      console.log('📊 Current status:', status);
+      eventLog.debug('onchain_game_created received', { deposits: status });
       if (status && !status.player1) {
-        status.player1 = true;
-        console.log('✅ Player 1 on-chain game created for game:', gameIdKey);
-        console.log('📊 Updated status:', onchainStatus.get(gameIdKey));
-        
-        // Get game state to send trigger to player 2
-        const gameState = gameManager.getGame(gameIdKey);
-        if (gameState && gameState.player2 && gameState.player2.socketId) {
-          console.log('📤 Now triggering player2 to complete their transaction...');
-          
-          // Use different events based on game type
-          const eventName = gameState.gameType === 'private' ? 'game_started_pre_tx' : 'join_onchain_game';
-          
-          io.to(gameState.player2.socketId).emit(eventName, {
-            gameId: gameIdKey,
-            gameState: {
-              ...gameState,
-              gameId: gameIdKey
-            },
-            playerType: 'player2' // Explicitly tell them they're player2
-          });
-        }
-        
-        checkAndStartGame(io, gameIdKey);
+        // Only a deposit confirmed on-chain counts - see verifyDeposit
+        verifyDeposit(io, gameIdKey, 'player1').catch(error => {
+          eventLog.error('Deposit verification failed', { err: error });
+        });
       } else if (status && status.player1) {
-        console.log('⚠️ Player 1 already marked as completed for game:', gameIdKey);
+        eventLog.debug('Player1 deposit already confirmed');
       }
     } else {
-      console.log('⚠️ No onchainStatus found for game:', gameIdKey, 'Available games:', Array.from(onchainStatus.keys()));
+      eventLog.warn('onchain_game_created for a game not awaiting deposits');
     }
   } else {
-    console.error('❌ No gameId in onchain_game_created event:', data);
+    log.warn('onchain_game_created without a gameId', { socketId: socket.id });
   }
 }
 
@@ -550,28 +1685,28 @@ function handleOnchainGameCreated(socket, io, data) {
  * Handle onchain_game_joined event (can be called from global handler)
  */
 function handleOnchainGameJoined(socket, io, data) {
-  console.log('📥 [handleOnchainGameJoined] Processing event:', data, 'from socket:', socket.id);
   const { gameId } = data || {};
   const gameIdKey = gameId ? String(gameId) : null;
+  if (gameIdKey && !authorizeOnchainEvent(socket, gameIdKey, 'player2')) {
+    return;
+  }
   if (gameIdKey) {
-    console.log('🔍 Checking onchainStatus for game:', gameIdKey, 'Status exists:', onchainStatus.has(gameIdKey));
-    console.log('🔍 Available gameIds in onchainStatus:', Array.from(onchainStatus.keys()));
+    const eventLog = log.child({ gameId: gameIdKey, socketId: socket.id, position: 'player2' });
     if (onchainStatus.has(gameIdKey)) {
       const status = onchainStatus.get(gameIdKey);
-      console.log('📊 Current status:', status);
+      eventLog.debug('onchain_game_joined received', { deposits: status });
       if (status && !status.player2) {
-        status.player2 = true;
-        console.log('✅ Player 2 on-chain game joined for game:', gameIdKey);
-        console.log('📊 Updated status:', onchainStatus.get(gameIdKey));
-        checkAndStartGame(io, gameIdKey);
+        verifyDeposit(io, gameIdKey, 'player2').catch(error => {
+          eventLog.error('Deposit verification failed', { err: error });
+        });
       } else if (status && status.player2) {
-        console.log('⚠️ Player 2 already marked as completed for game:', gameIdKey);
+        eventLog.debug('Player2 deposit already confirmed');
       }
     } else {
-      console.log('⚠️ No onchainStatus found for game:', gameIdKey, 'Available games:', Array.from(onchainStatus.keys()));
+      eventLog.warn('onchain_game_joined for a game not awaiting deposits');
     }
   } else {
-    console.error('❌ No gameId in onchain_game_joined event:', data);
+    log.warn('onchain_game_joined without a gameId', { socketId: socket.id });
   }
 }
 
@@ -579,140 +1714,213 @@ function handleOnchainGameJoined(socket, io, data) {
  * Handle player disconnection
  */
 function handleSocketConnection(socket, io) {
-  console.log(`New socket connection: ${socket.id}`);
+  // Every entry about this socket carries its ID; handlers add gameId and playerId as they learn them
+  const socketLog = log.child({ socketId: socket.id });
+  socketLog.debug('Socket connected');
+  metrics.socketConnections.inc();
+  metrics.socketConnectionsTotal.inc();
   
   // Set up on-chain completion handlers for this socket
   setupOnchainHandlersForSocket(socket, io);
-  console.log(`✅ On-chain handlers set up for socket: ${socket.id}`);
 
-  // Store current player ID when available
-  let currentPlayerId = null;
+  // Restore a session passed in the handshake: io(url, { auth: { token } })
+  // or resume a game seat: io(url, { auth: { gameId, resumeToken } })
+  const handshake = socket.handshake.auth || {};
+  socket.data.session = authService.getSession(handshake.token);
+  if (handshake.resumeToken) {
+    resumeGame(socket, io, handshake.gameId, handshake.resumeToken);
+  } else if (socket.data.session) {
+    socketLog.info('Socket authenticated from handshake', { playerId: socket.data.session.playerId });
+    rebindPlayerGame(socket, io, socket.data.session);
+  }
+
+  /**
+   * Take a game seat back after a reconnect ({ gameId, resumeToken })
+   */
+  socket.on('resume_game', (data = {}) => {
+    const { gameId, resumeToken } = data || {};
+    try {
+      resumeGame(socket, io, gameId, resumeToken);
+    } catch (error) {
+      socketLog.error('Resume game failed', { gameId, err: error });
+      socket.emit('error', { message: 'Failed to resume game' });
+    }
+  });
+
+  /**
+   * Request a login challenge for a wallet
+   */
+  socket.on('auth_challenge', (data = {}) => {
+    try {
+      if (gameManager.isWalletBanned(data.wallet)) {
+        socket.emit('error', { message: 'Wallet is banned' });
+        return;
+      }
+
+      const result = authService.issueChallenge(data.wallet);
+      
+      if (result.success) {
+        socket.emit('auth_challenge', result);
+      } else {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (error) {
+      socketLog.error('Auth challenge failed', { err: error });
+      socket.emit('error', { message: 'Failed to issue challenge' });
+    }
+  });
+
+  /**
+   * Authenticate with a signed challenge ({ wallet, nonce, signature }) or an existing session token ({ token })
+   */
+  socket.on('authenticate', (data = {}) => {
+    try {
+      let result;
+      if (data.token) {
+        const session = authService.getSession(data.token);
+        result = session
+          ? authService.describeSession(session)
+          : { success: false, error: 'Session expired or not found' };
+      } else {
+        result = authService.verifyChallenge(data.wallet, data.nonce, data.signature);
+      }
+      
+      if (result.success) {
+        socket.data.session = authService.getSession(result.token);
+        socketLog.info('Socket authenticated', { playerId: result.playerId });
+        socket.emit('authenticated', result);
+        rebindPlayerGame(socket, io, socket.data.session);
+      } else {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (error) {
+      socketLog.error('Authentication failed', { err: error });
+      socket.emit('error', { message: 'Failed to authenticate' });
+    }
+  });
   
   // Handle disconnection
   socket.on('disconnect', () => {
-    console.log(`Socket disconnected: ${socket.id}`);
+    socketLog.debug('Socket disconnected');
+    metrics.socketConnections.dec();
+
+    for (const gameId of gameManager.removeSpectatorSocket(socket.id)) {
+      emitSpectatorCount(io, gameId);
+    }
+    gameManager.chat.forgetSocket(socket.id);
     
     // Get player ID associated with this socket
     const playerId = socketPlayers.get(socket.id);
+    socketPlayers.delete(socket.id);
     
     if (playerId) {
-      console.log(`Player ${playerId} disconnected`);
-      
-      // Find if player is in a game
-      const gameId = gameManager.getPlayerGame(playerId);
-      
-      if (gameId) {
-        const game = gameManager.getGame(gameId);
-        
-        if (game) {
-          // Notify other players in the game
-          socket.to(gameId).emit('player_disconnected', {
-            gameId,
-            disconnectedPlayerId: playerId,
-            gameState: game
-          });
-          
-          // If game is in progress, handle as forfeit after a delay
-          if (game.gameStatus === 'playing') {
-            console.log(`Player ${playerId} disconnected during active game`);
-            
-            // Wait a short time before handling as forfeit (in case of reconnect)
-            setTimeout(() => {
-              // Check if player is still disconnected
-              if (!playerSockets.has(playerId)) {
-                console.log(`Player ${playerId} did not reconnect, handling as forfeit`);
-                
-                // Determine winner (the player who didn't disconnect)
-                const winner = game.player1.id === playerId ? game.player2.id : game.player1.id;
-                
-                // Finalize game
-                io.to(gameId).emit('game_finished', {
-                  gameId,
-                  winner: {
-                    playerId: winner,
-                    reason: 'opponent_disconnect'
-                  },
-                  gameState: game
-                });
-                
-                // Clean up game
-                gameManager.removeGame(gameId);
-              }
-            }, 5000); // 5 second grace period for reconnection
-          }
+      socketLog.info('Player disconnected', { playerId });
+
+      // A search only lives as long as the socket that started it
+      gameManager.cancelMatchmaking(playerId, socket.id);
+
+      // A reconnect may already have moved the player to a new socket
+      if (playerSockets.get(playerId) === socket.id) {
+        playerSockets.delete(playerId);
+      }
+
+      const gameState = gameManager.markDisconnected(playerId, socket.id);
+      if (gameState) {
+        const { gameId } = gameState;
+        // SOL games still collecting deposits are covered by the deposit deadline instead
+        const reconnectDeadline = onchainStatus.has(gameId) ? null : gameManager.startReconnectGrace(gameId, playerId);
+        if (reconnectDeadline) {
+          socketLog.info('Holding seat for reconnect', { gameId, playerId, reconnectDeadline });
+          armReconnectTimer(io, gameId, playerId, reconnectDeadline);
         }
+
+        // Notify other players in the game
+        emitToGame(io, gameId, 'player_disconnected', {
+          gameId,
+          disconnectedPlayerId: playerId,
+          reconnectDeadline,
+          gameState
+        }, socket.id);
       }
-      
-      // Clean up player mappings
-      playerSockets.delete(playerId);
-      socketPlayers.delete(socket.id);
     }
   });
   
   // Create a new game
   socket.on('create_game', async (data) => {
     try {
-      const { stakeAmount, gameType, currency, playerId, playerWallet } = data;
+      const session = requireSession(socket);
+      if (!session) return;
+      
+      const { stakeAmount, gameType, currency } = data;
+      const { playerId, wallet: playerWallet } = session;
       const gameId = data.gameId || uuidv4();
+
+      let format;
+      let inviteOptions = null;
+      try {
+        format = resolveMatchFormat({ roundsToWin: data.roundsToWin, drawLimit: data.drawLimit, ruleSet: data.ruleSet });
+        if (gameType === 'private') {
+          inviteOptions = resolveInviteOptions({
+            targetWallet: data.inviteWallet,
+            ttlSeconds: data.inviteTtlSeconds,
+            inviteOnly: data.inviteOnly
+          });
+        }
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
       
-      console.log(`Creating ${currency} game with stake ${stakeAmount}:`, data);
+      const gameLog = socketLog.child({ gameId, playerId });
+      gameLog.debug('Creating game', { gameType, currency, stakeAmount, format });
       
       // Store player ID and socket mapping
-      currentPlayerId = playerId;
       playerSockets.set(playerId, socket.id);
       socketPlayers.set(socket.id, playerId);
       
       // For SOL games, verify on-chain game creation
-      if (currency === 'sol' && idl) {
+      if (currency === 'sol') {
         try {
-          // Create a read-only provider (we don't need to sign anything here)
-          const provider = new anchor.AnchorProvider(
-            connection,
-            { publicKey: new PublicKey(playerWallet) },
-            { commitment: 'confirmed' }
-          );
-          
-          // Add address to IDL for Anchor compatibility
-          const idlWithAddress = { ...idl, address: PROGRAM_ID.toString() };
-          const program = new anchor.Program(idlWithAddress, provider);
-          
           // Check if the game exists on-chain
-          const gamePDA = findGamePDA(gameId);
+          const gamePDA = programClient.findGamePDA(gameId);
           try {
-            console.log(`Checking if game ${gameId} exists on-chain at address ${gamePDA.toString()}`);
-            const gameAccount = await program.account.game.fetchNullable(gamePDA);
+            gameLog.debug('Checking whether the game exists on-chain', { gamePDA: gamePDA.toString() });
+            const account = await programClient.fetchGame(gameId);
+            const gameAccount = account && account.game;
             
             if (!gameAccount) {
-              console.log(`Game ${gameId} not found on-chain. Creating game in backend only.`);
+              gameLog.debug('Game not on-chain yet, creating it in the backend only');
               // Continue with backend creation even if not on-chain yet
               // This allows the frontend to show the game while waiting for the blockchain transaction
             } else {
-              console.log('Game exists on-chain:', gameAccount.gameId);
-              
               // Verify game parameters
-              if (gameAccount.gameId !== gameId) {
-                console.error(`Game ID mismatch: ${gameAccount.gameId} vs ${gameId}`);
+              if (gameAccount.gameId !== programClient.normalizeGameId(gameId)) {
+                gameLog.warn('On-chain game ID mismatch', { onchainGameId: gameAccount.gameId });
                 socket.emit('error', { message: 'Game ID mismatch with on-chain game' });
                 return;
               }
               
               if (!gameAccount.player1.equals(new PublicKey(playerWallet))) {
-                console.error(`Creator wallet mismatch: ${gameAccount.player1.toString()} vs ${playerWallet}`);
+                gameLog.warn('On-chain creator wallet mismatch', { onchainPlayer1: gameAccount.player1.toString(), wallet: playerWallet });
                 socket.emit('error', { message: 'Creator wallet mismatch with on-chain game' });
                 return;
               }
+
+              if (gameAccount.roundsToWin !== format.roundsToWin) {
+                gameLog.warn('On-chain rounds to win mismatch', { onchainRoundsToWin: gameAccount.roundsToWin, roundsToWin: format.roundsToWin });
+                socket.emit('error', { message: 'Rounds to win mismatch with on-chain game' });
+                return;
+              }
               
-              console.log('SOL game verified on-chain, proceeding with backend creation');
+              gameLog.debug('SOL game verified on-chain');
             }
           } catch (error) {
-            console.error('Error fetching game from chain:', error);
             // Continue with backend creation even if not on-chain yet
-            console.log(`Game ${gameId} not found on-chain. Creating game in backend only.`);
+            gameLog.warn('Could not fetch game from chain, creating it in the backend only', { err: error });
           }
         } catch (error) {
-          console.error('Error verifying on-chain game:', error);
           // Continue with backend creation even if verification fails
-          console.log('Proceeding with backend game creation despite verification error');
+          gameLog.warn('On-chain game verification failed, creating it in the backend anyway', { err: error });
         }
       }
       
@@ -724,12 +1932,20 @@ function handleSocketConnection(socket, io) {
         playerId,
         socket.id,
         playerWallet,
-        gameId  // Pass the gameId from frontend
+        gameId,  // Pass the gameId from frontend
+        format
       );
       
       if (result.success) {
         // Join the socket room for this game
         socket.join(result.gameId);
+
+        if (inviteOptions) {
+          const invited = gameManager.createInvite(result.gameId, playerId, inviteOptions);
+          if (invited.success) {
+            result.inviteLink = invited.invite.code;
+          }
+        }
         
         // For SOL private games, initialize onchainStatus tracking
         if (result.gameState && result.gameState.currency === 'sol' && result.gameState.gameType === 'private') {
@@ -739,21 +1955,16 @@ function handleSocketConnection(socket, io) {
               player1: false,
               player2: false
             });
-            console.log('📝 [create_game] Initialized onchainStatus for SOL private game:', gameIdKey);
-          } else {
-            console.log('📝 [create_game] onchainStatus already exists for game:', gameIdKey);
           }
         }
         
         // Send game created event
-        socket.emit('game_created', result);
-        
-        console.log(`Game created: ${result.gameId}`);
+        socket.emit('game_created', projectPayload(result, playerId));
       } else {
         socket.emit('error', { message: result.error || 'Failed to create game' });
       }
     } catch (error) {
-      console.error('Create game error:', error);
+      socketLog.error('Create game failed', { err: error });
       socket.emit('error', { message: 'Failed to create game' });
     }
   });
@@ -761,356 +1972,613 @@ function handleSocketConnection(socket, io) {
   // Join an existing game
   socket.on('join_game', async (data) => {
     try {
-      const { gameId, playerId, playerWallet, currency } = data;
-      
-      console.log(`Player ${playerId} joining game ${gameId}`);
-      
-      // Store player ID and socket mapping
-      currentPlayerId = playerId;
-      playerSockets.set(playerId, socket.id);
-      socketPlayers.set(socket.id, playerId);
+      const session = requireSession(socket);
+      if (!session) return;
       
-      // Get the game
-      const game = gameManager.getGame(gameId);
+      const { playerId, wallet: playerWallet } = session;
+
+      // gameId may be the game ID or an invite code; an explicit inviteCode goes with a game ID
+      const target = gameManager.resolveJoinTarget(data.gameId || data.inviteCode);
+      const game = target.gameState;
+      const inviteCode = data.inviteCode || target.inviteCode;
       
       if (!game) {
         socket.emit('error', { message: 'Game not found' });
         return;
       }
+
+      const { gameId } = game;
+      const gameLog = socketLog.child({ gameId, playerId });
+      gameLog.debug('Joining game', { currency: game.currency });
+      
+      // Store player ID and socket mapping
+      playerSockets.set(playerId, socket.id);
+      socketPlayers.set(socket.id, playerId);
       
       // For SOL games, verify on-chain game join
-      if (game.currency === 'sol' && idl) {
+      if (game.currency === 'sol') {
         try {
-          // Create a read-only provider (we don't need to sign anything here)
-          const provider = new anchor.AnchorProvider(
-            connection,
-            { publicKey: new PublicKey(playerWallet) },
-            { commitment: 'confirmed' }
-          );
-          
-          // Add address to IDL for Anchor compatibility
-          const idlWithAddress = { ...idl, address: PROGRAM_ID.toString() };
-          const program = new anchor.Program(idlWithAddress, provider);
-          
           // Check if the game exists on-chain
-          const gamePDA = findGamePDA(gameId);
+          const gamePDA = programClient.findGamePDA(gameId);
           try {
-            console.log(`Checking if game ${gameId} exists on-chain at address ${gamePDA.toString()}`);
-            const gameAccount = await program.account.game.fetchNullable(gamePDA);
+            gameLog.debug('Checking whether the game exists on-chain', { gamePDA: gamePDA.toString() });
+            const account = await programClient.fetchGame(gameId);
+            const gameAccount = account && account.game;
             
             if (!gameAccount) {
-              console.log(`Game ${gameId} not found on-chain. Proceeding with backend join only.`);
+              gameLog.debug('Game not on-chain yet, joining in the backend only');
               // Continue with backend join even if not on-chain yet
             } else {
-              console.log('Game exists on-chain:', gameAccount.gameId);
-              
               // Verify game parameters
-              if (gameAccount.gameId !== gameId) {
-                console.error(`Game ID mismatch: ${gameAccount.gameId} vs ${gameId}`);
+              if (gameAccount.gameId !== programClient.normalizeGameId(gameId)) {
+                gameLog.warn('On-chain game ID mismatch', { onchainGameId: gameAccount.gameId });
                 socket.emit('error', { message: 'Game ID mismatch with on-chain game' });
                 return;
               }
               
               // Check if player2 has joined on-chain
               if (gameAccount.player2 && gameAccount.player2.equals(new PublicKey(playerWallet))) {
-                console.log('Player has joined on-chain, proceeding with backend join');
+                gameLog.debug('Player already joined on-chain');
               } else if (!gameAccount.player2) {
-                console.log('Player2 not yet joined on-chain. Proceeding with backend join only.');
+                gameLog.debug('Player2 not joined on-chain yet, joining in the backend only');
                 // Continue with backend join even if not on-chain yet
               } else if (gameAccount.player2 && !gameAccount.player2.equals(new PublicKey(playerWallet))) {
-                console.error(`Player2 wallet mismatch: ${gameAccount.player2.toString()} vs ${playerWallet}`);
+                gameLog.warn('On-chain player2 wallet mismatch', { onchainPlayer2: gameAccount.player2.toString(), wallet: playerWallet });
                 socket.emit('error', { message: 'Player wallet mismatch with on-chain game' });
                 return;
               }
             }
           } catch (error) {
-            console.error('Error fetching game from chain:', error);
             // Continue with backend join even if not on-chain yet
-            console.log(`Game ${gameId} not found on-chain. Proceeding with backend join only.`);
+            gameLog.warn('Could not fetch game from chain, joining in the backend only', { err: error });
           }
         } catch (error) {
-          console.error('Error verifying on-chain game join:', error);
           // Continue with backend join even if verification fails
-          console.log('Proceeding with backend join despite verification error');
+          gameLog.warn('On-chain join verification failed, joining in the backend anyway', { err: error });
+        }
+      }
+      
+      // Join the game in backend
+      const result = await gameManager.joinGame(gameId, playerId, socket.id, playerWallet, inviteCode);
+      
+      if (result.success) {
+        // Join the socket room for this game
+        socket.join(gameId);
+        
+        // For SOL private games, initialize onchainStatus tracking if not already initialized
+        // This ensures tracking is set up even if player1 hasn't completed their transaction yet
+        if (result.gameState && result.gameState.currency === 'sol' && result.gameState.gameType === 'private') {
+          const gameIdKey = String(gameId);
+          if (!onchainStatus.has(gameIdKey)) {
+            onchainStatus.set(gameIdKey, {
+              player1: false,
+              player2: false
+            });
+          }
+        }
+        
+        // Send events
+        socket.emit('game_joined', projectPayload(result, playerId));
+        emitToGame(io, gameId, 'player_joined', result, socket.id);
+        
+        // If both players are present and game is ready to start
+        if (
+          result.gameState &&
+          result.gameState.player1 &&
+          result.gameState.player2 &&
+          result.gameState.gameStatus === 'playing'
+        ) {
+          // For SOL private games, wait for both on-chain transactions before starting
+          if (result.gameState.currency === 'sol' && result.gameState.gameType === 'private') {
+            const gameState = result.gameState;
+            
+            // onchainStatus should already be initialized when player2 joined
+            // Just verify it exists and log status
+            const gameIdKey = String(gameId);
+            if (!onchainStatus.has(gameIdKey)) {
+              // Fallback: initialize if somehow not set (shouldn't happen)
+              onchainStatus.set(gameIdKey, {
+                player1: false,
+                player2: false
+              });
+              gameLog.warn('Deposit tracking was missing for a SOL private game, initialized it');
+            }
+            
+            // Handlers are already set up for all sockets in handleSocketConnection
+            
+            // Emit pre-transaction event ONLY to player1 first
+            // Player2 will receive their trigger after player1 completes their transaction
+            gameLog.info('SOL private game full, asking player1 to deposit first', { player1: gameState.player1.id });
+            emitToSocket(io, gameState.player1.socketId, 'game_started_pre_tx', {
+              gameId: gameIdKey,
+              gameState: {
+                ...gameState,
+                gameId: gameIdKey  // Ensure gameId in gameState matches the key
+              },
+              playerType: 'player1' // Explicitly tell them they're player1
+            });
+            
+            awaitDeposits(io, gameIdKey);
+          } else {
+            // For points games or public games, start immediately
+            emitToGame(io, gameId, 'game_started', {
+              gameId,
+              gameState: result.gameState
+            });
+            
+            setTimeout(() => {
+              startRoundTimer(gameId, io, 15);
+            }, 1000);
+          }
+        }
+
+      } else {
+        socket.emit('error', { message: result.error || 'Failed to join game' });
+      }
+    } catch (error) {
+      socketLog.error('Join game failed', { err: error });
+      socket.emit('error', { message: 'Failed to join game' });
+    }
+  });
+
+  /**
+   * Find random match (public matchmaking)
+   */
+  socket.on('find_random_match', async (data) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+      
+      const { 
+        stakeAmount = 0, 
+        currency = 'points',
+        roundsToWin,
+        drawLimit,
+        ruleSet,
+        botFillSeconds,
+        botStrategy = DEFAULT_BOT_STRATEGY
+      } = data;
+      const { playerId: currentPlayerIdForGame, wallet: playerWallet } = session;
+
+      // Optional: let a bot take the seat if nobody is matched in time (points games only)
+      if (botFillSeconds !== undefined && botFillSeconds !== null) {
+        if (currency !== 'points') {
+          socket.emit('error', { message: 'Bot backfill is only available for points games' });
+          return;
+        }
+        if (!Number.isInteger(botFillSeconds) || botFillSeconds < BOT_FILL_MIN_SECONDS || botFillSeconds > BOT_FILL_MAX_SECONDS) {
+          socket.emit('error', { message: `Bot backfill must be between ${BOT_FILL_MIN_SECONDS} and ${BOT_FILL_MAX_SECONDS} seconds` });
+          return;
+        }
+      }
+      
+      const result = await gameManager.findRandomMatch(
+        currentPlayerIdForGame, 
+        socket.id, 
+        stakeAmount, 
+        currency, 
+        playerWallet,
+        { roundsToWin, drawLimit, ruleSet }
+      );
+      
+      if (result.success) {
+        // Join socket room for this game
+        socket.join(result.gameId);
+        playerSockets.set(currentPlayerIdForGame, socket.id);
+        socketPlayers.set(socket.id, currentPlayerIdForGame);
+        socketLog.info('Random match', { gameId: result.gameId, playerId: currentPlayerIdForGame, currency });
+        
+        socket.emit('match_found', projectPayload(result, currentPlayerIdForGame));
+        
+        // Notify all players in the game
+        emitToGame(io, result.gameId, 'game_state_updated', {
+          gameState: result.gameState,
+          event: 'match_found'
+        });
+
+        // If game started immediately (matched with waiting player)
+        if (result.gameStarted) {
+          startMatchedGame(io, result.gameId, result.gameState);
+        } else if (result.inQueue) {
+          socket.emit('queue_status', gameManager.getQueueStatus(currentPlayerIdForGame));
+          if (botFillSeconds) {
+            armBotFill(io, result.gameId, botFillSeconds, botStrategy);
+          }
+        }
+      } else {
+        socketLog.info('Random match refused', { playerId: currentPlayerIdForGame, error: result.error });
+        socket.emit('error', result);
+      }
+    } catch (error) {
+      socketLog.error('Random match failed', { err: error });
+      socket.emit('error', { message: 'Failed to find match' });
+    }
+  });
+
+  /**
+   * Ask the opponent of a finished game to play again
+   * If the opponent already asked, this accepts their request instead
+   */
+  socket.on('request_rematch', async (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const { playerId } = session;
+      const gameState = gameManager.getGame(data.gameId);
+      const pending = gameState?.rematch;
+      if (pending && pending.status === 'pending' && pending.requestedBy !== playerId && pending.expiresAt > Date.now()) {
+        const result = await startRematch(io, data.gameId, playerId);
+        if (!result.success) {
+          socket.emit('error', { message: result.error });
         }
+        return;
+      }
+
+      const opponent = gameState && (gameState.player1.id === playerId ? gameState.player2 : gameState.player1);
+      if (opponent && !playerSockets.has(opponent.id)) {
+        socket.emit('error', { message: 'Opponent is not connected' });
+        return;
+      }
+
+      const result = gameManager.requestRematch(data.gameId, playerId);
+      if (!result.success) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+
+      armRematchTimer(io, data.gameId, result.rematch.expiresAt);
+      emitToPlayers(io, result.gameState, 'rematch_requested', {
+        gameId: data.gameId,
+        requestedBy: playerId,
+        expiresAt: result.rematch.expiresAt
+      });
+    } catch (error) {
+      socketLog.error('Request rematch failed', { err: error });
+      socket.emit('error', { message: 'Failed to request rematch' });
+    }
+  });
+
+  socket.on('accept_rematch', async (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const result = await startRematch(io, data.gameId, session.playerId);
+      if (!result.success) {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (error) {
+      socketLog.error('Accept rematch failed', { err: error });
+      socket.emit('error', { message: 'Failed to accept rematch' });
+    }
+  });
+
+  socket.on('decline_rematch', (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const { gameId } = data || {};
+      const result = gameManager.declineRematch(gameId, session.playerId);
+      if (!result.success) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+
+      clearRematchTimer(gameId);
+      emitToPlayers(io, result.gameState, 'rematch_declined', {
+        gameId,
+        declinedBy: session.playerId
+      });
+    } catch (error) {
+      socketLog.error('Decline rematch failed', { err: error });
+      socket.emit('error', { message: 'Failed to decline rematch' });
+    }
+  });
+
+  /**
+   * Mint a new invite for your waiting private game ({ gameId, targetWallet, ttlSeconds, inviteOnly })
+   * The previous code stops working
+   */
+  socket.on('create_invite', (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const { gameId, targetWallet, ttlSeconds, inviteOnly } = data || {};
+      const result = gameManager.createInvite(gameId, session.playerId, { targetWallet, ttlSeconds, inviteOnly });
+      if (!result.success) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+      socket.emit('invite_created', { gameId, invite: { ...result.invite } });
+    } catch (error) {
+      socketLog.error('Create invite failed', { err: error });
+      socket.emit('error', { message: 'Failed to create invite' });
+    }
+  });
+
+  /**
+   * Revoke the invite of your waiting private game ({ gameId })
+   */
+  socket.on('revoke_invite', (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const { gameId } = data || {};
+      const result = gameManager.revokeInvite(gameId, session.playerId);
+      if (!result.success) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+      socket.emit('invite_revoked', { gameId });
+    } catch (error) {
+      socketLog.error('Revoke invite failed', { err: error });
+      socket.emit('error', { message: 'Failed to revoke invite' });
+    }
+  });
+
+  /**
+   * Chat with the opponent ({ gameId, text }); relayed to both players as chat_message
+   */
+  socket.on('send_chat', (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const { gameId, text } = data || {};
+      const result = gameManager.sendChat(gameId, session.playerId, socket.id, { text });
+      if (!result.success) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+      relayChatMessage(io, result.gameState, result.message);
+    } catch (error) {
+      socketLog.error('Send chat failed', { err: error });
+      socket.emit('error', { message: 'Failed to send message' });
+    }
+  });
+
+  /**
+   * Send a quick emote from the whitelist ({ gameId, emote })
+   */
+  socket.on('send_emote', (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const { gameId, emote } = data || {};
+      const result = gameManager.sendChat(gameId, session.playerId, socket.id, { emote: String(emote) });
+      if (!result.success) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+      relayChatMessage(io, result.gameState, result.message);
+    } catch (error) {
+      socketLog.error('Send emote failed', { err: error });
+      socket.emit('error', { message: 'Failed to send emote' });
+    }
+  });
+
+  /**
+   * Stop or resume receiving the opponent's chat ({ gameId })
+   */
+  socket.on('mute_player', (data = {}) => handleChatMute(socket, data, true));
+  socket.on('unmute_player', (data = {}) => handleChatMute(socket, data, false));
+
+  /**
+   * Report an opponent's chat message ({ gameId, messageId, reason })
+   */
+  socket.on('report_message', async (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const result = await gameManager.reportChatMessage(data.gameId, session.playerId, data.messageId, data.reason);
+      if (!result.success) {
+        socket.emit('error', { message: result.error });
+        return;
       }
-      
-      // Join the game in backend
-      const result = await gameManager.joinGame(gameId, playerId, socket.id, playerWallet);
-      
-      if (result.success) {
-        // Join the socket room for this game
-        socket.join(gameId);
-        
-        // For SOL private games, initialize onchainStatus tracking if not already initialized
-        // This ensures tracking is set up even if player1 hasn't completed their transaction yet
-        if (result.gameState && result.gameState.currency === 'sol' && result.gameState.gameType === 'private') {
-          const gameIdKey = String(gameId);
-          if (!onchainStatus.has(gameIdKey)) {
-            onchainStatus.set(gameIdKey, {
-              player1: false,
-              player2: false
-            });
-            console.log('📝 [join_game] Initialized onchainStatus for SOL private game:', gameIdKey);
-          } else {
-            console.log('📝 [join_game] onchainStatus already exists for game:', gameIdKey, 'Status:', onchainStatus.get(gameIdKey));
-          }
-        }
-        
-        // Send events
-        socket.emit('game_joined', result);
-        socket.to(gameId).emit('player_joined', result);
-        
-        // If both players are present and game is ready to start
-        if (
-          result.gameState &&
-          result.gameState.player1 &&
-          result.gameState.player2 &&
-          result.gameState.gameStatus === 'playing'
-        ) {
-          // For SOL private games, wait for both on-chain transactions before starting
-          if (result.gameState.currency === 'sol' && result.gameState.gameType === 'private') {
-            console.log('🔗 SOL private game - emitting pre-tx event and waiting for both transactions...');
-            
-            const gameState = result.gameState;
-            
-            // onchainStatus should already be initialized when player2 joined
-            // Just verify it exists and log status
-            const gameIdKey = String(gameId);
-            if (!onchainStatus.has(gameIdKey)) {
-              // Fallback: initialize if somehow not set (shouldn't happen)
-              onchainStatus.set(gameIdKey, {
-                player1: false,
-                player2: false
-              });
-              console.log('⚠️ [join_game] Had to initialize onchainStatus as fallback for game:', gameIdKey);
-            } else {
-              console.log('📝 [join_game] onchainStatus verified for game:', gameIdKey, 'Status:', onchainStatus.get(gameIdKey));
-            }
-            
-            // Handlers are already set up for all sockets in handleSocketConnection
-            
-            // Emit pre-transaction event ONLY to player1 first
-            // Player2 will receive their trigger after player1 completes their transaction
-            console.log('📤 Emitting game_started_pre_tx ONLY to player1:', gameState.player1.socketId);
-            io.to(gameState.player1.socketId).emit('game_started_pre_tx', {
-              gameId: gameIdKey,
-              gameState: {
-                ...gameState,
-                gameId: gameIdKey  // Ensure gameId in gameState matches the key
-              },
-              playerType: 'player1' // Explicitly tell them they're player1
-            });
-            
-            console.log('⏳ Waiting for player1 to complete on-chain transaction first...');
-            console.log('📊 Current onchainStatus:', onchainStatus.get(gameIdKey));
-          } else {
-            // For points games or public games, start immediately
-            io.to(gameId).emit('game_started', {
-              gameId,
-              gameState: result.gameState
-            });
-            
-            setTimeout(() => {
-              startRoundTimer(gameId, io, 15);
-            }, 1000);
-          }
-        }
+      socket.emit('message_reported', { gameId: data.gameId, messageId: result.message.id });
+    } catch (error) {
+      socketLog.error('Report message failed', { err: error });
+      socket.emit('error', { message: 'Failed to report message' });
+    }
+  });
 
-        console.log(`Player ${playerId} joined game ${gameId}`);
-      } else {
-        socket.emit('error', { message: result.error || 'Failed to join game' });
+  /**
+   * Follow a tournament's bracket (tournament_updated on every change)
+   */
+  socket.on('watch_tournament', (data = {}) => {
+    try {
+      const { tournamentId } = data || {};
+      const tournament = tournamentManager.getTournament(tournamentId);
+      if (!tournament) {
+        socket.emit('error', { message: 'Tournament not found' });
+        return;
       }
+
+      socket.join(`tournament:${tournament.tournamentId}`);
+      socket.emit('tournament_updated', { tournament: tournamentManager.getView(tournament) });
     } catch (error) {
-      console.error('Join game error:', error);
-      socket.emit('error', { message: 'Failed to join game' });
+      socketLog.error('Watch tournament failed', { err: error });
+      socket.emit('error', { message: 'Failed to watch tournament' });
+    }
+  });
+
+  socket.on('unwatch_tournament', (data = {}) => {
+    try {
+      const { tournamentId } = data || {};
+      socket.leave(`tournament:${tournamentId}`);
+    } catch (error) {
+      socketLog.error('Unwatch tournament failed', { err: error });
+      socket.emit('error', { message: 'Failed to unwatch tournament' });
     }
   });
 
   /**
-   * Find random match (public matchmaking)
+   * Watch a game: spectators get the round feed but never see a move before its round resolves
    */
-  socket.on('find_random_match', async (data) => {
+  socket.on('spectate_game', (data = {}) => {
     try {
-      const { 
-        stakeAmount = 0, 
-        currency = 'points',
-        playerId: clientPlayerId, 
-        playerWallet 
-      } = data;
-      
-      // Set playerId from client data if provided
-      if (clientPlayerId && !currentPlayerId) { // Use currentPlayerId from handleSocketConnection
-        currentPlayerId = clientPlayerId;
-        console.log(`Player ID set from find_random_match: ${currentPlayerId}`);
+      const session = authService.getSession(socket.data?.session?.token);
+      const result = gameManager.addSpectator(data.gameId, socket.id, session?.playerId || null);
+      if (!result.success) {
+        socket.emit('error', { message: result.error });
+        return;
       }
-      
-      const currentPlayerIdForGame = currentPlayerId || socket.id;
-      
-      const result = await gameManager.findRandomMatch(
-        currentPlayerIdForGame, 
-        socket.id, 
-        stakeAmount, 
-        currency, 
-        playerWallet
+
+      socket.join(getSpectatorRoom(data.gameId));
+      socketLog.info('Spectating game', { gameId: data.gameId });
+      socket.emit('spectating', projectPayload({ gameId: data.gameId, gameState: result.gameState }, null));
+      emitSpectatorCount(io, data.gameId);
+    } catch (error) {
+      socketLog.error('Spectate game failed', { err: error });
+      socket.emit('error', { message: 'Failed to spectate game' });
+    }
+  });
+
+  socket.on('stop_spectating', (data = {}) => {
+    try {
+      const { gameId } = data || {};
+      socket.leave(getSpectatorRoom(gameId));
+      if (gameManager.removeSpectator(gameId, socket.id)) {
+        socket.emit('spectating_stopped', { gameId });
+        emitSpectatorCount(io, gameId);
+      }
+    } catch (error) {
+      socketLog.error('Stop spectating failed', { err: error });
+      socket.emit('error', { message: 'Failed to stop spectating' });
+    }
+  });
+
+  /**
+   * Stop searching for a random match
+   */
+  socket.on('cancel_matchmaking', () => {
+    const session = requireSession(socket);
+    if (!session) return;
+
+    const entry = gameManager.cancelMatchmaking(session.playerId);
+    if (!entry) {
+      socket.emit('error', { message: 'Not in matchmaking' });
+      return;
+    }
+
+    socket.leave(entry.gameId);
+    socket.emit('matchmaking_cancelled', { gameId: entry.gameId });
+  });
+
+  /**
+   * Start a practice game against a bot - points only, no stake and no stats
+   */
+  socket.on('start_practice', async (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const { strategy = DEFAULT_BOT_STRATEGY, roundsToWin, drawLimit, ruleSet } = data;
+      const { playerId: currentPlayerIdForGame, wallet: playerWallet } = session;
+
+      const result = await gameManager.createPracticeGame(
+        currentPlayerIdForGame,
+        socket.id,
+        playerWallet,
+        strategy,
+        { roundsToWin, drawLimit, ruleSet }
       );
-      
+
       if (result.success) {
-        // Join socket room for this game
         socket.join(result.gameId);
-        console.log(`Random match for ${currentPlayerIdForGame}: ${result.gameId} (${currency} game)`);
-        
-        socket.emit('match_found', result);
-        
-        // Notify all players in the game
-        io.to(result.gameId).emit('game_state_updated', {
-          gameState: result.gameState,
-          event: 'match_found'
-        });
+        playerSockets.set(currentPlayerIdForGame, socket.id);
+        socketPlayers.set(socket.id, currentPlayerIdForGame);
+        socketLog.info('Practice game created', { gameId: result.gameId, playerId: currentPlayerIdForGame, strategy });
 
-        // If game started immediately (matched with waiting player)
-        if (result.gameStarted) {
-          const gameState = result.gameState;
-          
-          // For SOL games, wait for on-chain transactions
-          if (gameState.currency === 'sol') {
-            // Initialize on-chain completion tracking for this game
-            if (!onchainStatus.has(result.gameId)) {
-              onchainStatus.set(result.gameId, {
-                player1: false,
-                player2: false
-              });
-            }
-            
-            // Emit ONLY to player1 first - player2 will get triggered after player1 completes
-            // This ensures sequential execution and prevents both popups at once
-            console.log('📤 Emitting create_onchain_game ONLY to player1:', gameState.player1.socketId);
-            io.to(gameState.player1.socketId).emit('create_onchain_game', {
-              gameId: result.gameId,
-              stakeAmount: gameState.stakeAmount,
-              currency: gameState.currency,
-              gameState: gameState
-            });
-            
-            // Player2 will receive join_onchain_game after player1 completes (handled in onchain_game_created handler)
-            console.log('⏳ Waiting for player1 to complete on-chain transaction first for public match...');
-          } else {
-            // For points games, start immediately
-            io.to(result.gameId).emit('game_started', {
-              gameId: result.gameId,
-              gameState: gameState
-            });
-            
-            setTimeout(() => {
-              startRoundTimer(result.gameId, io, 15);
-            }, 1000);
-          }
-        }
+        socket.emit('game_created', projectPayload(result, currentPlayerIdForGame));
+        startPointsGame(io, result.gameId, result.gameState);
       } else {
-        console.log('Random match failed:', result.error);
         socket.emit('error', result);
       }
     } catch (error) {
-      console.error('Random match error:', error);
-      socket.emit('error', { message: 'Failed to find match' });
+      socketLog.error('Start practice failed', { err: error });
+      socket.emit('error', { message: 'Failed to start practice game' });
     }
   });
 
   // start_game socket handler removed - games now start automatically when both players join
 
   /**
-   * Submit a move (rock/paper/scissors) - FORCE DIRECT REGISTRATION
+   * Choose the client seed mixed into provably fair timeout moves (before the first timeout of the game)
    */
-  console.log('🔧 Registering submit_move handler for socket:', socket.id);
-  
-  // Test handler to verify custom events work
-  socket.on('submit_rock', (data) => {
-    console.log('🪨 SUBMIT_ROCK received:', data);
-    // Process as rock move
-    const result = gameManager.submitMove(data.playerId, 'rock');
-    if (result.success) {
-      socket.emit('move_submitted', { success: true, move: 'rock', gameState: result.gameState });
+  socket.on('set_client_seed', (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const { clientSeed, gameId: dataGameId } = data;
+      const result = gameManager.setPlayerClientSeed(session.playerId, clientSeed, dataGameId);
+
+      if (result.success) {
+        emitToGame(io, result.gameId, 'game_state_updated', {
+          gameState: result.gameState,
+          event: 'client_seed_set'
+        });
+      } else {
+        socket.emit('error', result);
+      }
+    } catch (error) {
+      socketLog.error('Set client seed failed', { err: error });
+      socket.emit('error', { message: 'Failed to set client seed' });
     }
   });
-  
-  socket.on('submit_move', (data) => {
-    console.log('🎯 SUBMIT_MOVE EVENT RECEIVED', data);
+
+  /**
+   * Commit a hidden move: sha256(move_index ++ nonce_le), same format as on-chain commit_move
+   */
+  socket.on('commit_move', (data = {}) => {
     try {
-      console.log('📥 Move submission received:', data);
-      console.log('   - Current playerId (socket handler):', currentPlayerId);
-      console.log('   - Socket ID:', socket.id);
-      console.log('   - Data playerId:', data.playerId);
-      console.log('   - Data gameId:', data.gameId);
+      const session = requireSession(socket);
+      if (!session) return;
+      
+      const { commitment, gameId: dataGameId } = data;
+      const currentPlayerIdForMove = session.playerId;
       
-      const { move, playerId: dataPlayerId, gameId: dataGameId } = data;
+      const result = gameManager.commitMove(currentPlayerIdForMove, commitment, dataGameId);
       
-      // Use the playerId from the move data if available, otherwise fall back to stored playerId or socket.id
-      const currentPlayerIdForMove = dataPlayerId || currentPlayerId || socket.id;
+      if (result.success) {
+        handleCommitResult(io, result, currentPlayerIdForMove, socket);
+      } else {
+        socket.emit('error', result);
+      }
+    } catch (error) {
+      socketLog.error('Commit move failed', { err: error });
+      socket.emit('error', { message: 'Failed to commit move' });
+    }
+  });
+
+  /**
+   * Reveal a committed move: same arguments as on-chain reveal_move (move + u64 nonce)
+   */
+  socket.on('reveal_move', (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
       
-      console.log('   - Final playerId for move:', currentPlayerIdForMove);
-      console.log('   - Move:', move);
-      console.log('   - Requested gameId:', dataGameId);
+      const { move, nonce, gameId: dataGameId } = data;
+      const currentPlayerIdForMove = session.playerId;
       
-      // Submit the move - pass gameId to help with fallback search if playerGames is empty
-      const result = gameManager.submitMove(currentPlayerIdForMove, move, dataGameId);
+      const result = gameManager.revealMove(currentPlayerIdForMove, move, nonce, dataGameId);
       
       if (result.success) {
-        console.log(`Move submitted by ${currentPlayerIdForMove}: ${move}`);
-        
-        // Confirm move to ALL players in the game room
-        io.to(result.gameId).emit('move_submitted', {
-          success: true,
-          playerId: currentPlayerIdForMove,
-          move,
-          gameState: result.gameState
-        });
-
-        // Notify other player that a move was submitted (without revealing the move)
-        socket.to(result.gameId).emit('opponent_move_submitted', {
-          gameId: result.gameId,
-          bothMovesSubmitted: result.gameState.player1.currentMove && result.gameState.player2.currentMove
-        });
-
-        // If round is complete, clear timer and broadcast results
-        if (result.roundComplete) {
-          // Clear the timer since round is complete
-          if (gameTimers.has(result.gameId)) {
-            clearInterval(gameTimers.get(result.gameId));
-            gameTimers.delete(result.gameId);
-          }
-          
-          // For final round, don't emit round_completed immediately
-          // Instead show suspense screen and then reveal winner
-          if (result.roundResult.gameFinished) {
-            console.log('🎬 Final round - showing suspense screen before revealing winner');
-            
-            // No delay - show result immediately
-            console.log('🏆 Revealing final winner immediately');
-            handleGameFinished(result.gameId, result.gameState, io);
-          } else {
-            // Regular round - emit round_completed immediately
-            io.to(result.gameId).emit('round_completed', {
-              gameId: result.gameId,
-              roundResult: result.roundResult,
-              gameState: result.gameState
-            });
-            
-            // Start next round immediately
-            startNextRound(result.gameId, io);
-          }
-        }
-
-        // Update game state for all players
-        io.to(result.gameId).emit('game_state_updated', {
-          gameState: result.gameState,
-          event: 'move_processed'
-        });
+        handleRevealResult(io, result, currentPlayerIdForMove, socket);
       } else {
         socket.emit('error', result);
       }
     } catch (error) {
-      console.error('Submit move error:', error);
-      socket.emit('error', { message: 'Failed to submit move' });
+      socketLog.error('Reveal move failed', { err: error });
+      socket.emit('error', { message: 'Failed to reveal move' });
     }
   });
 
@@ -1119,14 +2587,17 @@ function handleSocketConnection(socket, io) {
    */
   socket.on('get_game_state', () => {
     try {
-      const currentPlayerIdForState = currentPlayerId || socket.id;
+      const session = requireSession(socket);
+      if (!session) return;
+      
+      const currentPlayerIdForState = session.playerId;
       const gameState = gameManager.getPlayerGame(currentPlayerIdForState);
       
       if (gameState) {
-        socket.emit('game_state', {
+        socket.emit('game_state', projectPayload({
           success: true,
           gameState
-        });
+        }, currentPlayerIdForState));
       } else {
         socket.emit('game_state', {
           success: false,
@@ -1134,7 +2605,7 @@ function handleSocketConnection(socket, io) {
         });
       }
     } catch (error) {
-      console.error('Get game state error:', error);
+      socketLog.error('Get game state failed', { err: error });
       socket.emit('error', { message: 'Failed to get game state' });
     }
   });
@@ -1147,41 +2618,39 @@ function handleSocketConnection(socket, io) {
       const stats = gameManager.getStats();
       socket.emit('server_stats', stats);
     } catch (error) {
-      console.error('Get stats error:', error);
+      socketLog.error('Get stats failed', { err: error });
       socket.emit('error', { message: 'Failed to get stats' });
     }
   });
 
-
-
   /**
    * Leave current game
    */
   // Handle player declining invitation to private game
   socket.on('player_declined_invitation', async (data = {}) => {
     try {
-      const { gameId } = data;
-      
-      if (!gameId) {
-        console.log('⚠️ player_declined_invitation: No gameId provided');
+      if (!data.gameId) {
+        socketLog.warn('player_declined_invitation without gameId');
         return;
       }
       
-      console.log(`❌ Player declined invitation to game ${gameId}`);
-      
-      const game = gameManager.getGame(gameId);
+      // gameId may also be the invite code
+      const game = gameManager.resolveJoinTarget(data.gameId).gameState;
       
       if (!game) {
-        console.log(`⚠️ Game ${gameId} not found`);
+        socketLog.warn('Declined invitation for unknown game', { gameId: data.gameId });
         return;
       }
-      
-      console.log(`🔍 Game state check:`, {
-        gameType: game.gameType,
-        gameStatus: game.gameStatus,
-        hasPlayer1: !!game.player1,
-        player1SocketId: game.player1?.socketId
-      })
+
+      const { gameId } = game;
+      const gameLog = socketLog.child({ gameId });
+      gameLog.info('Invitation declined');
+
+      // An invite locked to the declining wallet can't be used any more
+      const session = authService.getSession(socket.data?.session?.token);
+      const inviteRevoked = Boolean(
+        session && game.invite?.targetWallet === session.playerId && gameManager.revokeInvite(gameId, session.playerId).success
+      );
       
       // Only notify for private games that are still waiting for a player
       if (game.gameType === 'private' && 
@@ -1189,115 +2658,51 @@ function handleSocketConnection(socket, io) {
           game.player1 && 
           game.player1.socketId) {
         
-        console.log(`📤 Notifying game creator (player1) that invitation was declined for game ${gameId}`);
-        console.log(`📤 Player1 socket ID: ${game.player1.socketId}`);
-        
         // Notify the game creator
         io.to(game.player1.socketId).emit('player_declined_invitation', {
           gameId,
+          inviteRevoked,
           message: 'Player declined your invitation'
         });
         
-        console.log(`✅ Decline notification sent to player1 socket: ${game.player1.socketId}`);
+        gameLog.debug('Decline sent to the creator', { creatorSocketId: game.player1.socketId });
         
         // Optionally clean up the game if you want to automatically remove it
         // For now, we'll just notify and let the creator decide
       } else {
-        console.log(`⚠️ Cannot notify - conditions not met:`, {
-          isPrivate: game.gameType === 'private',
-          isWaiting: game.gameStatus === 'waiting_for_player',
-          hasPlayer1: !!game.player1,
-          hasSocketId: !!game.player1?.socketId
-        })
+        gameLog.debug('Decline not forwarded', {
+          gameType: game.gameType,
+          gameStatus: game.gameStatus,
+          creatorConnected: Boolean(game.player1?.socketId)
+        });
       }
     } catch (error) {
-      console.error('Error handling player_declined_invitation:', error);
+      socketLog.error('player_declined_invitation failed', { err: error });
     }
   });
 
   socket.on('leave_game', async (data = {}) => {
     try {
-      const { gameId: dataGameId, playerId: dataPlayerId } = data;
-      const currentPlayerIdForLeave = dataPlayerId || currentPlayerId || socket.id;
+      const session = requireSession(socket);
+      if (!session) return;
+      
+      const { gameId: dataGameId } = data;
+      const currentPlayerIdForLeave = session.playerId;
       
-      console.log(`Player ${currentPlayerIdForLeave} leaving game via leave_game event`);
+      socketLog.info('Leaving game', { gameId: dataGameId, playerId: currentPlayerIdForLeave });
       
-      // If gameId is provided, get the game state for opponent notification
+      // Quitting a game in progress forfeits it
       if (dataGameId) {
-        const gameState = gameManager.getGame(dataGameId);
-        if (gameState && gameState.gameStatus === 'playing') {
-          // This is a quit during active gameplay - handle as forfeit
-          let opponent = null;
-          
-          if (gameState.player1.id === currentPlayerIdForLeave) {
-            opponent = gameState.player2;
-          } else if (gameState.player2.id === currentPlayerIdForLeave) {
-            opponent = gameState.player1;
-          }
-          
-          if (opponent && opponent.id) {
-            // Mark opponent as winner
-            gameState.winner = opponent.id;
-            gameState.gameStatus = 'finished';
-            
-            console.log(`Game ${dataGameId} finished - ${opponent.id} wins by opponent forfeit`);
-            
-            // Clear any timers for this game
-            if (gameTimers.has(dataGameId)) {
-              clearInterval(gameTimers.get(dataGameId));
-              gameTimers.delete(dataGameId);
-            }
-            
-            // Process abandonment in database for points games
-            const abandonmentResult = {
-              winner: opponent === gameState.player1 ? 'player1' : 'player2',
-              quittingPlayer: gameState.player1.id === currentPlayerIdForLeave ? 'player1' : 'player2',
-              reason: 'opponent_quit'
-            };
-            
-            // Process game abandonment completion for database updates
-            await gameManager.processGameAbandonmentCompletion(dataGameId, gameState, abandonmentResult);
-            
-            // Notify opponent they won
-            io.to(dataGameId).emit('game_finished', {
-              gameId: dataGameId,
-              gameState,
-              winner: {
-                playerId: opponent.id,
-                position: opponent === gameState.player1 ? 'player1' : 'player2',
-                reason: 'opponent_quit'
-              },
-              finalScores: {
-                player1: gameState.player1.wins,
-                player2: gameState.player2.wins
-              },
-              payout: {
-                totalPot: gameState.totalPot,
-                winnerPayout: gameState.winnerPayout,
-                platformFee: gameState.platformFee
-              },
-              quitReason: 'player_quit'
-            });
-            
-            // Update game state
-            io.to(dataGameId).emit('game_state_updated', {
-              gameState,
-              event: 'player_quit'
-            });
-          }
-        }
+        await forfeitGame(io, dataGameId, currentPlayerIdForLeave, 'opponent_quit');
       }
       
       const result = gameManager.removePlayer(currentPlayerIdForLeave);
       
       if (result.success) {
-        console.log(`Player ${currentPlayerIdForLeave} left game: ${result.gameId}`);
+        socketLog.info('Left game', { gameId: result.gameId, playerId: currentPlayerIdForLeave });
         
         // Clear any timers for this game
-        if (gameTimers.has(result.gameId)) {
-          clearInterval(gameTimers.get(result.gameId));
-          gameTimers.delete(result.gameId);
-        }
+        clearRoundTimer(result.gameId);
         
         // Leave socket room
         socket.leave(result.gameId);
@@ -1309,21 +2714,72 @@ function handleSocketConnection(socket, io) {
 
         // Notify remaining players (only if not already handled above as forfeit)
         if (result.gameState.gameStatus !== 'finished') {
-          socket.to(result.gameId).emit('player_left', {
+          emitToGame(io, result.gameId, 'player_left', {
             gameId: result.gameId,
             leftPlayerId: currentPlayerIdForLeave,
             gameState: result.gameState
-          });
+          }, socket.id);
         }
       } else {
         socket.emit('error', result);
       }
     } catch (error) {
-      console.error('Leave game error:', error);
+      socketLog.error('Leave game failed', { err: error });
       socket.emit('error', { message: 'Failed to leave game' });
     }
   });
 
+  // Re-send the cancel_game transaction for a pending SOL refund (e.g. after reconnecting)
+  socket.on('request_refund', async (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const job = gameManager.refundQueue.getJob(data.gameId);
+      if (!job || job.playerWallet !== session.wallet) {
+        socket.emit('error', { message: 'Refund not found' });
+        return;
+      }
+
+      if (job.status === 'completed') {
+        socket.emit('refund_completed', { gameId: job.gameId, stakeAmount: job.stakeAmount, signature: job.signature });
+        return;
+      }
+
+      // Dead-lettered refunds get a fresh attempt budget when the player comes back for them
+      if (job.status === 'dead_letter') {
+        gameManager.refundQueue.retryJob(job.gameId);
+      }
+      await gameManager.refundQueue.processJob(job.gameId);
+    } catch (error) {
+      socketLog.error('Request refund failed', { err: error });
+      socket.emit('error', { message: 'Failed to request refund' });
+    }
+  });
+
+  // Relay the player's signed cancel_game transaction
+  socket.on('submit_refund', async (data = {}) => {
+    try {
+      const session = requireSession(socket);
+      if (!session) return;
+
+      const { gameId, signedTransaction } = data;
+      if (!gameId || !signedTransaction) {
+        socket.emit('error', { message: 'Game ID and signed transaction are required' });
+        return;
+      }
+
+      // Completion and retryable failures reach the player through the refund queue events
+      const result = await gameManager.refundQueue.submitSignedTransaction(gameId, session.wallet, signedTransaction);
+      if (!result.success && !result.job) {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (error) {
+      socketLog.error('Submit refund failed', { err: error });
+      socket.emit('error', { message: 'Failed to submit refund' });
+    }
+  });
+
   /**
    * Handle player disconnection
    */
@@ -1345,5 +2801,15 @@ module.exports = {
   handleSocketConnection,
   handleOnchainGameCreated,
   handleOnchainGameJoined,
-  getOnchainStatus
+  getOnchainStatus,
+  recoverState,
+  startJobQueues,
+  startMatchmaking,
+  startTournaments,
+  startInvites,
+  inspectGame,
+  forceFinishGame,
+  cancelGame,
+  drainMatchmaking,
+  banWallet
 }; 
\ No newline at end of file
@@ -3,28 +3,148 @@
  */
 
 // Game constants
-const VALID_MOVES = ['rock', 'paper', 'scissors'];
-const WINNING_SCORE = 3; // First to 3 wins (best of 5)
-const PLATFORM_FEE_PERCENTAGE = 0.05; // 5% fee
-const WINNER_PAYOUT_PERCENTAGE = 0.95; // 95% to winner
+const DEFAULT_RULE_SET = 'classic'; // Variant used when a game doesn't name one (see game/ruleSets.js)
+const WINNING_SCORE = 3; // Default win target: first to 3 wins (best of 5)
+const ROUNDS_TO_WIN_OPTIONS = [1, 3, 5, 7]; // Win targets a game can be created with (rounds_to_win on-chain)
+const MAX_DRAW_LIMIT = 10; // Highest consecutive-draw cap before sudden death
+const REVEAL_TIMEOUT_SECONDS = 10; // Time to reveal once both moves are committed
 
-// SOL escrow constants
+// Bot constants (points games only - bot games are practice and never touch SOL escrow)
+const DEFAULT_BOT_STRATEGY = 'random'; // See game/bots.js for the strategies
+const BOT_FILL_MIN_SECONDS = 5; // Shortest wait before a queued player can be matched with a bot
+const BOT_FILL_MAX_SECONDS = 120; // Longest wait that can be asked for
+const BOT_THINK_MIN_MS = 800; // Bots act after a random delay in this range
+const BOT_THINK_MAX_MS = 2500;
+
+// Matchmaking queue constants (see game/matchmaker.js)
+const MATCHMAKING_TIMEOUT_MS = 5 * 60 * 1000; // Searching players are taken out of the queue after this long
+const QUEUE_STATUS_INTERVAL_MS = 5000; // How often queued players get queue_status and pairings are re-checked
+
+// Tournament constants (see game/tournamentManager.js)
+const TOURNAMENT_MIN_PLAYERS = 2; // A tournament needs this many registrations to start
+const TOURNAMENT_MAX_PLAYERS = 64; // Largest field a tournament can be created with
+const TOURNAMENT_DEFAULT_PRIZE_TABLE = [60, 30, 10]; // Percent of the prize pool per place, best first
+const TOURNAMENT_SOL_FEE_BPS = 500; // Platform cut of SOL entry fees, in basis points (points entry fees are not cut)
+const TOURNAMENT_NO_SHOW_SECONDS = 120; // Time to sit down at a bracket game before the opponent wins by no-show
+const TOURNAMENT_TICK_MS = 5000; // How often no-shows and scheduled starts are checked
+const LIVE_GAMES_LIMIT = 20; // Default number of games listed for spectators
+const LIVE_GAMES_MAX_LIMIT = 50; // Most games a single live-games request can list
+const REMATCH_TIMEOUT_SECONDS = 30; // How long a rematch request waits for the opponent's answer
+const RECONNECT_GRACE_SECONDS = { points: 30, sol: 90 }; // Time a disconnected player has to resume a started game before forfeiting, per currency
+
+// Private game invite constants (see game/invites.js)
+const INVITE_CODE_LENGTH = 8; // Characters in an invite code
+const INVITE_TTL_SECONDS = 15 * 60; // Default invite lifetime; the waiting game is cancelled when it lapses
+const INVITE_MIN_TTL_SECONDS = 60; // Shortest lifetime an invite can be created with
+const INVITE_MAX_TTL_SECONDS = 24 * 60 * 60; // Longest lifetime an invite can be created with
+const INVITE_SWEEP_INTERVAL_MS = 5000; // How often lapsed invites are looked for
+
+// In-game chat constants (see game/gameChat.js)
+const CHAT_MAX_LENGTH = 200; // Longest chat message, in characters
+const CHAT_BUFFER_SIZE = 50; // Messages kept per game for players who reconnect
+const CHAT_RATE_LIMIT_MESSAGES = 5; // Messages and emotes a socket may send per window
+const CHAT_RATE_LIMIT_WINDOW_MS = 10 * 1000;
+const CHAT_EMOTES = ['thumbs_up', 'gg', 'well_played', 'good_luck', 'laugh', 'thinking', 'surprised', 'angry', 'cry', 'fire']; // Default emote whitelist (CHAT_EMOTES env overrides it)
+
+// Skill rating constants (Elo, see game/rating.js)
+const DEFAULT_RATING = 1200; // Rating of a wallet before its first rated game
+const RATING_PROVISIONAL_GAMES = 30; // Games played with the larger K-factor while a rating settles
+const RATING_K_FACTOR_PROVISIONAL = 40;
+const RATING_K_FACTOR = 20;
+const RATING_WINDOW_BASE = 100; // Rating gap accepted for a player who just joined the queue
+const RATING_WINDOW_STEP = 50; // Extra gap accepted per step of waiting
+const RATING_WINDOW_STEP_SECONDS = 10;
+
+// Wallet authentication constants
+const AUTH_CHALLENGE_TTL_SECONDS = 300; // Time to sign a login challenge
+const AUTH_MAX_PENDING_CHALLENGES = 5; // Unsigned challenges per wallet; a new one replaces the oldest
+const SESSION_TTL_SECONDS = 24 * 60 * 60; // Session token lifetime
+
+// Admin API constants
+const ADMIN_AUDIT_RECENT_LIMIT = 1000; // Audit entries kept in memory for GET /admin/audit (the journal keeps all of them)
+const ADMIN_AUDIT_PAGE_LIMIT = 100; // Default entries per GET /admin/audit
+
+// SOL escrow constants (fee tiers live in game/payouts.js)
 const SOL_LAMPORTS = 1000000000; // 1 SOL = 10^9 lamports
 const MIN_SOL_STAKE = 0.01; // Minimum SOL stake
 const MAX_SOL_STAKE = 10; // Maximum SOL stake
 
+// SOL settlement queue constants
+const SETTLEMENT_MAX_ATTEMPTS = 8; // Attempts before a job is dead-lettered
+const SETTLEMENT_BASE_DELAY_MS = 5000; // First retry delay, doubled per attempt
+const SETTLEMENT_MAX_DELAY_MS = 10 * 60 * 1000; // Retry delay cap
+const SETTLEMENT_POLL_INTERVAL_MS = 5000; // How often due jobs are picked up
+
+// SOL refund queue constants (cancel_game needs the creator's signature, so retries re-prompt the player)
+const REFUND_MAX_ATTEMPTS = 10; // Attempts before a refund is dead-lettered
+const REFUND_BASE_DELAY_MS = 30 * 1000; // First re-check delay, doubled per attempt
+const REFUND_MAX_DELAY_MS = 60 * 60 * 1000; // Re-check delay cap
+
+// SOL deposit verification constants
+const DEPOSIT_TIMEOUT_MS = 3 * 60 * 1000; // Time for both players to escrow their stakes before the game is cancelled
+const DEPOSIT_POLL_INTERVAL_MS = 2000; // How often an announced deposit is re-checked on-chain
+
 // MagicBlock constants
 const MAGICBLOCK_DEVNET_URL = 'https://devnet.magicblock.app';
 const MAGICBLOCK_ROUTER_URL = 'https://devnet-rpc.magicblock.app';
 
 module.exports = {
-  VALID_MOVES,
+  DEFAULT_RULE_SET,
   WINNING_SCORE,
-  PLATFORM_FEE_PERCENTAGE,
-  WINNER_PAYOUT_PERCENTAGE,
+  ROUNDS_TO_WIN_OPTIONS,
+  MAX_DRAW_LIMIT,
+  REVEAL_TIMEOUT_SECONDS,
+  DEFAULT_BOT_STRATEGY,
+  BOT_FILL_MIN_SECONDS,
+  BOT_FILL_MAX_SECONDS,
+  BOT_THINK_MIN_MS,
+  BOT_THINK_MAX_MS,
+  MATCHMAKING_TIMEOUT_MS,
+  QUEUE_STATUS_INTERVAL_MS,
+  TOURNAMENT_MIN_PLAYERS,
+  TOURNAMENT_MAX_PLAYERS,
+  TOURNAMENT_DEFAULT_PRIZE_TABLE,
+  TOURNAMENT_SOL_FEE_BPS,
+  TOURNAMENT_NO_SHOW_SECONDS,
+  TOURNAMENT_TICK_MS,
+  LIVE_GAMES_LIMIT,
+  LIVE_GAMES_MAX_LIMIT,
+  REMATCH_TIMEOUT_SECONDS,
+  RECONNECT_GRACE_SECONDS,
+  INVITE_CODE_LENGTH,
+  INVITE_TTL_SECONDS,
+  INVITE_MIN_TTL_SECONDS,
+  INVITE_MAX_TTL_SECONDS,
+  INVITE_SWEEP_INTERVAL_MS,
+  CHAT_MAX_LENGTH,
+  CHAT_BUFFER_SIZE,
+  CHAT_RATE_LIMIT_MESSAGES,
+  CHAT_RATE_LIMIT_WINDOW_MS,
+  CHAT_EMOTES,
+  DEFAULT_RATING,
+  RATING_PROVISIONAL_GAMES,
+  RATING_K_FACTOR_PROVISIONAL,
+  RATING_K_FACTOR,
+  RATING_WINDOW_BASE,
+  RATING_WINDOW_STEP,
+  RATING_WINDOW_STEP_SECONDS,
+  AUTH_CHALLENGE_TTL_SECONDS,
+  AUTH_MAX_PENDING_CHALLENGES,
+  SESSION_TTL_SECONDS,
+  ADMIN_AUDIT_RECENT_LIMIT,
+  ADMIN_AUDIT_PAGE_LIMIT,
   SOL_LAMPORTS,
   MIN_SOL_STAKE,
   MAX_SOL_STAKE,
+  SETTLEMENT_MAX_ATTEMPTS,
+  SETTLEMENT_BASE_DELAY_MS,
+  SETTLEMENT_MAX_DELAY_MS,
+  SETTLEMENT_POLL_INTERVAL_MS,
+  REFUND_MAX_ATTEMPTS,
+  REFUND_BASE_DELAY_MS,
+  REFUND_MAX_DELAY_MS,
+  DEPOSIT_TIMEOUT_MS,
+  DEPOSIT_POLL_INTERVAL_MS,
   MAGICBLOCK_DEVNET_URL,
   MAGICBLOCK_ROUTER_URL
 }; 
\ No newline at end of file
@@ -0,0 +1,303 @@
+/**
+ * Logger
+ * Leveled, structured logging with per-module levels and secret redaction
+ *
+ * Every line is one JSON object: { time, level, module, msg, ...context, ...fields }. Child loggers carry
+ * context such as gameId, playerId or socketId, so each line can be traced back to its game or socket.
+ * Levels can be set per module (the `module` context key) and changed at runtime.
+ *
+ * Environment:
+ *   LOG_LEVEL  - Default level (trace, debug, info, warn, error, fatal, silent); info, or silent under jest
+ *   LOG_LEVELS - Per-module levels, e.g. "gameManager=debug,autoFinalization=warn"
+ *   LOG_FORMAT - json (default) or pretty for a readable single line per entry
+ */
+
+const LOG_LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
+  silent: Infinity
+};
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values never reach the log: keypairs, session and resume tokens, the unrevealed server seed
+const SECRET_KEY_PATTERN = /(private_?key|secret|password|mnemonic|token$|authorization|^serverSeed$|^signedTransaction$)/i;
+
+// A 64-byte secret key written out as a JSON array of numbers, the format of SERVICE_WALLET_PRIVATE_KEY
+const SECRET_ARRAY_PATTERN = /\[\s*(?:\d{1,3}\s*,\s*){63}\d{1,3}\s*\]/g;
+
+/**
+ * Check whether a level name is known
+ * @param {string} level - Level name
+ * @returns {boolean}
+ */
+function isLogLevel(level) {
+  return Object.prototype.hasOwnProperty.call(LOG_LEVELS, level);
+}
+
+/**
+ * Mask secrets inside a string
+ * @param {string} text - Text that may contain a secret key
+ * @returns {string}
+ */
+function redactString(text) {
+  let redacted = text.replace(SECRET_ARRAY_PATTERN, REDACTED);
+  const configuredKey = process.env.SERVICE_WALLET_PRIVATE_KEY;
+  if (configuredKey && configuredKey.length >= 32) {
+    redacted = redacted.split(configuredKey).join(REDACTED);
+  }
+  return redacted;
+}
+
+/**
+ * Make a value safe and JSON-friendly for logging: secrets masked, errors and binary data summarized
+ * @param {*} value - Value to log
+ * @param {number} depth - Current nesting depth
+ * @param {WeakSet} seen - Objects already visited (guards against cycles)
+ * @returns {*}
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? undefined : value;
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(String(value.message)),
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      ...(value.stack ? { stack: redactString(value.stack) } : {})
+    };
+  }
+  if (ArrayBuffer.isView(value)) {
+    return `[${value.byteLength} bytes]`;
+  }
+  // Keypairs and anything else holding a secret key
+  if (value.secretKey !== undefined || value._keypair !== undefined) {
+    return REDACTED;
+  }
+  // PublicKey, Date and friends log as their string form
+  if (typeof value.toBase58 === 'function') {
+    return value.toBase58();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (seen.has(value) || depth >= 6) {
+    return '[Object]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined
+      ? REDACTED
+      : redact(item, depth + 1, seen);
+  }
+  return result;
+}
+
+/**
+ * Read per-module levels from a "module=level,module=level" list
+ * @param {string} spec - Level list
+ * @returns {Map} - module -> level
+ */
+function parseModuleLevels(spec = '') {
+  const levels = new Map();
+  for (const entry of spec.split(',')) {
+    const [module, level] = entry.split('=').map(part => part && part.trim());
+    if (module && isLogLevel(level)) {
+      levels.set(module, level);
+    }
+  }
+  return levels;
+}
+
+/**
+ * Render an entry as a readable single line
+ * @param {object} entry - Log entry
+ * @returns {string}
+ */
+function formatPretty({ time, level, module, msg, ...fields }) {
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${module ? `[${module}] ` : ''}${msg}${extra}`;
+}
+
+/**
+ * Default destination: info and below to stdout, warnings and errors to stderr
+ * @param {string} line - Formatted line
+ * @param {string} level - Entry level
+ */
+function writeLine(line, level) {
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+class Logger {
+  /**
+   * @param {object} context - Fields added to every entry (module, gameId, playerId, socketId, ...)
+   * @param {object} core - Shared level and output settings of a logger tree
+   */
+  constructor(context, core) {
+    this.context = context;
+    this.core = core;
+  }
+
+  /**
+   * Create a logger that adds more context to every entry
+   * @param {object} context - Extra fields, e.g. { gameId }
+   * @returns {Logger}
+   */
+  child(context = {}) {
+    return new Logger({ ...this.context, ...context }, this.core);
+  }
+
+  /**
+   * Effective level for a module: its own level if set, otherwise the default
+   * @param {string} module - Module name (defaults to this logger's module)
+   * @returns {string}
+   */
+  getLevel(module = this.context.module) {
+    return (module && this.core.moduleLevels.get(module)) || this.core.level;
+  }
+
+  /**
+   * Change the level of one module, or the default level when no module is given
+   * @param {string} level - New level
+   * @param {string} module - Module name
+   * @throws {Error} - If the level is unknown
+   */
+  setLevel(level, module = null) {
+    if (!isLogLevel(level)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    if (module) {
+      this.core.moduleLevels.set(module, level);
+    } else {
+      this.core.level = level;
+    }
+  }
+
+  /**
+   * Drop a module's own level so it follows the default again
+   * @param {string} module - Module name
+   */
+  resetLevel(module) {
+    this.core.moduleLevels.delete(module);
+  }
+
+  /**
+   * Default level plus every module with its own level
+   * @returns {object} - { level, modules: { module: level } }
+   */
+  getLevels() {
+    return {
+      level: this.core.level,
+      modules: Object.fromEntries(this.core.moduleLevels)
+    };
+  }
+
+  /**
+   * Check whether entries of a level would be written
+   * @param {string} level - Level name
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.getLevel()];
+  }
+
+  /**
+   * Write an entry
+   * @param {string} level - Level name
+   * @param {string} msg - Message
+   * @param {object|Error} fields - Extra fields; an Error is logged as { err }
+   */
+  log(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const extra = fields instanceof Error ? { err: fields } : fields;
+    const time = new Date().toISOString();
+    // Fields can't overwrite the entry's own keys, but those still come first in the line
+    const entry = Object.assign({ time, level }, redact({ ...this.context, ...extra }), {
+      time,
+      level,
+      msg: redactString(String(msg))
+    });
+
+    try {
+      const line = this.core.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+      this.core.write(line, level);
+    } catch (error) {
+      // Logging must never take a request or a settlement down with it
+    }
+  }
+
+  trace(msg, fields) {
+    this.log('trace', msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  fatal(msg, fields) {
+    this.log('fatal', msg, fields);
+  }
+}
+
+/**
+ * Create a root logger
+ * @param {object} options - { level, moduleLevels, format, write }
+ * @returns {Logger}
+ */
+function createLogger(options = {}) {
+  const envLevel = isLogLevel(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : null;
+  const defaultLevel = process.env.JEST_WORKER_ID !== undefined ? 'silent' : 'info';
+
+  return new Logger({}, {
+    level: options.level ?? envLevel ?? defaultLevel,
+    moduleLevels: new Map(options.moduleLevels ?? parseModuleLevels(process.env.LOG_LEVELS)),
+    format: options.format ?? (process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json'),
+    write: options.write ?? writeLine
+  });
+}
+
+// Process-wide root logger; modules take a child with their name: logger.child({ module: 'gameManager' })
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  Logger,
+  createLogger,
+  redact,
+  isLogLevel,
+  LOG_LEVELS
+};
@@ -0,0 +1,438 @@
+/**
+ * Metrics
+ * Prometheus counters, gauges and histograms, rendered in the text exposition format for GET /metrics
+ *
+ * Every metric is declared here so the full list lives in one place; modules import the one they update:
+ *   const { metrics } = require('../utils/metrics');
+ *   metrics.gamesCreated.inc({ currency: 'sol', game_type: 'public' });
+ * Label values are strings; a metric only shows series that have been touched (gauges may also collect on scrape).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; rounds run 15s per phase, RPC calls are well under a second when healthy
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 20, 30, 60];
+const WAIT_BUCKETS = [1, 5, 10, 20, 30, 45, 60, 90, 120, 180, 300];
+const RPC_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ * @param {object} labels - Label values
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Render a sample value (Prometheus spells infinities +Inf/-Inf)
+ * @param {number} value - Sample value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  /**
+   * @param {string} type - counter, gauge or histogram
+   * @param {object} options - { name, help, labelNames }
+   */
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ... }
+  }
+
+  /**
+   * Pick this metric's labels in declaration order and reject unknown ones
+   * @param {object} labels - Label values
+   * @returns {object} - { key, labels }
+   */
+  resolveLabels(labels = {}) {
+    const unknown = Object.keys(labels).filter(name => !this.labelNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown label ${unknown[0]} for metric ${this.name}`);
+    }
+    const resolved = {};
+    for (const name of this.labelNames) {
+      resolved[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    }
+    return { key: JSON.stringify(resolved), labels: resolved };
+  }
+
+  /**
+   * Series for a label set, created on first use
+   * @param {object} labels - Label values
+   * @param {Function} init - Creates the series' fields
+   * @returns {object}
+   */
+  getSeries(labels, init) {
+    const { key, labels: resolved } = this.resolveLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: resolved, ...init() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Drop every series
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Sample lines of the metric, without HELP and TYPE
+   * @returns {string[]}
+   */
+  renderSamples() {
+    return Array.from(this.series.values()).map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+
+  /**
+   * Full exposition block of the metric
+   * @returns {string}
+   */
+  render() {
+    const help = this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+    return [`# HELP ${this.name} ${help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSamples()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  /**
+   * Increase the counter
+   * @param {object} labels - Label values
+   * @param {number} value - Amount, never negative
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Current value for a label set
+   * @param {object} labels - Label values
+   * @returns {number}
+   */
+  get(labels = {}) {
+    return this.series.get(this.resolveLabels(labels).key)?.value ?? 0;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {object} options - { name, help, labelNames, collect }; collect(gauge) runs before each scrape
+   */
+  constructor(options) {
+    super('gauge', options);
+    this.collect = options.collect || null;
+  }
+
+  /**
+   * Set the gauge
+   * @param {object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * Increase the gauge
+   * @param {object} labels - Label values
+   * @param {number} value - Amount
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Decrease the gauge
+   * @param {object} labels - Label values
+   * @param {number} value - Amount
+   */
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  /**
+   * Current value for a label set
+   * @param {object} labels - Label values
+   * @returns {number}
+   */
+  get(labels = {}) {
+    return this.series.get(this.resolveLabels(labels).key)?.value ?? 0;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {object} options - { name, help, labelNames, buckets }
+   */
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = [...options.buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record one observation
+   * @param {object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing; call the returned function to observe the elapsed seconds
+   * @param {object} labels - Label values (more can be passed when stopping)
+   * @returns {Function} - stop(extraLabels) -> seconds
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * Count and sum for a label set
+   * @param {object} labels - Label values
+   * @returns {object} - { count, sum, buckets: { le: cumulative count } }
+   */
+  get(labels = {}) {
+    const series = this.series.get(this.resolveLabels(labels).key);
+    if (!series) {
+      return { count: 0, sum: 0, buckets: {} };
+    }
+    return {
+      count: series.count,
+      sum: series.sum,
+      buckets: Object.fromEntries(this.buckets.map((bound, i) => [bound, series.counts[i]]))
+    };
+  }
+
+  renderSamples() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map(); // name -> metric
+  }
+
+  /**
+   * Add a metric
+   * @param {Metric} metric - Metric
+   * @returns {Metric}
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @returns {Metric|null}
+   */
+  getMetric(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  /**
+   * Render every metric in the Prometheus text format; gauges with a collector refresh first
+   * @returns {Promise<string>}
+   */
+  async render() {
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        await metric.collect(metric);
+      }
+    }
+    return `${Array.from(this.metrics.values()).map(metric => metric.render()).join('\n\n')}\n`;
+  }
+
+  /**
+   * Drop every series of every metric (tests)
+   */
+  resetAll() {
+    for (const metric of this.metrics.values()) {
+      metric.reset();
+    }
+  }
+}
+
+const registry = new MetricsRegistry();
+
+const processStartedAt = Date.now();
+
+const metrics = {
+  // Games: created -> started (both seats filled) -> finished
+  gamesCreated: registry.counter({
+    name: 'rps_games_created_total',
+    help: 'Games created',
+    labelNames: ['currency', 'game_type']
+  }),
+  gamesStarted: registry.counter({
+    name: 'rps_games_started_total',
+    help: 'Games whose second seat was filled',
+    labelNames: ['currency', 'game_type']
+  }),
+  gamesFinished: registry.counter({
+    name: 'rps_games_finished_total',
+    help: 'Games that ended; outcome is decided (has a winner), cancelled or abandoned (no winner)',
+    labelNames: ['currency', 'game_type', 'outcome']
+  }),
+
+  // Rounds
+  roundDuration: registry.histogram({
+    name: 'rps_round_duration_seconds',
+    help: 'Time from the start of a round to its result, commit and reveal phases included',
+    labelNames: ['currency'],
+    buckets: DURATION_BUCKETS
+  }),
+  roundTimeouts: registry.counter({
+    name: 'rps_round_timeouts_total',
+    help: 'Round phases that ran out of time',
+    labelNames: ['currency', 'phase']
+  }),
+  autoMoves: registry.counter({
+    name: 'rps_auto_moves_total',
+    help: 'Moves assigned to players who ran out of time',
+    labelNames: ['currency', 'phase']
+  }),
+
+  // Matchmaking
+  queueLength: registry.gauge({
+    name: 'rps_matchmaking_queue_length',
+    help: 'Players searching for a random match',
+    labelNames: ['currency']
+  }),
+  queueWait: registry.histogram({
+    name: 'rps_matchmaking_wait_seconds',
+    help: 'How long matched players waited in the queue',
+    labelNames: ['currency'],
+    buckets: WAIT_BUCKETS
+  }),
+  queueTimeouts: registry.counter({
+    name: 'rps_matchmaking_timeouts_total',
+    help: 'Searches dropped after the matchmaking timeout',
+    labelNames: ['currency']
+  }),
+
+  // Sockets
+  socketConnections: registry.gauge({
+    name: 'rps_socket_connections',
+    help: 'Open socket.io connections'
+  }),
+  socketConnectionsTotal: registry.counter({
+    name: 'rps_socket_connections_total',
+    help: 'Socket.io connections accepted'
+  }),
+
+  // Settlements (SOL payouts)
+  settlementAttempts: registry.counter({
+    name: 'rps_settlement_step_attempts_total',
+    help: 'Settlement steps attempted',
+    labelNames: ['step']
+  }),
+  settlementResults: registry.counter({
+    name: 'rps_settlement_step_results_total',
+    help: 'Settlement step outcomes: success, skipped (already on-chain) or failure',
+    labelNames: ['step', 'result']
+  }),
+  settlementDeadLetters: registry.counter({
+    name: 'rps_settlement_dead_letters_total',
+    help: 'Settlement jobs moved to dead_letter'
+  }),
+
+  // Solana
+  rpcDuration: registry.histogram({
+    name: 'rps_rpc_request_duration_seconds',
+    help: 'Solana RPC request latency by JSON-RPC method; outcome is ok or error',
+    labelNames: ['method', 'outcome'],
+    buckets: RPC_BUCKETS
+  }),
+  serviceWalletBalance: registry.gauge({
+    name: 'rps_service_wallet_balance_sol',
+    help: 'Service wallet balance in SOL at the last check (startup and every payout)'
+  }),
+
+  // Process
+  processUptime: registry.gauge({
+    name: 'rps_process_uptime_seconds',
+    help: 'Seconds since the server started',
+    collect: gauge => gauge.set({}, (Date.now() - processStartedAt) / 1000)
+  }),
+  processMemory: registry.gauge({
+    name: 'rps_process_resident_memory_bytes',
+    help: 'Resident memory of the server process',
+    collect: gauge => gauge.set({}, process.memoryUsage().rss)
+  })
+};
+
+module.exports = {
+  registry,
+  metrics,
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  CONTENT_TYPE
+};
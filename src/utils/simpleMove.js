@@ -5,6 +5,7 @@
  */
 
 const { io } = require('socket.io-client');
+const { createCommitment } = require('../game/commitReveal');
 
 /**
  * Create a simple move utility
@@ -13,31 +14,47 @@ const { io } = require('socket.io-client');
 function useSimpleMove() {
   /**
    * Submit a move using a fresh socket connection
+   * Commits sha256(move ++ nonce) first and reveals once the server opens the reveal phase
    * @param {string} gameId - Game ID
-   * @param {string} playerId - Player ID
+   * @param {string} sessionToken - Session token from wallet authentication
    * @param {string} move - Move to submit (rock, paper, scissors)
    */
-  const submitMove = (gameId, playerId, move) => {
-    console.log('🔥 Using simple move backend fallback for:', { gameId, playerId, move });
+  const submitMove = (gameId, sessionToken, move) => {
+    console.log('🔥 Using simple move backend fallback for:', { gameId });
+    
+    const { commitment, nonce } = createCommitment(move);
     
     // Create a fresh socket connection just for this move
     const socket = io('http://localhost:3001', {
       transports: ['polling', 'websocket'],
       timeout: 5000,
       forceNew: true, // Always create a new connection
+      auth: { token: sessionToken }, // The server derives the player from the session
     });
 
     socket.on('connect', () => {
       console.log('🔥 Simple move socket connected:', socket.id);
       
-      // Submit the move immediately upon connection
-      socket.emit('submit_move', {
+      // Commit the move immediately upon connection
+      socket.emit('commit_move', {
+        gameId,
+        commitment,
+      });
+      
+      console.log('🔥 Simple move committed via fresh socket');
+    });
+
+    // Reveal once both players have committed
+    socket.on('reveal_phase', (data) => {
+      if (data.gameId !== gameId) return;
+      
+      socket.emit('reveal_move', {
         gameId,
-        playerId,
         move,
+        nonce,
       });
       
-      console.log('🔥 Simple move submitted via fresh socket');
+      console.log('🔥 Simple move revealed via fresh socket');
       
       // Disconnect after a short delay to ensure the message is sent
       setTimeout(() => {
@@ -54,16 +71,17 @@ function useSimpleMove() {
   /**
    * Leave a game using a fresh socket connection
    * @param {string} gameId - Game ID
-   * @param {string} playerId - Player ID
+   * @param {string} sessionToken - Session token from wallet authentication
    */
-  const leaveGame = (gameId, playerId) => {
-    console.log('🚪 Using fresh socket to leave game:', { gameId, playerId });
+  const leaveGame = (gameId, sessionToken) => {
+    console.log('🚪 Using fresh socket to leave game:', { gameId });
     
     // Create a fresh socket connection just for leaving
     const socket = io('http://localhost:3001', {
       transports: ['polling', 'websocket'],
       timeout: 5000,
       forceNew: true, // Always create a new connection
+      auth: { token: sessionToken }, // The server derives the player from the session
     });
 
     socket.on('connect', () => {
@@ -72,7 +90,6 @@ function useSimpleMove() {
       // Send leave_game event immediately upon connection
       socket.emit('leave_game', {
         gameId,
-        playerId,
       });
       
       console.log('🚪 Leave game event sent via fresh socket');
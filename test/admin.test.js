@@ -0,0 +1,270 @@
+/**
+ * Admin API Tests
+ * Audit journal, force-finish, cancel and refund, settlement retries, draining matchmaking and wallet bans
+ */
+
+const { useGameTestHooks, startedGame } = require('./helpers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { Server } = require('socket.io');
+const { Keypair } = require('@solana/web3.js');
+const GameManager = require('../src/game/gameManager');
+const gameManager = require('../src/game/gameManagerSingleton');
+const socketHandlers = require('../src/socket/socketHandlers');
+const authService = require('../src/services/authService');
+const databaseService = require('../src/services/databaseService');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const { AuditLog } = require('../src/services/auditLog');
+const { router: authRoutes } = require('../src/routes/authRoutes');
+const { router: adminRoutes, initializeSocketHandlers, auditLog } = require('../src/routes/adminRoutes');
+
+const ADMIN_WALLET = Keypair.generate().publicKey.toBase58();
+const io = new Server(); // Not attached to a port: rooms and emits without any clients
+
+useGameTestHooks();
+
+beforeEach(() => {
+  jest.spyOn(databaseService, 'recordAdminAction').mockResolvedValue(null);
+});
+
+describe('AuditLog', () => {
+  test('appends every entry to a journal that is read back after a restart', () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-')), 'admin-audit.jsonl');
+    const mirror = jest.fn();
+    const audit = new AuditLog(filePath, { mirror });
+
+    audit.record({ admin: 'root', action: 'wallet.ban', target: 'w1', details: { reason: 'spam' } });
+    audit.record({ admin: 'root', action: 'game.cancel', target: 'g1', success: false, error: 'Game not found' });
+    audit.record({ admin: 'ops', action: 'wallet.ban', target: 'w2' });
+
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(3);
+    expect(mirror).toHaveBeenCalledTimes(3);
+
+    const restarted = new AuditLog(filePath, { mirror });
+    expect(restarted.list().map(entry => entry.target)).toEqual(['w2', 'g1', 'w1']);
+    expect(restarted.list({ action: 'wallet.ban', admin: 'root' })).toEqual([
+      expect.objectContaining({ target: 'w1', details: { reason: 'spam' }, success: true, error: null })
+    ]);
+    expect(restarted.list({ limit: 1 })).toHaveLength(1);
+  });
+
+  test('keeps only the most recent entries in memory', () => {
+    const audit = new AuditLog(null, { recentLimit: 2, mirror: () => {} });
+    ['a', 'b', 'c'].forEach(target => audit.record({ admin: 'root', action: 'wallet.ban', target }));
+
+    expect(audit.list().map(entry => entry.target)).toEqual(['c', 'b']);
+  });
+});
+
+describe('GameManager admin overrides', () => {
+  test('force-finishes only games in progress, for a seated winner', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameId = await startedGame(manager);
+    const { gameId: waiting } = await manager.createGame('public', 100, 'points', 'carol', 'socket-carol', 'wallet-carol');
+
+    expect(manager.forceFinishGame('missing', 'player1').error).toBe('Game not found');
+    expect(manager.forceFinishGame(gameId, 'alice').error).toBe('Winner must be player1 or player2');
+    expect(manager.forceFinishGame(waiting, 'player1').error).toBe('Only games in progress can be force-finished');
+
+    const result = manager.forceFinishGame(gameId, 'player2');
+    expect(result).toMatchObject({ success: true, gameState: { gameStatus: 'finished', winner: 'bob' } });
+    expect(manager.forceFinishGame(gameId, 'player1').success).toBe(false);
+  });
+
+  test('bans persist, end searches and block resume tokens until lifted', async () => {
+    const store = new MemoryStateStore();
+    const manager = new GameManager(store);
+    const gameId = await startedGame(manager);
+    await manager.findRandomMatch('carol', 'socket-carol', 100, 'points', 'wallet-carol');
+
+    expect(manager.banWallet('carol', { reason: 'spam', bannedBy: 'root' })).toMatchObject({
+      ban: { wallet: 'carol', reason: 'spam', bannedBy: 'root' },
+      cancelledSearch: { playerId: 'carol' }
+    });
+    expect(manager.matchmaker.list()).toHaveLength(0);
+
+    manager.banWallet('wallet-alice');
+    const { resumeToken } = manager.getGame(gameId).player1;
+    expect(manager.resumePlayer(gameId, resumeToken, 'socket-new').error).toBe('Wallet is banned');
+
+    const restarted = new GameManager(store);
+    expect(restarted.isWalletBanned('carol')).toBe(true);
+    expect(restarted.listBans().map(ban => ban.wallet).sort()).toEqual(['carol', 'wallet-alice']);
+
+    expect(restarted.unbanWallet('wallet-alice').success).toBe(true);
+    expect(restarted.unbanWallet('wallet-alice').error).toBe('Wallet is not banned');
+    expect(restarted.resumePlayer(gameId, resumeToken, 'socket-new').success).toBe(true);
+  });
+
+  test('draining matchmaking removes every search and its placeholder game', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const first = await manager.findRandomMatch('alice', 'socket-alice', 100, 'points', 'wallet-alice');
+    const second = await manager.findRandomMatch('bob', 'socket-bob', 100, 'points', 'wallet-bob', { roundsToWin: 1 });
+
+    expect(manager.drainMatchmaking().map(entry => entry.playerId).sort()).toEqual(['alice', 'bob']);
+    expect(manager.matchmaker.list()).toHaveLength(0);
+    expect(manager.getGame(first.gameId)).toBeNull();
+    expect(manager.getGame(second.gameId)).toBeNull();
+  });
+});
+
+describe('socket layer overrides', () => {
+  test('force-finishing settles the game through processGameCompletion', async () => {
+    jest.useFakeTimers();
+    const completion = jest.spyOn(gameManager, 'processGameCompletion').mockResolvedValue();
+    const gameId = await startedGame(gameManager, 100, 'points', ['finish-a', 'finish-b']);
+
+    const result = socketHandlers.forceFinishGame(io, gameId, 'player1');
+
+    expect(result.success).toBe(true);
+    expect(completion).toHaveBeenCalledWith(gameId, result.gameState, expect.objectContaining({ gameWinner: 'player1', gameFinished: true }));
+    expect(gameManager.getPlayerGame('finish-b')).toBeNull();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+});
+
+describe('admin routes', () => {
+  let server;
+  let baseUrl;
+  const originalAdminWallets = process.env.ADMIN_WALLETS;
+
+  beforeAll(async () => {
+    process.env.ADMIN_WALLETS = ADMIN_WALLET;
+    initializeSocketHandlers(socketHandlers, io);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use('/admin', adminRoutes);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    if (originalAdminWallets === undefined) {
+      delete process.env.ADMIN_WALLETS;
+    } else {
+      process.env.ADMIN_WALLETS = originalAdminWallets;
+    }
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  async function request(method, url, { body, wallet = ADMIN_WALLET } = {}) {
+    const headers = { 'content-type': 'application/json' };
+    if (wallet) {
+      headers.authorization = `Bearer ${authService.createSession(wallet).token}`;
+    }
+    const response = await fetch(baseUrl + url, { method, headers, body: body && JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('only admin wallets get in', async () => {
+    expect((await request('GET', '/admin/games', { wallet: null })).status).toBe(401);
+    expect((await request('GET', '/admin/games', { wallet: Keypair.generate().publicKey.toBase58() })).status).toBe(403);
+  });
+
+  test('lists games with their internal state', async () => {
+    const gameId = await startedGame(gameManager, 100, 'points', ['list-a', 'list-b']);
+
+    const { status, body } = await request('GET', '/admin/games?status=playing');
+    const game = body.games.find(entry => entry.gameState.gameId === gameId);
+
+    expect(status).toBe(200);
+    expect(game.gameState.serverSeed).toEqual(expect.any(String));
+    expect(game).toMatchObject({ deposits: null, settlement: null, refund: null, matchmaking: false });
+    expect((await request('GET', '/admin/games/missing')).status).toBe(404);
+  });
+
+  test('audits every action, including the ones that fail', async () => {
+    const gameId = await startedGame(gameManager, 100, 'points', ['audit-a', 'audit-b']);
+
+    const { status, body } = await request('POST', `/admin/games/${gameId}/finish`, { body: { winner: 'nobody', reason: 'stuck' } });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Winner must be player1 or player2');
+    expect(auditLog.list({ limit: 1 })[0]).toMatchObject({
+      id: body.auditId,
+      admin: ADMIN_WALLET,
+      action: 'game.force_finish',
+      target: gameId,
+      details: { winner: 'nobody', reason: 'stuck' },
+      success: false,
+      error: 'Winner must be player1 or player2'
+    });
+    expect(databaseService.recordAdminAction).toHaveBeenCalledWith(expect.objectContaining({ id: body.auditId }));
+
+    const audit = await request('GET', `/admin/audit?target=${gameId}`);
+    expect(audit.body.entries.map(entry => entry.id)).toEqual([body.auditId]);
+  });
+
+  test('cancels games that have not started on-chain and refunds escrowed SOL', async () => {
+    jest.spyOn(gameManager.refundQueue, 'processJob').mockResolvedValue(null);
+    const started = await startedGame(gameManager, 0.1, 'sol', ['cancel-a', 'cancel-b']);
+    const { gameId: waiting } = await gameManager.createGame('public', 0.1, 'sol', 'cancel-c', 'socket-c', 'wallet-cancel-c');
+
+    const refused = await request('POST', `/admin/games/${started}/cancel`);
+    expect(refused.status).toBe(400);
+    expect(refused.body.error).toBe('Both SOL stakes are in escrow, force-finish the game instead');
+
+    const { status, body } = await request('POST', `/admin/games/${waiting}/cancel`, { body: { reason: 'Stuck deposit' } });
+    expect(status).toBe(200);
+    expect(body.gameState).toMatchObject({ gameStatus: 'finished', winner: null, cancelReason: 'Stuck deposit' });
+    expect(gameManager.refundQueue.getJob(waiting)).toMatchObject({ playerWallet: 'wallet-cancel-c', stakeAmount: 0.1 });
+    expect(auditLog.list({ limit: 1 })[0].details).toEqual({
+      reason: 'Stuck deposit',
+      refund: { playerWallet: 'wallet-cancel-c', stakeAmount: 0.1 }
+    });
+  });
+
+  test('retries dead-lettered settlements', async () => {
+    const processJob = jest.spyOn(gameManager.settlementQueue, 'processJob').mockResolvedValue(null);
+    const job = gameManager.settlementQueue.enqueue({ gameId: 'settle-1', winnerWallet: 'winner', loserWallet: 'loser', stakeAmount: 0.1 });
+    gameManager.settlementQueue.save({ ...job, status: 'dead_letter', attempts: 8, lastError: 'RPC down' });
+
+    const listed = await request('GET', '/admin/settlements?status=dead_letter');
+    expect(listed.body.jobs.map(entry => entry.gameId)).toContain('settle-1');
+
+    const { status } = await request('POST', '/admin/settlements/settle-1/retry');
+    expect(status).toBe(200);
+    expect(gameManager.settlementQueue.getJob('settle-1')).toMatchObject({ status: 'pending', attempts: 0 });
+    expect(processJob).toHaveBeenCalledWith('settle-1');
+
+    expect((await request('POST', '/admin/settlements/settle-1/retry')).body.error).toBe('Job is pending');
+    expect((await request('POST', '/admin/settlements/missing/retry')).status).toBe(404);
+  });
+
+  test('inspects and drains the matchmaking queue', async () => {
+    await gameManager.findRandomMatch('queue-a', 'socket-queue-a', 100, 'points', 'wallet-queue-a', { roundsToWin: 5 });
+
+    const queue = await request('GET', '/admin/matchmaking');
+    expect(queue.body.queue.map(entry => entry.playerId)).toContain('queue-a');
+
+    const { body } = await request('DELETE', '/admin/matchmaking');
+    expect(body.drained.map(entry => entry.playerId)).toContain('queue-a');
+    expect(gameManager.matchmaker.list()).toHaveLength(0);
+    expect((await request('DELETE', '/admin/matchmaking/queue-a')).status).toBe(404);
+  });
+
+  test('banned wallets lose their sessions and cannot sign in until unbanned', async () => {
+    const wallet = Keypair.generate().publicKey.toBase58();
+    const session = authService.createSession(wallet);
+
+    expect((await request('PUT', '/admin/bans/not-a-wallet')).body.error).toBe('Invalid wallet address');
+
+    const banned = await request('PUT', `/admin/bans/${wallet}`, { body: { reason: 'Collusion' } });
+    expect(banned.body).toMatchObject({ success: true, ban: { wallet, reason: 'Collusion', bannedBy: ADMIN_WALLET }, revokedSessions: 1 });
+    expect(authService.getSession(session.token)).toBeNull();
+
+    const challenge = await request('POST', '/api/auth/challenge', { body: { wallet }, wallet: null });
+    expect(challenge).toEqual({ status: 403, body: { success: false, error: 'Wallet is banned' } });
+    expect((await request('GET', '/admin/bans')).body.bans.map(ban => ban.wallet)).toContain(wallet);
+
+    expect((await request('DELETE', `/admin/bans/${wallet}`)).status).toBe(200);
+    expect((await request('POST', '/api/auth/challenge', { body: { wallet }, wallet: null })).status).toBe(200);
+  });
+});
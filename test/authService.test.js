@@ -0,0 +1,107 @@
+/**
+ * Auth Service Tests
+ * Wallet-signature challenges and session tokens
+ */
+
+const nacl = require('tweetnacl');
+const { Keypair } = require('@solana/web3.js');
+const { utils } = require('@coral-xyz/anchor');
+const authService = require('../src/services/authService');
+const { AUTH_MAX_PENDING_CHALLENGES } = require('../src/utils/constants');
+
+function sign(keypair, message) {
+  return nacl.sign.detached(Buffer.from(message, 'utf8'), keypair.secretKey);
+}
+
+function login(keypair) {
+  const wallet = keypair.publicKey.toBase58();
+  const { nonce, message } = authService.issueChallenge(wallet);
+  return authService.verifyChallenge(wallet, nonce, utils.bytes.bs58.encode(sign(keypair, message)));
+}
+
+describe('wallet challenge', () => {
+  test('opens a session bound to the signing wallet', () => {
+    const keypair = Keypair.generate();
+    const result = login(keypair);
+
+    expect(result.success).toBe(true);
+    expect(result.wallet).toBe(keypair.publicKey.toBase58());
+    expect(result.playerId).toBe(result.wallet);
+    expect(authService.getSession(result.token).wallet).toBe(result.wallet);
+  });
+
+  test('accepts base64 and byte-array signatures', () => {
+    const keypair = Keypair.generate();
+    const wallet = keypair.publicKey.toBase58();
+
+    let { nonce, message } = authService.issueChallenge(wallet);
+    expect(authService.verifyChallenge(wallet, nonce, Buffer.from(sign(keypair, message)).toString('base64')).success).toBe(true);
+
+    ({ nonce, message } = authService.issueChallenge(wallet));
+    expect(authService.verifyChallenge(wallet, nonce, Array.from(sign(keypair, message))).success).toBe(true);
+  });
+
+  test('rejects a signature from another key', () => {
+    const keypair = Keypair.generate();
+    const wallet = keypair.publicKey.toBase58();
+    const { nonce, message } = authService.issueChallenge(wallet);
+
+    const result = authService.verifyChallenge(wallet, nonce, Array.from(sign(Keypair.generate(), message)));
+    expect(result).toEqual({ success: false, error: 'Invalid signature' });
+  });
+
+  test('unsigned attempts and new challenges do not disturb a pending challenge', () => {
+    const keypair = Keypair.generate();
+    const wallet = keypair.publicKey.toBase58();
+    const { nonce, message } = authService.issueChallenge(wallet);
+
+    authService.issueChallenge(wallet);
+    expect(authService.verifyChallenge(wallet, nonce, 'garbage').error).toBe('Invalid signature');
+    expect(authService.verifyChallenge(wallet, nonce, Array.from(sign(Keypair.generate(), message))).error).toBe('Invalid signature');
+    expect(authService.verifyChallenge(Keypair.generate().publicKey.toBase58(), nonce, Array.from(sign(keypair, message))).error)
+      .toBe('Challenge expired or not found');
+
+    expect(authService.verifyChallenge(wallet, nonce, Array.from(sign(keypair, message))).success).toBe(true);
+  });
+
+  test('challenges are single-use', () => {
+    const keypair = Keypair.generate();
+    const wallet = keypair.publicKey.toBase58();
+    const { nonce, message } = authService.issueChallenge(wallet);
+    const signature = Array.from(sign(keypair, message));
+
+    expect(authService.verifyChallenge(wallet, nonce, signature).success).toBe(true);
+    expect(authService.verifyChallenge(wallet, nonce, signature).error).toBe('Challenge expired or not found');
+  });
+
+  test('a wallet keeps only its latest pending challenges', () => {
+    const keypair = Keypair.generate();
+    const wallet = keypair.publicKey.toBase58();
+    const other = authService.issueChallenge(Keypair.generate().publicKey.toBase58());
+    const issued = Array.from({ length: AUTH_MAX_PENDING_CHALLENGES + 1 }, () => authService.issueChallenge(wallet));
+
+    expect([...authService.challenges.values()].filter(challenge => challenge.wallet === wallet)).toHaveLength(AUTH_MAX_PENDING_CHALLENGES);
+    expect(authService.verifyChallenge(wallet, issued[0].nonce, Array.from(sign(keypair, issued[0].message))).error)
+      .toBe('Challenge expired or not found');
+    expect(authService.verifyChallenge(wallet, issued[1].nonce, Array.from(sign(keypair, issued[1].message))).success).toBe(true);
+    expect(authService.challenges.has(other.nonce)).toBe(true);
+  });
+
+  test('rejects invalid wallet addresses', () => {
+    expect(authService.issueChallenge('not-a-wallet').success).toBe(false);
+  });
+});
+
+describe('sessions', () => {
+  test('expired and revoked sessions are not returned', () => {
+    const { token } = login(Keypair.generate());
+
+    authService.sessions.get(token).expiresAt = Date.now() - 1;
+    expect(authService.getSession(token)).toBeNull();
+
+    const second = login(Keypair.generate());
+    expect(authService.revokeSession(second.token)).toBe(true);
+    expect(authService.getSession(second.token)).toBeNull();
+    expect(authService.getSession(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Bot Tests
+ * Bot move strategies, practice games and matchmaking backfill
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const { chooseBotMove, predictByFrequency, predictByMarkovChain, getOpponentMoves } = require('../src/game/bots');
+const { createGameState, processMove } = require('../src/game/gameLogic');
+const { resolveRound } = require('../src/game/ruleSets');
+const GameManager = require('../src/game/gameManager');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const databaseService = require('../src/services/databaseService');
+
+function withHistory(player2Moves, ruleSet = 'classic') {
+  const gameState = createGameState('bot-game', 'private', 0, 'points', { ruleSet });
+  gameState.moveHistory = player2Moves.map(move => ({ player1Move: 'rock', player2Move: move }));
+  return gameState;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('bot strategies', () => {
+  test('read only the opponent side of resolved rounds', () => {
+    expect(getOpponentMoves(withHistory(['paper', 'rock']), 'player1')).toEqual(['paper', 'rock']);
+    expect(getOpponentMoves(withHistory(['paper', 'rock']), 'player2')).toEqual(['rock', 'rock']);
+  });
+
+  test('random stays within the game rule set', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(['rock', 'paper', 'scissors', 'lizard', 'spock']).toContain(chooseBotMove('random', withHistory([], 'rpsls'), 'player1'));
+    }
+    expect(() => chooseBotMove('psychic', withHistory([]), 'player1')).toThrow('Unknown bot strategy: psychic');
+  });
+
+  test('frequency counters the most played move', () => {
+    const gameState = withHistory(['rock', 'rock', 'paper']);
+
+    expect(predictByFrequency(['rock', 'rock', 'paper'])).toBe('rock');
+    expect(chooseBotMove('frequency', gameState, 'player1')).toBe('paper');
+  });
+
+  test('markov counters the usual follow-up of the last move', () => {
+    // After rock this opponent always plays scissors, although paper is their most frequent move
+    const history = ['paper', 'paper', 'rock', 'scissors', 'paper', 'rock', 'scissors', 'paper', 'rock'];
+
+    expect(predictByMarkovChain(history)).toBe('scissors');
+    expect(chooseBotMove('markov', withHistory(history), 'player1')).toBe('rock');
+    expect(predictByMarkovChain(['paper'])).toBe('paper');
+  });
+
+  test('counter moves beat the prediction in larger variants', () => {
+    const move = chooseBotMove('frequency', withHistory(['spock', 'spock'], 'rpsls'), 'player1');
+
+    expect(resolveRound('rpsls', move, 'spock')).toBe('player1');
+  });
+});
+
+describe('GameManager with bots', () => {
+  test('createPracticeGame starts a stake-free game against a bot', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+
+    const result = await manager.createPracticeGame('p1', 's1', null, 'markov', { roundsToWin: 1 });
+
+    expect(result).toMatchObject({ success: true, gameStarted: true });
+    expect(result.gameState).toMatchObject({ practice: true, stakeAmount: 0, totalPot: 0, winnerPayout: 0, roundsToWin: 1 });
+    expect(result.gameState.player2).toMatchObject({ id: result.botId, bot: 'markov', socketId: null });
+    expect(manager.getBotPlayers(result.gameState)).toEqual([result.gameState.player2]);
+    expect(await manager.createPracticeGame('p2', 's2', null, 'psychic')).toEqual({ success: false, error: 'Unknown bot strategy: psychic' });
+  });
+
+  test('bots never join SOL games', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const { gameId } = await manager.createGame('private', 0.1, 'sol', 'p1', 's1', 'wallet1');
+
+    expect(await manager.addBot(gameId, 'random')).toEqual({ success: false, error: 'Bots can only play points games' });
+    expect(manager.getGame(gameId).gameStatus).toBe('waiting_for_player');
+    expect(manager.settlementQueue.listJobs()).toEqual([]);
+    expect(manager.refundQueue.listJobs()).toEqual([]);
+  });
+
+  test('a bot that cannot join leaves the game staked', async () => {
+    jest.spyOn(databaseService, 'hasEnoughPoints').mockResolvedValue(true);
+    const manager = new GameManager(new MemoryStateStore());
+    const { gameId } = await manager.createGame('public', 100, 'points', 'p1', 's1', 'wallet1');
+    jest.spyOn(manager, 'joinGame').mockResolvedValue({ success: false, error: 'Game already in progress' });
+
+    expect((await manager.addBot(gameId, 'random')).success).toBe(false);
+    expect(manager.getGame(gameId)).toMatchObject({ gameStatus: 'waiting_for_player', stakeAmount: 100 });
+    expect(manager.getGame(gameId).practice).toBeFalsy();
+  });
+
+  test('backfill takes the queued player out of the queue and makes the game practice', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const queued = await manager.findRandomMatch('p1', 's1', 100, 'points', null, {});
+
+    const result = await manager.addBot(queued.gameId, 'frequency');
+    const next = await manager.findRandomMatch('p2', 's2', 100, 'points', null, {});
+
+    expect(result.gameState).toMatchObject({ gameStatus: 'playing', practice: true, stakeAmount: 0 });
+    expect(manager.matchmaker.list().map(entry => entry.playerId)).toEqual(['p2']);
+    expect(next.gameId).not.toBe(queued.gameId);
+    expect((await manager.addBot(queued.gameId, 'random')).error).toBe('Game is not waiting for a player');
+  });
+
+  test('finishing a practice game records nothing', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const recordPoints = jest.spyOn(databaseService, 'processPointsGame').mockResolvedValue({ success: true });
+    const { gameId, gameState, botId } = await manager.createPracticeGame('p1', 's1', null, 'random', { roundsToWin: 1 });
+
+    processMove(gameState, 'p1', 'rock');
+    const { roundResult } = processMove(gameState, botId, 'scissors');
+    await manager.processGameCompletion(gameId, gameState, roundResult);
+
+    expect(roundResult.gameFinished).toBe(true);
+    expect(recordPoints).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Chat Tests
+ * Message filtering, emote whitelist, rate limits, the catch-up buffer, mutes and reports
+ */
+
+const { useGameTestHooks, startedGame } = require('./helpers');
+const GameChat = require('../src/game/gameChat');
+const GameManager = require('../src/game/gameManager');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const databaseService = require('../src/services/databaseService');
+const { CHAT_EMOTES, CHAT_RATE_LIMIT_MESSAGES, CHAT_RATE_LIMIT_WINDOW_MS } = require('../src/utils/constants');
+
+const NOW = 1_000_000;
+
+let recordChatModeration;
+
+useGameTestHooks();
+
+beforeEach(() => {
+  recordChatModeration = jest.spyOn(databaseService, 'recordChatModeration').mockResolvedValue(null);
+});
+
+describe('GameChat', () => {
+  test('cleans up text and masks profanity at the start of words', () => {
+    const chat = new GameChat();
+
+    expect(chat.filterText('  good\n\tgame  ')).toEqual({ success: true, text: 'good game' });
+    expect(chat.filterText('what the FUCKING hell')).toEqual({ success: true, text: 'what the ******* hell' });
+    expect(chat.filterText('у корабля сука')).toEqual({ success: true, text: 'у корабля ****' });
+    expect(chat.filterText(' \n ')).toEqual({ success: false, error: 'Message is empty' });
+    expect(chat.filterText('x'.repeat(201))).toEqual({ success: false, error: 'Message is too long (max 200 characters)' });
+    expect(chat.filterText({})).toEqual({ success: false, error: 'Message must be text' });
+  });
+
+  test('only sends whitelisted emotes', () => {
+    expect(new GameChat().listEmotes()).toEqual(CHAT_EMOTES);
+
+    const chat = new GameChat(new MemoryStateStore(), { emotes: ['gg', 'wave'] });
+    expect(chat.post('game', 'alice', 's1', { emote: 'wave' }, NOW)).toMatchObject({
+      success: true,
+      message: { id: 1, playerId: 'alice', type: 'emote', emote: 'wave' }
+    });
+    expect(chat.post('game', 'alice', 's1', { emote: 'fire' }, NOW)).toEqual({ success: false, error: 'Unknown emote' });
+  });
+
+  test('limits how fast a socket can send', () => {
+    const chat = new GameChat();
+    for (let i = 0; i < CHAT_RATE_LIMIT_MESSAGES; i++) {
+      expect(chat.post('game', 'alice', 's1', { text: `hi ${i}` }, NOW + i)).toMatchObject({ success: true });
+    }
+
+    expect(chat.post('game', 'alice', 's1', { emote: 'gg' }, NOW + 10)).toEqual({
+      success: false,
+      error: 'You are sending messages too fast'
+    });
+    expect(chat.post('game', 'alice', 's2', { text: 'other socket' }, NOW + 10)).toMatchObject({ success: true });
+    expect(chat.post('game', 'alice', 's1', { text: 'later' }, NOW + CHAT_RATE_LIMIT_WINDOW_MS)).toMatchObject({ success: true });
+  });
+
+  test('keeps only the latest messages', () => {
+    const chat = new GameChat(new MemoryStateStore(), { bufferSize: 3, rateLimit: { messages: 100 } });
+    for (let i = 1; i <= 5; i++) {
+      chat.post('game', 'alice', 's1', { text: `message ${i}` }, NOW);
+    }
+
+    expect(chat.getHistory('game', 'bob').map(message => [message.id, message.text])).toEqual([
+      [3, 'message 3'],
+      [4, 'message 4'],
+      [5, 'message 5']
+    ]);
+  });
+});
+
+describe('chat in games', () => {
+  test('only the players of a game with an opponent can chat', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameId = await startedGame(manager);
+    const { gameId: waiting } = await manager.createGame('private', 100, 'points', 'carol', 'socket-carol', 'wallet-carol');
+
+    expect(manager.sendChat(gameId, 'carol', 'socket-carol', { text: 'hi' })).toEqual({ success: false, error: 'Not a player in this game' });
+    expect(manager.sendChat(waiting, 'carol', 'socket-carol', { text: 'hi' })).toEqual({ success: false, error: 'No opponent to chat with yet' });
+    expect(manager.sendChat('missing', 'alice', 'socket-alice', { text: 'hi' })).toEqual({ success: false, error: 'Game not found' });
+
+    manager.getGame(gameId).gameStatus = 'finished';
+    expect(manager.sendChat(gameId, 'alice', 'socket-alice', { text: 'gg' })).toMatchObject({ success: true, message: { text: 'gg' } });
+  });
+
+  test('mutes hide the opponent and are recorded against their wallet', async () => {
+    const store = new MemoryStateStore();
+    const manager = new GameManager(store);
+    const gameId = await startedGame(manager);
+    manager.sendChat(gameId, 'bob', 'socket-bob', { text: 'hello' });
+
+    expect(await manager.setChatMute(gameId, 'alice', true)).toMatchObject({ success: true, playerId: 'bob' });
+    expect(recordChatModeration).toHaveBeenCalledWith({ action: 'mute', wallet: 'wallet-bob', reportedBy: 'alice', gameId });
+    expect(manager.getChatHistory(gameId, 'alice')).toEqual([]);
+    expect(manager.getChatHistory(gameId, 'bob')).toHaveLength(1);
+
+    // Mutes and messages survive a restart
+    const restored = new GameManager(store);
+    expect(restored.getChatHistory(gameId, 'alice')).toEqual([]);
+
+    await manager.setChatMute(gameId, 'alice', true);
+    expect(recordChatModeration).toHaveBeenCalledTimes(1);
+    await manager.setChatMute(gameId, 'alice', false);
+    expect(manager.getChatHistory(gameId, 'alice')).toHaveLength(1);
+  });
+
+  test('reports record the message against the sender', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameId = await startedGame(manager);
+    const { message } = manager.sendChat(gameId, 'bob', 'socket-bob', { text: 'you cheat' });
+    const { message: own } = manager.sendChat(gameId, 'alice', 'socket-alice', { text: 'no' });
+
+    expect(await manager.reportChatMessage(gameId, 'alice', own.id)).toEqual({
+      success: false,
+      error: 'You cannot report your own message'
+    });
+    expect(await manager.reportChatMessage(gameId, 'alice', 99)).toEqual({ success: false, error: 'Message not found' });
+
+    expect(await manager.reportChatMessage(gameId, 'alice', message.id, 'harassment')).toMatchObject({ success: true });
+    expect(recordChatModeration).toHaveBeenCalledWith({
+      action: 'report',
+      wallet: 'wallet-bob',
+      reportedBy: 'alice',
+      gameId,
+      message,
+      reason: 'harassment'
+    });
+  });
+});
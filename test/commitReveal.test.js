@@ -0,0 +1,85 @@
+/**
+ * Commit-Reveal Tests
+ * Commitment format and round flow for hidden moves
+ */
+
+const {
+  computeCommitment,
+  verifyCommitment,
+  normalizeCommitment,
+  createCommitment
+} = require('../src/game/commitReveal');
+const { createGameState, addPlayer, processCommit, processReveal } = require('../src/game/gameLogic');
+
+function startedGame() {
+  const gameState = createGameState('commit-reveal-game');
+  addPlayer(gameState, 'player1', 'socket1');
+  addPlayer(gameState, 'player2', 'socket2');
+  return gameState;
+}
+
+describe('commitment format', () => {
+  test('hashes move index and little-endian u64 nonce with sha256', () => {
+    // sha256([0x00, 0x01, 0, 0, 0, 0, 0, 0, 0]) - Rock with nonce 1
+    expect(computeCommitment('rock', 1)).toBe(
+      require('crypto').createHash('sha256').update(Buffer.from([0, 1, 0, 0, 0, 0, 0, 0, 0])).digest('hex')
+    );
+  });
+
+  test('accepts hex strings and 32-byte arrays interchangeably', () => {
+    const hex = computeCommitment('paper', '18446744073709551615');
+    expect(normalizeCommitment(Array.from(Buffer.from(hex, 'hex')))).toBe(hex);
+    expect(normalizeCommitment(`0x${hex.toUpperCase()}`)).toBe(hex);
+  });
+
+  test('rejects malformed commitments and nonces', () => {
+    expect(() => normalizeCommitment('abc')).toThrow('Invalid commitment');
+    expect(() => normalizeCommitment(new Array(31).fill(0))).toThrow('Invalid commitment');
+    expect(() => computeCommitment('rock', -1)).toThrow('Invalid nonce');
+    expect(() => computeCommitment('rock', '18446744073709551616')).toThrow('Invalid nonce');
+  });
+
+  test('verifies only the matching move and nonce', () => {
+    const { commitment, nonce } = createCommitment('scissors');
+    expect(verifyCommitment(commitment, 'scissors', nonce)).toBe(true);
+    expect(verifyCommitment(commitment, 'rock', nonce)).toBe(false);
+    expect(verifyCommitment(commitment, 'scissors', BigInt(nonce) ^ 1n)).toBe(false);
+  });
+});
+
+describe('round flow', () => {
+  test('moves stay hidden until both players commit and reveal', () => {
+    const gameState = startedGame();
+    const p1 = createCommitment('rock');
+    const p2 = createCommitment('scissors');
+
+    expect(processCommit(gameState, 'player1', p1.commitment).bothCommitted).toBe(false);
+    expect(gameState.player1.currentMove).toBeNull();
+    expect(() => processReveal(gameState, 'player1', 'rock', p1.nonce)).toThrow('Both moves not committed');
+
+    expect(processCommit(gameState, 'player2', p2.commitment).bothCommitted).toBe(true);
+    expect(gameState.roundPhase).toBe('reveal');
+
+    expect(processReveal(gameState, 'player1', 'rock', p1.nonce).roundComplete).toBe(false);
+    const result = processReveal(gameState, 'player2', 'scissors', p2.nonce);
+    expect(result.roundComplete).toBe(true);
+    expect(result.roundResult.roundWinner).toBe('player1');
+  });
+
+  test('rejects a reveal that does not match the commitment', () => {
+    const gameState = startedGame();
+    const p1 = createCommitment('rock');
+    const p2 = createCommitment('paper');
+    processCommit(gameState, 'player1', p1.commitment);
+    processCommit(gameState, 'player2', p2.commitment);
+
+    expect(() => processReveal(gameState, 'player1', 'paper', p1.nonce)).toThrow('Invalid commitment');
+    expect(gameState.player1.currentMove).toBeNull();
+  });
+
+  test('rejects a second commitment in the same round', () => {
+    const gameState = startedGame();
+    processCommit(gameState, 'player1', createCommitment('rock').commitment);
+    expect(() => processCommit(gameState, 'player1', createCommitment('paper').commitment)).toThrow('Move already committed');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Deposit Verifier Tests
+ * SOL stakes only count once the game account shows them on-chain
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const { Keypair } = require('@solana/web3.js');
+const DepositVerifier = require('../src/services/depositVerifier');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const RefundQueue = require('../src/services/refundQueue');
+const GameManager = require('../src/game/gameManager');
+const databaseService = require('../src/services/databaseService');
+
+const RENT = 2000000;
+const STAKE = 100000000; // 0.1 SOL
+const player1 = Keypair.generate().publicKey;
+const player2 = Keypair.generate().publicKey;
+const expected = { player1Wallet: player1.toBase58(), player2Wallet: player2.toBase58(), stakeAmount: 0.1, roundsToWin: 3 };
+
+function account(overrides = {}, lamports = RENT + STAKE) {
+  return {
+    lamports,
+    dataLength: 200,
+    game: { player1, player2: null, status: 'WaitingForPlayer', stakeLamports: BigInt(STAKE), currency: 'sol', roundsToWin: 3, ...overrides }
+  };
+}
+
+function createVerifier(...accounts) {
+  const fetchGame = jest.fn();
+  accounts.forEach(value => fetchGame.mockResolvedValueOnce(value));
+  fetchGame.mockResolvedValue(accounts[accounts.length - 1]);
+
+  return new DepositVerifier({
+    chain: { fetchGame, getRentExemptLamports: jest.fn().mockResolvedValue(RENT) },
+    pollIntervalMs: 5
+  });
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DepositVerifier.checkDeposit', () => {
+  test('confirms player1 once the stake is escrowed', async () => {
+    expect(await createVerifier(account()).checkDeposit('game1', 'player1', expected)).toEqual({ status: 'confirmed' });
+    expect((await createVerifier(null).checkDeposit('game1', 'player1', expected)).status).toBe('pending');
+    expect((await createVerifier(account({}, RENT)).checkDeposit('game1', 'player1', expected)).status).toBe('pending');
+  });
+
+  test('confirms player2 only with both stakes escrowed', async () => {
+    const joined = { player2, status: 'InProgress' };
+
+    expect((await createVerifier(account()).checkDeposit('game1', 'player2', expected)).status).toBe('pending');
+    expect((await createVerifier(account(joined)).checkDeposit('game1', 'player2', expected)).status).toBe('pending');
+    expect(await createVerifier(account(joined, RENT + 2 * STAKE)).checkDeposit('game1', 'player2', expected)).toEqual({ status: 'confirmed' });
+  });
+
+  test('rejects games that contradict the backend', async () => {
+    const other = Keypair.generate().publicKey;
+
+    const wrongCreator = await createVerifier(account({ player1: other })).checkDeposit('game1', 'player1', expected);
+    const wrongStake = await createVerifier(account({ stakeLamports: 1000n })).checkDeposit('game1', 'player1', expected);
+    const wrongFormat = await createVerifier(account({ roundsToWin: 5 })).checkDeposit('game1', 'player1', expected);
+    const wrongJoiner = await createVerifier(account({ player2: other, status: 'InProgress' }, RENT + 2 * STAKE))
+      .checkDeposit('game1', 'player2', expected);
+
+    expect(wrongCreator).toMatchObject({ status: 'rejected', reason: expect.stringMatching(/creator/) });
+    expect(wrongStake).toMatchObject({ status: 'rejected', refundable: true });
+    expect(wrongFormat).toMatchObject({ status: 'rejected', reason: expect.stringMatching(/first to 5/), refundable: true });
+    expect(wrongJoiner).toMatchObject({ status: 'rejected', reason: expect.stringMatching(/player2/) });
+  });
+});
+
+describe('DepositVerifier.waitForDeposit', () => {
+  test('polls until the deposit lands', async () => {
+    const verifier = createVerifier(null, account({}, RENT), account());
+
+    const result = await verifier.waitForDeposit('game1', 'player1', expected, Date.now() + 1000);
+
+    expect(result).toEqual({ status: 'confirmed' });
+    expect(verifier.chain.fetchGame).toHaveBeenCalledTimes(3);
+  });
+
+  test('RPC errors keep the watch polling', async () => {
+    const verifier = createVerifier(account());
+    verifier.chain.fetchGame.mockRejectedValueOnce(new Error('429 Too Many Requests'));
+
+    expect(await verifier.waitForDeposit('game1', 'player1', expected, Date.now() + 1000)).toEqual({ status: 'confirmed' });
+  });
+
+  test('gives up at the deadline', async () => {
+    const result = await createVerifier(null).waitForDeposit('game1', 'player1', expected, Date.now() + 20);
+
+    expect(result.status).toBe('expired');
+  });
+
+  test('duplicate announcements share one watch', async () => {
+    const verifier = createVerifier(null, account());
+
+    const [first, second] = await Promise.all([
+      verifier.waitForDeposit('game1', 'player1', expected, Date.now() + 1000),
+      verifier.waitForDeposit('game1', 'player1', expected, Date.now() + 1000)
+    ]);
+
+    expect(first).toBe(second);
+    expect(verifier.chain.fetchGame).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('GameManager.cancelUnfundedGame', () => {
+  beforeEach(() => {
+    jest.spyOn(databaseService, 'saveSettlementJob').mockResolvedValue(null);
+    jest.spyOn(databaseService, 'recordGameHistory').mockResolvedValue(null);
+  });
+
+  function createManager() {
+    const chain = {
+      getEscrowState: jest.fn().mockResolvedValue({ state: 'escrowed' }),
+      buildCancelGameTransaction: jest.fn().mockResolvedValue('unsigned-tx'),
+      sendCancelGameTransaction: jest.fn()
+    };
+    return new GameManager(new MemoryStateStore(), undefined, new RefundQueue(new MemoryStateStore(), { chain }));
+  }
+
+  test('cancels without a winner and refunds the escrowed creator stake', async () => {
+    const manager = createManager();
+    const { gameId } = await manager.createGame('private', 0.1, 'sol', 'player1', 'socket1', 'wallet1');
+    await manager.joinGame(gameId, 'player2', 'socket2', 'wallet2');
+
+    const result = manager.cancelUnfundedGame(gameId, { refundCreator: true });
+
+    expect(result.gameState).toMatchObject({ gameStatus: 'finished', winner: null, cancelReason: 'Deposit timeout' });
+    expect(result.refund).toMatchObject({ gameId, playerId: 'player1', playerWallet: 'wallet1', stakeAmount: 0.1 });
+    expect(manager.isUnsettledSolGame(result.gameState)).toBe(false);
+    expect(manager.getPlayerGame('player1')).toBeNull();
+    expect(manager.getPlayerGame('player2')).toBeNull();
+  });
+
+  test('does not refund when nothing was escrowed', async () => {
+    const manager = createManager();
+    const { gameId } = await manager.createGame('private', 0.1, 'sol', 'player1', 'socket1', 'wallet1');
+
+    expect(manager.cancelUnfundedGame(gameId).refund).toBeNull();
+    expect(manager.refundQueue.listJobs()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Game Projection Tests
+ * Per-recipient views must never leak socket IDs or unrevealed moves
+ */
+
+const { projectGameState, projectPayload } = require('../src/game/gameProjection');
+const { createGameState, addPlayer, processCommit, processReveal } = require('../src/game/gameLogic');
+const { createCommitment } = require('../src/game/commitReveal');
+
+function startedGame() {
+  const gameState = createGameState('projection-game');
+  addPlayer(gameState, 'player1', 'socket1', 'wallet1');
+  addPlayer(gameState, 'player2', 'socket2', 'wallet2');
+  return gameState;
+}
+
+function revealBoth(gameState, move1, move2) {
+  const p1 = createCommitment(move1);
+  const p2 = createCommitment(move2);
+  processCommit(gameState, 'player1', p1.commitment);
+  processCommit(gameState, 'player2', p2.commitment);
+  processReveal(gameState, 'player1', move1, p1.nonce);
+  return () => processReveal(gameState, 'player2', move2, p2.nonce);
+}
+
+describe('projectGameState', () => {
+  test('never includes socket IDs or commitments', () => {
+    const gameState = startedGame();
+    processCommit(gameState, 'player1', createCommitment('rock').commitment);
+
+    const serialized = JSON.stringify(projectGameState(gameState, 'player1'));
+    expect(serialized).not.toContain('socket1');
+    expect(serialized).not.toContain('socket2');
+    expect(serialized).not.toContain(gameState.player1.moveCommitment);
+  });
+
+  test('hides the opponent move until the round resolves', () => {
+    const gameState = startedGame();
+    const finishRound = revealBoth(gameState, 'rock', 'paper');
+
+    expect(projectGameState(gameState, 'player1').player1.currentMove).toBe('rock');
+    expect(projectGameState(gameState, 'player2').player1.currentMove).toBeNull();
+    expect(projectGameState(gameState, null).player1.currentMove).toBeNull();
+
+    finishRound();
+    expect(projectGameState(gameState, 'player2').player1.currentMove).toBe('rock');
+    expect(projectGameState(gameState, null).player2.currentMove).toBe('paper');
+  });
+
+  test('shows wallets only to their owner', () => {
+    const gameState = startedGame();
+    const view = projectGameState(gameState, 'player2');
+
+    expect(view.viewer).toBe('player2');
+    expect(view.player2.wallet).toBe('wallet2');
+    expect(view.player1.wallet).toBeUndefined();
+    expect(projectGameState(gameState, 'someone-else').viewer).toBe('spectator');
+  });
+});
+
+describe('projectPayload', () => {
+  test('replaces gameState and leaves other fields untouched', () => {
+    const gameState = startedGame();
+    const payload = { success: true, gameId: 'projection-game', gameState };
+    const projected = projectPayload(payload, 'player1');
+
+    expect(projected.gameId).toBe('projection-game');
+    expect(projected.gameState.player1.connected).toBe(true);
+    expect(payload.gameState).toBe(gameState);
+    expect(projectPayload({ success: false, error: 'x' })).toEqual({ success: false, error: 'x' });
+  });
+});
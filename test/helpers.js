@@ -0,0 +1,47 @@
+/**
+ * Test Helpers
+ * Shared setup for GameManager tests: test environment, quiet output and games already being played
+ * Require it before anything from src/ so the environment is in place when services load
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const databaseService = require('../src/services/databaseService');
+
+/**
+ * Register the hooks every GameManager test file needs
+ * Console output is silenced, every wallet can afford a points game and mocks are restored after each test
+ */
+function useGameTestHooks() {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(databaseService, 'hasEnoughPoints').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+}
+
+/**
+ * Create a game and seat its second player, so it is being played
+ * Each player sits with socket `socket-<id>` and wallet `wallet-<id>`
+ * @param {GameManager} manager - Game manager
+ * @param {number} stakeAmount - Stake amount
+ * @param {string} currency - 'points' or 'sol'
+ * @param {string[]} players - [creator, joiner] player IDs
+ * @param {string} gameType - 'public' or 'private'
+ * @returns {Promise<string>} - Game ID
+ */
+async function startedGame(manager, stakeAmount = 100, currency = 'points', [first, second] = ['alice', 'bob'], gameType = 'public') {
+  const { gameId } = await manager.createGame(gameType, stakeAmount, currency, first, `socket-${first}`, `wallet-${first}`);
+  await manager.joinGame(gameId, second, `socket-${second}`, `wallet-${second}`);
+  return gameId;
+}
+
+module.exports = {
+  useGameTestHooks,
+  startedGame
+};
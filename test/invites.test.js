@@ -0,0 +1,176 @@
+/**
+ * Invite Tests
+ * Invite codes for private games: joining by code, wallet locks, single use, revocation and expiry
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const { createInviteCode, normalizeInviteCode, resolveInviteOptions, INVITE_ALPHABET } = require('../src/game/invites');
+const GameManager = require('../src/game/gameManager');
+const SettlementQueue = require('../src/services/settlementQueue');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const { projectGameState } = require('../src/game/gameProjection');
+const databaseService = require('../src/services/databaseService');
+const { INVITE_TTL_SECONDS } = require('../src/utils/constants');
+
+const ALICE = 'So11111111111111111111111111111111111111112';
+const BOB = 'SysvarC1ock11111111111111111111111111111111';
+const CAROL = 'SysvarRent111111111111111111111111111111111';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(databaseService, 'hasEnoughPoints').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+async function invitedGame(manager, options = {}, currency = 'points') {
+  const { gameId } = await manager.createGame('private', currency === 'sol' ? 0.1 : 100, currency, ALICE, 'socket-a', ALICE);
+  const { invite } = manager.createInvite(gameId, ALICE, options);
+  return { gameId, code: invite.code };
+}
+
+describe('invite codes', () => {
+  test('are short, unambiguous and forgiving to type', () => {
+    const code = createInviteCode();
+    expect(code).toHaveLength(8);
+    expect([...code].every(char => INVITE_ALPHABET.includes(char))).toBe(true);
+    expect(INVITE_ALPHABET).not.toMatch(/[01ILOUV]/);
+
+    expect(normalizeInviteCode(' ab2c-de3f ')).toBe('AB2CDE3F');
+    expect(normalizeInviteCode('ABCDEFG0')).toBeNull();
+    expect(normalizeInviteCode('ABC')).toBeNull();
+  });
+
+  test('validate the target wallet and lifetime', () => {
+    expect(resolveInviteOptions()).toEqual({ targetWallet: null, ttlSeconds: INVITE_TTL_SECONDS, inviteOnly: true });
+    expect(resolveInviteOptions({ targetWallet: BOB, ttlSeconds: 60, inviteOnly: false })).toEqual({
+      targetWallet: BOB,
+      ttlSeconds: 60,
+      inviteOnly: false
+    });
+    expect(() => resolveInviteOptions({ targetWallet: 'not-a-wallet' })).toThrow('Invalid invite wallet address');
+    expect(() => resolveInviteOptions({ ttlSeconds: 10 })).toThrow('Invite lifetime must be');
+  });
+});
+
+describe('joining with invites', () => {
+  test('invite-only games need the code, which works once', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const { gameId, code } = await invitedGame(manager);
+
+    expect(await manager.joinGame(gameId, BOB, 'socket-b', BOB)).toEqual({
+      success: false,
+      error: 'This game can only be joined with an invite code'
+    });
+    expect(await manager.joinGame(gameId, BOB, 'socket-b', BOB, 'ZZZZZZZZ')).toEqual({ success: false, error: 'Invalid invite code' });
+
+    expect(manager.resolveJoinTarget(code.toLowerCase())).toMatchObject({ gameState: { gameId }, inviteCode: code });
+    expect(await manager.joinGame(gameId, BOB, 'socket-b', BOB, code.toLowerCase())).toMatchObject({ success: true });
+    expect(manager.getGame(gameId).invite).toMatchObject({ status: 'used', usedBy: BOB });
+    expect(manager.checkInvite(manager.getGame(gameId), CAROL, CAROL, code)).toEqual({
+      success: false,
+      error: 'Invite has already been used'
+    });
+  });
+
+  test('open invites also admit the game ID, and wallet locks apply either way', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const { gameId, code } = await invitedGame(manager, { targetWallet: BOB, inviteOnly: false });
+
+    expect(await manager.joinGame(gameId, CAROL, 'socket-c', CAROL, code)).toEqual({
+      success: false,
+      error: 'This invite is for another wallet'
+    });
+    expect(await manager.joinGame(gameId, CAROL, 'socket-c', CAROL)).toEqual({
+      success: false,
+      error: 'This invite is for another wallet'
+    });
+    expect(await manager.joinGame(gameId, BOB, 'socket-b', BOB)).toMatchObject({ success: true });
+  });
+
+  test('a creator who is not seated yet can invite and take their seat without the code', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    // Games created over HTTP have no socket for the creator
+    const { gameId } = await manager.createGame('private', 100, 'points', ALICE, null, ALICE);
+    const { invite } = manager.createInvite(gameId, ALICE);
+
+    expect(projectGameState(manager.getGame(gameId), ALICE).invite).toMatchObject({ code: invite.code });
+    expect(await manager.joinGame(gameId, ALICE, 'socket-a', ALICE)).toMatchObject({ success: true, playerPosition: 'player1' });
+    expect(manager.getGame(gameId).invite.status).toBe('active');
+    expect(await manager.joinGame(gameId, BOB, 'socket-b', BOB, invite.code)).toMatchObject({ success: true });
+  });
+
+  test('only the creator sees the code', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const { gameId, code } = await invitedGame(manager);
+    const gameState = manager.getGame(gameId);
+
+    expect(projectGameState(gameState, ALICE)).toMatchObject({ invite: { code }, inviteOnly: true });
+    expect(projectGameState(gameState, BOB)).toMatchObject({ invite: null, inviteOnly: true });
+  });
+
+  test('revoked and replaced invites stop working', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const { gameId, code } = await invitedGame(manager, { targetWallet: BOB });
+
+    expect(manager.revokeInvite(gameId, CAROL)).toEqual({ success: false, error: 'Only the game creator can revoke the invite' });
+    // The invited wallet declining revokes the invite too
+    expect(manager.revokeInvite(gameId, BOB)).toMatchObject({ success: true });
+    expect(manager.getGame(gameId).invite.status).toBe('declined');
+    expect(await manager.joinGame(gameId, BOB, 'socket-b', BOB, code)).toEqual({ success: false, error: 'Invite was revoked' });
+
+    const { invite } = manager.createInvite(gameId, ALICE);
+    expect(invite.code).not.toBe(code);
+    expect(manager.findGameByInviteCode(code)).toBeNull();
+    expect(manager.revokeInvite(gameId, ALICE)).toMatchObject({ success: true });
+    expect(manager.revokeInvite(gameId, ALICE)).toEqual({ success: false, error: 'Invite is already revoked' });
+  });
+
+  test('only waiting private games can invite', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const { gameId: publicId } = await manager.createGame('public', 100, 'points', CAROL, 'socket-c', CAROL);
+    const { gameId } = await invitedGame(manager, { inviteOnly: false });
+
+    expect(manager.createInvite(publicId, CAROL)).toEqual({ success: false, error: 'Only private games have invites' });
+    expect(manager.createInvite(gameId, BOB)).toEqual({ success: false, error: 'Only the game creator can invite' });
+    expect(manager.createInvite(gameId, ALICE, { ttlSeconds: 5 })).toMatchObject({ success: false });
+
+    await manager.joinGame(gameId, BOB, 'socket-b', BOB);
+    expect(manager.createInvite(gameId, ALICE)).toEqual({ success: false, error: 'Game is no longer waiting for a player' });
+  });
+});
+
+describe('invite expiry', () => {
+  test('cancels the waiting game and refunds a SOL creator', async () => {
+    const refundQueue = {
+      enqueue: jest.fn(job => ({ ...job, status: 'pending' })),
+      processJob: jest.fn().mockResolvedValue(null)
+    };
+    const store = new MemoryStateStore();
+    const manager = new GameManager(store, new SettlementQueue(store), refundQueue);
+    const used = await invitedGame(manager, {}, 'sol');
+    await manager.joinGame(used.gameId, BOB, 'socket-b', BOB, used.code);
+    const expiresAt = manager.getGame(used.gameId).invite.expiresAt;
+
+    // A used invite never cancels its game; a lapsed one does
+    const other = await manager.createGame('private', 0.1, 'sol', CAROL, 'socket-c', CAROL);
+    manager.createInvite(other.gameId, CAROL, {}, expiresAt - INVITE_TTL_SECONDS * 1000);
+    expect(manager.expireInvites(expiresAt - 1)).toEqual([]);
+    const cancelled = manager.expireInvites(expiresAt);
+
+    expect(cancelled.map(({ gameId }) => gameId)).toEqual([other.gameId]);
+    expect(cancelled[0].refund).toMatchObject({ playerWallet: CAROL, stakeAmount: 0.1 });
+    expect(manager.getGame(other.gameId)).toMatchObject({
+      gameStatus: 'finished',
+      cancelReason: 'Invite expired',
+      invite: { status: 'expired' }
+    });
+    expect(manager.getPlayerGame(CAROL)).toBeNull();
+    expect(manager.expireInvites(expiresAt + 1)).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Logger Tests
+ * Levels, child context, per-module levels and redaction of wallet secrets
+ */
+
+const { createLogger, redact } = require('../src/utils/logger');
+
+const SECRET_KEY = Array.from({ length: 64 }, (_, i) => i * 3);
+
+function captureLogger(options = {}) {
+  const lines = [];
+  const logger = createLogger({ level: 'info', moduleLevels: [], write: line => lines.push(JSON.parse(line)), ...options });
+  return { logger, lines };
+}
+
+const originalServiceKey = process.env.SERVICE_WALLET_PRIVATE_KEY;
+
+afterEach(() => {
+  if (originalServiceKey === undefined) {
+    delete process.env.SERVICE_WALLET_PRIVATE_KEY;
+  } else {
+    process.env.SERVICE_WALLET_PRIVATE_KEY = originalServiceKey;
+  }
+});
+
+describe('Logger', () => {
+  test('writes one JSON entry per line at or above the level', () => {
+    const { logger, lines } = captureLogger();
+
+    logger.debug('hidden');
+    logger.info('Game created', { gameId: 'g1' });
+    logger.error('Payout failed', new Error('RPC down'));
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ level: 'info', msg: 'Game created', gameId: 'g1' });
+    expect(typeof lines[0].time).toBe('string');
+    expect(lines[1]).toMatchObject({ level: 'error', err: { name: 'Error', message: 'RPC down' } });
+    expect(lines[1].err.stack).toContain('RPC down');
+
+    logger.warn('Level changed', { level: 'debug', msg: 'spoofed' });
+    expect(lines[2]).toMatchObject({ level: 'warn', msg: 'Level changed' });
+  });
+
+  test('child loggers carry their context', () => {
+    const { logger, lines } = captureLogger();
+    const socketLog = logger.child({ module: 'socket', socketId: 's1' });
+
+    socketLog.child({ gameId: 'g1', playerId: 'alice' }).info('Joined');
+    socketLog.info('Disconnected', { reason: 'transport close' });
+
+    expect(lines).toEqual([
+      expect.objectContaining({ module: 'socket', socketId: 's1', gameId: 'g1', playerId: 'alice', msg: 'Joined' }),
+      expect.objectContaining({ module: 'socket', socketId: 's1', reason: 'transport close' })
+    ]);
+    expect(lines[1]).not.toHaveProperty('gameId');
+  });
+
+  test('modules can have their own level, changed at runtime', () => {
+    const { logger, lines } = captureLogger({ moduleLevels: [['gameManager', 'warn']] });
+    const gameLog = logger.child({ module: 'gameManager' });
+    const socketLog = logger.child({ module: 'socket' });
+
+    gameLog.info('quiet');
+    socketLog.info('loud');
+    logger.setLevel('debug', 'gameManager');
+    gameLog.debug('now visible');
+    socketLog.debug('still hidden');
+
+    expect(lines.map(line => line.msg)).toEqual(['loud', 'now visible']);
+    expect(logger.getLevels()).toEqual({ level: 'info', modules: { gameManager: 'debug' } });
+
+    logger.resetLevel('gameManager');
+    expect(gameLog.getLevel()).toBe('info');
+    expect(() => logger.setLevel('verbose')).toThrow('Unknown log level: verbose');
+  });
+
+  test('redacts secret keys wherever they appear', () => {
+    process.env.SERVICE_WALLET_PRIVATE_KEY = '5'.repeat(88);
+    const { logger, lines } = captureLogger();
+
+    logger.info(`Loaded key ${JSON.stringify(SECRET_KEY)}`, {
+      privateKey: 'abc',
+      session: { token: 'tok', wallet: 'alice' },
+      keypair: { secretKey: new Uint8Array(64), publicKey: { toBase58: () => 'alice' } },
+      env: `SERVICE_WALLET_PRIVATE_KEY=${'5'.repeat(88)}`,
+      transaction: Buffer.alloc(32)
+    });
+
+    expect(lines[0]).toMatchObject({
+      msg: 'Loaded key [REDACTED]',
+      privateKey: '[REDACTED]',
+      session: { token: '[REDACTED]', wallet: 'alice' },
+      keypair: '[REDACTED]',
+      env: 'SERVICE_WALLET_PRIVATE_KEY=[REDACTED]',
+      transaction: '[32 bytes]'
+    });
+  });
+
+  test('survives cycles and non-JSON values', () => {
+    const state = { gameId: 'g1', lamports: 10n };
+    state.self = state;
+
+    expect(redact(state)).toEqual({ gameId: 'g1', lamports: '10', self: '[Object]' });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Match Format Tests
+ * Per-game win target, draw cap with sudden death, and format-aware matchmaking
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const {
+  resolveMatchFormat,
+  createGameState,
+  addPlayer,
+  processMove,
+  validateGameState
+} = require('../src/game/gameLogic');
+const GameManager = require('../src/game/gameManager');
+const { MemoryStateStore } = require('../src/services/stateStore');
+
+function startGame(format) {
+  const gameState = createGameState('format-game', 'private', 100, 'points', format);
+  addPlayer(gameState, 'p1', 's1');
+  addPlayer(gameState, 'p2', 's2');
+  return gameState;
+}
+
+function playRound(gameState, move1, move2) {
+  gameState.player1.currentMove = null;
+  gameState.player2.currentMove = null;
+  processMove(gameState, 'p1', move1);
+  return processMove(gameState, 'p2', move2).roundResult;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveMatchFormat', () => {
+  test('defaults to classic, first to 3 with unlimited draws', () => {
+    expect(resolveMatchFormat()).toEqual({ roundsToWin: 3, drawLimit: null, ruleSet: 'classic' });
+    expect(resolveMatchFormat({ roundsToWin: '5', drawLimit: 2 })).toMatchObject({ roundsToWin: 5, drawLimit: 2 });
+  });
+
+  test('rejects unsupported win targets and draw limits', () => {
+    expect(() => resolveMatchFormat({ roundsToWin: 2 })).toThrow('Invalid rounds to win');
+    expect(() => resolveMatchFormat({ roundsToWin: 9 })).toThrow('Invalid rounds to win');
+    expect(() => resolveMatchFormat({ drawLimit: 0 })).toThrow('Invalid draw limit');
+    expect(() => resolveMatchFormat({ drawLimit: 1.5 })).toThrow('Invalid draw limit');
+  });
+});
+
+describe('processRound with a match format', () => {
+  test('first to 1 ends after one decisive round', () => {
+    const gameState = startGame({ roundsToWin: 1 });
+
+    expect(playRound(gameState, 'rock', 'rock').gameFinished).toBe(false);
+    expect(playRound(gameState, 'paper', 'rock')).toMatchObject({ gameWinner: 'player1', gameFinished: true });
+  });
+
+  test('first to 5 keeps going past 3 wins', () => {
+    const gameState = startGame({ roundsToWin: 5 });
+
+    for (let i = 0; i < 4; i++) {
+      expect(playRound(gameState, 'scissors', 'paper').gameFinished).toBe(false);
+    }
+    expect(playRound(gameState, 'scissors', 'paper')).toMatchObject({ gameWinner: 'player1', scores: { player1: 5, player2: 0 } });
+  });
+
+  test('hitting the draw cap turns the next decisive round into the winner', () => {
+    const gameState = startGame({ roundsToWin: 3, drawLimit: 2 });
+
+    playRound(gameState, 'rock', 'scissors');
+    playRound(gameState, 'rock', 'rock');
+    expect(playRound(gameState, 'paper', 'paper')).toMatchObject({ consecutiveDraws: 2, suddenDeath: true, gameFinished: false });
+    expect(playRound(gameState, 'rock', 'rock').gameFinished).toBe(false);
+
+    expect(playRound(gameState, 'rock', 'paper')).toMatchObject({
+      gameWinner: 'player2',
+      scores: { player1: 1, player2: 1 },
+      gameFinished: true
+    });
+    expect(gameState.winner).toBe('p2');
+  });
+
+  test('a decisive round resets the draw streak', () => {
+    const gameState = startGame({ drawLimit: 2 });
+
+    playRound(gameState, 'rock', 'rock');
+    expect(playRound(gameState, 'rock', 'scissors')).toMatchObject({ consecutiveDraws: 0, suddenDeath: false });
+  });
+});
+
+describe('validateGameState', () => {
+  test('checks the format fields', () => {
+    expect(validateGameState(createGameState('g1', 'public', 100, 'points', { roundsToWin: 7, drawLimit: 3 }))).toBe(true);
+    expect(validateGameState({ ...createGameState('g1'), roundsToWin: 4 })).toBe(false);
+    expect(validateGameState({ ...createGameState('g1'), drawLimit: 0 })).toBe(false);
+    expect(validateGameState({ ...createGameState('g1'), consecutiveDraws: -1 })).toBe(false);
+    expect(validateGameState({ ...createGameState('g1'), suddenDeath: undefined })).toBe(false);
+  });
+});
+
+describe('GameManager with match formats', () => {
+  test('createGame stores the format and rejects invalid ones', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+
+    const created = await manager.createGame('private', 100, 'points', 'p1', 's1', null, null, { roundsToWin: 7 });
+    const invalid = await manager.createGame('private', 100, 'points', 'p2', 's2', null, null, { roundsToWin: 4 });
+
+    expect(created.gameState).toMatchObject({ roundsToWin: 7, drawLimit: null });
+    expect(invalid).toEqual({ success: false, error: expect.stringMatching(/rounds to win/) });
+  });
+
+  test('findRandomMatch only pairs players asking for the same format', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+
+    const first = await manager.findRandomMatch('p1', 's1', 100, 'points', null, { roundsToWin: 5 });
+    const other = await manager.findRandomMatch('p2', 's2', 100, 'points', null, { roundsToWin: 1 });
+    const same = await manager.findRandomMatch('p3', 's3', 100, 'points', null, { roundsToWin: 5 });
+
+    expect(first.inQueue).toBe(true);
+    expect(other.inQueue).toBe(true);
+    expect(other.gameId).not.toBe(first.gameId);
+    expect(same).toMatchObject({ gameId: first.gameId, gameStarted: true });
+    expect(same.gameState.roundsToWin).toBe(5);
+  });
+
+  test('restored games from before formats get the defaults', () => {
+    const store = new MemoryStateStore();
+    const legacy = createGameState('legacy-game');
+    delete legacy.roundsToWin;
+    delete legacy.drawLimit;
+    delete legacy.consecutiveDraws;
+    delete legacy.suddenDeath;
+    delete legacy.ruleSet;
+    store.set('games', 'legacy-game', legacy);
+
+    const manager = new GameManager(store);
+
+    expect(validateGameState(manager.getGame('legacy-game'))).toBe(true);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Matchmaker Tests
+ * Queue status, timeouts, cancellation and atomic pairing
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const Matchmaker = require('../src/game/matchmaker');
+const GameManager = require('../src/game/gameManager');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const databaseService = require('../src/services/databaseService');
+
+const FORMAT = { roundsToWin: 3, drawLimit: 10, ruleSet: 'classic' };
+
+function entry(playerId, queuedAt, overrides = {}) {
+  return { playerId, socketId: `s-${playerId}`, gameId: `g-${playerId}`, stakeAmount: 100, currency: 'points', ...FORMAT, rating: 1200, queuedAt, ...overrides };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(databaseService, 'hasEnoughPoints').mockResolvedValue(true);
+  jest.spyOn(databaseService, 'getPlayerRating').mockResolvedValue({ rating: 1200, ratedGames: 50 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Matchmaker', () => {
+  test('reports position, wait estimate and searching players per stake tier', () => {
+    const matchmaker = new Matchmaker();
+    const start = 1000000;
+    matchmaker.enqueue(entry('a', start));
+    matchmaker.enqueue(entry('b', start + 1000, { rating: 1900 }));
+    matchmaker.enqueue(entry('c', start + 2000, { currency: 'sol', stakeAmount: 0.1 }));
+
+    expect(matchmaker.getStatus('b', start + 4000)).toEqual({
+      gameId: 'g-b',
+      position: 2,
+      waitedSeconds: 3,
+      estimatedWaitSeconds: null,
+      searching: { 'points:100': 2, 'sol:0.1': 1 }
+    });
+    expect(matchmaker.getStatus('c', start + 4000).position).toBe(1);
+    expect(matchmaker.getStatus('nobody')).toBeNull();
+
+    // A match in the tier after 30 s sets the estimate for the rest of it
+    expect(matchmaker.claimOpponent(entry('d', start + 30000, { rating: 1210 }), start + 30000).playerId).toBe('a');
+    expect(matchmaker.getStatus('b', start + 11000)).toMatchObject({ position: 1, estimatedWaitSeconds: 20 });
+  });
+
+  test('expires entries past the timeout', () => {
+    const matchmaker = new Matchmaker(new MemoryStateStore(), { timeoutMs: 60000 });
+    matchmaker.enqueue(entry('a', 0));
+    matchmaker.enqueue(entry('b', 30000));
+
+    expect(matchmaker.expire(59999)).toEqual([]);
+    expect(matchmaker.expire(60000).map(e => e.playerId)).toEqual(['a']);
+    expect(matchmaker.list().map(e => e.playerId)).toEqual(['b']);
+  });
+
+  test('a claimed entry can not be claimed again until restored', () => {
+    const matchmaker = new Matchmaker();
+    const now = 1000000;
+    matchmaker.enqueue(entry('a', now));
+
+    const first = matchmaker.claimOpponent(entry('b', now), now);
+    expect(first.playerId).toBe('a');
+    expect(matchmaker.claimOpponent(entry('c', now), now)).toBeNull();
+    expect(matchmaker.ownsGame('g-a')).toBe(true);
+
+    matchmaker.restore(first);
+    matchmaker.restore(first);
+    expect(matchmaker.list()).toEqual([first]);
+  });
+
+  test('sweep pairs each entry at most once', () => {
+    const matchmaker = new Matchmaker();
+    const now = 1000000;
+    ['a', 'b', 'c'].forEach((playerId, i) => matchmaker.enqueue(entry(playerId, now + i)));
+
+    const pairs = matchmaker.claimPairs(now + 10);
+    expect(pairs.map(pair => pair.map(e => e.playerId))).toEqual([['a', 'b']]);
+    expect(matchmaker.list().map(e => e.playerId)).toEqual(['c']);
+  });
+});
+
+describe('GameManager matchmaking', () => {
+  test('concurrent searches never put a player in two games', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    await manager.findRandomMatch('p1', 's1', 100, 'points', 'w1', {});
+
+    const [second, third] = await Promise.all([
+      manager.findRandomMatch('p2', 's2', 100, 'points', 'w2', {}),
+      manager.findRandomMatch('p3', 's3', 100, 'points', 'w3', {})
+    ]);
+
+    expect(second).toMatchObject({ gameStarted: true });
+    expect(third).toMatchObject({ inQueue: true });
+    expect(third.gameId).not.toBe(second.gameId);
+    expect(manager.getPlayerGame('p1').gameId).toBe(second.gameId);
+    expect(manager.matchmaker.list().map(e => e.playerId)).toEqual(['p3']);
+  });
+
+  test('a player runs one search at a time', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    await manager.findRandomMatch('p1', 's1', 100, 'points', 'w1', {});
+    await manager.findRandomMatch('p2', 's2', 100, 'points', 'w2', { roundsToWin: 5 });
+
+    const [first, second] = await Promise.all([
+      manager.findRandomMatch('p3', 's3', 100, 'points', 'w3', {}),
+      manager.findRandomMatch('p3', 's3', 100, 'points', 'w3', { roundsToWin: 5 })
+    ]);
+
+    expect(first).toMatchObject({ success: true, gameStarted: true });
+    expect(second).toEqual({ success: false, error: 'Already searching for a match' });
+    expect(manager.matchmaker.list().map(e => e.playerId)).toEqual(['p2']);
+    expect(manager.getPlayerGame('p2').gameStatus).toBe('waiting_for_player');
+    expect((await manager.findRandomMatch('p4', 's4', 100, 'points', 'w4', { roundsToWin: 5 })).gameStarted).toBe(true);
+  });
+
+  test('cancelling drops the entry and its placeholder game', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const { gameId } = await manager.findRandomMatch('p1', 's1', 100, 'points', 'w1', {});
+
+    expect(manager.cancelMatchmaking('p1', 'other-socket')).toBeNull();
+    expect(manager.cancelMatchmaking('p1', 's1')).toMatchObject({ playerId: 'p1', gameId });
+    expect(manager.getGame(gameId)).toBeNull();
+    expect(manager.getPlayerGame('p1')).toBeNull();
+    expect(manager.cancelMatchmaking('p1')).toBeNull();
+
+    // The next searcher gets a fresh placeholder instead of the cancelled one
+    expect(await manager.findRandomMatch('p2', 's2', 100, 'points', 'w2', {})).toMatchObject({ inQueue: true });
+  });
+
+  test('a player in a game being played can not move on to another', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    await manager.findRandomMatch('p1', 's1', 100, 'points', 'w1', {});
+    const { gameId } = await manager.findRandomMatch('p2', 's2', 100, 'points', 'w2', {});
+    const open = await manager.createGame('public', 100, 'points', 'p3', 's3', 'w3');
+    const refused = { success: false, error: 'Finish or leave your current game first' };
+
+    expect(await manager.findRandomMatch('p1', 's1', 100, 'points', 'w1', {})).toEqual(refused);
+    expect(await manager.createGame('public', 100, 'points', 'p1', 's1', 'w1')).toEqual(refused);
+    expect(await manager.joinGame(open.gameId, 'p2', 's2', 'w2')).toEqual(refused);
+    expect(await manager.createPracticeGame('p2', 's2', 'w2')).toEqual(refused);
+
+    const game = manager.getGame(gameId);
+    expect(game.gameStatus).toBe('playing');
+    expect([game.player1.id, game.player2.id].sort()).toEqual(['p1', 'p2']);
+    expect(manager.getPlayerGame('p1').gameId).toBe(gameId);
+    expect(manager.getPlayerGame('p2').gameId).toBe(gameId);
+  });
+
+  test('a new search cancels the game the player is still waiting in', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const waiting = await manager.createGame('public', 100, 'points', 'p1', 's1', 'w1', null, { roundsToWin: 5 });
+
+    expect(await manager.findRandomMatch('p1', 's1', 100, 'points', 'w1', {})).toMatchObject({ success: true, inQueue: true });
+    expect(manager.getGame(waiting.gameId).gameStatus).toBe('finished');
+  });
+
+  test('timed out searches lose their placeholder', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const { gameId } = await manager.findRandomMatch('p1', 's1', 100, 'points', 'w1', {});
+
+    expect(manager.expireMatchmaking(Date.now() + 5 * 60 * 1000).map(e => e.playerId)).toEqual(['p1']);
+    expect(manager.getGame(gameId)).toBeNull();
+    expect(manager.getQueueStatus('p1')).toBeNull();
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Metrics Tests
+ * The Prometheus text format, game lifecycle counters, matchmaking and settlement metrics, and scraping GET /metrics
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const express = require('express');
+const { MetricsRegistry, registry, metrics } = require('../src/utils/metrics');
+const { router: metricsRoutes } = require('../src/routes/metricsRoutes');
+const GameManager = require('../src/game/gameManager');
+const Matchmaker = require('../src/game/matchmaker');
+const SettlementQueue = require('../src/services/settlementQueue');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const databaseService = require('../src/services/databaseService');
+const { connection } = require('../src/services/programClient');
+const { PLATFORM_WALLET } = require('../src/config/platformWallet');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(databaseService, 'hasEnoughPoints').mockResolvedValue(true);
+  jest.spyOn(databaseService, 'saveSettlementJob').mockResolvedValue(null);
+  registry.resetAll();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.METRICS_TOKEN;
+});
+
+/**
+ * Serve the metrics route on a random port for one request
+ * @param {object} headers - Request headers
+ * @returns {Promise<object>} - { status, contentType, body }
+ */
+async function scrape(headers = {}) {
+  const app = express();
+  app.use('/metrics', metricsRoutes);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/metrics`, { headers });
+    return { status: response.status, contentType: response.headers.get('content-type'), body: await response.text() };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+describe('MetricsRegistry', () => {
+  test('renders counters, gauges and cumulative histogram buckets', async () => {
+    const local = new MetricsRegistry();
+    const counter = local.counter({ name: 'jobs_total', help: 'Jobs run', labelNames: ['queue'] });
+    const gauge = local.gauge({ name: 'queue_depth', help: 'Waiting jobs' });
+    const histogram = local.histogram({ name: 'job_seconds', help: 'Job time', labelNames: ['queue'], buckets: [1, 5] });
+
+    counter.inc({ queue: 'say "hi"\n' });
+    counter.inc({ queue: 'say "hi"\n' }, 2);
+    gauge.set({}, 4);
+    gauge.dec();
+    [0.5, 3, 10].forEach(seconds => histogram.observe({ queue: 'a' }, seconds));
+
+    expect(await local.render()).toBe([
+      '# HELP jobs_total Jobs run',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="say \\"hi\\"\\n"} 3',
+      '',
+      '# HELP queue_depth Waiting jobs',
+      '# TYPE queue_depth gauge',
+      'queue_depth 3',
+      '',
+      '# HELP job_seconds Job time',
+      '# TYPE job_seconds histogram',
+      'job_seconds_bucket{queue="a",le="1"} 1',
+      'job_seconds_bucket{queue="a",le="5"} 2',
+      'job_seconds_bucket{queue="a",le="+Inf"} 3',
+      'job_seconds_sum{queue="a"} 13.5',
+      'job_seconds_count{queue="a"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  test('rejects unknown labels, decreasing counters and duplicate names', () => {
+    const local = new MetricsRegistry();
+    const counter = local.counter({ name: 'jobs_total', help: 'Jobs run', labelNames: ['queue'] });
+
+    expect(() => counter.inc({ step: 'x' })).toThrow('Unknown label step for metric jobs_total');
+    expect(() => counter.inc({}, -1)).toThrow('Counter jobs_total cannot decrease');
+    expect(() => local.gauge({ name: 'jobs_total', help: 'again' })).toThrow('Metric jobs_total is already registered');
+  });
+});
+
+describe('game metrics', () => {
+  test('count each game once per status, whichever path moved it', async () => {
+    const store = new MemoryStateStore();
+    const manager = new GameManager(store);
+    const { gameId } = await manager.createGame('public', 100, 'points', 'alice', 'socket-a', 'wallet-a');
+    await manager.joinGame(gameId, 'bob', 'socket-b', 'wallet-b');
+    manager.saveGame(gameId);
+    const { gameId: cancelled } = await manager.createGame('public', 0.1, 'sol', 'carol', 'socket-c', 'wallet-c');
+    manager.cancelUnfundedGame(cancelled, { reason: 'Deposit timeout' });
+
+    const labels = { currency: 'points', game_type: 'public' };
+    expect(metrics.gamesCreated.get(labels)).toBe(1);
+    expect(metrics.gamesStarted.get(labels)).toBe(1);
+    expect(metrics.gamesCreated.get({ currency: 'sol', game_type: 'public' })).toBe(1);
+    expect(metrics.gamesFinished.get({ currency: 'sol', game_type: 'public', outcome: 'cancelled' })).toBe(1);
+
+    manager.removePlayer('alice');
+    expect(metrics.gamesFinished.get({ ...labels, outcome: 'decided' })).toBe(1);
+
+    // A restart picks games up where they are instead of counting them again
+    new GameManager(store);
+    expect(metrics.gamesCreated.get(labels)).toBe(1);
+  });
+
+  test('practice games are labelled as such', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    await manager.createPracticeGame('alice', 'socket-a', 'wallet-a');
+
+    expect(metrics.gamesCreated.get({ currency: 'points', game_type: 'practice' })).toBe(1);
+    expect(metrics.gamesStarted.get({ currency: 'points', game_type: 'practice' })).toBe(1);
+  });
+});
+
+describe('matchmaking and settlement metrics', () => {
+  test('track queue length, waits and timeouts', () => {
+    const matchmaker = new Matchmaker(new MemoryStateStore(), { timeoutMs: 60000 });
+    const base = { stakeAmount: 100, currency: 'points', roundsToWin: 3, drawLimit: 10, ruleSet: 'classic', rating: 1200 };
+    matchmaker.enqueue({ ...base, playerId: 'a', gameId: 'g-a', queuedAt: 0 });
+    matchmaker.enqueue({ ...base, playerId: 'b', gameId: 'g-b', queuedAt: 0, currency: 'sol', stakeAmount: 0.1 });
+    expect(metrics.queueLength.get({ currency: 'points' })).toBe(1);
+    expect(metrics.queueLength.get({ currency: 'sol' })).toBe(1);
+
+    matchmaker.claimOpponent({ ...base, playerId: 'c' }, 12000);
+    expect(metrics.queueWait.get({ currency: 'points' })).toMatchObject({ count: 1, sum: 12 });
+    expect(metrics.queueLength.get({ currency: 'points' })).toBe(0);
+
+    matchmaker.expire(60000);
+    expect(metrics.queueTimeouts.get({ currency: 'sol' })).toBe(1);
+    expect(metrics.queueLength.get({ currency: 'sol' })).toBe(0);
+  });
+
+  test('count settlement attempts and outcomes per step', async () => {
+    const steps = {
+      set_winner: jest.fn().mockResolvedValue({ signature: 'sig' }),
+      finalize_game: jest.fn().mockRejectedValueOnce(new Error('RPC down')).mockResolvedValue({ signature: 'sig' }),
+      close_game: jest.fn().mockResolvedValue({ skipped: true })
+    };
+    const queue = new SettlementQueue(new MemoryStateStore(), { steps });
+    queue.enqueue({ gameId: 'game1', winnerWallet: 'winner', loserWallet: 'loser', stakeAmount: 0.1 });
+
+    await queue.processJob('game1');
+    await queue.processJob('game1');
+
+    expect(metrics.settlementAttempts.get({ step: 'set_winner' })).toBe(1);
+    expect(metrics.settlementAttempts.get({ step: 'finalize_game' })).toBe(2);
+    expect(metrics.settlementResults.get({ step: 'finalize_game', result: 'failure' })).toBe(1);
+    expect(metrics.settlementResults.get({ step: 'finalize_game', result: 'success' })).toBe(1);
+    expect(metrics.settlementResults.get({ step: 'close_game', result: 'skipped' })).toBe(1);
+  });
+});
+
+describe('RPC metrics', () => {
+  test('time every request of the shared connection by method', async () => {
+    jest.spyOn(global, 'fetch').mockImplementation(async (url, init) => {
+      const { id } = JSON.parse(init.body);
+      return new Response(JSON.stringify({ jsonrpc: '2.0', id, result: { context: { slot: 1 }, value: 5000000000 } }));
+    });
+
+    await connection.getBalance(PLATFORM_WALLET);
+
+    expect(metrics.rpcDuration.get({ method: 'getBalance', outcome: 'ok' }).count).toBe(1);
+  });
+});
+
+describe('GET /metrics', () => {
+  test('serves every metric in the Prometheus text format', async () => {
+    metrics.gamesCreated.inc({ currency: 'sol', game_type: 'public' });
+
+    const { status, contentType, body } = await scrape();
+
+    expect(status).toBe(200);
+    expect(contentType).toMatch(/^text\/plain/);
+    expect(contentType).toContain('version=0.0.4');
+    expect(body).toContain('# TYPE rps_games_created_total counter');
+    expect(body).toContain('rps_games_created_total{currency="sol",game_type="public"} 1');
+    expect(body).toContain('# TYPE rps_rpc_request_duration_seconds histogram');
+    expect(body).toMatch(/^rps_process_uptime_seconds \d/m);
+  });
+
+  test('requires the metrics token when one is configured', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    expect((await scrape()).status).toBe(401);
+    expect((await scrape({ authorization: 'Bearer wrong-secret' })).status).toBe(401);
+    expect((await scrape({ authorization: 'Bearer scrape-secret' })).status).toBe(200);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Payouts Tests
+ * Fee tiers and lamport-exact pot splits
+ */
+
+const {
+  solToLamports,
+  lamportsToSol,
+  getSolFeeBps,
+  calculateSolPayout,
+  summarizePayout
+} = require('../src/game/payouts');
+
+describe('solToLamports', () => {
+  test('converts decimal SOL amounts exactly', () => {
+    expect(solToLamports(0.1)).toBe(100000000n);
+    expect(solToLamports(0.3)).toBe(300000000n);
+    expect(solToLamports(0.007)).toBe(7000000n);
+    expect(solToLamports('1.5')).toBe(1500000000n);
+    expect(solToLamports(250n)).toBe(250n);
+  });
+
+  test('rejects amounts that are not SOL', () => {
+    expect(() => solToLamports(-1)).toThrow('Invalid SOL amount');
+    expect(() => solToLamports('abc')).toThrow('Invalid SOL amount');
+  });
+
+  test('round-trips through lamportsToSol', () => {
+    expect(lamportsToSol(solToLamports(0.123456789))).toBe(0.123456789);
+    expect(lamportsToSol(1n)).toBe(0.000000001);
+  });
+});
+
+describe('calculateSolPayout', () => {
+  test('picks the fee tier by per-player stake, inclusive at the boundaries', () => {
+    expect(getSolFeeBps(solToLamports(0.01))).toBe(500n);
+    expect(getSolFeeBps(solToLamports(0.01) + 1n)).toBe(300n);
+    expect(getSolFeeBps(solToLamports(0.05))).toBe(300n);
+    expect(getSolFeeBps(solToLamports(0.05) + 1n)).toBe(200n);
+    expect(getSolFeeBps(solToLamports(10))).toBe(200n);
+  });
+
+  test('splits a 0.1 SOL game', () => {
+    expect(calculateSolPayout(solToLamports(0.1), { hasReferrer: true })).toEqual({
+      stakeLamports: 100000000n,
+      potLamports: 200000000n,
+      feeBps: 200n,
+      platformFeeLamports: 4000000n,
+      platformShareLamports: 2000000n,
+      referralShareLamports: 2000000n,
+      winnerPayoutLamports: 196000000n
+    });
+  });
+
+  test('the split always sums exactly to the pot', () => {
+    const stakes = [1n, 3n, 7n, 333n, 9999999n, 10000000n, 10000001n, 33333333n, 50000000n, 50000001n, 123456789n, 1000000007n];
+    for (let stake = 1n; stake < 5000n; stake += 37n) {
+      stakes.push(stake);
+    }
+
+    for (const stakeLamports of stakes) {
+      for (const hasReferrer of [false, true]) {
+        const payout = calculateSolPayout(stakeLamports, { hasReferrer });
+
+        expect(payout.winnerPayoutLamports + payout.platformShareLamports + payout.referralShareLamports).toBe(stakeLamports * 2n);
+        expect(payout.platformFeeLamports).toBe(payout.platformShareLamports + payout.referralShareLamports);
+        expect(payout.platformShareLamports >= 0n).toBe(true);
+      }
+    }
+  });
+});
+
+describe('summarizePayout', () => {
+  test('reports SOL figures from the lamport split', () => {
+    expect(summarizePayout(0.01, 'sol')).toEqual({
+      stakeAmount: 0.01,
+      totalPot: 0.02,
+      platformFee: 0.001,
+      referralShare: 0,
+      winnerPayout: 0.019
+    });
+    // Float math gives 0.13720000000000002 here
+    expect(summarizePayout(0.07, 'sol').winnerPayout).toBe(0.1372);
+  });
+
+  test('points games have no fee', () => {
+    expect(summarizePayout(100, 'points')).toEqual({
+      stakeAmount: 100,
+      totalPot: 200,
+      platformFee: 0,
+      referralShare: 0,
+      winnerPayout: 200
+    });
+  });
+});
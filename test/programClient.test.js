@@ -0,0 +1,165 @@
+/**
+ * Program Client Tests
+ * Pinned PDAs for known IDs, instruction builders and account decoding matching the IDL
+ */
+
+const anchor = require('@coral-xyz/anchor');
+const { Keypair, PublicKey, SystemProgram } = require('@solana/web3.js');
+const programClient = require('../src/services/programClient');
+
+const { PROGRAM_ID, normalizeGameId, findGamePDA, findUserProfilePDA, getInstructionDiscriminator, instructions } = programClient;
+const accountsCoder = new anchor.BorshAccountsCoder(programClient.IDL);
+
+const GAME_UUID = '4f6c1d2e-8a3b-4c5d-9e7f-0a1b2c3d4e5f';
+const GAME_PDA = '6hWxnQ8trPkWmJgLiH8DQzGw8VVjZrPo3cfU16UaFG4M';
+const WALLET = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const WALLET_PROFILE_PDA = '9RtyHMpDB7b8vVqtYMpXjvYNn4u87iwNp171Fhw59TYC';
+
+describe('programClient', () => {
+  test('uses the deployed program and bundled IDL', () => {
+    expect(PROGRAM_ID.toBase58()).toBe('GstXQkBpu26KABj6YZ3pYKJhQphoQ72YL1zL38NC6D9U');
+    expect(programClient.IDL.address).toBe(PROGRAM_ID.toBase58());
+    expect(programClient.IDL.instructions.map(ix => ix.name)).toContain('cancel_game');
+  });
+
+  test('normalizes backend game IDs into on-chain game_id form', () => {
+    expect(normalizeGameId(GAME_UUID)).toBe('4f6c1d2e8a3b4c5d9e7f0a1b2c3d4e5f');
+    expect(normalizeGameId('practice1')).toBe('practice1');
+    expect(normalizeGameId('x'.repeat(40))).toHaveLength(programClient.MAX_GAME_ID_LENGTH);
+  });
+
+  test('derives pinned game PDAs for known IDs', () => {
+    expect(findGamePDA(GAME_UUID).toBase58()).toBe(GAME_PDA);
+    // The normalized form and the UUID map to the same account
+    expect(findGamePDA('4f6c1d2e8a3b4c5d9e7f0a1b2c3d4e5f').toBase58()).toBe(GAME_PDA);
+    expect(findGamePDA('practice1').toBase58()).toBe('5jJ92kE8qVNZRms7yPfG9fmEjSJ4FhwkZPJxrY5Kp4RT');
+  });
+
+  test('derives pinned user profile PDAs from strings or public keys', () => {
+    expect(findUserProfilePDA(WALLET).toBase58()).toBe(WALLET_PROFILE_PDA);
+    expect(findUserProfilePDA(new PublicKey(WALLET)).toBase58()).toBe(WALLET_PROFILE_PDA);
+  });
+
+  test('cancel_game builder targets the game PDA with the creator as signer', async () => {
+    const instruction = await instructions.cancelGame({ gameId: GAME_UUID, user: WALLET });
+
+    expect(instruction.programId.equals(PROGRAM_ID)).toBe(true);
+    expect(instruction.data.subarray(0, 8).equals(getInstructionDiscriminator('cancel_game'))).toBe(true);
+    expect(instruction.keys.map(key => key.pubkey.toBase58())).toEqual([GAME_PDA, WALLET, SystemProgram.programId.toBase58()]);
+    expect(instruction.keys[1].isSigner).toBe(true);
+  });
+
+  test('instruction data carries the normalized game_id', async () => {
+    const instruction = await instructions.setWinner({
+      gameId: GAME_UUID,
+      authority: Keypair.generate().publicKey,
+      winner: WALLET
+    });
+
+    const idLength = instruction.data.readUInt32LE(8);
+    expect(instruction.data.subarray(12, 12 + idLength).toString('utf8')).toBe(normalizeGameId(GAME_UUID));
+    expect(instruction.data.subarray(12 + idLength).equals(new PublicKey(WALLET).toBuffer())).toBe(true);
+  });
+
+  test('finalize_game builder derives both player profiles', async () => {
+    const player2 = Keypair.generate().publicKey;
+    const instruction = await instructions.finalizeGame({
+      gameId: GAME_UUID,
+      player1: WALLET,
+      player2,
+      platformWallet: WALLET,
+      referrer: WALLET,
+      referrerProfile: WALLET_PROFILE_PDA
+    });
+
+    expect(instruction.data.subarray(0, 8).equals(getInstructionDiscriminator('finalize_game'))).toBe(true);
+    expect(instruction.keys[0].pubkey.toBase58()).toBe(GAME_PDA);
+    expect(instruction.keys[1].pubkey.toBase58()).toBe(WALLET_PROFILE_PDA);
+    expect(instruction.keys[2].pubkey.equals(findUserProfilePDA(player2))).toBe(true);
+  });
+
+  test('rejects moves the program does not know', () => {
+    expect(() => instructions.revealMove({ gameId: 'g1', user: WALLET, move: 'lizard', nonce: 1 })).toThrow('Invalid move: lizard');
+  });
+});
+
+describe('account decoding', () => {
+  test('decodes a Game account into typed fields', async () => {
+    const player1 = Keypair.generate().publicKey;
+    const player2 = Keypair.generate().publicKey;
+    const data = await accountsCoder.encode('Game', {
+      game_id: 'abc',
+      player1,
+      player2,
+      game_status: { Finished: {} },
+      stake_amount: new anchor.BN('100000000'),
+      currency_type: { Sol: {} },
+      rounds_to_win: 3,
+      current_round: 4,
+      player1_rounds_won: 3,
+      player2_rounds_won: 1,
+      player1_move_commitment: Array(32).fill(7),
+      player2_move_commitment: null,
+      winner: player1,
+      created_at: new anchor.BN(1700000000)
+    });
+
+    const game = programClient.decodeGameAccount(data);
+
+    expect(game).toMatchObject({
+      gameId: 'abc',
+      status: programClient.GAME_STATUS.FINISHED,
+      stakeLamports: 100000000n,
+      currency: 'sol',
+      roundsToWin: 3,
+      currentRound: 4,
+      player1RoundsWon: 3,
+      player2RoundsWon: 1,
+      player2MoveCommitment: null,
+      createdAt: 1700000000
+    });
+    expect(game.player1.equals(player1)).toBe(true);
+    expect(game.player2.equals(player2)).toBe(true);
+    expect(game.winner.equals(player1)).toBe(true);
+    expect(game.player1MoveCommitment.equals(Buffer.alloc(32, 7))).toBe(true);
+  });
+
+  test('decodes a UserProfile account including its referrer', async () => {
+    const referrer = Keypair.generate().publicKey;
+    const data = await accountsCoder.encode('UserProfile', {
+      points_balance: new anchor.BN(500),
+      wins: 2,
+      losses: 1,
+      total_games: 3,
+      total_points_earned: new anchor.BN(200),
+      referral_code: [1, 2, 3, 4, 5, 6, 7, 8],
+      referred_by: referrer,
+      referral_count: 0,
+      referral_earnings: new anchor.BN(0),
+      created_at: new anchor.BN(1700000000)
+    });
+
+    const profile = programClient.decodeUserProfileAccount(data);
+
+    expect(profile).toMatchObject({ pointsBalance: 500n, wins: 2, losses: 1, totalGames: 3, referralCount: 0, referralEarnings: 0n });
+    expect(profile.referralCode).toEqual(Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]));
+    expect(profile.referredBy.equals(referrer)).toBe(true);
+  });
+
+  test('refuses to decode an account of another type', async () => {
+    const data = await accountsCoder.encode('UserProfile', {
+      points_balance: new anchor.BN(0),
+      wins: 0,
+      losses: 0,
+      total_games: 0,
+      total_points_earned: new anchor.BN(0),
+      referral_code: Array(8).fill(0),
+      referred_by: null,
+      referral_count: 0,
+      referral_earnings: new anchor.BN(0),
+      created_at: new anchor.BN(0)
+    });
+
+    expect(() => programClient.decodeGameAccount(data)).toThrow();
+  });
+});
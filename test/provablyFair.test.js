@@ -0,0 +1,118 @@
+/**
+ * Provably Fair Tests
+ * Server seed commitment, derived timeout moves and their verification
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const crypto = require('crypto');
+const {
+  hashServerSeed,
+  createServerSeed,
+  deriveAutoMove,
+  verifyAutoMoves,
+  revealFairness
+} = require('../src/game/provablyFair');
+const { createGameState, addPlayer, assignTimeoutMove, setClientSeed } = require('../src/game/gameLogic');
+const { projectGameState } = require('../src/game/gameProjection');
+const { getRuleSet } = require('../src/game/ruleSets');
+
+const SEED = 'a'.repeat(64);
+const CLIENT_SEEDS = { player1: 'alice', player2: 'bob' };
+
+function startGame(ruleSet) {
+  const gameState = createGameState('fair-game', 'public', 0.1, 'sol', { ruleSet });
+  addPlayer(gameState, 'p1', 's1');
+  addPlayer(gameState, 'p2', 's2');
+  return gameState;
+}
+
+describe('server seed', () => {
+  test('every game commits to its own seed', () => {
+    const { serverSeed, serverSeedHash } = createServerSeed();
+    const gameState = createGameState('g1');
+
+    expect(serverSeed).toMatch(/^[0-9a-f]{64}$/);
+    expect(serverSeedHash).toBe(crypto.createHash('sha256').update(serverSeed).digest('hex'));
+    expect(gameState.serverSeedHash).toBe(hashServerSeed(gameState.serverSeed));
+    expect(createGameState('g2').serverSeed).not.toBe(gameState.serverSeed);
+  });
+
+  test('the seed stays hidden until the game is finished', () => {
+    const gameState = startGame();
+
+    expect(projectGameState(gameState, 'p1')).toMatchObject({ serverSeedHash: gameState.serverSeedHash, serverSeed: null });
+    expect(projectGameState(gameState, 'p1').player2.clientSeed).toBe('p2');
+
+    gameState.gameStatus = 'finished';
+    expect(projectGameState(gameState, null).serverSeed).toBe(gameState.serverSeed);
+  });
+});
+
+describe('deriveAutoMove', () => {
+  test('is deterministic and depends on every input', () => {
+    const params = { serverSeed: SEED, clientSeeds: CLIENT_SEEDS, round: 1, position: 'player1', ruleSet: 'classic' };
+    const moves = new Set();
+
+    for (let round = 1; round <= 30; round++) {
+      const move = deriveAutoMove({ ...params, round });
+      expect(deriveAutoMove({ ...params, round })).toBe(move);
+      moves.add(move);
+    }
+
+    expect(moves).toEqual(new Set(getRuleSet('classic').moves));
+    expect(getRuleSet('rpsls').moves).toContain(deriveAutoMove({ ...params, ruleSet: 'rpsls' }));
+  });
+
+  test('matches the documented HMAC derivation', () => {
+    const digest = crypto.createHmac('sha256', SEED).update('alice:bob:3:player2:0').digest();
+    const expected = getRuleSet('rpsls').moves[digest.readUInt32BE(0) % 5];
+
+    expect(deriveAutoMove({ serverSeed: SEED, clientSeeds: CLIENT_SEEDS, round: 3, position: 'player2', ruleSet: 'rpsls' })).toBe(expected);
+  });
+});
+
+describe('timeout moves in a game', () => {
+  test('are recorded and verify against the revealed seed', () => {
+    const gameState = startGame('rpsls');
+    setClientSeed(gameState, 'p1', 'lucky');
+
+    const move1 = assignTimeoutMove(gameState, 'player1');
+    const move2 = assignTimeoutMove(gameState, 'player2');
+
+    expect(gameState.player1.currentMove).toBe(move1);
+    expect(gameState.autoMoves).toEqual([
+      { round: 1, position: 'player1', move: move1 },
+      { round: 1, position: 'player2', move: move2 }
+    ]);
+
+    const fairness = revealFairness(gameState);
+    expect(fairness).toMatchObject({ clientSeeds: { player1: 'lucky', player2: 'p2' }, ruleSet: 'rpsls' });
+    expect(verifyAutoMoves(fairness)).toMatchObject({ valid: true, seedMatchesHash: true });
+  });
+
+  test('client seeds lock after the first timeout move', () => {
+    const gameState = startGame();
+
+    expect(() => setClientSeed(gameState, 'p1', 'a:b')).toThrow('without');
+    expect(() => setClientSeed(gameState, 'p3', 'seed')).toThrow('Player not in game');
+
+    assignTimeoutMove(gameState, 'player2');
+    expect(() => setClientSeed(gameState, 'p1', 'late')).toThrow('Client seed is locked after the first timeout move');
+  });
+
+  test('verification catches a swapped seed or move', () => {
+    const gameState = startGame();
+    const move = assignTimeoutMove(gameState, 'player1');
+    const fairness = revealFairness(gameState);
+    const otherMove = getRuleSet('classic').moves.find(other => other !== move);
+
+    expect(verifyAutoMoves({ ...fairness, serverSeed: SEED })).toMatchObject({ valid: false, seedMatchesHash: false });
+    expect(verifyAutoMoves({ ...fairness, autoMoves: [{ round: 1, position: 'player1', move: otherMove }] })).toMatchObject({
+      valid: false,
+      autoMoves: [{ expectedMove: move, valid: false }]
+    });
+    expect(() => verifyAutoMoves({ ...fairness, clientSeeds: undefined })).toThrow('Client seeds for both players are required');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Rating Tests
+ * Elo updates, the widening rating window and rating-aware matchmaking
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const { rateGame, getRatingWindow, pickClosestOpponent } = require('../src/game/rating');
+const GameManager = require('../src/game/gameManager');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const databaseService = require('../src/services/databaseService');
+
+const RATINGS = { w1200: 1200, w1250: 1250, w1600: 1600 };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(databaseService, 'hasEnoughPoints').mockResolvedValue(true);
+  jest.spyOn(databaseService, 'getPlayerRating').mockImplementation(async wallet => ({ rating: RATINGS[wallet], ratedGames: 50 }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rateGame', () => {
+  test('moves equal ratings by half the K-factor', () => {
+    expect(rateGame({ rating: 1200, ratedGames: 0 }, { rating: 1200, ratedGames: 0 })).toEqual({
+      winner: { rating: 1220, ratedGames: 1, delta: 20 },
+      loser: { rating: 1180, ratedGames: 1, delta: -20 }
+    });
+    expect(rateGame({ rating: 1500, ratedGames: 40 }, { rating: 1500, ratedGames: 40 }).winner.delta).toBe(10);
+  });
+
+  test('an upset is worth more than beating a weaker player', () => {
+    const upset = rateGame({ rating: 1200, ratedGames: 50 }, { rating: 1600, ratedGames: 50 });
+    const expected = rateGame({ rating: 1600, ratedGames: 50 }, { rating: 1200, ratedGames: 50 });
+
+    expect(upset.winner.delta).toBe(18);
+    expect(expected.winner.delta).toBe(2);
+    expect(rateGame({}, {}).winner.rating).toBe(1220);
+  });
+});
+
+describe('rating window', () => {
+  test('widens with time in the queue', () => {
+    expect(getRatingWindow(0)).toBe(100);
+    expect(getRatingWindow(9999)).toBe(100);
+    expect(getRatingWindow(60000)).toBe(400);
+  });
+
+  test('picks the closest rating inside the window', () => {
+    const now = 1000000;
+    const candidates = [
+      { id: 'far', rating: 1500, waitingSince: now },
+      { id: 'near', rating: 1260, waitingSince: now },
+      { id: 'nearest', rating: 1190, waitingSince: now }
+    ];
+
+    expect(pickClosestOpponent(candidates, 1200, now, now).id).toBe('nearest');
+    expect(pickClosestOpponent([candidates[0]], 1200, now, now)).toBeNull();
+    expect(pickClosestOpponent([{ ...candidates[0], waitingSince: now - 40000 }], 1200, now, now).id).toBe('far');
+    expect(pickClosestOpponent([candidates[0]], 1200, now - 40000, now).id).toBe('far');
+  });
+
+  test('unrated games accept anyone but rated opponents come first', () => {
+    const now = 1000000;
+    const unrated = { id: 'open', rating: null, waitingSince: now - 60000 };
+
+    expect(pickClosestOpponent([unrated], 2000, now, now).id).toBe('open');
+    expect(pickClosestOpponent([unrated, { id: 'rated', rating: 1950, waitingSince: now }], 2000, now, now).id).toBe('rated');
+  });
+});
+
+describe('GameManager rating-aware matchmaking', () => {
+  test('pairs close ratings and keeps distant ones waiting', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+
+    const low = await manager.findRandomMatch('p1', 's1', 100, 'points', 'w1200', {});
+    const high = await manager.findRandomMatch('p2', 's2', 100, 'points', 'w1600', {});
+    const close = await manager.findRandomMatch('p3', 's3', 100, 'points', 'w1250', {});
+
+    expect(high).toMatchObject({ inQueue: true });
+    expect(high.gameId).not.toBe(low.gameId);
+    expect(close).toMatchObject({ gameId: low.gameId, gameStarted: true });
+    expect(manager.matchmaker.list().map(entry => entry.playerId)).toEqual(['p2']);
+    expect(manager.matchmaker.list()[0].rating).toBe(1600);
+  });
+
+  test('the queue sweep pairs players once their windows overlap', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+    const low = await manager.findRandomMatch('p1', 's1', 100, 'points', 'w1200', {});
+    const high = await manager.findRandomMatch('p2', 's2', 100, 'points', 'w1600', {});
+
+    expect(await manager.matchQueuedPlayers()).toEqual([]);
+
+    now.mockReturnValue(start + 60000);
+    const [match] = await manager.matchQueuedPlayers();
+
+    expect(match).toMatchObject({ gameId: high.gameId, playerId: 'p1', previousGameId: low.gameId, gameStarted: true });
+    expect(manager.getGame(low.gameId)).toBeNull();
+    expect(manager.getPlayerGame('p1').gameId).toBe(high.gameId);
+    expect(manager.matchmaker.list()).toEqual([]);
+  });
+});
+
+describe('GameManager rating updates', () => {
+  test('completed and abandoned games update both ratings', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const updateRatings = jest.spyOn(databaseService, 'updateRatings').mockResolvedValue({ success: true });
+    jest.spyOn(databaseService, 'processPointsGame').mockResolvedValue({ success: true });
+    jest.spyOn(databaseService, 'processPointsGameAbandonment').mockResolvedValue({ success: true });
+    jest.spyOn(manager.referralService, 'processReferralCommission').mockResolvedValue(null);
+
+    const { gameId } = await manager.createGame('private', 100, 'points', 'p1', 's1', 'w1200');
+    const { gameState } = await manager.joinGame(gameId, 'p2', 's2', 'w1600');
+
+    await manager.processGameCompletion(gameId, gameState, { gameWinner: 'player2' });
+    expect(updateRatings).toHaveBeenCalledWith('w1600', 'w1200', gameId);
+
+    const abandoned = await manager.createGame('private', 100, 'points', 'p3', 's3', 'w1200');
+    const { gameState: abandonedState } = await manager.joinGame(abandoned.gameId, 'p4', 's4', 'w1600');
+    await manager.processGameAbandonmentCompletion(abandoned.gameId, abandonedState, { winner: 'player1', quittingPlayer: 'player2', reason: 'opponent_quit' });
+    expect(updateRatings).toHaveBeenLastCalledWith('w1200', 'w1600', abandoned.gameId);
+
+    // A game is settled once, however it ended
+    await manager.processGameAbandonmentCompletion(gameId, gameState, { winner: 'player1', quittingPlayer: 'player2', reason: 'opponent_quit' });
+    expect(updateRatings).toHaveBeenCalledTimes(2);
+  });
+});
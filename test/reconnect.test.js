@@ -0,0 +1,130 @@
+/**
+ * Reconnection Tests
+ * Disconnected seats, grace periods per currency and resuming with a resume token
+ */
+
+const { useGameTestHooks, startedGame } = require('./helpers');
+const GameManager = require('../src/game/gameManager');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const { projectGameState } = require('../src/game/gameProjection');
+const databaseService = require('../src/services/databaseService');
+const { RECONNECT_GRACE_SECONDS } = require('../src/utils/constants');
+
+const NOW = 1_000_000;
+
+useGameTestHooks();
+
+describe('reconnection', () => {
+  test('gives each seat a resume token only its owner sees', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameState = manager.getGame(await startedGame(manager));
+    const { resumeToken } = gameState.player1;
+
+    expect(resumeToken).toMatch(/^[0-9a-f]{48}$/);
+    expect(resumeToken).not.toBe(gameState.player2.resumeToken);
+    expect(projectGameState(gameState, 'alice').player1.resumeToken).toBe(resumeToken);
+    expect(JSON.stringify(projectGameState(gameState, 'bob'))).not.toContain(resumeToken);
+    expect(JSON.stringify(projectGameState(gameState, null))).not.toContain(resumeToken);
+  });
+
+  test('only the socket holding the seat can drop it', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameId = await startedGame(manager);
+
+    expect(manager.markDisconnected('alice', 'old-socket')).toBeNull();
+    expect(manager.markDisconnected('alice', 'socket-alice')).toMatchObject({ gameId });
+    expect(manager.getGame(gameId).player1.socketId).toBeNull();
+    expect(projectGameState(manager.getGame(gameId), 'bob').player1.connected).toBe(false);
+  });
+
+  test('grace periods depend on the currency and end in a forfeit only if nobody came back', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const points = await startedGame(manager);
+    const sol = await startedGame(manager, 0.1, 'sol', ['carol', 'dave']);
+
+    manager.markDisconnected('alice', 'socket-alice');
+    expect(manager.startReconnectGrace(points, 'alice', NOW)).toBe(NOW + RECONNECT_GRACE_SECONDS.points * 1000);
+    expect(manager.startReconnectGrace(points, 'bob', NOW)).toBeNull(); // still connected
+
+    manager.markDisconnected('dave', 'socket-dave');
+    expect(manager.startReconnectGrace(sol, 'dave', NOW)).toBe(NOW + RECONNECT_GRACE_SECONDS.sol * 1000);
+
+    const deadline = NOW + RECONNECT_GRACE_SECONDS.points * 1000;
+    expect(manager.isReconnectExpired(points, 'alice', deadline - 1)).toBe(false);
+    expect(manager.isReconnectExpired(points, 'alice', deadline)).toBe(true);
+
+    manager.reconnectPlayer(points, 'alice', 'socket-a2');
+    expect(manager.isReconnectExpired(points, 'alice', deadline)).toBe(false);
+    expect(manager.getGame(points).player1).toMatchObject({ socketId: 'socket-a2', reconnectDeadline: null });
+  });
+
+  test('resumes the seat matching the token and keeps moves made so far', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameId = await startedGame(manager);
+    const gameState = manager.getGame(gameId);
+    gameState.player2.moveCommitment = 'c'.repeat(64);
+    manager.markDisconnected('bob', 'socket-bob');
+    manager.playerGames.delete('bob');
+
+    expect(manager.resumePlayer(gameId, 'not-a-token', 'socket-x')).toEqual({ success: false, error: 'Invalid resume token' });
+    expect(manager.resumePlayer('missing', gameState.player2.resumeToken, 'socket-x')).toEqual({ success: false, error: 'Game not found' });
+    expect(manager.resumePlayer(gameId, gameState.player2.resumeToken, 'socket-x', 'alice')).toEqual({
+      success: false,
+      error: 'Resume token belongs to another player'
+    });
+
+    expect(manager.resumePlayer(gameId, gameState.player2.resumeToken, 'socket-b2')).toMatchObject({
+      success: true,
+      playerId: 'bob',
+      position: 'player2'
+    });
+    expect(gameState.player2).toMatchObject({ socketId: 'socket-b2', moveCommitment: 'c'.repeat(64) });
+    expect(manager.getPlayerGame('bob').gameId).toBe(gameId);
+
+    gameState.gameStatus = 'finished';
+    expect(manager.resumePlayer(gameId, gameState.player2.resumeToken, 'socket-b3')).toEqual({
+      success: false,
+      error: 'Game is already finished'
+    });
+  });
+
+  test('a restart drops running grace periods', async () => {
+    const store = new MemoryStateStore();
+    const manager = new GameManager(store);
+    const gameId = await startedGame(manager);
+    manager.markDisconnected('alice', 'socket-alice');
+    manager.startReconnectGrace(gameId, 'alice', NOW);
+
+    const restored = new GameManager(store).getGame(gameId);
+    expect(restored.player1.reconnectDeadline).toBeNull();
+    expect(restored.player1.resumeToken).toBe(manager.getGame(gameId).player1.resumeToken);
+  });
+});
+
+describe('abandonment', () => {
+  test('a forfeited SOL game pays the player who stayed, once, even across a restart', async () => {
+    jest.spyOn(databaseService, 'updateRatings').mockResolvedValue(null);
+    jest.spyOn(databaseService, 'saveSettlementJob').mockResolvedValue(null);
+    const history = jest.spyOn(databaseService, 'recordGameHistory').mockResolvedValue(null);
+    const store = new MemoryStateStore();
+    const manager = new GameManager(store);
+    jest.spyOn(manager.settlementQueue, 'processJob').mockResolvedValue(null);
+    const gameId = await startedGame(manager, 0.1, 'sol');
+    const gameState = manager.getGame(gameId);
+    Object.assign(gameState, { gameStatus: 'finished', winner: 'bob' });
+
+    await manager.processGameAbandonmentCompletion(gameId, gameState, { winner: 'player2', quittingPlayer: 'player1', reason: 'opponent_quit' });
+    expect(manager.removePlayer('alice')).toMatchObject({ success: true, gameId });
+
+    expect(gameState).toMatchObject({ completionProcessed: true, settlementStatus: 'pending', player1: { id: 'alice', wallet: 'wallet-alice' } });
+    expect(manager.settlementQueue.getJob(gameId)).toMatchObject({ winnerWallet: 'wallet-bob', loserWallet: 'wallet-alice', stakeAmount: 0.1 });
+    expect(manager.getPlayerGame('alice')).toBeNull();
+
+    const restarted = new GameManager(store);
+    const completion = jest.spyOn(restarted, 'processGameCompletion');
+    expect(await restarted.resumeUnsettledGames()).toBe(1);
+    expect(completion).not.toHaveBeenCalled();
+    expect(history).toHaveBeenCalledTimes(1);
+    expect(databaseService.updateRatings).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Refund Queue Tests
+ * cancel_game refunds for SOL games cancelled before start
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const { Keypair, Transaction, SystemProgram } = require('@solana/web3.js');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const RefundQueue = require('../src/services/refundQueue');
+const GameManager = require('../src/game/gameManager');
+const databaseService = require('../src/services/databaseService');
+const autoFinalizationService = require('../src/services/autoFinalizationService');
+
+const refund = { gameId: 'game1', playerId: 'wallet1', playerWallet: 'wallet1', stakeAmount: 0.1 };
+
+function createChain(states = ['escrowed']) {
+  const getEscrowState = jest.fn();
+  states.forEach(state => getEscrowState.mockResolvedValueOnce({ state }));
+  getEscrowState.mockResolvedValue({ state: states[states.length - 1] });
+
+  return {
+    getEscrowState,
+    buildCancelGameTransaction: jest.fn().mockResolvedValue('unsigned-tx'),
+    sendCancelGameTransaction: jest.fn().mockResolvedValue('sig-cancel')
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(databaseService, 'recordGameHistory').mockResolvedValue(null);
+  jest.spyOn(databaseService, 'saveSettlementJob').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('RefundQueue', () => {
+  test('asks the creator to sign cancel_game while the stake is escrowed', async () => {
+    const chain = createChain(['escrowed']);
+    const queue = new RefundQueue(new MemoryStateStore(), { chain });
+    const signatureRequired = jest.fn();
+    queue.on('signature_required', signatureRequired);
+
+    queue.enqueue(refund);
+    const job = await queue.processJob('game1');
+
+    expect(job.status).toBe('awaiting_signature');
+    expect(chain.buildCancelGameTransaction).toHaveBeenCalledWith('game1', 'wallet1');
+    expect(signatureRequired).toHaveBeenCalledWith(job, 'unsigned-tx');
+    expect(job.nextAttemptAt).toBeGreaterThan(Date.now());
+  });
+
+  test('relays the signed transaction and completes once the escrow is released', async () => {
+    const chain = createChain(['escrowed', 'released']);
+    const queue = new RefundQueue(new MemoryStateStore(), { chain });
+    const completed = jest.fn();
+    queue.on('completed', completed);
+
+    queue.enqueue(refund);
+    await queue.processJob('game1');
+    const result = await queue.submitSignedTransaction('game1', 'wallet1', 'signed-tx');
+
+    expect(result.success).toBe(true);
+    expect(result.job).toMatchObject({ status: 'completed', signature: 'sig-cancel' });
+    expect(completed).toHaveBeenCalledTimes(1);
+    expect(databaseService.recordGameHistory).toHaveBeenCalledWith(expect.objectContaining({
+      gameId: 'game1',
+      player1Wallet: 'wallet1',
+      currency: 'sol',
+      status: 'refunded'
+    }));
+  });
+
+  test('only the refunded wallet can submit the transaction', async () => {
+    const queue = new RefundQueue(new MemoryStateStore(), { chain: createChain() });
+    queue.enqueue(refund);
+
+    expect(await queue.submitSignedTransaction('game1', 'someone-else', 'signed-tx')).toEqual({ success: false, error: 'Refund not found' });
+  });
+
+  test('a rejected submission does not use up an attempt', async () => {
+    const chain = createChain();
+    const invalid = new Error('Transaction is not a cancel_game refund for this game');
+    invalid.permanent = true;
+    chain.sendCancelGameTransaction.mockRejectedValueOnce(invalid);
+    const queue = new RefundQueue(new MemoryStateStore(), { chain });
+
+    queue.enqueue(refund);
+    await queue.processJob('game1');
+    const result = await queue.submitSignedTransaction('game1', 'wallet1', 'bogus');
+
+    expect(result).toEqual({ success: false, error: invalid.message });
+    expect(queue.getJob('game1')).toMatchObject({ status: 'awaiting_signature', attempts: 1 });
+  });
+
+  test('a failed broadcast is retried and reported to the player', async () => {
+    const chain = createChain();
+    chain.sendCancelGameTransaction.mockRejectedValueOnce(new Error('Blockhash not found'));
+    const queue = new RefundQueue(new MemoryStateStore(), { chain });
+    const failed = jest.fn();
+    queue.on('failed', failed);
+
+    queue.enqueue(refund);
+    await queue.processJob('game1');
+    const result = await queue.submitSignedTransaction('game1', 'wallet1', 'signed-tx');
+
+    expect(result.success).toBe(false);
+    expect(result.job).toMatchObject({ status: 'pending', lastError: 'Blockhash not found' });
+    expect(failed).toHaveBeenCalledWith(result.job, { retrying: true });
+  });
+
+  test('a game that already started on-chain is dead-lettered and recorded', async () => {
+    const queue = new RefundQueue(new MemoryStateStore(), { chain: createChain(['started']) });
+    const failed = jest.fn();
+    queue.on('failed', failed);
+
+    queue.enqueue(refund);
+    const job = await queue.processJob('game1');
+
+    expect(job.status).toBe('dead_letter');
+    expect(failed).toHaveBeenCalledWith(job, { retrying: false });
+    expect(databaseService.recordGameHistory).toHaveBeenCalledWith(expect.objectContaining({ status: 'refund_failed' }));
+  });
+
+  test('unsigned refunds are dead-lettered after the last attempt', async () => {
+    const queue = new RefundQueue(new MemoryStateStore(), { chain: createChain(['escrowed']), maxAttempts: 2 });
+
+    queue.enqueue(refund);
+    await queue.processJob('game1');
+    await queue.processDueJobs(Infinity);
+
+    expect(queue.getJob('game1')).toMatchObject({ status: 'dead_letter', lastError: 'Player did not sign the refund transaction' });
+  });
+});
+
+describe('sendCancelGameTransaction', () => {
+  test('refuses to relay anything but this game\'s cancel_game', async () => {
+    const player = Keypair.generate();
+    const transaction = new Transaction({ feePayer: player.publicKey, recentBlockhash: Keypair.generate().publicKey.toBase58() })
+      .add(SystemProgram.transfer({ fromPubkey: player.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 }));
+    transaction.sign(player);
+
+    await expect(autoFinalizationService.sendCancelGameTransaction(
+      'game1',
+      player.publicKey.toBase58(),
+      transaction.serialize().toString('base64')
+    )).rejects.toMatchObject({ permanent: true });
+  });
+});
+
+describe('GameManager SOL cancellation', () => {
+  test('creator leaving a waiting SOL game queues a refund of their stake', async () => {
+    const refundQueue = new RefundQueue(new MemoryStateStore(), { chain: createChain(['escrowed']) });
+    const manager = new GameManager(new MemoryStateStore(), undefined, refundQueue);
+    const { gameId } = await manager.createGame('private', 0.1, 'sol', 'player1', 'socket1', 'wallet1');
+
+    const result = manager.removePlayer('player1');
+
+    expect(result.refund).toMatchObject({ gameId, playerId: 'player1', playerWallet: 'wallet1', stakeAmount: 0.1 });
+    expect(refundQueue.getJob(gameId)).not.toBeNull();
+  });
+
+  test('points games and started games do not queue on-chain refunds', async () => {
+    jest.spyOn(databaseService, 'hasEnoughPoints').mockResolvedValue(true);
+    jest.spyOn(databaseService, 'refundPoints').mockResolvedValue({ success: true });
+    const refundQueue = new RefundQueue(new MemoryStateStore(), { chain: createChain() });
+    const manager = new GameManager(new MemoryStateStore(), undefined, refundQueue);
+
+    await manager.createGame('private', 100, 'points', 'player1', 'socket1', 'wallet1');
+    expect(manager.removePlayer('player1').refund).toBeNull();
+
+    const { gameId } = await manager.createGame('private', 0.1, 'sol', 'player3', 'socket3', 'wallet3');
+    await manager.joinGame(gameId, 'player4', 'socket4', 'wallet4');
+    manager.getGame(gameId).gameStatus = 'playing';
+    expect(manager.removePlayer('player3').refund).toBeNull();
+    expect(refundQueue.listJobs()).toHaveLength(0);
+  });
+});
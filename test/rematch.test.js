@@ -0,0 +1,125 @@
+/**
+ * Rematch Tests
+ * Requesting, accepting, declining and expiring rematches of finished games
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const GameManager = require('../src/game/gameManager');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const databaseService = require('../src/services/databaseService');
+const { REMATCH_TIMEOUT_SECONDS } = require('../src/utils/constants');
+
+const SOCKETS = { alice: 'socket-a', bob: 'socket-b' };
+const NOW = 1_000_000;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(databaseService, 'hasEnoughPoints').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+async function finishedGame(manager, stakeAmount = 100, currency = 'points', format = {}) {
+  const { gameId } = await manager.createGame('private', stakeAmount, currency, 'alice', SOCKETS.alice, 'wallet-a', null, format);
+  await manager.joinGame(gameId, 'bob', SOCKETS.bob, 'wallet-b');
+  const gameState = manager.getGame(gameId);
+  gameState.gameStatus = 'finished';
+  gameState.winner = 'alice';
+  return gameId;
+}
+
+describe('rematch', () => {
+  test('starts a new game with the same terms and swapped positions', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameId = await finishedGame(manager, 0.5, 'sol', { roundsToWin: 5, drawLimit: 2, ruleSet: 'rpsls' });
+
+    expect(manager.requestRematch(gameId, 'alice', NOW)).toMatchObject({
+      success: true,
+      rematch: { requestedBy: 'alice', status: 'pending', expiresAt: NOW + REMATCH_TIMEOUT_SECONDS * 1000 }
+    });
+    expect(manager.requestRematch(gameId, 'bob', NOW)).toEqual({ success: false, error: 'A rematch has already been requested' });
+    expect(await manager.acceptRematch(gameId, 'alice', SOCKETS, NOW)).toEqual({
+      success: false,
+      error: 'You cannot accept your own rematch request'
+    });
+
+    const result = await manager.acceptRematch(gameId, 'bob', SOCKETS, NOW);
+    expect(result).toMatchObject({ success: true, previousGameId: gameId });
+    expect(result.gameState).toMatchObject({
+      gameType: 'private',
+      currency: 'sol',
+      stakeAmount: 0.5,
+      roundsToWin: 5,
+      drawLimit: 2,
+      ruleSet: 'rpsls',
+      gameStatus: 'playing',
+      player1: { id: 'bob', wallet: 'wallet-b', socketId: SOCKETS.bob },
+      player2: { id: 'alice', wallet: 'wallet-a', socketId: SOCKETS.alice }
+    });
+    expect(manager.getGame(gameId).rematch).toMatchObject({ status: 'accepted', gameId: result.gameId });
+
+    expect(await manager.acceptRematch(gameId, 'bob', SOCKETS, NOW)).toEqual({ success: false, error: 'No rematch to accept' });
+    expect(manager.requestRematch(gameId, 'alice', NOW)).toEqual({ success: false, error: 'Rematch already started' });
+  });
+
+  test('declines, expires and can be asked again afterwards', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameId = await finishedGame(manager);
+
+    manager.requestRematch(gameId, 'alice', NOW);
+    expect(manager.declineRematch(gameId, 'bob')).toMatchObject({ success: true });
+    expect(manager.declineRematch(gameId, 'bob')).toEqual({ success: false, error: 'No rematch to decline' });
+
+    manager.requestRematch(gameId, 'bob', NOW);
+    const expiresAt = NOW + REMATCH_TIMEOUT_SECONDS * 1000;
+    expect(manager.expireRematch(gameId, expiresAt - 1)).toBeNull();
+    expect(await manager.acceptRematch(gameId, 'alice', SOCKETS, expiresAt)).toEqual({ success: false, error: 'Rematch request expired' });
+    expect(manager.getGame(gameId).rematch.status).toBe('expired');
+
+    expect(manager.requestRematch(gameId, 'alice', expiresAt)).toMatchObject({ success: true });
+  });
+
+  test('only finished games between two players can be rematched', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameId = await finishedGame(manager);
+    const { gameId: live } = await manager.createGame('private', 100, 'points', 'carol', 'socket-c', 'wallet-c');
+
+    expect(manager.requestRematch(gameId, 'carol')).toEqual({ success: false, error: 'Not a player in this game' });
+    expect(manager.requestRematch(live, 'carol')).toEqual({ success: false, error: 'Game is not finished' });
+
+    manager.getGame(gameId).practice = true;
+    expect(manager.requestRematch(gameId, 'alice')).toEqual({ success: false, error: 'Practice games cannot be rematched' });
+    manager.getGame(gameId).practice = false;
+    manager.getGame(gameId).tournament = { tournamentId: 't', matchId: '1-1', players: ['alice', 'bob'] };
+    expect(manager.requestRematch(gameId, 'alice')).toEqual({ success: false, error: 'Tournament games cannot be rematched' });
+  });
+
+  test('needs both players free and able to pay', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameId = await finishedGame(manager);
+
+    manager.requestRematch(gameId, 'alice', NOW);
+    expect(await manager.acceptRematch(gameId, 'bob', { bob: SOCKETS.bob }, NOW)).toEqual({
+      success: false,
+      error: 'Both players must be connected'
+    });
+
+    // alice (the new player2) can't afford the stake: the half-made game is thrown away
+    databaseService.hasEnoughPoints.mockImplementation(async wallet => wallet !== 'wallet-a');
+    const gamesBefore = manager.games.size;
+    expect(await manager.acceptRematch(gameId, 'bob', SOCKETS, NOW)).toMatchObject({ success: false, error: expect.stringContaining('Insufficient points') });
+    expect(manager.games.size).toBe(gamesBefore);
+    expect(manager.getGame(gameId).rematch.status).toBe('failed');
+
+    databaseService.hasEnoughPoints.mockResolvedValue(true);
+    manager.requestRematch(gameId, 'alice', NOW);
+    await manager.createGame('public', 100, 'points', 'alice', SOCKETS.alice, 'wallet-a');
+    await manager.joinGame(manager.getPlayerGame('alice').gameId, 'carol', 'socket-c', 'wallet-c');
+    expect(await manager.acceptRematch(gameId, 'bob', SOCKETS, NOW)).toEqual({ success: false, error: 'A player is already in another game' });
+  });
+});
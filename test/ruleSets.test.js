@@ -0,0 +1,120 @@
+/**
+ * Rule Set Tests
+ * Variant registry, round resolution per variant and variant-aware games
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const { registerRuleSet, getRuleSet, resolveRound, getRandomMove, listRuleSets } = require('../src/game/ruleSets');
+const { computeCommitment, verifyCommitment } = require('../src/game/commitReveal');
+const { createGameState, addPlayer, processMove, processCommit, processReveal } = require('../src/game/gameLogic');
+const GameManager = require('../src/game/gameManager');
+const { MemoryStateStore } = require('../src/services/stateStore');
+
+// RPS-7: each move beats the next three around the circle
+const RPS7_MOVES = ['rock', 'fire', 'scissors', 'sponge', 'paper', 'air', 'water'];
+const RPS7_BEATS = Object.fromEntries(RPS7_MOVES.map((move, i) => [move, [1, 2, 3].map(step => RPS7_MOVES[(i + step) % 7])]));
+
+function startGame(ruleSet) {
+  const gameState = createGameState('variant-game', 'private', 100, 'points', { ruleSet });
+  addPlayer(gameState, 'p1', 's1');
+  addPlayer(gameState, 'p2', 's2');
+  return gameState;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rule set registry', () => {
+  test('ships classic and rpsls', () => {
+    expect(listRuleSets().map(ruleSet => ruleSet.name)).toEqual(expect.arrayContaining(['classic', 'rpsls']));
+    expect(getRuleSet().name).toBe('classic');
+    expect(getRuleSet('classic').moves).toEqual(['rock', 'paper', 'scissors']);
+    expect(() => getRuleSet('chess')).toThrow('Unknown rule set: chess');
+  });
+
+  test('every pair of rpsls moves has exactly one winner', () => {
+    const { moves } = getRuleSet('rpsls');
+    for (const a of moves) {
+      for (const b of moves) {
+        const forward = resolveRound('rpsls', a, b);
+        const backward = resolveRound('rpsls', b, a);
+        if (a === b) {
+          expect(forward).toBe('draw');
+        } else {
+          expect([forward, backward].sort()).toEqual(['player1', 'player2']);
+        }
+      }
+    }
+
+    expect(resolveRound('rpsls', 'spock', 'scissors')).toBe('player1');
+    expect(resolveRound('rpsls', 'lizard', 'spock')).toBe('player1');
+    expect(resolveRound('rpsls', 'rock', 'spock')).toBe('player2');
+    expect(() => resolveRound('classic', 'rock', 'lizard')).toThrow('Invalid move provided');
+  });
+
+  test('registers a data-defined tournament graph', () => {
+    registerRuleSet({ name: 'rps7', moves: RPS7_MOVES, beats: RPS7_BEATS });
+
+    expect(resolveRound('rps7', 'water', 'rock')).toBe('player1');
+    expect(resolveRound('rps7', 'rock', 'paper')).toBe('player2');
+    expect(RPS7_MOVES).toContain(getRandomMove('rps7'));
+  });
+
+  test('rejects graphs that leave a pair undecided or contradictory', () => {
+    expect(() => registerRuleSet({ name: 'broken', moves: ['a', 'b', 'c'], beats: { a: ['b'], b: ['c'] } }))
+      .toThrow('exactly one winner between a and c');
+    expect(() => registerRuleSet({ name: 'broken', moves: ['a', 'b', 'c'], beats: { a: ['b', 'c'], b: ['a', 'c'] } }))
+      .toThrow('exactly one winner between a and b');
+    expect(() => registerRuleSet({ name: 'broken', moves: ['a', 'b', 'c'], beats: { a: ['d'] } }))
+      .toThrow('invalid beats entry');
+  });
+});
+
+describe('games played with a variant', () => {
+  test('moves are validated against the game variant', () => {
+    expect(() => processMove(startGame('classic'), 'p1', 'lizard')).toThrow('Invalid move: lizard');
+
+    const gameState = startGame('rpsls');
+    processMove(gameState, 'p1', 'lizard');
+    const { roundResult } = processMove(gameState, 'p2', 'spock');
+
+    expect(roundResult.roundWinner).toBe('player1');
+    expect(gameState.moveHistory[0]).toMatchObject({ player1Move: 'lizard', player2Move: 'spock' });
+  });
+
+  test('commitments use the move index of the game variant', () => {
+    const gameState = startGame('rpsls');
+    const nonce = '42';
+
+    expect(computeCommitment('rock', nonce, 'rpsls')).toBe(computeCommitment('rock', nonce));
+    expect(verifyCommitment(computeCommitment('spock', nonce, 'rpsls'), 'spock', nonce, 'classic')).toBe(false);
+
+    processCommit(gameState, 'p1', computeCommitment('spock', nonce, 'rpsls'));
+    processCommit(gameState, 'p2', computeCommitment('paper', nonce, 'rpsls'));
+    processReveal(gameState, 'p1', 'spock', nonce);
+    const { roundResult } = processReveal(gameState, 'p2', 'paper', nonce);
+
+    expect(roundResult.roundWinner).toBe('player2');
+  });
+
+  test('matchmaking only pairs players on the same variant', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+
+    const classic = await manager.findRandomMatch('p1', 's1', 100, 'points', null, {});
+    const rpsls = await manager.findRandomMatch('p2', 's2', 100, 'points', null, { ruleSet: 'rpsls' });
+    const second = await manager.findRandomMatch('p3', 's3', 100, 'points', null, { ruleSet: 'rpsls' });
+    const unknown = await manager.findRandomMatch('p4', 's4', 100, 'points', null, { ruleSet: 'chess' });
+
+    expect(rpsls.gameId).not.toBe(classic.gameId);
+    expect(second).toMatchObject({ gameId: rpsls.gameId, gameStarted: true });
+    expect(second.gameState.ruleSet).toBe('rpsls');
+    expect(unknown).toEqual({ success: false, error: 'Unknown rule set: chess' });
+  });
+});
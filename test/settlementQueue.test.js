@@ -0,0 +1,201 @@
+/**
+ * Settlement Queue Tests
+ * Per-step progress, backoff, dead-lettering and resuming after a restart,
+ * and the on-chain checks made before any payout instruction
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const { Keypair } = require('@solana/web3.js');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const SettlementQueue = require('../src/services/settlementQueue');
+const databaseService = require('../src/services/databaseService');
+const autoFinalizationService = require('../src/services/autoFinalizationService');
+
+const settlement = { gameId: 'game1', winnerWallet: 'winner', loserWallet: 'loser', stakeAmount: 0.1 };
+
+function createSteps(overrides = {}) {
+  return {
+    set_winner: jest.fn().mockResolvedValue({ skipped: false, signature: 'sig-set-winner' }),
+    finalize_game: jest.fn().mockResolvedValue({ skipped: false, signature: 'sig-finalize' }),
+    close_game: jest.fn().mockResolvedValue({ skipped: true }),
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(databaseService, 'saveSettlementJob').mockResolvedValue(null);
+});
+
+afterEach(async () => {
+  // Let queued mirror writes reach the mocked database before the mocks go away
+  await new Promise(resolve => setImmediate(resolve));
+  jest.restoreAllMocks();
+});
+
+describe('SettlementQueue', () => {
+  test('runs every step in order and records signatures', async () => {
+    const steps = createSteps();
+    const queue = new SettlementQueue(new MemoryStateStore(), { steps });
+    const settled = jest.fn();
+    queue.on('settled', settled);
+
+    queue.enqueue(settlement);
+    const job = await queue.processJob('game1');
+
+    expect(job.status).toBe('settled');
+    expect(job.steps.set_winner).toMatchObject({ status: 'done', signature: 'sig-set-winner' });
+    expect(job.steps.finalize_game).toMatchObject({ status: 'done', signature: 'sig-finalize' });
+    expect(job.steps.close_game.status).toBe('skipped');
+    expect(settled).toHaveBeenCalledWith(job);
+    expect(databaseService.saveSettlementJob).toHaveBeenCalled();
+  });
+
+  test('mirrors each job to the database in the order it was saved', async () => {
+    const written = [];
+    let releaseFirst;
+    databaseService.saveSettlementJob.mockImplementation(job => {
+      written.push(job.status);
+      return written.length === 1 ? new Promise(resolve => { releaseFirst = resolve; }) : Promise.resolve(null);
+    });
+    const queue = new SettlementQueue(new MemoryStateStore(), { steps: createSteps() });
+
+    queue.enqueue(settlement);
+    await queue.processJob('game1');
+    expect(written).toEqual(['pending']);
+
+    releaseFirst(null);
+    await queue.mirrorWrites.get('game1');
+    expect(written).toEqual(['pending', 'processing', 'processing', 'processing', 'processing', 'settled']);
+    expect(queue.mirrorWrites.size).toBe(0);
+  });
+
+  test('enqueueing the same game twice keeps one job', () => {
+    const queue = new SettlementQueue(new MemoryStateStore(), { steps: createSteps() });
+
+    const first = queue.enqueue(settlement);
+    const second = queue.enqueue({ ...settlement, winnerWallet: 'someone-else' });
+
+    expect(second).toBe(first);
+    expect(queue.listJobs()).toHaveLength(1);
+  });
+
+  test('a failed step backs off and the retry resumes at that step', async () => {
+    const steps = createSteps({
+      finalize_game: jest.fn()
+        .mockRejectedValueOnce(new Error('RPC timeout'))
+        .mockResolvedValue({ skipped: false, signature: 'sig-finalize' })
+    });
+    const queue = new SettlementQueue(new MemoryStateStore(), { steps, baseDelayMs: 1000 });
+
+    queue.enqueue(settlement);
+    const failed = await queue.processJob('game1');
+
+    expect(failed.status).toBe('pending');
+    expect(failed.lastError).toBe('finalize_game: RPC timeout');
+    expect(failed.steps.set_winner.status).toBe('done');
+    expect(failed.nextAttemptAt).toBeGreaterThan(Date.now());
+
+    // Not due yet
+    expect(await queue.processDueJobs()).toBe(0);
+
+    expect(await queue.processDueJobs(failed.nextAttemptAt)).toBe(1);
+    expect(queue.getJob('game1').status).toBe('settled');
+    expect(steps.set_winner).toHaveBeenCalledTimes(1);
+    expect(steps.finalize_game).toHaveBeenCalledTimes(2);
+  });
+
+  test('backoff doubles per attempt up to the cap', () => {
+    const queue = new SettlementQueue(new MemoryStateStore(), { baseDelayMs: 1000, maxDelayMs: 5000 });
+
+    expect([1, 2, 3, 4].map(attempts => queue.getBackoffDelay(attempts))).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  test('jobs are dead-lettered after the last attempt and can be retried manually', async () => {
+    const steps = createSteps({ set_winner: jest.fn().mockRejectedValue(new Error('insufficient balance')) });
+    const queue = new SettlementQueue(new MemoryStateStore(), { steps, maxAttempts: 2 });
+    const deadLetter = jest.fn();
+    queue.on('dead_letter', deadLetter);
+
+    queue.enqueue(settlement);
+    await queue.processJob('game1');
+    const job = await queue.processDueJobs(Infinity).then(() => queue.getJob('game1'));
+
+    expect(job.status).toBe('dead_letter');
+    expect(job.attempts).toBe(2);
+    expect(deadLetter).toHaveBeenCalledTimes(1);
+
+    // Dead-lettered jobs are left alone until someone re-queues them
+    expect(await queue.processDueJobs(Infinity)).toBe(0);
+    expect(queue.retryJob('game1').success).toBe(true);
+    expect(queue.getJob('game1')).toMatchObject({ status: 'pending', attempts: 0 });
+  });
+
+  test('permanent errors skip the remaining attempts', async () => {
+    const mismatch = new Error('On-chain winner does not match');
+    mismatch.permanent = true;
+    const queue = new SettlementQueue(new MemoryStateStore(), {
+      steps: createSteps({ set_winner: jest.fn().mockRejectedValue(mismatch) })
+    });
+
+    queue.enqueue(settlement);
+    const job = await queue.processJob('game1');
+
+    expect(job.status).toBe('dead_letter');
+    expect(job.attempts).toBe(1);
+  });
+
+  test('a job interrupted mid-step is picked up again after a restart', async () => {
+    const store = new MemoryStateStore();
+    const queue = new SettlementQueue(store, { steps: createSteps() });
+    const job = queue.enqueue(settlement);
+    job.status = 'processing';
+    job.steps.set_winner.status = 'done';
+    queue.save(job);
+
+    const steps = createSteps();
+    const restarted = new SettlementQueue(store, { steps });
+    expect(restarted.getJob('game1').status).toBe('pending');
+
+    await restarted.processDueJobs();
+    expect(restarted.getJob('game1').status).toBe('settled');
+    expect(steps.set_winner).not.toHaveBeenCalled();
+  });
+});
+
+describe('verifyGameForPayout', () => {
+  const player1 = Keypair.generate().publicKey;
+  const player2 = Keypair.generate().publicKey;
+  const job = { gameId: 'game1', winnerWallet: player1.toBase58(), loserWallet: player2.toBase58(), stakeAmount: 0.1 };
+
+  function onChainGame(overrides = {}) {
+    return { player1, player2, status: 'InProgress', stakeLamports: 100000000n, currency: 'sol', winner: null, ...overrides };
+  }
+
+  test('accepts a started game that matches the backend', () => {
+    expect(() => autoFinalizationService.verifyGameForPayout(onChainGame(), job)).not.toThrow();
+    expect(() => autoFinalizationService.verifyGameForPayout(onChainGame({ status: 'Finished', winner: player1 }), job)).not.toThrow();
+  });
+
+  test.each([
+    ['a game nobody joined', { status: 'WaitingForPlayer', player2: null }, /WaitingForPlayer/],
+    ['an abandoned game', { status: 'Abandoned' }, /Abandoned/],
+    ['a different stake', { stakeLamports: 200000000n }, /stake 200000000 lamports/],
+    ['different players', { player2: Keypair.generate().publicKey }, /do not match backend players/],
+    ['a points game', { currency: 'points' }, /points game/],
+    ['another winner', { winner: player2 }, /does not match backend winner/]
+  ])('rejects %s as a permanent error', (label, overrides, message) => {
+    let error;
+    try {
+      autoFinalizationService.verifyGameForPayout(onChainGame(overrides), job);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).toMatch(message);
+    expect(error.permanent).toBe(true);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Spectator Tests
+ * Who can watch a game, spectator counts and the live games list
+ */
+
+const { useGameTestHooks, startedGame } = require('./helpers');
+const GameManager = require('../src/game/gameManager');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const { projectForSpectator } = require('../src/game/gameProjection');
+
+useGameTestHooks();
+
+describe('spectators', () => {
+  test('counts spectators in the game payload', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameId = await startedGame(manager);
+
+    expect(manager.addSpectator(gameId, 'watcher1')).toMatchObject({ success: true });
+    expect(manager.addSpectator(gameId, 'watcher2', 'someone')).toMatchObject({ success: true });
+    expect(manager.addSpectator(gameId, 'watcher2')).toMatchObject({ success: true });
+    expect(projectForSpectator(manager.getGame(gameId)).spectatorCount).toBe(2);
+
+    expect(manager.removeSpectator(gameId, 'watcher1')).toBe(true);
+    expect(manager.removeSpectator(gameId, 'watcher1')).toBe(false);
+    expect(manager.removeSpectatorSocket('watcher2')).toEqual([gameId]);
+    expect(manager.getGame(gameId).spectatorCount).toBe(0);
+  });
+
+  test('keeps players and private games out', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const gameId = await startedGame(manager);
+    const privateId = await startedGame(manager, 100, 'points', ['carol', 'dave'], 'private');
+
+    expect(manager.addSpectator(gameId, 'socket', 'alice')).toEqual({
+      success: false,
+      error: 'Players cannot spectate their own game'
+    });
+    expect(manager.addSpectator(privateId, 'socket')).toEqual({ success: false, error: 'Private games cannot be watched' });
+    expect(manager.addSpectator('missing', 'socket')).toEqual({ success: false, error: 'Game not found' });
+
+    manager.getGame(gameId).gameStatus = 'finished';
+    expect(manager.addSpectator(gameId, 'socket')).toEqual({ success: false, error: 'Game is already finished' });
+  });
+
+  test('lists watchable games with the biggest stakes first', async () => {
+    const manager = new GameManager(new MemoryStateStore());
+    const points = await startedGame(manager, 100, 'points', ['a1', 'a2']);
+    const small = await startedGame(manager, 0.1, 'sol', ['b1', 'b2']);
+    const big = await startedGame(manager, 0.5, 'sol', ['c1', 'c2']);
+    await startedGame(manager, 100, 'points', ['d1', 'd2'], 'private');
+    await manager.createGame('public', 1, 'sol', 'waiting', 'socket-waiting', 'wallet-waiting');
+
+    const ids = options => manager.listWatchableGames(options).map(gameState => gameState.gameId);
+    expect(ids()).toEqual([big, small, points]);
+    expect(ids({ currency: 'sol', minStake: 0.2 })).toEqual([big]);
+    expect(ids({ currency: 'points' })).toEqual([points]);
+    expect(ids({ limit: 1 })).toEqual([big]);
+  });
+
+  test('does not restore spectators after a restart', async () => {
+    const store = new MemoryStateStore();
+    const manager = new GameManager(store);
+    const gameId = await startedGame(manager);
+    manager.addSpectator(gameId, 'watcher');
+
+    const restored = new GameManager(store);
+    expect(restored.getGame(gameId).spectatorCount).toBe(0);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * State Store Tests
+ * Journal replay, torn writes and GameManager recovery after a restart
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStateStore, PersistentMap } = require('../src/services/stateStore');
+const GameManager = require('../src/game/gameManager');
+const databaseService = require('../src/services/databaseService');
+const autoFinalizationService = require('../src/services/autoFinalizationService');
+const { createCommitment } = require('../src/game/commitReveal');
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rps-state-'));
+  filePath = path.join(dir, 'state.jsonl');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(databaseService, 'hasEnoughPoints').mockResolvedValue(true);
+  jest.spyOn(databaseService, 'saveSettlementJob').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('FileStateStore', () => {
+  test('replays sets and deletes from the journal', () => {
+    const store = new FileStateStore(filePath);
+    store.set('games', 'a', { round: 1 });
+    store.set('games', 'b', { round: 2 });
+    store.set('games', 'a', { round: 3 });
+    store.delete('games', 'b');
+
+    const reopened = new FileStateStore(filePath);
+    expect(reopened.entries('games')).toEqual([['a', { round: 3 }]]);
+  });
+
+  test('ignores a torn last line from a crash', () => {
+    const store = new FileStateStore(filePath);
+    store.set('games', 'a', { round: 1 });
+    fs.appendFileSync(filePath, '{"op":"set","ns":"games","key":"b","val');
+
+    const reopened = new FileStateStore(filePath);
+    expect(reopened.entries('games')).toEqual([['a', { round: 1 }]]);
+  });
+
+  test('compacts the journal to one line per live key', () => {
+    const store = new FileStateStore(filePath, { compactEvery: 5 });
+    for (let round = 1; round <= 5; round++) {
+      store.set('games', 'a', { round });
+    }
+
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(1);
+    expect(new FileStateStore(filePath).get('games', 'a')).toEqual({ round: 5 });
+  });
+
+  test('PersistentMap writes through to the store', () => {
+    const store = new FileStateStore(filePath);
+    const map = new PersistentMap(store, 'playerGames');
+    map.set('player1', 'game1');
+    map.set('player2', 'game1');
+    map.delete('player2');
+
+    const restored = new PersistentMap(new FileStateStore(filePath), 'playerGames');
+    expect(Array.from(restored.entries())).toEqual([['player1', 'game1']]);
+  });
+});
+
+describe('GameManager recovery', () => {
+  test('restores a game mid-round with socket IDs cleared', async () => {
+    const manager = new GameManager(new FileStateStore(filePath));
+    const { gameId } = await manager.createGame('private', 100, 'points', 'player1', 'socket1', 'wallet1');
+    await manager.joinGame(gameId, 'player2', 'socket2', 'wallet2');
+    manager.commitMove('player1', createCommitment('rock').commitment, gameId);
+
+    const restored = new GameManager(new FileStateStore(filePath));
+    const gameState = restored.getGame(gameId);
+
+    expect(gameState.gameStatus).toBe('playing');
+    expect(gameState.player1.moveCommitment).not.toBeNull();
+    expect(gameState.player1.socketId).toBeNull();
+    expect(restored.getPlayerGame('player2').gameId).toBe(gameId);
+  });
+
+  test('a recorded game is not recorded again after a restart', async () => {
+    const processPointsGame = jest.spyOn(databaseService, 'processPointsGame').mockResolvedValue({ success: true });
+    jest.spyOn(databaseService, 'updateRatings').mockResolvedValue({ success: true });
+
+    const manager = new GameManager(new FileStateStore(filePath));
+    jest.spyOn(manager.referralService, 'processReferralCommission').mockResolvedValue(null);
+    const { gameId } = await manager.createGame('private', 100, 'points', 'player1', 'socket1', 'wallet1');
+    const { gameState } = await manager.joinGame(gameId, 'player2', 'socket2', 'wallet2');
+    await manager.processGameCompletion(gameId, gameState, { gameWinner: 'player1' });
+
+    const restored = new GameManager(new FileStateStore(filePath));
+    const restoredState = restored.getGame(gameId);
+    expect(restoredState.completionProcessed).toBe(true);
+    await restored.processGameCompletion(gameId, restoredState, { gameWinner: 'player1' });
+    expect(processPointsGame).toHaveBeenCalledTimes(1);
+  });
+
+  test('re-queues settlement for finished SOL games that were never paid out', async () => {
+    const setWinner = jest.spyOn(autoFinalizationService, 'setWinnerStep').mockResolvedValue({ skipped: true });
+    jest.spyOn(autoFinalizationService, 'finalizeGameStep').mockResolvedValue({ skipped: false, signature: 'sig' });
+    jest.spyOn(autoFinalizationService, 'closeGameStep').mockResolvedValue({ skipped: false, signature: 'sig' });
+
+    const manager = new GameManager(new FileStateStore(filePath));
+    const { gameId } = await manager.createGame('private', 0.1, 'sol', 'player1', 'socket1', 'wallet1');
+    await manager.joinGame(gameId, 'player2', 'socket2', 'wallet2');
+    const gameState = manager.getGame(gameId);
+    Object.assign(gameState, { gameStatus: 'finished', winner: 'player2', completionProcessed: true, settlementStatus: 'pending' });
+    manager.saveGame(gameId);
+
+    const restored = new GameManager(new FileStateStore(filePath));
+    expect(await restored.resumeUnsettledGames()).toBe(1);
+    expect(restored.settlementQueue.getJob(gameId)).toMatchObject({ winnerWallet: 'wallet2', loserWallet: 'wallet1', stakeAmount: 0.1 });
+
+    await restored.settlementQueue.processDueJobs();
+    expect(setWinner).toHaveBeenCalledWith(expect.objectContaining({ gameId, winnerWallet: 'wallet2' }));
+    expect(new GameManager(new FileStateStore(filePath)).getGame(gameId).settlementStatus).toBe('settled');
+  });
+});
@@ -6,6 +6,7 @@
 require('dotenv').config();
 const databaseService = require('../src/services/databaseService');
 const GameManager = require('../src/game/gameManager');
+const { createCommitment } = require('../src/game/commitReveal');
 
 // Test wallet addresses (simulating real users)
 const WALLET_1 = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
@@ -93,14 +94,28 @@ async function runCompleteBackendTest() {
       roundCount++;
       console.log(`\n  Round ${roundCount}:`);
       
+      // Both players commit, then reveal
+      const commit1 = createCommitment(moveSet.p1);
+      const commit2 = createCommitment(moveSet.p2);
+      
+      const commit1Result = gameManager.commitMove('player1', commit1.commitment);
+      if (!commit1Result.success) {
+        throw new Error(`Player 1 commit failed: ${commit1Result.error}`);
+      }
+      
+      const commit2Result = gameManager.commitMove('player2', commit2.commitment);
+      if (!commit2Result.success) {
+        throw new Error(`Player 2 commit failed: ${commit2Result.error}`);
+      }
+      
       // Player 1 move
-      const move1Result = gameManager.submitMove('player1', moveSet.p1);
+      const move1Result = gameManager.revealMove('player1', moveSet.p1, commit1.nonce);
       if (!move1Result.success) {
         throw new Error(`Player 1 move failed: ${move1Result.error}`);
       }
       
       // Player 2 move
-      const move2Result = gameManager.submitMove('player2', moveSet.p2);
+      const move2Result = gameManager.revealMove('player2', moveSet.p2, commit2.nonce);
       if (!move2Result.success) {
         throw new Error(`Player 2 move failed: ${move2Result.error}`);
       }
@@ -115,6 +130,8 @@ async function runCompleteBackendTest() {
           break;
         }
       }
+      
+      gameManager.advanceRound(gameId);
     }
     
     // === TEST 5: Verify Database Updates ===
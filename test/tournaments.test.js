@@ -0,0 +1,232 @@
+/**
+ * Tournament Tests
+ * Brackets, Swiss pairings, prize splits, entry fees, advancement and no-shows
+ */
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const {
+  getSeedOrder,
+  createEliminationRounds,
+  pairSwissRound,
+  splitPrizePool,
+  normalizePrizeTable
+} = require('../src/game/tournaments');
+const TournamentManager = require('../src/game/tournamentManager');
+const TournamentTreasury = require('../src/services/tournamentTreasury');
+const GameManager = require('../src/game/gameManager');
+const { MemoryStateStore } = require('../src/services/stateStore');
+const databaseService = require('../src/services/databaseService');
+
+const RATINGS = { alice: 1500, bob: 1400, carol: 1300, dave: 1200, erin: 1100 };
+const TREASURY = 'Treasury1111111111111111111111111111111111';
+
+let adjustPoints;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(databaseService, 'getPlayerRating').mockImplementation(async wallet => ({ rating: RATINGS[wallet] ?? 1200, ratedGames: 50 }));
+  jest.spyOn(databaseService, 'updateRatings').mockResolvedValue({ success: true });
+  jest.spyOn(databaseService, 'recordTournamentResult').mockResolvedValue(null);
+  adjustPoints = jest.spyOn(databaseService, 'adjustPoints').mockResolvedValue({ success: true, newBalance: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function players(wallets) {
+  return wallets.map((wallet, i) => ({ wallet, seed: i + 1, score: 0, byes: 0, opponents: [] }));
+}
+
+function setup(treasury) {
+  const gameManager = new GameManager(new MemoryStateStore());
+  const manager = new TournamentManager(gameManager, gameManager.stateStore, treasury);
+  return { gameManager, manager };
+}
+
+async function createWith(manager, wallets, options = {}) {
+  const { tournament } = manager.createTournament('organizer', { name: 'Friday Cup', entryFee: 100, ...options });
+  for (const wallet of wallets) {
+    expect(await manager.register(tournament.tournamentId, wallet)).toMatchObject({ success: true });
+  }
+  return tournament.tournamentId;
+}
+
+// Seat both players and finish the game with `winner`, as handleGameFinished would
+async function play(gameManager, manager, match, winner) {
+  for (const wallet of match.players) {
+    await gameManager.joinGame(match.gameId, wallet, null, wallet);
+  }
+  const gameState = gameManager.getGame(match.gameId);
+  gameState.gameStatus = 'finished';
+  gameState.winner = winner;
+  return manager.recordGameResult(match.gameId, gameState);
+}
+
+describe('brackets', () => {
+  test('seeds the best players apart and gives the top seeds the byes', () => {
+    expect(getSeedOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+
+    const rounds = createEliminationRounds(players(['a', 'b', 'c', 'd', 'e']));
+    expect(rounds.map(round => round.length)).toEqual([4, 2, 1]);
+    expect(rounds[0].map(match => [match.players, match.result])).toEqual([
+      [['a', null], 'bye'],
+      [['d', 'e'], null],
+      [['b', null], 'bye'],
+      [['c', null], 'bye']
+    ]);
+    expect(rounds[1].map(match => match.players)).toEqual([['a', null], ['b', 'c']]);
+  });
+
+  test('Swiss pairs equal scores without rematches and hands out one bye each', () => {
+    const field = players(['a', 'b', 'c', 'd', 'e']);
+    field[0].score = 1;
+    field[2].score = 1;
+    field[0].opponents = ['c'];
+    field[2].opponents = ['a'];
+    field[4].byes = 1;
+
+    const matches = pairSwissRound({ players: field, rounds: [[]] });
+    expect(matches.map(match => [match.players, match.result])).toEqual([
+      [['a', 'b'], null],
+      [['c', 'e'], null],
+      [['d', null], 'bye']
+    ]);
+    expect(matches[2]).toMatchObject({ matchId: '2-3', status: 'finished', winner: 'd' });
+  });
+
+  test('prize splits always add up to the pool', () => {
+    expect(splitPrizePool(1000n, [60, 30, 10], 5)).toEqual([600n, 300n, 100n]);
+    expect(splitPrizePool(1001n, [50, 50], 2)).toEqual([501n, 500n]);
+    // Two players: the third place's share is spread over the others
+    expect(splitPrizePool(900n, [60, 30, 10], 2)).toEqual([600n, 300n]);
+    expect(() => normalizePrizeTable([60, 30])).toThrow('adding up to 100');
+  });
+});
+
+describe('TournamentManager', () => {
+  test('runs a single-elimination tournament and pays the prize table', async () => {
+    const { gameManager, manager } = setup();
+    const tournamentId = await createWith(manager, ['dave', 'alice', 'carol'], { prizeTable: [70, 30] });
+    expect(adjustPoints).toHaveBeenCalledWith('dave', -100, expect.any(String));
+    expect(await manager.register(tournamentId, 'alice')).toMatchObject({ success: false, error: 'Already registered' });
+
+    expect(manager.start(tournamentId, 'alice')).toMatchObject({ success: false, error: 'Only the organizer can start the tournament' });
+    const { tournament } = manager.start(tournamentId, 'organizer');
+    expect(tournament.players.map(p => [p.wallet, p.seed])).toEqual([['alice', 1], ['carol', 2], ['dave', 3]]);
+    expect(tournament.prizePool).toBe(300);
+
+    // alice has a bye; carol vs dave is open to those two only
+    const semi = tournament.rounds[0][1];
+    expect(semi).toMatchObject({ players: ['carol', 'dave'], status: 'ready' });
+    expect(await gameManager.joinGame(semi.gameId, 'erin', null, 'erin')).toMatchObject({ success: false });
+
+    await play(gameManager, manager, semi, 'dave');
+    const final = tournament.rounds[1][0];
+    expect(final).toMatchObject({ players: ['alice', 'dave'], status: 'ready' });
+
+    adjustPoints.mockClear();
+    await play(gameManager, manager, final, 'dave');
+
+    expect(tournament.status).toBe('finished');
+    expect(manager.getView(tournament).standings.map(s => s.wallet)).toEqual(['dave', 'alice', 'carol']);
+    expect(tournament.prizes).toEqual([
+      { place: 1, wallet: 'dave', amount: 210, status: 'paid', signature: null, error: null },
+      { place: 2, wallet: 'alice', amount: 90, status: 'paid', signature: null, error: null }
+    ]);
+    expect(adjustPoints.mock.calls.map(([wallet, delta]) => [wallet, delta])).toEqual([['dave', 210], ['alice', 90]]);
+
+    // handleGameFinished firing twice doesn't pay twice
+    expect(await manager.recordGameResult(final.gameId, gameManager.getGame(final.gameId))).toBeNull();
+  });
+
+  test('runs Swiss rounds and ranks by score, then opponents\' scores', async () => {
+    const { gameManager, manager } = setup();
+    const tournamentId = await createWith(manager, ['alice', 'bob', 'carol', 'dave'], { format: 'swiss', entryFee: 0 });
+    const { tournament } = manager.start(tournamentId);
+
+    const [first, second] = tournament.rounds[0];
+    expect([first.players, second.players]).toEqual([['alice', 'bob'], ['carol', 'dave']]);
+    await play(gameManager, manager, first, 'alice');
+    await play(gameManager, manager, second, 'dave');
+
+    expect(tournament.rounds[1].map(match => match.players)).toEqual([['alice', 'dave'], ['bob', 'carol']]);
+    await play(gameManager, manager, tournament.rounds[1][0], 'dave');
+    await play(gameManager, manager, tournament.rounds[1][1], 'carol');
+
+    expect(tournament.status).toBe('finished');
+    expect(manager.getView(tournament).standings.map(s => [s.wallet, s.score, s.buchholz])).toEqual([
+      ['dave', 2, 2],
+      ['alice', 1, 2],
+      ['carol', 1, 2],
+      ['bob', 0, 2]
+    ]);
+    expect(adjustPoints).not.toHaveBeenCalled();
+  });
+
+  test('forfeits a match to the player who showed up', async () => {
+    const { gameManager, manager } = setup();
+    const tournamentId = await createWith(manager, ['alice', 'bob', 'carol', 'dave']);
+    const { tournament } = manager.start(tournamentId);
+    const [first, second] = tournament.rounds[0];
+
+    await gameManager.joinGame(first.gameId, 'dave', null, 'dave');
+    expect(await manager.checkNoShows(first.deadline - 1)).toEqual([]);
+
+    const forfeited = await manager.checkNoShows(first.deadline);
+    expect(forfeited.map(({ gameId, gameState }) => [gameId, gameState.winner, gameState.endReason])).toEqual([
+      [first.gameId, 'dave', 'no_show'],
+      [second.gameId, null, 'no_show']
+    ]);
+    expect(first).toMatchObject({ status: 'finished', winner: 'dave', result: 'no_show' });
+    // Nobody showed up for the other match: the better seed goes through
+    expect(second).toMatchObject({ status: 'finished', winner: 'bob', result: 'no_show' });
+    expect(tournament.rounds[1][0]).toMatchObject({ players: ['dave', 'bob'], status: 'ready' });
+  });
+
+  test('refunds entry fees when a tournament is cancelled', async () => {
+    const { manager } = setup();
+    const tournamentId = await createWith(manager, ['alice', 'bob']);
+
+    expect(await manager.unregister(tournamentId, 'bob')).toMatchObject({ success: true, refund: { status: 'paid' } });
+    expect(adjustPoints).toHaveBeenLastCalledWith('bob', 100, expect.any(String));
+
+    const { tournament } = await manager.cancel(tournamentId, 'organizer');
+    expect(tournament.status).toBe('cancelled');
+    expect(adjustPoints).toHaveBeenLastCalledWith('alice', 100, expect.any(String));
+    expect(await manager.register(tournamentId, 'carol')).toMatchObject({ success: false, error: 'Registration is closed' });
+  });
+
+  test('SOL entries need a confirmed transfer to the treasury, used once', async () => {
+    const transfer = jest.fn().mockResolvedValue('prize-signature');
+    const transactions = {
+      good: { meta: { err: null }, transaction: { message: { instructions: [
+        { program: 'system', parsed: { type: 'transfer', info: { source: 'alice', destination: TREASURY, lamports: 100000000 } } }
+      ] } } },
+      short: { meta: { err: null }, transaction: { message: { instructions: [
+        { program: 'system', parsed: { type: 'transfer', info: { source: 'bob', destination: TREASURY, lamports: 1000 } } }
+      ] } } }
+    };
+    const treasury = new TournamentTreasury({
+      wallet: { publicKey: { toString: () => TREASURY } },
+      chain: { getParsedTransaction: async signature => transactions[signature] || null, transfer }
+    });
+    const { manager } = setup(treasury);
+    const { tournament } = manager.createTournament('organizer', { name: 'SOL Cup', currency: 'sol', entryFee: 0.1 });
+
+    expect(await manager.register(tournament.tournamentId, 'bob', { signature: 'short' })).toMatchObject({ success: false });
+    expect(await manager.register(tournament.tournamentId, 'alice', { signature: 'missing' })).toMatchObject({ success: false });
+    expect(await manager.register(tournament.tournamentId, 'alice', { signature: 'good' })).toMatchObject({ success: true });
+    expect(await manager.register(tournament.tournamentId, 'bob', { signature: 'good' })).toMatchObject({
+      success: false,
+      error: 'Entry fee transaction was already used'
+    });
+    expect(manager.getView(tournament).entryAddress).toBe(TREASURY);
+
+    await manager.cancel(tournament.tournamentId);
+    expect(transfer).toHaveBeenCalledWith('alice', 100000000n);
+  });
+});